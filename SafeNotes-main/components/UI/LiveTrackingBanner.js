@@ -0,0 +1,74 @@
+import React, { useContext, useEffect, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Alert, Share } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { SettingsContext } from '../../contexts/SettingsContext';
+import {
+  getTrackingSession,
+  subscribeToTracking,
+  stopTrackingSession,
+} from '../../services/locationTracking';
+
+const formatTime = (ms) => new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Shown while "follow me" is sharing the user's location, so it can be stopped
+export default function LiveTrackingBanner({ style }) {
+  const { isDuressMode } = useContext(SettingsContext);
+  const [session, setSession] = useState(null);
+
+  useEffect(() => {
+    getTrackingSession().then(setSession);
+    return subscribeToTracking(setSession);
+  }, []);
+
+  if (!session || isDuressMode) return null;
+
+  const confirmStop = () => {
+    Alert.alert('Stop sharing location?', 'Your contacts will see that live tracking has ended.', [
+      { text: 'Keep sharing', style: 'cancel' },
+      { text: 'Stop', style: 'destructive', onPress: () => stopTrackingSession() },
+    ]);
+  };
+
+  return (
+    <View style={[styles.banner, style]}>
+      <Ionicons name="navigate" size={18} color="#fff" />
+      <Text style={styles.text}>Sharing live location until {formatTime(session.expiresAt)}</Text>
+      <TouchableOpacity onPress={() => Share.share({ message: session.viewUrl })}>
+        <Ionicons name="share-outline" size={20} color="#fff" />
+      </TouchableOpacity>
+      <TouchableOpacity style={styles.stopButton} onPress={confirmStop}>
+        <Text style={styles.stopText}>Stop</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#d32f2f',
+    borderRadius: 12,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    marginBottom: 12,
+  },
+  text: {
+    flex: 1,
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+    marginHorizontal: 8,
+  },
+  stopButton: {
+    backgroundColor: 'rgba(255,255,255,0.25)',
+    borderRadius: 8,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    marginLeft: 10,
+  },
+  stopText: {
+    color: '#fff',
+    fontWeight: '700',
+  },
+});
@@ -0,0 +1,63 @@
+import React, { useContext, useEffect, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { SettingsContext } from '../../contexts/SettingsContext';
+import {
+  getRecorderState,
+  subscribeToRecorder,
+  stopEvidenceRecording,
+} from '../../services/evidenceRecorder';
+
+const formatTime = (ms) => new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Shown while a covert recording runs in the background, so it can be stopped
+export default function RecordingBanner({ style }) {
+  const { isDuressMode } = useContext(SettingsContext);
+  const [recorder, setRecorder] = useState(getRecorderState());
+
+  useEffect(() => subscribeToRecorder(setRecorder), []);
+
+  if (!recorder?.covert || isDuressMode) return null;
+
+  return (
+    <View style={[styles.banner, style]}>
+      <Ionicons name="mic" size={18} color="#fff" />
+      <Text style={styles.text}>
+        Recording since {formatTime(recorder.startedAt)} · {recorder.chunkCount} saved
+      </Text>
+      <TouchableOpacity style={styles.stopButton} onPress={() => stopEvidenceRecording()}>
+        <Text style={styles.stopText}>Stop</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#d32f2f',
+    borderRadius: 12,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    marginBottom: 12,
+  },
+  text: {
+    flex: 1,
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+    marginHorizontal: 8,
+  },
+  stopButton: {
+    backgroundColor: 'rgba(255,255,255,0.25)',
+    borderRadius: 8,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    marginLeft: 10,
+  },
+  stopText: {
+    color: '#fff',
+    fontWeight: '700',
+  },
+});
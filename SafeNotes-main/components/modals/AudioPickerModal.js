@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useContext } from 'react';
 import {
   Modal,
   View,
@@ -12,21 +12,64 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import { Audio } from 'expo-av'; // For playing audio
 import { supabase } from '../../services/supabaseClient';
+import { getDeviceId } from '../../services/deviceIdentity';
+import { SettingsContext } from '../../contexts/SettingsContext';
 
 /**
  * Props:
  * - visible: boolean
  * - onClose: function
- * - onConfirm: function (receives array of selected audio objects with { id, public_url, mime_type, tags })
+ * - onConfirm: function (receives array of selected audio objects with { id, public_url, urls, parts, mime_type, tags })
  * - selectedItems: array (currently selected)
  */
 
+/**
+ * Chunked recordings come back as one row per chunk; they are offered as a
+ * single item whose `urls` lists every chunk in order. `public_url` is the
+ * first chunk, used for the preview. `parts` has each chunk's URL with its
+ * type, hash and start time, for the SOS incident page.
+ */
+function groupChunks(rows) {
+  const items = [];
+  const chunksBySession = {};
+  for (const row of rows) {
+    if (!row.session_id) {
+      items.push({ ...row, urls: [row.public_url], parts: [partOf(row)] });
+      continue;
+    }
+    if (!chunksBySession[row.session_id]) {
+      chunksBySession[row.session_id] = [];
+      items.push({ ...row, id: row.session_id });
+    }
+    chunksBySession[row.session_id].push(row);
+  }
+
+  return items.map((item) => {
+    if (!item.session_id) return item;
+    const chunks = chunksBySession[item.session_id].sort((a, b) => a.chunk_index - b.chunk_index);
+    return {
+      ...item,
+      public_url: chunks[0].public_url,
+      urls: chunks.map((c) => c.public_url),
+      parts: chunks.map(partOf),
+    };
+  });
+}
+
+const partOf = (row) => ({
+  url: row.public_url,
+  mimeType: row.mime_type || null,
+  sha256: row.sha256 || null,
+  capturedAt: row.started_at || row.uploaded_at || null,
+});
+
 export default function AudioPickerModal({ visible, onClose, onConfirm, selectedItems = [] }) {
   const [audioFiles, setAudioFiles] = useState([]);
   const [loading, setLoading] = useState(false);
   const [selected, setSelected] = useState(selectedItems);
   const [playingId, setPlayingId] = useState(null);
   const soundObjects = useRef({}); // To hold Audio.Sound instances keyed by id
+  const { isDuressMode } = useContext(SettingsContext);
 
   // Fetch audio files list from Supabase 'recordings' bucket and 'public.record_audio' table
   useEffect(() => {
@@ -39,19 +82,26 @@ export default function AudioPickerModal({ visible, onClose, onConfirm, selected
   }, [visible]);
 
   const refreshAudioFiles = async () => {
+    // Real recordings are never listed in the decoy app
+    if (isDuressMode) {
+      setAudioFiles([]);
+      return;
+    }
+
     setLoading(true);
     try {
       // Fetch records from public.record_audio table (assume suitable supabase client)
       const { data, error } = await supabase
         .from('record_audio')
-        .select('id, public_url, mime_type, tags')
+        .select('id, public_url, mime_type, tags, session_id, chunk_index, started_at, uploaded_at, sha256')
+        .eq('device_id', await getDeviceId())
         .order('uploaded_at', { ascending: false });
 
       if (error) {
         console.warn('Failed to fetch audio records:', error);
         setAudioFiles([]);
       } else {
-        setAudioFiles(data || []);
+        setAudioFiles(groupChunks(data || []));
       }
     } catch (e) {
       console.warn('Error fetching audio records:', e);
@@ -148,7 +198,9 @@ export default function AudioPickerModal({ visible, onClose, onConfirm, selected
           />
           <View style={styles.audioInfo}>
             <Text style={styles.audioTitle} numberOfLines={1}>
-              {item.public_url.split('/').pop()}
+              {item.session_id
+                ? `${item.session_id} (${item.urls.length} ${item.urls.length === 1 ? 'part' : 'parts'})`
+                : item.public_url.split('/').pop()}
             </Text>
             <Text style={styles.audioTags}>
               Tags: {item.tags?.join(', ') || 'none'}
@@ -9,9 +9,14 @@ import {
   Alert,
 } from 'react-native';
 import { theme } from '../../constants/colors';
-import * as SecureStore from 'expo-secure-store';
 
-export default function ChangePinModal({ visible, onClose, onSave }) {
+export default function ChangePinModal({
+  visible,
+  onClose,
+  onSave,
+  title = 'Change Access PIN',
+  reservedPin = null, // a PIN this one must not equal (access vs duress)
+}) {
   const [pin, setPin] = useState('');
   const [confirmPin, setConfirmPin] = useState('');
 
@@ -31,11 +36,15 @@ export default function ChangePinModal({ visible, onClose, onSave }) {
       Alert.alert('Mismatch', 'PINs do not match.');
       return;
     }
+    if (reservedPin && pin === reservedPin) {
+      Alert.alert('PIN in use', 'Your access PIN and duress PIN must be different.');
+      return;
+    }
 
     try {
-      await SecureStore.setItemAsync('accessPin', pin);
-      onSave(pin);
-      Alert.alert('Saved', 'Access PIN updated.');
+      // onSave stores the PIN; the access PIN also re-keys the notes vault
+      await onSave(pin);
+      Alert.alert('Saved', 'PIN updated.');
       onClose();
     } catch (e) {
       console.error('Failed to save PIN:', e);
@@ -47,7 +56,7 @@ export default function ChangePinModal({ visible, onClose, onSave }) {
     <Modal visible={visible} animationType="slide" transparent>
       <View style={styles.overlay}>
         <View style={styles.modal}>
-          <Text style={styles.title}>Change Access PIN</Text>
+          <Text style={styles.title}>{title}</Text>
 
           <TextInput
             style={styles.input}
@@ -10,65 +10,42 @@ import {
   ActivityIndicator,
 } from 'react-native';
 import { theme } from '../../constants/colors';
-import * as SecureStore from 'expo-secure-store';
 import { supabase } from '../../services/supabaseClient'; // Adjust path if needed
+import { getDeviceId } from '../../services/deviceIdentity';
+import { CONTACT_CHANNELS } from '../../services/emergencyContacts';
 
 export default function EditContactModal({
   visible,
   onClose,
   onSave,
+  currentContact = null, // null adds a new contact
+  title = 'Edit Emergency Contact',
 }) {
   const [loading, setLoading] = useState(false);
-  const [contactId, setContactId] = useState(null);  // to store existing id if any
   const [name, setName] = useState('');
   const [number, setNumber] = useState('');
   const [relationship, setRelationship] = useState('');
   const [email, setEmail] = useState('');
+  const [channels, setChannels] = useState(['sms']);
+  const [escalateAfter, setEscalateAfter] = useState('');
 
-  // Fetch from supabase when modal opens
+  // Fill the form from the contact being edited when the modal opens
   useEffect(() => {
     if (visible) {
-      fetchEmergencyContact();
+      setName(currentContact?.name || '');
+      setNumber(currentContact?.number || '');
+      setRelationship(currentContact?.relationship || '');
+      setEmail(currentContact?.email || '');
+      setChannels(currentContact?.channels?.length ? currentContact.channels : ['sms']);
+      setEscalateAfter(currentContact?.escalateAfterMin ? String(currentContact.escalateAfterMin) : '');
     }
   }, [visible]);
 
-  async function fetchEmergencyContact() {
-    setLoading(true);
-    try {
-      const { data, error } = await supabase
-        .from('emergency_contacts')
-        .select('*')
-        .order('created_at', { ascending: false }) // latest entry first
-        .limit(1)
-        .single();
-
-      if (error && error.code !== 'PGRST116') {
-        // PGRST116 means no rows found - ignore
-        console.error('Error fetching emergency contact:', error);
-        Alert.alert('Error', 'Failed to load emergency contact from server.');
-      }
-
-      if (data) {
-        setContactId(data.id);  // set the id here
-        setName(data.name);
-        setNumber(data.number);
-        setRelationship(data.relationship);
-        setEmail(data.email);
-      } else {
-        // No data, clear form and id
-        setContactId(null);
-        setName('');
-        setNumber('');
-        setRelationship('');
-        setEmail('');
-      }
-    } catch (err) {
-      console.error(err);
-      Alert.alert('Error', 'Unexpected error fetching emergency contact.');
-    } finally {
-      setLoading(false);
-    }
-  }
+  const toggleChannel = (key) => {
+    setChannels((prev) =>
+      prev.includes(key) ? prev.filter((c) => c !== key) : [...prev, key]
+    );
+  };
 
   const handleSave = async () => {
     const trimmedName = name.trim();
@@ -90,7 +67,7 @@ export default function EditContactModal({
               relationship: trimmedRelationship,
               email: trimmedEmail,
               message: 'No SOS message set',
-            }),
+            }, { channels: ['sms'], escalateAfterMin: null }),
           },
         ]
       );
@@ -110,34 +87,60 @@ export default function EditContactModal({
       return;
     }
 
+    if (channels.length === 0) {
+      Alert.alert('No Channel', 'Choose at least one way to reach this contact.');
+      return;
+    }
+
+    if (channels.includes('email') && !trimmedEmail) {
+      Alert.alert('Email Required', 'Add an email address to alert this contact by email.');
+      return;
+    }
+
+    const minutes = escalateAfter.trim() ? parseInt(escalateAfter, 10) : null;
+    if (minutes !== null && !(minutes > 0 && minutes <= 120)) {
+      Alert.alert('Invalid Time', 'Escalation time must be between 1 and 120 minutes.');
+      return;
+    }
+
     await saveContact({
       name: trimmedName,
       number: trimmedNumber,
       relationship: trimmedRelationship,
       email: trimmedEmail,
       message: 'No SOS message set',  // message required by supabase schema
-    });
+    }, { channels, escalateAfterMin: minutes });
   };
 
-  async function saveContact(contact) {
+  // The local list is the source of truth; Supabase keeps a mirror row per contact
+  async function saveContact(contact, { channels: contactChannels, escalateAfterMin }) {
     try {
       setLoading(true);
 
-      // Save locally
-      await SecureStore.setItemAsync('emergencyContact', JSON.stringify(contact));
+      const row = {
+        name: contact.name,
+        number: contact.number,
+        relationship: contact.relationship,
+        email: contact.email,
+        message: contact.message,
+        channels: contactChannels,
+        escalate_after_min: escalateAfterMin,
+      };
+      let remoteId = currentContact?.remoteId ?? null;
+      const deviceId = await getDeviceId().catch((e) => {
+        console.error('Failed to sign in to supabase:', e);
+        return null;
+      });
 
-      if (contactId) {
+      if (!deviceId) {
+        Alert.alert('Error', 'Could not save contact to server. Saved locally only.');
+      } else if (remoteId) {
         // Update existing contact by id
         const { error } = await supabase
           .from('emergency_contacts')
-          .update({
-            name: contact.name,
-            number: contact.number,
-            relationship: contact.relationship,
-            email: contact.email,
-            message: contact.message,
-          })
-          .eq('id', contactId);
+          .update(row)
+          .eq('device_id', deviceId)
+          .eq('id', remoteId);
 
         if (error) {
           console.error('Failed to update contact to supabase:', error);
@@ -147,27 +150,31 @@ export default function EditContactModal({
         }
       } else {
         // Insert new contact (no id)
-        const { error } = await supabase
+        const { data, error } = await supabase
           .from('emergency_contacts')
-          .insert([
-            {
-              name: contact.name,
-              number: contact.number,
-              relationship: contact.relationship,
-              email: contact.email,
-              message: contact.message,
-            },
-          ]);
+          .insert([{ ...row, device_id: deviceId }])
+          .select('id')
+          .single();
 
         if (error) {
           console.error('Failed to insert contact to supabase:', error);
           Alert.alert('Error', 'Could not save contact to server. Saved locally only.');
         } else {
+          remoteId = data.id;
           Alert.alert('Saved', 'Emergency contact saved successfully.');
         }
       }
 
-      onSave(contact);
+      onSave({
+        ...currentContact,
+        name: contact.name,
+        number: contact.number,
+        relationship: contact.relationship,
+        email: contact.email,
+        channels: contactChannels,
+        escalateAfterMin,
+        remoteId,
+      });
       onClose();
     } catch (e) {
       console.error('Failed to save contact:', e);
@@ -181,7 +188,7 @@ export default function EditContactModal({
     <Modal visible={visible} animationType="slide" transparent>
       <View style={styles.overlay}>
         <View style={styles.modal}>
-          <Text style={styles.title}>Edit Emergency Contact</Text>
+          <Text style={styles.title}>{title}</Text>
 
           {loading ? (
             <ActivityIndicator size="large" color={theme.accent} style={{ marginVertical: 20 }} />
@@ -234,6 +241,30 @@ export default function EditContactModal({
                 onChangeText={setEmail}
               />
 
+              <Text style={styles.label}>Reach them by</Text>
+              <View style={styles.channelRow}>
+                {CONTACT_CHANNELS.map(({ key, label }) => (
+                  <TouchableOpacity
+                    key={key}
+                    style={[styles.channelChip, channels.includes(key) && styles.channelChipActive]}
+                    onPress={() => toggleChannel(key)}
+                  >
+                    <Text style={styles.channelText}>{label}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              <Text style={styles.label}>If no reply, alert the next contact after</Text>
+              <TextInput
+                style={styles.input}
+                placeholder="Minutes (leave empty to alert together)"
+                placeholderTextColor={theme.muted}
+                keyboardType="number-pad"
+                maxLength={3}
+                value={escalateAfter}
+                onChangeText={setEscalateAfter}
+              />
+
               <View style={styles.buttons}>
                 <TouchableOpacity style={styles.cancelBtn} onPress={onClose}>
                   <Text style={styles.cancelText}>Cancel</Text>
@@ -279,6 +310,34 @@ const styles = StyleSheet.create({
     borderRadius: 8,
     marginBottom: 12,
   },
+  label: {
+    color: theme.muted,
+    fontFamily: 'Inter',
+    fontSize: 13,
+    marginBottom: 6,
+    marginLeft: 4,
+  },
+  channelRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 12,
+  },
+  channelChip: {
+    backgroundColor: theme.input,
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  channelChipActive: {
+    backgroundColor: theme.accent,
+  },
+  channelText: {
+    color: theme.text,
+    fontFamily: 'Inter',
+    fontSize: 14,
+  },
   buttons: {
     flexDirection: 'row',
     justifyContent: 'flex-end',
@@ -0,0 +1,130 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+} from 'react-native';
+import { theme } from '../../constants/colors';
+import { loadFlaggedTerms, saveFlaggedTerms } from '../../services/evidenceIndex';
+
+// Names and phrases to highlight in recording transcripts, one per line.
+// Threats are always flagged and don't need adding here.
+export default function EditFlaggedTermsModal({ visible, onClose }) {
+  const [text, setText] = useState('');
+
+  useEffect(() => {
+    if (visible) loadFlaggedTerms().then((terms) => setText(terms.join('\n'))); // Reset on open
+  }, [visible]);
+
+  const handleSave = async () => {
+    try {
+      await saveFlaggedTerms(text.split('\n'));
+      onClose();
+    } catch (e) {
+      console.error('Failed to save flagged words:', e);
+      Alert.alert('Error', 'Could not save flagged words. Try again.');
+    }
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent>
+      <View style={styles.overlay}>
+        <View style={styles.modal}>
+          <Text style={styles.title}>Flagged Words</Text>
+          <Text style={styles.subtitle}>
+            Names and phrases to highlight in recording transcripts, one per line. Threats such as
+            "kill you" or "maar dunga" are always flagged.
+          </Text>
+
+          <TextInput
+            style={styles.input}
+            multiline
+            value={text}
+            onChangeText={setText}
+            placeholder={'e.g. his name\nhis brother\'s name'}
+            placeholderTextColor={theme.muted}
+            textAlignVertical="top"
+            autoCapitalize="none"
+          />
+
+          <View style={styles.buttons}>
+            <TouchableOpacity style={styles.cancelBtn} onPress={onClose}>
+              <Text style={styles.cancelText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.saveBtn} onPress={handleSave}>
+              <Text style={styles.saveText}>Save</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.6)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  modal: {
+    backgroundColor: theme.card,
+    borderRadius: 16,
+    padding: 20,
+  },
+  title: {
+    fontSize: 20,
+    color: theme.text,
+    fontFamily: 'Inter',
+    fontWeight: 'bold',
+    marginBottom: 8,
+    marginLeft: 4,
+  },
+  subtitle: {
+    fontSize: 13,
+    color: theme.muted,
+    fontFamily: 'Inter',
+    marginBottom: 12,
+    marginLeft: 4,
+  },
+  input: {
+    backgroundColor: theme.input,
+    color: theme.text,
+    fontFamily: 'Inter',
+    fontSize: 15,
+    padding: 12,
+    borderRadius: 8,
+    height: 140,
+    marginBottom: 12,
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  cancelBtn: {
+    marginRight: 16,
+    paddingTop: 8,
+  },
+  cancelText: {
+    color: theme.muted,
+    fontFamily: 'Inter',
+    fontSize: 16,
+  },
+  saveBtn: {
+    backgroundColor: theme.accent,
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  saveText: {
+    color: '#fff',
+    fontWeight: 'bold',
+    fontFamily: 'Inter',
+    fontSize: 16,
+  },
+});
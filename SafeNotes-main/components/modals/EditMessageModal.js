@@ -12,6 +12,7 @@ import {
 import { theme } from '../../constants/colors';
 import * as SecureStore from 'expo-secure-store';
 import { supabase } from '../../services/supabaseClient';
+import { getDeviceId } from '../../services/deviceIdentity';
 
 export default function EditMessageModal({
   visible,
@@ -38,12 +39,17 @@ export default function EditMessageModal({
       await SecureStore.setItemAsync('emergencyMessage', message);
 
       // Fetch latest full emergency contact
-      const { data: latestContact, error: fetchError } = await supabase
-        .from('emergency_contacts')
-        .select('*')
-        .order('created_at', { ascending: false })
-        .limit(1)
-        .single();
+      const { data: latestContact, error: fetchError } = await getDeviceId()
+        .then((deviceId) =>
+          supabase
+            .from('emergency_contacts')
+            .select('*')
+            .eq('device_id', deviceId)
+            .order('created_at', { ascending: false })
+            .limit(1)
+            .single()
+        )
+        .catch((e) => ({ data: null, error: e }));
 
       if (fetchError && fetchError.code !== 'PGRST116') {
         console.error('Failed to fetch latest contact:', fetchError);
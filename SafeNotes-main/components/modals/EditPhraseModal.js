@@ -0,0 +1,248 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  ScrollView,
+} from 'react-native';
+import { theme } from '../../constants/colors';
+import {
+  PANIC_ACTIONS,
+  SENSITIVITY_LEVELS,
+  MAX_CONFIRMATIONS,
+  sensitivityFor,
+} from '../../services/panicPhrases';
+
+export default function EditPhraseModal({
+  visible,
+  onClose,
+  onSave,
+  currentPhrase = null, // null adds a new phrase
+  contacts = [],
+  title = 'Edit Panic Phrase',
+}) {
+  const [phrase, setPhrase] = useState('');
+  const [action, setAction] = useState('sos');
+  const [contactId, setContactId] = useState(null);
+  const [sensitivity, setSensitivity] = useState('normal');
+  const [confirmations, setConfirmations] = useState(1);
+
+  // Fill the form from the phrase being edited when the modal opens
+  useEffect(() => {
+    if (visible) {
+      setPhrase(currentPhrase?.phrase || '');
+      setAction(currentPhrase?.action || 'sos');
+      setContactId(currentPhrase?.contactId ?? contacts[0]?.id ?? null);
+      setSensitivity(sensitivityFor(currentPhrase?.threshold ?? 0.8).key);
+      setConfirmations(currentPhrase?.confirmations ?? 1);
+    }
+  }, [visible]);
+
+  const save = () => {
+    onSave({
+      ...currentPhrase,
+      phrase: phrase.trim().toLowerCase(),
+      action,
+      contactId: action === 'call' ? contactId : null,
+      threshold: SENSITIVITY_LEVELS.find((l) => l.key === sensitivity).threshold,
+      confirmations,
+    });
+    onClose();
+  };
+
+  const handleSave = () => {
+    const trimmed = phrase.trim();
+    if (trimmed.length < 3) {
+      Alert.alert('Phrase Too Short', 'Use a word or phrase of at least 3 letters.');
+      return;
+    }
+    if (action === 'call' && !contacts.some((c) => c.id === contactId)) {
+      Alert.alert('Choose a Contact', 'Pick which trusted contact to call.');
+      return;
+    }
+
+    // One everyday word said once is the easiest way to set one off by accident
+    if (!trimmed.includes(' ') && confirmations === 1) {
+      Alert.alert(
+        'Easy to Say by Accident',
+        'A single word can come up in normal conversation. Use a longer phrase or require it to be said twice.',
+        [
+          { text: 'Change', style: 'cancel' },
+          { text: 'Save Anyway', onPress: save },
+        ]
+      );
+      return;
+    }
+
+    save();
+  };
+
+  const Chip = ({ active, label, onPress }) => (
+    <TouchableOpacity style={[styles.chip, active && styles.chipActive]} onPress={onPress}>
+      <Text style={styles.chipText}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent>
+      <View style={styles.overlay}>
+        <View style={styles.modal}>
+          <ScrollView>
+            <Text style={styles.title}>{title}</Text>
+
+            <TextInput
+              style={styles.input}
+              placeholder="Phrase (e.g. the milk has gone sour, bachao)"
+              placeholderTextColor={theme.muted}
+              autoCapitalize="none"
+              value={phrase}
+              onChangeText={setPhrase}
+            />
+
+            <Text style={styles.label}>When I say it</Text>
+            <View style={styles.chipRow}>
+              {PANIC_ACTIONS.map(({ key, label }) => (
+                <Chip key={key} active={action === key} label={label} onPress={() => setAction(key)} />
+              ))}
+            </View>
+
+            {action === 'call' && (
+              <>
+                <Text style={styles.label}>Call</Text>
+                <View style={styles.chipRow}>
+                  {contacts.length === 0 && <Text style={styles.label}>Add a trusted contact first</Text>}
+                  {contacts.map((c) => (
+                    <Chip
+                      key={c.id}
+                      active={contactId === c.id}
+                      label={c.name || c.number}
+                      onPress={() => setContactId(c.id)}
+                    />
+                  ))}
+                </View>
+              </>
+            )}
+
+            <Text style={styles.label}>How closely it must match</Text>
+            <View style={styles.chipRow}>
+              {SENSITIVITY_LEVELS.map(({ key, label }) => (
+                <Chip key={key} active={sensitivity === key} label={label} onPress={() => setSensitivity(key)} />
+              ))}
+            </View>
+
+            <Text style={styles.label}>Times I must say it (within 10 seconds)</Text>
+            <View style={styles.chipRow}>
+              {Array.from({ length: MAX_CONFIRMATIONS }, (_, i) => i + 1).map((n) => (
+                <Chip
+                  key={n}
+                  active={confirmations === n}
+                  label={n === 1 ? 'Once' : `${n} times`}
+                  onPress={() => setConfirmations(n)}
+                />
+              ))}
+            </View>
+
+            <View style={styles.buttons}>
+              <TouchableOpacity style={styles.cancelBtn} onPress={onClose}>
+                <Text style={styles.cancelText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.saveBtn} onPress={handleSave}>
+                <Text style={styles.saveText}>Save</Text>
+              </TouchableOpacity>
+            </View>
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.6)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  modal: {
+    backgroundColor: theme.card,
+    borderRadius: 16,
+    padding: 20,
+    maxHeight: '85%',
+  },
+  title: {
+    fontSize: 20,
+    color: theme.text,
+    fontFamily: 'Inter',
+    fontWeight: 'bold',
+    marginBottom: 12,
+    marginLeft: 4,
+  },
+  input: {
+    backgroundColor: theme.input,
+    color: theme.text,
+    fontFamily: 'Inter',
+    fontSize: 15,
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 12,
+  },
+  label: {
+    color: theme.muted,
+    fontFamily: 'Inter',
+    fontSize: 13,
+    marginBottom: 6,
+    marginLeft: 4,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 12,
+  },
+  chip: {
+    backgroundColor: theme.input,
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipActive: {
+    backgroundColor: theme.accent,
+  },
+  chipText: {
+    color: theme.text,
+    fontFamily: 'Inter',
+    fontSize: 14,
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 8,
+  },
+  cancelBtn: {
+    marginRight: 16,
+  },
+  cancelText: {
+    color: theme.muted,
+    fontFamily: 'Inter',
+    paddingTop: 8,
+    fontSize: 16,
+  },
+  saveBtn: {
+    backgroundColor: theme.accent,
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  saveText: {
+    color: '#fff',
+    fontWeight: 'bold',
+    fontFamily: 'Inter',
+    fontSize: 16,
+  },
+});
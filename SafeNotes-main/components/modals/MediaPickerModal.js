@@ -1,4 +1,4 @@
-import React, { useEffect, useState } from 'react';
+import React, { useContext, useEffect, useState } from 'react';
 import {
   Modal,
   View,
@@ -13,11 +13,13 @@ import * as FileSystem from 'expo-file-system';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Ionicons } from '@expo/vector-icons';
 import { Video } from 'expo-video';
+import { SettingsContext } from '../../contexts/SettingsContext';
 import { theme } from '../../constants/colors';
 
 export default function MediaPickerModal({ visible, onClose, onConfirm }) {
   const [media, setMedia] = useState([]);
   const [selected, setSelected] = useState([]);
+  const { isDuressMode } = useContext(SettingsContext);
 
   useEffect(() => {
     if (visible) loadMedia();
@@ -25,7 +27,9 @@ export default function MediaPickerModal({ visible, onClose, onConfirm }) {
 
   const loadMedia = async () => {
     try {
-      const stored = await AsyncStorage.getItem('journalMedia');
+      const stored = await AsyncStorage.getItem(
+        isDuressMode ? 'journalMedia_decoy' : 'journalMedia'
+      );
       const parsed = stored ? JSON.parse(stored) : [];
       const valid = [];
       for (const item of parsed) {
@@ -105,7 +109,7 @@ export default function MediaPickerModal({ visible, onClose, onConfirm }) {
             numColumns={3}
             contentContainerStyle={styles.grid}
           />
-          <TouchableOpacity style={styles.doneBtn} onPress={() => onConfirm(selected.map((i) => i.uri))}>
+          <TouchableOpacity style={styles.doneBtn} onPress={() => onConfirm(selected)}>
             <Text style={styles.doneText}>Done ({selected.length})</Text>
           </TouchableOpacity>
           <TouchableOpacity onPress={onClose}>
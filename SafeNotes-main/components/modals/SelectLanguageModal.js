@@ -0,0 +1,118 @@
+import React from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+} from 'react-native';
+import { theme } from '../../constants/colors';
+import { VOICE_LANGUAGES } from '../../services/voiceLanguages';
+
+export default function SelectLanguageModal({ visible, onClose, currentLanguage, onSave }) {
+  const handleSelect = async (key) => {
+    await onSave(key);
+    onClose();
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent>
+      <View style={styles.overlay}>
+        <View style={styles.modal}>
+          <Text style={styles.title}>Voice Language</Text>
+          <Text style={styles.subtitle}>
+            Used for panic phrases and recording transcripts. Type phrases in English letters or in
+            Hindi or Punjabi script; either will match.
+          </Text>
+          {VOICE_LANGUAGES.map((language) => (
+            <TouchableOpacity
+              key={language.key}
+              style={[
+                styles.option,
+                language.key === currentLanguage && styles.selectedOption,
+              ]}
+              onPress={() => handleSelect(language.key)}
+            >
+              <Text
+                style={[
+                  styles.optionText,
+                  language.key === currentLanguage && styles.selectedText,
+                ]}
+              >
+                {language.label}
+              </Text>
+              <Text style={styles.description}>{language.description}</Text>
+            </TouchableOpacity>
+          ))}
+
+          <TouchableOpacity style={styles.cancel} onPress={onClose}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.6)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  modal: {
+    backgroundColor: theme.card,
+    borderRadius: 16,
+    padding: 20,
+  },
+  title: {
+    fontSize: 20,
+    color: theme.text,
+    fontFamily: 'Inter',
+    fontWeight: 'bold',
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 13,
+    color: theme.muted,
+    fontFamily: 'Inter',
+    marginBottom: 12,
+  },
+  option: {
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderColor: theme.border,
+  },
+  selectedOption: {
+    backgroundColor: theme.card,
+    borderColor: theme.muted,
+    borderRadius: 8,
+    borderWidth: 1,
+    paddingHorizontal: 12,
+  },
+  optionText: {
+    fontSize: 15,
+    fontFamily: 'Inter',
+    color: theme.text,
+  },
+  selectedText: {
+    fontWeight: 'bold',
+    color: theme.accent,
+  },
+  description: {
+    fontSize: 12,
+    fontFamily: 'Inter',
+    color: theme.muted,
+    marginTop: 2,
+  },
+  cancel: {
+    marginTop: 16,
+    alignItems: 'flex-end',
+  },
+  cancelText: {
+    color: theme.muted,
+    fontFamily: 'Inter',
+    fontSize: 16,
+  },
+});
@@ -0,0 +1,111 @@
+import React from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+} from 'react-native';
+import { theme } from '../../constants/colors';
+import { LINK_TTL_OPTIONS } from '../../services/evidenceLinks';
+
+export default function SelectLinkExpiryModal({ visible, onClose, currentHours, onSave }) {
+  const handleSelect = async (key) => {
+    await onSave(key);
+    onClose();
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent>
+      <View style={styles.overlay}>
+        <View style={styles.modal}>
+          <Text style={styles.title}>Evidence Link Expiry</Text>
+          <Text style={styles.subtitle}>
+            How long the evidence pages sent with an SOS stay online. You can take a link down
+            sooner from the SOS history.
+          </Text>
+          {LINK_TTL_OPTIONS.map((option) => (
+            <TouchableOpacity
+              key={option.hours}
+              style={[
+                styles.option,
+                option.hours === currentHours && styles.selectedOption,
+              ]}
+              onPress={() => handleSelect(option.hours)}
+            >
+              <Text
+                style={[
+                  styles.optionText,
+                  option.hours === currentHours && styles.selectedText,
+                ]}
+              >
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+
+          <TouchableOpacity style={styles.cancel} onPress={onClose}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.6)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  modal: {
+    backgroundColor: theme.card,
+    borderRadius: 16,
+    padding: 20,
+  },
+  title: {
+    fontSize: 20,
+    color: theme.text,
+    fontFamily: 'Inter',
+    fontWeight: 'bold',
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 13,
+    color: theme.muted,
+    fontFamily: 'Inter',
+    marginBottom: 12,
+  },
+  option: {
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderColor: theme.border,
+  },
+  selectedOption: {
+    backgroundColor: theme.card,
+    borderColor: theme.muted,
+    borderRadius: 8,
+    borderWidth: 1,
+    paddingHorizontal: 12,
+  },
+  optionText: {
+    fontSize: 15,
+    fontFamily: 'Inter',
+    color: theme.text,
+  },
+  selectedText: {
+    fontWeight: 'bold',
+    color: theme.accent,
+  },
+  cancel: {
+    marginTop: 16,
+    alignItems: 'flex-end',
+  },
+  cancelText: {
+    color: theme.muted,
+    fontFamily: 'Inter',
+    fontSize: 16,
+  },
+});
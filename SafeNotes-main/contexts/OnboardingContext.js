@@ -6,6 +6,7 @@ export const OnboardingContext = createContext({
   /* default shape: */
   pin: '',
   confirmPin: '',
+  duressPin: '',
   sosMessage: '',
   emergencyName: '',
   emergencyNumber: '',
@@ -24,6 +25,7 @@ export function OnboardingProvider({ children }) {
   // 1) PIN fields
   const [pin, setPin] = useState('');
   const [confirmPin, setConfirmPin] = useState('');
+  const [duressPin, setDuressPin] = useState('');
 
   // 2) SOS screen fields
   const [sosMessage, setSosMessage] = useState('');
@@ -48,6 +50,8 @@ export function OnboardingProvider({ children }) {
         return setPin(value);
       case 'confirmPin':
         return setConfirmPin(value);
+      case 'duressPin':
+        return setDuressPin(value);
       case 'sosMessage':
         return setSosMessage(value);
       case 'emergencyName':
@@ -82,6 +86,7 @@ export function OnboardingProvider({ children }) {
       value={{
         pin,
         confirmPin,
+        duressPin,
         sosMessage,
         emergencyName,
         emergencyNumber,
@@ -1,31 +1,69 @@
 import React, { createContext, useEffect, useState } from 'react';
 import * as SecureStore from 'expo-secure-store';
 import debounce from 'lodash.debounce';
+import { changeVaultPin } from '../services/notesVault';
+import { loadEmergencyContacts, saveEmergencyContacts } from '../services/emergencyContacts';
+import { loadPanicPhrases, savePanicPhrases } from '../services/panicPhrases';
+import { VOICE_LANGUAGE_KEY, DEFAULT_VOICE_LANGUAGE } from '../services/voiceLanguages';
+import { TRANSCRIBER_KEY, DEFAULT_TRANSCRIBER } from '../services/transcription';
+import { LINK_TTL_KEY, getLinkTtlHours, DEFAULT_LINK_TTL_HOURS } from '../services/evidenceLinks';
+import { refreshPanicPhrases } from '../services/voiceRecognition';
+import { syncRetentionPolicy } from '../services/retentionPolicy';
+import {
+  getCheckIn,
+  subscribeToCheckIn,
+  scheduleCheckIn,
+  confirmCheckIn,
+  triggerOverdueCheckIn,
+} from '../services/checkIn';
 
 export const SettingsContext = createContext();
+
+// Also what the SOS sends when no message was ever saved
+export const DEFAULT_MESSAGE = 'Help me, I am in danger. Please respond quickly.';
+
 export let _internalSetHasCompletedOnboarding = null;
 
 export const SettingsProvider = ({ children }) => {
   const [isUnlocked, setIsUnlocked] = useState(false);
 
+  // Duress mode: unlocked with the duress PIN, so only the decoy data is shown.
+  // It stays on (even across restarts) until the real PIN is entered again.
+  const [isDuressMode, setIsDuressMode] = useState(false);
+
   // Privacy toggles
   const [locationEnabled, setLocationEnabled] = useState(false);
   const [cameraEnabled, setCameraEnabled] = useState(false);
   const [micEnabled, setMicEnabled] = useState(false);
   const [galleryEnabled, setGalleryEnabled] = useState(false);
   const [biometricEnabled, setBiometricEnabled] = useState(false); // default off
+  const [intruderPhotoEnabled, setIntruderPhotoEnabled] = useState(false);
+  const [protectEvidenceLinks, setProtectEvidenceLinks] = useState(false); // access code on evidence pages
+  const [evidenceLinkTTL, setEvidenceLinkTTL] = useState(DEFAULT_LINK_TTL_HOURS); // hours
+  const [voiceEngine, setVoiceEngine] = useState('on_device'); // keyword-spotting backend
+  const [voiceLanguage, setVoiceLanguage] = useState(DEFAULT_VOICE_LANGUAGE); // phrases and transcripts
+  const [transcriber, setTranscriber] = useState(DEFAULT_TRANSCRIBER); // speech-to-text for recordings
 
   // Safety settings
-  const [emergencyMessage, setEmergencyMessage] = useState('Help me, I am in danger. Please respond quickly.');
+  const [emergencyMessage, setEmergencyMessage] = useState(DEFAULT_MESSAGE);
   const [emergencyContact, setEmergencyContact] = useState({
     name: 'Trusted Contact',
     number: '+919876543210',
     relationship: 'Friend',
   });
+  // Trusted contacts in priority order; emergencyContact mirrors the first one
+  const [emergencyContacts, setEmergencyContacts] = useState([]);
+  // Voice panic phrases and the action each one runs
+  const [panicPhrases, setPanicPhrases] = useState([]);
 
   // App config
   const [autoWipeTTL, setAutoWipeTTL] = useState('never');
   const [accessPin, setAccessPin] = useState('1234');
+  const [duressPin, setDuressPin] = useState('');
+  const [duressSOSEnabled, setDuressSOSEnabled] = useState(false);
+
+  // Active check-in timer ({ deadline, reminderMin, ... }) or null
+  const [checkIn, setCheckIn] = useState(null);
 
   //Onboarding state
   const [hasCompletedOnboarding, setHasCompletedOnboarding] = useState(false);
@@ -35,16 +73,35 @@ export const SettingsProvider = ({ children }) => {
       try {
         const storedTTL = await SecureStore.getItemAsync('autoWipeTTL');
         if (storedTTL) setAutoWipeTTL(storedTTL);
+        // The server deletes uploads by these, so keep its copy current
+        syncRetentionPolicy({
+          autoWipeTTL: storedTTL || 'never',
+          linkTtlHours: await getLinkTtlHours(),
+        });
 
         const storedMsg = await SecureStore.getItemAsync('emergencyMessage');
         if (storedMsg) setEmergencyMessage(storedMsg);
 
-        const storedContact = await SecureStore.getItemAsync('emergencyContact');
-        if (storedContact) setEmergencyContact(JSON.parse(storedContact));
+        const storedContacts = await loadEmergencyContacts();
+        if (storedContacts.length > 0) {
+          setEmergencyContacts(storedContacts);
+          setEmergencyContact(storedContacts[0]);
+        }
+
+        setPanicPhrases(await loadPanicPhrases());
 
         const storedPin = await SecureStore.getItemAsync('accessPin');
         if (storedPin) setAccessPin(storedPin);
 
+        const storedDuressPin = await SecureStore.getItemAsync('duressPin');
+        if (storedDuressPin) setDuressPin(storedDuressPin);
+
+        const duressSOS = await SecureStore.getItemAsync('duressSOSEnabled');
+        if (duressSOS !== null) setDuressSOSEnabled(duressSOS === 'true');
+
+        const duressActive = await SecureStore.getItemAsync('duressActive');
+        if (duressActive === 'true') setIsDuressMode(true);
+
         const loc = await SecureStore.getItemAsync('locationEnabled');
         if (loc !== null) setLocationEnabled(loc === 'true');
 
@@ -62,6 +119,23 @@ export const SettingsProvider = ({ children }) => {
 
         const bio = await SecureStore.getItemAsync('biometricEnabled');
         if (bio !== null) setBiometricEnabled(bio === 'true');
+
+        const intruderPhoto = await SecureStore.getItemAsync('intruderPhotoEnabled');
+        if (intruderPhoto !== null) setIntruderPhotoEnabled(intruderPhoto === 'true');
+
+        const protectLinks = await SecureStore.getItemAsync('protectEvidenceLinks');
+        if (protectLinks !== null) setProtectEvidenceLinks(protectLinks === 'true');
+
+        setEvidenceLinkTTL(await getLinkTtlHours());
+
+        const storedEngine = await SecureStore.getItemAsync('voiceEngine');
+        if (storedEngine) setVoiceEngine(storedEngine);
+
+        const storedLanguage = await SecureStore.getItemAsync(VOICE_LANGUAGE_KEY);
+        if (storedLanguage) setVoiceLanguage(storedLanguage);
+
+        const storedTranscriber = await SecureStore.getItemAsync(TRANSCRIBER_KEY);
+        if (storedTranscriber) setTranscriber(storedTranscriber);
       } catch (e) {
         console.warn('Failed to load settings:', e);
       }
@@ -70,18 +144,27 @@ export const SettingsProvider = ({ children }) => {
     loadSettings();
   }, []);
 
+  useEffect(() => {
+    getCheckIn().then(setCheckIn);
+    return subscribeToCheckIn(setCheckIn);
+  }, []);
+
   const debouncedSaveMessage = debounce(async (val) => {
     await SecureStore.setItemAsync('emergencyMessage', val);
   }, 500);
 
-  const debouncedSaveAccessPin = debounce(async (val) => {
-    await SecureStore.setItemAsync('accessPin', val);
-  }, 500);
-
   const debouncedSaveAutoWipeTTL = debounce(async (val) => {
     await SecureStore.setItemAsync('autoWipeTTL', val);
+    syncRetentionPolicy({ autoWipeTTL: val, linkTtlHours: await getLinkTtlHours() });
   }, 500);
 
+  const saveContacts = async (list) => {
+    const saved = await saveEmergencyContacts(list);
+    setEmergencyContacts(saved);
+    if (saved[0]) setEmergencyContact(saved[0]);
+    return saved;
+  };
+
   _internalSetHasCompletedOnboarding = (val) => {
     setHasCompletedOnboarding(val);
   };
@@ -92,6 +175,12 @@ export const SettingsProvider = ({ children }) => {
         isUnlocked,
         setIsUnlocked,
 
+        isDuressMode,
+        setIsDuressMode: async (val) => {
+          setIsDuressMode(val);
+          await SecureStore.setItemAsync('duressActive', JSON.stringify(val));
+        },
+
         locationEnabled,
         setLocationEnabled: async (val) => {
           setLocationEnabled(val);
@@ -123,9 +212,27 @@ export const SettingsProvider = ({ children }) => {
         },
 
         accessPin,
-        setAccessPin: (val) => {
+        // Notes are encrypted under the PIN, so the vault re-wraps their key and
+        // stores the new PIN together; the app only switches once both are saved
+        setAccessPin: async (val) => {
+          await changeVaultPin(accessPin, val);
           setAccessPin(val);
-          debouncedSaveAccessPin(val);
+        },
+
+        duressPin,
+        setDuressPin: async (val) => {
+          setDuressPin(val || '');
+          if (val) {
+            await SecureStore.setItemAsync('duressPin', val);
+          } else {
+            await SecureStore.deleteItemAsync('duressPin');
+          }
+        },
+
+        duressSOSEnabled,
+        setDuressSOSEnabled: async (val) => {
+          setDuressSOSEnabled(val);
+          await SecureStore.setItemAsync('duressSOSEnabled', JSON.stringify(val));
         },
 
         emergencyMessage,
@@ -134,10 +241,48 @@ export const SettingsProvider = ({ children }) => {
           debouncedSaveMessage(val);
         },
 
+        // Editing the single contact (onboarding, older screens) edits the top-priority one
         emergencyContact,
         setEmergencyContact: async (val) => {
-          setEmergencyContact(val);
-          await SecureStore.setItemAsync('emergencyContact', JSON.stringify(val));
+          const [primary, ...rest] = emergencyContacts;
+          await saveContacts([{ ...primary, ...val, priority: 1 }, ...rest]);
+        },
+
+        emergencyContacts,
+        setEmergencyContacts: saveContacts,
+
+        panicPhrases,
+        setPanicPhrases: async (list) => {
+          const saved = await savePanicPhrases(list);
+          setPanicPhrases(saved);
+          await refreshPanicPhrases();
+          return saved;
+        },
+
+        checkIn,
+        startCheckIn: scheduleCheckIn,
+        // Resolves to true once the timer is stopped (or pushed back by
+        // `extendMin`). The duress PIN looks the same to whoever is watching
+        // but sends the SOS straight away.
+        confirmCheckIn: async (pin, { extendMin = 0 } = {}) => {
+          if (pin === accessPin) {
+            if (extendMin > 0 && checkIn) {
+              await scheduleCheckIn({
+                deadline: Math.max(checkIn.deadline, Date.now()) + extendMin * 60 * 1000,
+                reminderMin: checkIn.reminderMin,
+              });
+            } else {
+              await confirmCheckIn();
+            }
+            return true;
+          }
+          if (duressPin && pin === duressPin) {
+            triggerOverdueCheckIn({ force: true }).catch((e) =>
+              console.warn('Failed to send check-in SOS:', e)
+            );
+            return true;
+          }
+          return false;
         },
 
         hasCompletedOnboarding,
@@ -151,6 +296,45 @@ export const SettingsProvider = ({ children }) => {
           setBiometricEnabled(val);
           await SecureStore.setItemAsync('biometricEnabled', JSON.stringify(val));
         },
+
+        intruderPhotoEnabled,
+        setIntruderPhotoEnabled: async (val) => {
+          setIntruderPhotoEnabled(val);
+          await SecureStore.setItemAsync('intruderPhotoEnabled', JSON.stringify(val));
+        },
+
+        protectEvidenceLinks,
+        setProtectEvidenceLinks: async (val) => {
+          setProtectEvidenceLinks(val);
+          await SecureStore.setItemAsync('protectEvidenceLinks', JSON.stringify(val));
+        },
+
+        evidenceLinkTTL,
+        setEvidenceLinkTTL: async (val) => {
+          setEvidenceLinkTTL(val);
+          await SecureStore.setItemAsync(LINK_TTL_KEY, String(val));
+          syncRetentionPolicy({ autoWipeTTL, linkTtlHours: val });
+        },
+
+        voiceEngine,
+        setVoiceEngine: async (val) => {
+          setVoiceEngine(val);
+          await SecureStore.setItemAsync('voiceEngine', val);
+        },
+
+        voiceLanguage,
+        setVoiceLanguage: async (val) => {
+          setVoiceLanguage(val);
+          await SecureStore.setItemAsync(VOICE_LANGUAGE_KEY, val);
+          // The listener's model and grammar depend on the language
+          await refreshPanicPhrases();
+        },
+
+        transcriber,
+        setTranscriber: async (val) => {
+          setTranscriber(val);
+          await SecureStore.setItemAsync(TRANSCRIBER_KEY, val);
+        },
       }}
     >
       {children}
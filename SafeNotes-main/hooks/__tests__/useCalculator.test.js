@@ -0,0 +1,83 @@
+import React from 'react';
+import { act, create } from 'react-test-renderer';
+import { useCalculator } from '../useCalculator';
+
+// Renders the hook and returns a getter for its latest state and handlers
+function renderCalculator(options) {
+  let calc;
+  const Harness = () => {
+    calc = useCalculator(options);
+    return null;
+  };
+  act(() => {
+    create(<Harness />);
+  });
+  return () => calc;
+}
+
+// Presses each key in turn, e.g. press(calc, '12+3', 'M+')
+async function press(calc, ...keys) {
+  for (const key of keys) {
+    const chars = ['M+', 'M−', 'MR', 'MC', '='].includes(key) ? [key] : [...key];
+    for (const ch of chars) {
+      await act(async () => {
+        const c = calc();
+        if (ch === 'M+') c.memoryAdd();
+        else if (ch === 'M−') c.memorySubtract();
+        else if (ch === 'MR') c.memoryRecall();
+        else if (ch === 'MC') c.memoryClear();
+        else if (ch === '=') await c.evaluate();
+        else if (/\d/.test(ch)) c.pressDigit(ch);
+        else if (ch === '.') c.pressDot();
+        else if (ch === '%') c.pressPercent();
+        else if (ch === '(' || ch === ')') c.pressParen(ch);
+        else c.pressOperator(ch);
+      });
+    }
+  }
+}
+
+describe('useCalculator memory keys', () => {
+  it('M+ adds the pending expression, and MR recalls it into a new one', async () => {
+    const calc = renderCalculator();
+    await press(calc, '12+3', 'M+');
+    expect(calc().memory).toBe(15);
+
+    await press(calc, '2*', 'MR', '=');
+    expect(calc().result).toBe('30');
+  });
+
+  it('M+ and M− act on the last result once "=" was pressed', async () => {
+    const calc = renderCalculator();
+    await press(calc, '10', '=', 'M+', '4', '=', 'M−');
+    expect(calc().memory).toBe(6);
+  });
+
+  it('recalls a negative memory in parentheses, so it can follow an operator', async () => {
+    const calc = renderCalculator();
+    await press(calc, '5', 'M−', '3-', 'MR', '=');
+    expect(calc().expression).toBe('3-(-5)');
+    expect(calc().result).toBe('8');
+  });
+
+  it('MR replaces the number being typed', async () => {
+    const calc = renderCalculator();
+    await press(calc, '7', 'M+', '1+45', 'MR');
+    expect(calc().expression).toBe('1+7');
+  });
+
+  it('leaves memory alone for an expression that does not evaluate', async () => {
+    const calc = renderCalculator();
+    await press(calc, '2', 'M+', '1/0', 'M+');
+    expect(calc().memory).toBe(2);
+  });
+
+  it('MR does nothing until something is stored, and clearing empties it', async () => {
+    const calc = renderCalculator();
+    await press(calc, '4', 'MR');
+    expect(calc().expression).toBe('4');
+
+    await press(calc, 'M+', 'MC');
+    expect(calc().memory).toBeNull();
+  });
+});
@@ -0,0 +1,196 @@
+// hooks/useCalculator.js
+
+import { useState } from 'react';
+import {
+  evaluateExpression,
+  formatResult,
+  isPinEntry,
+} from '../utils/calculatorEngine';
+
+const OPERATORS = ['+', '-', '*', '/'];
+const MAX_TAPE_ENTRIES = 20;
+
+/**
+ * State and key handling for the disguise calculator. The expression is kept
+ * in ASCII form (* / -); the screen swaps in × ÷ − for display.
+ *
+ * onPinEntry(entry) is called with bare 4-digit entries before they are
+ * evaluated. If it resolves to true the entry is consumed (the app unlocked)
+ * and nothing is shown or recorded; otherwise it is evaluated like any number.
+ */
+export const useCalculator = ({ onPinEntry } = {}) => {
+  const [expression, setExpression] = useState('');
+  const [result, setResult] = useState('');
+  const [lastResult, setLastResult] = useState(null);
+  const [justEvaluated, setJustEvaluated] = useState(false);
+  const [memory, setMemory] = useState(null);
+  const [tape, setTape] = useState([]);
+
+  const lastChar = expression.slice(-1);
+  const endsWithOperand = /[0-9.)%]/.test(lastChar);
+
+  // Start a new entry after "=", except when the key continues from the result
+  const base = () => {
+    if (!justEvaluated) return expression;
+    setJustEvaluated(false);
+    setResult('');
+    return '';
+  };
+
+  const pressDigit = (digit) => {
+    setExpression(base() + digit);
+  };
+
+  const pressDot = () => {
+    const current = base();
+    const lastNumber = current.split(/[+\-*/()%]/).pop();
+    if (lastNumber.includes('.')) return; // already has a dot
+    setExpression(current + (lastNumber === '' ? '0.' : '.'));
+  };
+
+  // Operators after "=" carry the result forward (or start over after an error)
+  const continueFromResult = (suffix) => {
+    setJustEvaluated(false);
+    setResult('');
+    if (lastResult !== null) setExpression(String(lastResult) + suffix);
+    else if (suffix === '-') setExpression('-');
+    else if (suffix === '%') setExpression('');
+    else setExpression('0' + suffix);
+  };
+
+  const pressOperator = (op) => {
+    if (justEvaluated) {
+      continueFromResult(op);
+      return;
+    }
+
+    if (expression === '' || lastChar === '(') {
+      // Only a minus can start a number
+      if (op === '-') setExpression(expression + op);
+      else if (expression === '') setExpression('0' + op);
+      return;
+    }
+
+    if (OPERATORS.includes(lastChar)) {
+      const beforeLast = expression.slice(-2, -1);
+      // Allow unary minus after × or ÷ (e.g. 2×−3); otherwise replace the operator
+      if (op === '-' && (lastChar === '*' || lastChar === '/')) {
+        setExpression(expression + op);
+      } else if (OPERATORS.includes(beforeLast)) {
+        setExpression(expression.slice(0, -2) + op);
+      } else {
+        setExpression(expression.slice(0, -1) + op);
+      }
+      return;
+    }
+
+    setExpression(expression + op);
+  };
+
+  const pressPercent = () => {
+    if (justEvaluated) {
+      continueFromResult('%');
+      return;
+    }
+    if (endsWithOperand && lastChar !== '.') setExpression(expression + '%');
+  };
+
+  const pressParen = (paren) => {
+    if (paren === '(') {
+      setExpression(base() + '(');
+      return;
+    }
+    const open = (expression.match(/\(/g) || []).length;
+    const closed = (expression.match(/\)/g) || []).length;
+    if (open > closed && endsWithOperand) setExpression(expression + ')');
+  };
+
+  const clear = () => {
+    setExpression('');
+    setResult('');
+    setJustEvaluated(false);
+  };
+
+  const backspace = () => {
+    if (justEvaluated) {
+      clear();
+      return;
+    }
+    setExpression((prev) => prev.slice(0, -1));
+  };
+
+  // Value the memory keys act on: the pending expression, else the last result
+  const currentValue = () => {
+    if (justEvaluated || expression === '') return lastResult ?? 0;
+    try {
+      return evaluateExpression(expression);
+    } catch {
+      return null;
+    }
+  };
+
+  const memoryAdd = (sign = 1) => {
+    const value = currentValue();
+    if (value === null) return;
+    setMemory((prev) => Number(((prev ?? 0) + sign * value).toPrecision(10)));
+    setJustEvaluated(true);
+    setLastResult(value);
+  };
+
+  const memoryRecall = () => {
+    if (memory === null) return;
+    const current = base();
+    const recalled = memory < 0 ? `(${memory})` : String(memory);
+    // Recalling after an operand replaces the number being typed
+    const withoutLastNumber = current.replace(/[0-9.]+$/, '');
+    setExpression(withoutLastNumber + recalled);
+  };
+
+  const memoryClear = () => setMemory(null);
+
+  const evaluate = async () => {
+    const cleaned = expression.trim();
+    if (cleaned === '' || justEvaluated) return;
+
+    if (isPinEntry(cleaned) && onPinEntry) {
+      if (await onPinEntry(cleaned)) {
+        clear();
+        return;
+      }
+    }
+
+    if (OPERATORS.includes(cleaned.slice(-1))) return;
+
+    try {
+      const value = evaluateExpression(cleaned);
+      const display = formatResult(value);
+      setResult(display);
+      setLastResult(value);
+      setTape((prev) => [{ expression: cleaned, result: display }, ...prev].slice(0, MAX_TAPE_ENTRIES));
+    } catch {
+      setResult('Error');
+      setLastResult(null);
+    }
+    setJustEvaluated(true);
+  };
+
+  return {
+    expression,
+    result,
+    memory,
+    tape,
+    clearTape: () => setTape([]),
+    pressDigit,
+    pressDot,
+    pressOperator,
+    pressPercent,
+    pressParen,
+    clear,
+    backspace,
+    memoryAdd: () => memoryAdd(1),
+    memorySubtract: () => memoryAdd(-1),
+    memoryRecall,
+    memoryClear,
+    evaluate,
+  };
+};
@@ -0,0 +1,172 @@
+// hooks/useChunkedPlayback.js
+
+import { useEffect, useRef, useState } from 'react';
+import { Audio } from 'expo-av';
+import * as FileSystem from 'expo-file-system';
+
+// Where each chunk starts on the session's timeline
+const chunkOffsets = (chunks) => {
+  const offsets = [];
+  let total = 0;
+  for (const chunk of chunks) {
+    offsets.push(total);
+    total += chunk.durationMs || 0;
+  }
+  return { offsets, total };
+};
+
+/**
+ * Plays a recording session's chunks back to back as one timeline.
+ * `positionMs` and `durationMs` cover the whole session, and seek() jumps
+ * across chunk boundaries. The next chunk is loaded while the current one
+ * plays so the hand-over is seamless.
+ */
+export const useChunkedPlayback = () => {
+  const [sessionId, setSessionId] = useState(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [positionMs, setPositionMs] = useState(0);
+  const [durationMs, setDurationMs] = useState(0);
+
+  const sessionRef = useRef(null);
+  const indexRef = useRef(0);
+  const soundRef = useRef(null);
+  const nextRef = useRef(null); // { index, sound } preloaded
+  const timelineRef = useRef({ offsets: [], total: 0 });
+
+  useEffect(() => () => {
+    unloadAll();
+  }, []);
+
+  const unloadAll = async () => {
+    const sounds = [soundRef.current, nextRef.current?.sound];
+    soundRef.current = null;
+    nextRef.current = null;
+    await Promise.all(sounds.filter(Boolean).map((s) => s.unloadAsync().catch(() => {})));
+  };
+
+  // The local file if it is still on the phone, otherwise the uploaded copy
+  const sourceFor = async (chunk) => {
+    const info = await FileSystem.getInfoAsync(chunk.file).catch(() => ({ exists: false }));
+    return { uri: info.exists ? chunk.file : chunk.publicUrl };
+  };
+
+  const loadChunk = async (index, { shouldPlay = false, positionMillis = 0 } = {}) => {
+    const chunk = sessionRef.current.chunks[index];
+    const { sound, status } = await Audio.Sound.createAsync(await sourceFor(chunk), {
+      shouldPlay,
+      positionMillis,
+    });
+
+    // Older single-file recordings don't know their length until loaded
+    if (!chunk.durationMs && status.durationMillis) {
+      chunk.durationMs = status.durationMillis;
+      timelineRef.current = chunkOffsets(sessionRef.current.chunks);
+      setDurationMs(timelineRef.current.total);
+    }
+
+    sound.setOnPlaybackStatusUpdate((s) => onStatus(index, s));
+    return sound;
+  };
+
+  const preloadNext = async (index) => {
+    const session = sessionRef.current;
+    const next = index + 1;
+    if (!session || next >= session.chunks.length || nextRef.current?.index === next) return;
+    try {
+      const sound = await loadChunk(next);
+      // Playback moved on or stopped while it loaded
+      if (sessionRef.current !== session || indexRef.current !== index) {
+        sound.unloadAsync().catch(() => {});
+        return;
+      }
+      nextRef.current = { index: next, sound };
+    } catch (e) {
+      console.warn('[useChunkedPlayback] Failed to preload chunk:', e);
+    }
+  };
+
+  const onStatus = (index, status) => {
+    if (!status.isLoaded || index !== indexRef.current) return;
+    setPositionMs(timelineRef.current.offsets[index] + status.positionMillis);
+    if (status.didJustFinish) advance(index);
+  };
+
+  const advance = async (index) => {
+    const next = index + 1;
+    soundRef.current?.unloadAsync().catch(() => {});
+    soundRef.current = null;
+
+    if (next >= sessionRef.current.chunks.length) {
+      await stop();
+      return;
+    }
+
+    indexRef.current = next;
+    if (nextRef.current?.index === next) {
+      soundRef.current = nextRef.current.sound;
+      nextRef.current = null;
+      await soundRef.current.playAsync();
+    } else {
+      soundRef.current = await loadChunk(next, { shouldPlay: true });
+    }
+    preloadNext(next);
+  };
+
+  /** Starts a session from `fromMs` (default the beginning). */
+  const play = async (session, fromMs = 0) => {
+    await unloadAll();
+    sessionRef.current = { ...session, chunks: session.chunks.map((c) => ({ ...c })) };
+    timelineRef.current = chunkOffsets(sessionRef.current.chunks);
+    setSessionId(session.id);
+    setDurationMs(timelineRef.current.total);
+    await startAt(fromMs, true);
+  };
+
+  const startAt = async (ms, shouldPlay) => {
+    const { offsets } = timelineRef.current;
+    let index = offsets.length - 1;
+    while (index > 0 && offsets[index] > ms) index--;
+
+    await unloadAll();
+    indexRef.current = index;
+    setPositionMs(ms);
+    soundRef.current = await loadChunk(index, { shouldPlay, positionMillis: ms - offsets[index] });
+    setIsPlaying(shouldPlay);
+    preloadNext(index);
+  };
+
+  const pause = async () => {
+    await soundRef.current?.pauseAsync();
+    setIsPlaying(false);
+  };
+
+  const resume = async () => {
+    await soundRef.current?.playAsync();
+    setIsPlaying(true);
+  };
+
+  const seek = async (ms) => {
+    if (!sessionRef.current) return;
+    const { offsets } = timelineRef.current;
+    const index = indexRef.current;
+    const end = offsets[index] + (sessionRef.current.chunks[index].durationMs || Infinity);
+
+    if (ms >= offsets[index] && ms < end && soundRef.current) {
+      await soundRef.current.setPositionAsync(ms - offsets[index]);
+      setPositionMs(ms);
+    } else {
+      await startAt(ms, isPlaying);
+    }
+  };
+
+  const stop = async () => {
+    await unloadAll();
+    sessionRef.current = null;
+    setSessionId(null);
+    setIsPlaying(false);
+    setPositionMs(0);
+    setDurationMs(0);
+  };
+
+  return { sessionId, isPlaying, positionMs, durationMs, play, pause, resume, seek, stop };
+};
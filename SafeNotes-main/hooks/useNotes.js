@@ -1,44 +1,31 @@
 // hooks/useNotes.js
 
-import { useEffect, useState } from 'react';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useContext, useEffect, useState } from 'react';
 import uuid from 'react-native-uuid';
-
-const NOTES_KEY = 'safenotes_notes';
+import { SettingsContext } from '../contexts/SettingsContext';
+import {
+  loadVaultNotes,
+  saveVaultNotes,
+  loadDecoyNotes,
+  saveDecoyNotes,
+} from '../services/notesVault';
 
 export const useNotes = () => {
   const [notes, setNotes] = useState([]);
+  const { isDuressMode, accessPin } = useContext(SettingsContext);
+
+  // In duress mode every read and write goes to the decoy store instead
+  const loadStored = isDuressMode ? loadDecoyNotes : () => loadVaultNotes(accessPin);
+  const saveStored = isDuressMode ? saveDecoyNotes : (list) => saveVaultNotes(list, accessPin);
 
   useEffect(() => {
     loadNotes();
-  }, []);
+  }, [isDuressMode]);
 
   const loadNotes = async () => {
     try {
-      const saved = await AsyncStorage.getItem(NOTES_KEY);
-
-      let parsed = [];
-      if (saved) {
-        try {
-          const tmp = JSON.parse(saved);
-          // DEBUG: log what we got after parse
-
-          // Only accept it if it’s actually an array
-          if (Array.isArray(tmp)) {
-            parsed = tmp;
-          } else {
-            console.warn(
-              '⚠️ [useNotes] Parsed value was not an array—falling back to []'
-            );
-            parsed = [];
-          }
-        } catch (e) {
-          console.warn('⚠️ [useNotes] JSON.parse failed:', e);
-          parsed = [];
-        }
-      }
-
-      setNotes(parsed);
+      const parsed = await loadStored();
+      setNotes(Array.isArray(parsed) ? parsed : []);
     } catch (err) {
       console.error('❌ [useNotes] Failed to load notes:', err);
       setNotes([]); // ensure it’s always an array
@@ -47,7 +34,7 @@ export const useNotes = () => {
 
   const saveNotes = async (newNotes) => {
     try {
-      await AsyncStorage.setItem(NOTES_KEY, JSON.stringify(newNotes));
+      await saveStored(newNotes);
       setNotes(newNotes);
     } catch (err) {
       console.error('❌ [useNotes] Failed to save notes:', err);
@@ -103,16 +90,7 @@ export const useNotes = () => {
 
   const getNoteByIdAsync = async (id) => {
     try {
-      const saved = await AsyncStorage.getItem(NOTES_KEY);
-      let parsed = [];
-      if (saved) {
-        try {
-          const tmp = JSON.parse(saved);
-          parsed = Array.isArray(tmp) ? tmp : [];
-        } catch {
-          parsed = [];
-        }
-      }
+      const parsed = await loadStored();
       return parsed.find((note) => note.id === id) ?? null;
     } catch (err) {
       console.error('❌ [useNotes] Failed to read note by ID:', err);
@@ -1,6 +1,9 @@
 import { registerRootComponent } from 'expo';
 
 import App from './App';
+// Define the background tasks (live location, check-in); must run before the app mounts
+import './services/locationTracking';
+import './services/checkIn';
 
 // registerRootComponent calls AppRegistry.registerComponent('main', () => App);
 // It also ensures that whether you load the app in Expo Go or in a native build,
@@ -1,6 +1,6 @@
 import JournalScreen from '../screens/MainApp/JournalScreen';
 import ChatbotScreen from '../screens/MainApp/ChatbotScreen';
-import React, { useContext } from 'react'
+import React, { useContext, useEffect, useRef } from 'react'
 import { createNativeStackNavigator } from '@react-navigation/native-stack'
 import { SettingsContext } from '../contexts/SettingsContext'
 import LegalDocumentGenerator from "../screens/MainApp/LegalDocumentGenerator";
@@ -16,21 +16,38 @@ import CalculatorUnlock from '../screens/DisguisedNotes/CalculatorUnlock'
 import TabNavigator from './TabNavigator'
 import SOSScreen from '../screens/MainApp/SOSScreen'
 import InstantSOSScreen from '../screens/MainApp/InstantSOSScreen'
+import CheckInScreen from '../screens/MainApp/CheckInScreen'
 import JournalViewScreen from '../screens/MainApp/JournalViewScreen'
 import ListeningScreen from '../screens/MainApp/ListeningScreen'
 import LawyerDirectory from '../screens/MainApp/LawyerDirectory';
+import IntruderLogScreen from '../screens/MainApp/IntruderLogScreen';
+import EmergencyContactsScreen from '../screens/MainApp/EmergencyContactsScreen';
+import PanicPhrasesScreen from '../screens/MainApp/PanicPhrasesScreen';
 // Onboarding flow
 import OnboardingNavigator from './OnboardingNavigator'
 import AIAvatarSelectionScreen from '../screens/MainApp/AIAvatarSelectionScreen';
 
 // For switching between real and disguised UI
 import { TapGestureHandler } from 'react-native-gesture-handler';
-import { View } from 'react-native';
+import { View, Alert } from 'react-native';
 import * as Haptics from 'expo-haptics';
 
 // Legal Assistant Screen
 import LegalAssistant from "../screens/MainApp/LegalAssistant";
 
+import {
+  startOutboxWorker,
+  getOutbox,
+  subscribeToOutbox,
+  sendReadyItem,
+  acknowledgeOutboxEntry,
+} from '../services/sosOutbox';
+import { resumeTrackingSession } from '../services/locationTracking';
+import { startCheckInWatcher } from '../services/checkIn';
+import { startTranscriptionWorker } from '../services/evidenceIndex';
+import { navigate } from './RootNavigation';
+import { registerLockCallback } from '../services/voiceRecognition';
+
 
 const Stack = createNativeStackNavigator()
 
@@ -39,7 +56,121 @@ export default function RootNavigator() {
     isUnlocked,
     setIsUnlocked,
     hasCompletedOnboarding,
+    isDuressMode,
+    checkIn,
   } = useContext(SettingsContext);
+  const promptedItems = useRef(new Set());
+  const promptedCheckIn = useRef(null); // deadline (or deadline/unsent reason) already prompted for
+
+  // Queued SOS uploads and log writes retry whenever the network comes back
+  useEffect(() => startOutboxWorker(), []);
+
+  // "Lock to disguise" panic phrases do what the triple tap does
+  useEffect(() => {
+    registerLockCallback(() => setIsUnlocked(false));
+  }, []);
+
+  // A missed check-in sends the SOS even if the app is locked or disguised
+  useEffect(() => startCheckInWatcher(), []);
+
+  // Recordings are transcribed chunk by chunk, covert ones included
+  useEffect(() => startTranscriptionWorker(), []);
+
+  // A live location session outlives the app process; pick it back up
+  useEffect(() => {
+    resumeTrackingSession().catch((e) => console.warn('Failed to resume live location:', e));
+  }, []);
+
+  // Follow-ups and escalations need the user to press send, so offer them once
+  // they are due—never while disguised or in duress mode
+  useEffect(() => {
+    if (!isUnlocked || isDuressMode) return;
+
+    const offerReadyItem = (outbox) => {
+      let entry = null;
+      let item = null;
+      for (const e of outbox) {
+        item = e.items.find((i) => i.status === 'ready' && !promptedItems.current.has(`${e.id}/${i.id}`));
+        if (item) {
+          entry = e;
+          break;
+        }
+      }
+      if (!entry) return;
+
+      promptedItems.current.add(`${entry.id}/${item.id}`);
+      const firstRecipient = entry.recipients[0]?.name || entry.recipients[0]?.number;
+
+      if (item.kind === 'escalate') {
+        Alert.alert(
+          'No reply yet?',
+          `If ${firstRecipient} hasn't replied to your SOS, alert ${item.contact.name || item.contact.number} now.`,
+          [
+            { text: 'They replied', onPress: () => acknowledgeOutboxEntry(entry.id) },
+            { text: 'Later', style: 'cancel' },
+            { text: 'Alert', onPress: () => sendReadyItem(entry.id, item.id) },
+          ]
+        );
+        return;
+      }
+
+      if (item.kind === 'access_codes') {
+        Alert.alert(
+          'Send access code',
+          `Your evidence links are locked. Send ${firstRecipient} the code to open them in a separate message now?`,
+          [
+            { text: 'Later', style: 'cancel' },
+            { text: 'Send', onPress: () => sendReadyItem(entry.id, item.id) },
+          ]
+        );
+        return;
+      }
+
+      Alert.alert(
+        'Evidence ready',
+        `The evidence for your SOS to ${firstRecipient} has finished uploading. Send the link now?`,
+        [
+          { text: 'Later', style: 'cancel' },
+          { text: 'Send', onPress: () => sendReadyItem(entry.id, item.id) },
+        ]
+      );
+    };
+
+    getOutbox().then(offerReadyItem);
+    return subscribeToOutbox(offerReadyItem);
+  }, [isUnlocked, isDuressMode]);
+
+  // Opening the app after the disguised reminder leads straight to checking in.
+  // The decoy app knows nothing of check-ins.
+  useEffect(() => {
+    if (!isUnlocked || isDuressMode || !checkIn) return;
+
+    if (checkIn.unsentReason) {
+      const key = `${checkIn.deadline}/${checkIn.unsentReason}`;
+      if (promptedCheckIn.current === key) return;
+      promptedCheckIn.current = key;
+      Alert.alert(
+        'Check-in alert not sent',
+        checkIn.unsentReason === 'no_recipients'
+          ? 'You missed a check-in, but there is no trusted contact with a phone number to alert. Add one, or check in to stop the alert.'
+          : 'You missed a check-in, but this phone cannot send the alert. Check in if you are safe.',
+        [
+          { text: 'Later', style: 'cancel' },
+          { text: 'Check in', onPress: () => navigate('CheckIn') },
+        ]
+      );
+      return;
+    }
+
+    const remindAt = checkIn.deadline - checkIn.reminderMin * 60 * 1000;
+    if (Date.now() < remindAt || promptedCheckIn.current === checkIn.deadline) return;
+
+    promptedCheckIn.current = checkIn.deadline;
+    Alert.alert('Time to check in', 'Confirm with your PIN that you are safe.', [
+      { text: 'Later', style: 'cancel' },
+      { text: 'Check in', onPress: () => navigate('CheckIn') },
+    ]);
+  }, [isUnlocked, isDuressMode, checkIn]);
 
   const tripleTapHandler = ({ nativeEvent }) => {
     if (nativeEvent.state === 5) {
@@ -77,6 +208,10 @@ export default function RootNavigator() {
    <Stack.Screen name="LegalDocumentGenerator" component={LegalDocumentGenerator} />
    <Stack.Screen name="LegalAssistant" component={LegalAssistant} />
    <Stack.Screen name="LegalRightsGuide" component={LegalRightsGuide} />
+            <Stack.Screen name="IntruderLog" component={IntruderLogScreen} />
+            <Stack.Screen name="EmergencyContacts" component={EmergencyContactsScreen} />
+            <Stack.Screen name="CheckIn" component={CheckInScreen} />
+            <Stack.Screen name="PanicPhrases" component={PanicPhrasesScreen} />
           </Stack.Navigator>
         </View>
       </TapGestureHandler>
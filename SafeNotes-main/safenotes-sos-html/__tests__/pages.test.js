@@ -0,0 +1,238 @@
+// The incident page routes end to end, through index.js and an in-memory KV.
+// Date.now is pinned to `now`, which the tests move forward. Run with `npm test`.
+import { test, describe, beforeEach, afterEach, vi } from 'vitest';
+import assert from 'node:assert/strict';
+import worker from '../index.js';
+import { createMemoryKV } from '../memoryKV.js';
+
+const STORAGE = 'https://abc.supabase.co';
+const fileUrl = name => `${STORAGE}/storage/v1/object/public/safenotes-media/${name}`;
+const HOUR = 3600 * 1000;
+
+let now;
+let env;
+
+beforeEach(() => {
+  now = Date.now();
+  vi.spyOn(Date, 'now').mockImplementation(() => now);
+  env = { SUPABASE_URL: STORAGE, HTML_KV: createMemoryKV() };
+});
+
+afterEach(() => vi.restoreAllMocks());
+
+const call = (path, init) => worker.fetch(new Request(`http://local${path}`, init), env);
+
+const post = (path, body) =>
+  call(path, { method: 'POST', body: typeof body === 'string' ? body : JSON.stringify(body) });
+
+const unlock = (id, code) => call(`/embed?id=${id}`, { method: 'POST', body: new URLSearchParams({ code }) });
+
+async function generate(incident = {}, options = {}) {
+  const res = await post('/generate', { incident: { media: [fileUrl('a.jpg')], ...incident }, ...options });
+  assert.equal(res.status, 200, await res.clone().text());
+  const page = await res.json();
+  return { ...page, id: new URL(page.html_url).searchParams.get('id') };
+}
+
+describe('/generate and /embed', () => {
+  test('serves the page it made, with the message escaped', async () => {
+    const page = await generate({ message: '<script>alert(1)</script>', latitude: 28.6, longitude: 77.2 });
+    assert.equal(page.access_code, undefined);
+    assert.ok(page.expires_at > now);
+
+    const res = await call(`/embed?id=${page.id}`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('Content-Security-Policy'), /media-src https:\/\/abc\.supabase\.co/);
+    assert.equal(res.headers.get('X-Content-Type-Options'), 'nosniff');
+    const body = await res.text();
+    assert.ok(body.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+    assert.ok(!body.includes('<script>alert(1)'));
+    assert.ok(body.includes(fileUrl('a.jpg')));
+  });
+
+  test('accepts the bare media list older apps send', async () => {
+    const res = await post('/generate', { media: [fileUrl('a.jpg')] });
+    assert.equal(res.status, 200);
+  });
+
+  test('refuses a POST to a page with no access code', async () => {
+    const page = await generate();
+    assert.equal((await unlock(page.id, '123456')).status, 404);
+  });
+
+  test('answers 400 without an id and 404 for ids that are not pages', async () => {
+    assert.equal((await call('/embed')).status, 400);
+    assert.equal((await call('/embed?id=track:abc')).status, 404);
+    assert.equal((await call(`/embed?id=${crypto.randomUUID()}`)).status, 404);
+  });
+});
+
+describe('media limits', () => {
+  const urls = n => Array.from({ length: n }, (_, i) => fileUrl(`${i}.jpg`));
+
+  test('takes up to 5 media items and 5 recordings', async () => {
+    const audio = Array.from({ length: 5 }, () => ({ parts: [fileUrl('a.m4a')] }));
+    const res = await post('/generate', { incident: { media: urls(5), audio } });
+    assert.equal(res.status, 200);
+  });
+
+  test('refuses a sixth media item or recording', async () => {
+    assert.equal((await post('/generate', { incident: { media: urls(6) } })).status, 400);
+    const audio = Array.from({ length: 6 }, () => ({ parts: [fileUrl('a.m4a')] }));
+    assert.equal((await post('/generate', { incident: { audio } })).status, 400);
+  });
+
+  test('refuses recordings with no parts or more than 240', async () => {
+    assert.equal((await post('/generate', { incident: { audio: [{ parts: [] }] } })).status, 400);
+    const parts = Array.from({ length: 241 }, (_, i) => fileUrl(`${i}.m4a`));
+    assert.equal((await post('/generate', { incident: { audio: [{ parts }] } })).status, 400);
+  });
+
+  test('refuses an incident with no files at all', async () => {
+    const res = await post('/generate', { incident: { message: 'Help' } });
+    assert.equal(res.status, 400);
+    assert.match(await res.text(), /at least one/);
+  });
+});
+
+describe('expiry', () => {
+  test('a page is gone once its hours are up', async () => {
+    const page = await generate({}, { ttl_hours: 2 });
+    now += HOUR;
+    assert.equal((await call(`/embed?id=${page.id}`)).status, 200);
+    now += HOUR + 1;
+    assert.equal((await call(`/embed?id=${page.id}`)).status, 404);
+  });
+
+  test('ttl_hours defaults to 24 and stays within 1 to 168', async () => {
+    const page = await generate();
+    assert.equal(page.expires_at, now + 24 * HOUR);
+    for (const ttl_hours of [0, 169, 1.5, 'a day']) {
+      const res = await post('/generate', { incident: { media: [fileUrl('a.jpg')] }, ttl_hours });
+      assert.equal(res.status, 400, `ttl_hours ${ttl_hours}`);
+    }
+  });
+});
+
+describe('/revoke', () => {
+  test('takes the page down and says so until it would have expired', async () => {
+    const page = await generate({}, { access_code: true, ttl_hours: 2 });
+    const res = await post('/revoke', { id: page.id, token: page.revoke_token });
+    assert.deepEqual(await res.json(), { ok: true });
+
+    assert.equal((await call(`/embed?id=${page.id}`)).status, 410);
+    assert.deepEqual(env.HTML_KV.keys(), [`meta:${page.id}`]);
+    now += 2 * HOUR + 1;
+    assert.equal((await call(`/embed?id=${page.id}`)).status, 404);
+  });
+
+  test('is repeatable, and refuses a wrong token or unknown page', async () => {
+    const page = await generate();
+    assert.equal((await post('/revoke', { id: page.id, token: 'guess' })).status, 404);
+    assert.equal((await call(`/embed?id=${page.id}`)).status, 200);
+
+    assert.equal((await post('/revoke', { id: page.id, token: page.revoke_token })).status, 200);
+    assert.equal((await post('/revoke', { id: page.id, token: page.revoke_token })).status, 200);
+    assert.equal((await post('/revoke', { id: crypto.randomUUID(), token: 'x' })).status, 404);
+  });
+});
+
+describe('access codes', () => {
+  test('a locked page shows the form until the right code is posted', async () => {
+    const page = await generate({ message: 'Help' }, { access_code: true });
+    assert.match(page.access_code, /^\d{6}$/);
+
+    const form = await call(`/embed?id=${page.id}`);
+    assert.equal(form.status, 200);
+    assert.equal(form.headers.get('Cache-Control'), 'no-store');
+    assert.ok(!(await form.text()).includes('Help'));
+
+    const opened = await unlock(page.id, page.access_code.replace(/(\d{3})/, '$1 '));
+    assert.equal(opened.status, 200);
+    assert.ok((await opened.text()).includes('Help'));
+
+    const log = await env.HTML_KV.get(`log:${page.id}`, 'json');
+    assert.deepEqual(log.map(entry => entry.outcome), ['ok']);
+  });
+
+  test('access_code must be a boolean', async () => {
+    for (const access_code of ['false', 'true', 1, 0, null, {}]) {
+      const res = await post('/generate', { incident: { media: [fileUrl('a.jpg')] }, access_code });
+      assert.equal(res.status, 400, JSON.stringify(access_code));
+      assert.equal(await res.text(), 'access_code must be true or false.');
+    }
+    const page = await generate({}, { access_code: false });
+    assert.equal(page.access_code, undefined);
+  });
+
+  test('five wrong codes in 15 minutes pause unlocking, and twenty end it', async () => {
+    const page = await generate({}, { access_code: true });
+    const wrong = page.access_code === '000000' ? '111111' : '000000';
+
+    for (let i = 0; i < 5; i++) assert.equal((await unlock(page.id, wrong)).status, 401);
+    assert.equal((await unlock(page.id, page.access_code)).status, 429);
+
+    for (let round = 0; round < 3; round++) {
+      now += 16 * 60 * 1000;
+      for (let i = 0; i < 5; i++) await unlock(page.id, wrong);
+    }
+    now += 16 * 60 * 1000;
+    assert.equal((await unlock(page.id, page.access_code)).status, 403);
+  });
+});
+
+describe('/track/data', () => {
+  test('serves a session\'s points, and refuses ids that are not session ids', async () => {
+    const { track_id, write_key } = await (await post('/track/start', { durationMin: 30 })).json();
+    await post('/track/update', { id: track_id, key: write_key, points: [{ lat: 28.6, lng: 77.2, t: now }] });
+    const data = await (await call(`/track/data?id=${track_id}`)).json();
+    assert.equal(data.points.length, 1);
+
+    assert.equal((await call('/track/data')).status, 400);
+    assert.equal((await call(`/track/data?id=${track_id}/../x`)).status, 400);
+    assert.equal((await call(`/track/data?id=${crypto.randomUUID()}`)).status, 404);
+  });
+});
+
+describe('bad request bodies', () => {
+  for (const [name, body] of [
+    ['invalid JSON', '{'],
+    ['null', 'null'],
+    ['a number', '42'],
+    ['an array', '[]']
+  ]) {
+    test(`${name} gets 400 from every JSON route`, async () => {
+      for (const path of ['/generate', '/revoke', '/track/start', '/track/update', '/track/stop']) {
+        assert.equal((await post(path, body)).status, 400, path);
+      }
+    });
+  }
+
+  test('media off our storage, or with malformed hashes or times, is refused', async () => {
+    for (const item of [
+      'https://evil.example/storage/v1/object/public/a.jpg',
+      { url: fileUrl('a.jpg'), sha256: 'abc' },
+      { url: fileUrl('a.jpg'), captured_at: 'yesterday' }
+    ]) {
+      const res = await post('/generate', { incident: { media: [item] } });
+      assert.equal(res.status, 400, JSON.stringify(item));
+    }
+  });
+
+  test('unknown routes get 404 and wrong methods 405', async () => {
+    assert.equal((await call('/nope')).status, 404);
+    const res = await call('/generate');
+    assert.equal(res.status, 405);
+    assert.equal(res.headers.get('Allow'), 'POST');
+  });
+
+  test('a handler that throws gets a generic 500', async () => {
+    env.HTML_KV.put = async () => {
+      throw new Error('KV namespace 4238128b is over quota');
+    };
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const res = await post('/generate', { incident: { media: [fileUrl('a.jpg')] } });
+    assert.equal(res.status, 500);
+    assert.equal(await res.text(), 'Something went wrong');
+  });
+});
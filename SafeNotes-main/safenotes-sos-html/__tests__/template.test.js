@@ -0,0 +1,96 @@
+// Escaping in the page templates. Run with `npm test`.
+import { test, describe } from 'vitest';
+import assert from 'node:assert/strict';
+import { escapeHtml, html, incidentPage, unlockPage, trackPage, incidentPageCsp, trackPageCsp } from '../template.js';
+
+const STORAGE = 'https://abc.supabase.co/storage/v1/object/public/safenotes-media';
+const HOSTILE = `"><script>alert('x')</script>&`;
+
+const incident = fields => ({ message: null, sentAt: null, location: null, media: [], audio: [], ...fields });
+const item = (name, fields = {}) => ({ url: `${STORAGE}/${name}`, mimeType: null, sha256: null, capturedAt: null, ...fields });
+
+describe('escapeHtml', () => {
+  test('escapes the five characters that matter in text and attributes', () => {
+    assert.equal(escapeHtml(`<a href="x" title='y'>&</a>`), '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+  });
+
+  test('turns anything into text', () => {
+    assert.equal(escapeHtml(42), '42');
+    assert.equal(escapeHtml(null), 'null');
+  });
+});
+
+describe('html``', () => {
+  test('escapes interpolated values, lists included', () => {
+    assert.equal(html`<p>${HOSTILE}</p>`.toString(), `<p>${escapeHtml(HOSTILE)}</p>`);
+    assert.equal(html`<ul>${['<b>', '&']}</ul>`.toString(), '<ul>&lt;b&gt;&amp;</ul>');
+  });
+
+  test('keeps markup it rendered itself, and renders null and undefined as nothing', () => {
+    const inner = html`<b>${'<i>'}</b>`;
+    assert.equal(html`<p>${inner}${[inner]}${null}${undefined}</p>`.toString(), '<p><b>&lt;i&gt;</b><b>&lt;i&gt;</b></p>');
+  });
+
+  test('escapes plain objects that only look like rendered markup', () => {
+    const fake = { value: '<script>', toString: () => '<script>' };
+    assert.equal(html`${fake}`.toString(), '&lt;script&gt;');
+  });
+});
+
+describe('incidentPage', () => {
+  test('escapes the message and shows it once', () => {
+    const page = incidentPage(incident({ message: HOSTILE, media: [item('a.jpg')] }));
+    assert.ok(page.includes(escapeHtml(HOSTILE)));
+    assert.ok(!page.includes('<script>'));
+  });
+
+  test('escapes quotes in file URLs, types and hashes', () => {
+    const page = incidentPage(incident({
+      media: [item(`a.jpg?"onerror="alert(1)`, { mimeType: 'image/jpeg', sha256: `"<b>` })]
+    }));
+    assert.ok(!page.includes('"onerror="'));
+    assert.ok(page.includes('&quot;onerror=&quot;'));
+    assert.ok(page.includes('&quot;&lt;b&gt;'));
+  });
+
+  test('picks the player from the type, falling back to the extension', () => {
+    const page = incidentPage(incident({
+      media: [item('a.mp4'), item('b', { mimeType: 'image/png' }), item('d.pdf')],
+      audio: [{ parts: [item('c.m4a')] }]
+    }));
+    assert.match(page, /<video controls[^>]*>\s*<source src="[^"]*\/a\.mp4" type="video\/mp4">/);
+    assert.match(page, /<img src="[^"]*\/b" alt="SOS media" \/>/);
+    assert.match(page, /<audio controls preload="none">/);
+    assert.match(page, /<source src="[^"]*\/c\.m4a" type="audio\/mp4">/);
+    assert.match(page, /<a href="[^"]*\/d\.pdf" target="_blank" rel="noopener noreferrer">\s*Download file/);
+  });
+});
+
+describe('unlockPage and trackPage', () => {
+  test('escape the error and keep the id inside the form action', () => {
+    const page = unlockPage(`x" onfocus="alert(1)`, HOSTILE);
+    assert.ok(page.includes('action="/embed?id=x%22%20onfocus%3D%22alert(1)"'));
+    assert.ok(page.includes(escapeHtml(HOSTILE)));
+    assert.ok(!page.includes('<script>'));
+  });
+
+  test('trackPage escapes the id and nonce it puts in the page', () => {
+    const page = trackPage('</script><script>alert(1)//', 'n"once');
+    assert.ok(!page.includes('</script><script>alert(1)'));
+    assert.ok(!page.includes('n"once'));
+  });
+});
+
+describe('Content-Security-Policy', () => {
+  test('incident pages load files from the storage origin and map tiles only, and run no script', () => {
+    const csp = incidentPageCsp('https://abc.supabase.co');
+    assert.match(csp, /default-src 'none'/);
+    assert.match(csp, /img-src https:\/\/abc\.supabase\.co https:\/\/tile\.openstreetmap\.org(;|$)/);
+    assert.match(csp, /media-src https:\/\/abc\.supabase\.co(;|$)/);
+    assert.ok(!csp.includes('script-src'));
+  });
+
+  test('the track page runs only the script carrying its nonce', () => {
+    assert.match(trackPageCsp('n1'), /script-src 'nonce-n1'(;|$)/);
+  });
+});
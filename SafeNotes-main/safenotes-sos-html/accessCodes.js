@@ -0,0 +1,76 @@
+// Access codes for locked pages. Codes are 6 digits, so guessing is what the
+// limits are for. KV is eventually consistent and a burst can slip a few
+// extra tries past the window, but not past the lifetime cap.
+import { secondsUntil, sha256Hex } from './http.js';
+
+const CODE_WINDOW_SECONDS = 15 * 60;
+const CODE_MAX_FAILURES_PER_WINDOW = 5;
+const CODE_MAX_FAILURES = 20; // after this the page can't be unlocked at all
+const ACCESS_LOG_MAX_ENTRIES = 100;
+
+export const UNLOCK_MESSAGES = {
+  wrong: { status: 401, text: 'That code is not right. Check the separate message with the code.' },
+  throttled: { status: 429, text: 'Too many wrong codes. Try again in 15 minutes.' },
+  locked: { status: 403, text: 'Too many wrong codes. This page can no longer be opened.' }
+};
+
+function newAccessCode() {
+  const [n] = crypto.getRandomValues(new Uint32Array(1));
+  return String(n % 1000000).padStart(6, '0');
+}
+
+// The code itself is never stored, only a hash salted with the page id
+const codeHash = (id, code) => sha256Hex(`${id}:${code}`);
+
+/** Locks page `id` until `expiresAt` and returns the code that opens it. */
+export async function lockPage(env, id, expiresAt, expirationTtl) {
+  const code = newAccessCode();
+  const lock = {
+    codeHash: await codeHash(id, code),
+    expiresAt,
+    failures: 0,
+    windowStart: Date.now(),
+    windowFailures: 0
+  };
+  await env.HTML_KV.put(`lock:${id}`, JSON.stringify(lock), { expirationTtl });
+  return code;
+}
+
+// Who tried to open a locked page and whether it worked. IPs are hashed;
+// the country is enough to spot an attempt from somewhere unexpected.
+export async function logAccess(env, request, id, expiresAt, outcome) {
+  const key = `log:${id}`;
+  const log = (await env.HTML_KV.get(key, 'json')) || [];
+  const ip = request.headers.get('CF-Connecting-IP');
+  log.push({
+    t: Date.now(),
+    outcome,
+    ip: ip ? (await sha256Hex(ip)).slice(0, 16) : null,
+    country: request.cf?.country || null,
+    userAgent: (request.headers.get('User-Agent') || '').slice(0, 200)
+  });
+  await env.HTML_KV.put(key, JSON.stringify(log.slice(-ACCESS_LOG_MAX_ENTRIES)), {
+    expirationTtl: secondsUntil(expiresAt)
+  });
+}
+
+/**
+ * Checks a submitted code against the page's lock. Returns 'ok', 'wrong',
+ * 'throttled' (too many recent failures) or 'locked' (too many in total).
+ */
+export async function tryUnlock(env, id, lock, code) {
+  const now = Date.now();
+  if (lock.failures >= CODE_MAX_FAILURES) return 'locked';
+  if (now - lock.windowStart > CODE_WINDOW_SECONDS * 1000) {
+    lock.windowStart = now;
+    lock.windowFailures = 0;
+  }
+  if (lock.windowFailures >= CODE_MAX_FAILURES_PER_WINDOW) return 'throttled';
+
+  if (/^\d{6}$/.test(code) && (await codeHash(id, code)) === lock.codeHash) return 'ok';
+
+  lock.failures += 1;
+  lock.windowFailures += 1;
+  await env.HTML_KV.put(`lock:${id}`, JSON.stringify(lock), { expirationTtl: secondsUntil(lock.expiresAt) });
+  return lock.failures >= CODE_MAX_FAILURES ? 'locked' : 'wrong';
+}
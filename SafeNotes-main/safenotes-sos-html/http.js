@@ -0,0 +1,43 @@
+// Responses and small helpers shared by the route handlers.
+
+export const json = (body, status = 200) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+
+export const text = (body, status) => new Response(body, { status });
+
+export const htmlResponse = (body, csp, { status = 200, noStore = false } = {}) =>
+  new Response(body, {
+    status,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Content-Security-Policy': csp,
+      'X-Content-Type-Options': 'nosniff',
+      'Referrer-Policy': 'no-referrer',
+      ...(noStore ? { 'Cache-Control': 'no-store' } : {})
+    }
+  });
+
+// Links handed back to the app point at whichever host served the request,
+// so a local run (see local.js) hands out local links
+export const publicUrl = (request, path) => new URL(path, request.url).toString();
+
+// Page and session ids are UUIDs; anything else is never looked up
+export const isId = value => typeof value === 'string' && /^[0-9a-f-]{36}$/.test(value);
+
+// The request's JSON body when it is an object, otherwise null (bad JSON,
+// or a bare value such as `null` that can't be destructured)
+export async function jsonObject(request) {
+  const body = await request.json().catch(() => null);
+  return body && typeof body === 'object' && !Array.isArray(body) ? body : null;
+}
+
+// KV's minimum expirationTtl is 60 seconds
+export const secondsUntil = expiresAt => Math.max(60, Math.ceil((expiresAt - Date.now()) / 1000));
+
+export async function sha256Hex(value) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,120 @@
+// Validation of the /generate body. Evidence pages may only show files from
+// our own Supabase storage, so the Worker's domain can't be used to host
+// someone else's page.
+
+const MAX_MEDIA_URL_LENGTH = 2048;
+const PAGE_MAX_MEDIA = 5;
+const PAGE_MAX_RECORDINGS = 5;
+const PAGE_MAX_RECORDING_PARTS = 240; // a two-hour covert recording in 30-second chunks
+const PAGE_MAX_MESSAGE_LENGTH = 2000;
+const MIME_TYPE_PATTERN = /^(image|video|audio|application|text)\/[a-z0-9.+-]{1,80}$/;
+
+/**
+ * Why env.SUPABASE_URL can't be used, or null when it can. It has no default:
+ * a Worker pointed at the wrong project would turn away every real link.
+ */
+export function supabaseUrlProblem(env) {
+  if (!env.SUPABASE_URL) return 'SUPABASE_URL is not set';
+  try {
+    if (new URL(env.SUPABASE_URL).protocol !== 'https:') return 'SUPABASE_URL must be an https URL';
+  } catch {
+    return 'SUPABASE_URL is not a URL';
+  }
+  return null;
+}
+
+export function storageOrigin(env) {
+  const problem = supabaseUrlProblem(env);
+  if (problem) throw new Error(problem);
+  return new URL(env.SUPABASE_URL).origin;
+}
+
+function isStorageUrl(value, origin) {
+  if (typeof value !== 'string' || value.length > MAX_MEDIA_URL_LENGTH) return false;
+  try {
+    const url = new URL(value);
+    return (
+      url.protocol === 'https:' &&
+      url.origin === origin &&
+      !url.username && !url.password &&
+      url.pathname.startsWith('/storage/v1/object/public/')
+    );
+  } catch {
+    return false;
+  }
+}
+
+export const isValidPoint = p =>
+  p &&
+  Number.isFinite(p.lat) && Math.abs(p.lat) <= 90 &&
+  Number.isFinite(p.lng) && Math.abs(p.lng) <= 180 &&
+  Number.isFinite(p.t);
+
+// One file on an incident page. Apps from before incident pages send bare
+// URLs. Null when anything about it is malformed.
+function evidenceItem(value, origin) {
+  const item = typeof value === 'string' ? { url: value } : value;
+  if (!item || !isStorageUrl(item.url, origin)) return null;
+
+  // An unusable type isn't worth refusing evidence over; the page falls
+  // back to the extension as it does for older apps
+  const mimeType = typeof item.mime_type === 'string' ? item.mime_type.toLowerCase() : null;
+
+  const sha256 = item.sha256 ?? null;
+  if (sha256 !== null && !/^[0-9a-f]{64}$/.test(sha256)) return null;
+
+  const capturedAt = item.captured_at == null ? null : Date.parse(item.captured_at);
+  if (Number.isNaN(capturedAt)) return null;
+
+  return { url: item.url, mimeType: MIME_TYPE_PATTERN.test(mimeType) ? mimeType : null, sha256, capturedAt };
+}
+
+/**
+ * Checks a /generate body. Returns { incident } ready for incidentPage, or
+ * { error } with the reason it was refused. See README.md for the format.
+ */
+export function parseIncident(body, origin) {
+  // Apps from before incident pages send { media: [url, ...] } and nothing else
+  const raw = body.incident || { media: body.media };
+  const media = raw.media ?? [];
+  const audio = raw.audio ?? [];
+
+  if (!Array.isArray(media) || media.length > PAGE_MAX_MEDIA) {
+    return { error: `"media" must be an array of at most ${PAGE_MAX_MEDIA} items.` };
+  }
+  if (!Array.isArray(audio) || audio.length > PAGE_MAX_RECORDINGS) {
+    return { error: `"audio" must be an array of at most ${PAGE_MAX_RECORDINGS} recordings.` };
+  }
+  if (!audio.every(r => Array.isArray(r?.parts) && r.parts.length > 0 && r.parts.length <= PAGE_MAX_RECORDING_PARTS)) {
+    return { error: `Each recording must have 1 to ${PAGE_MAX_RECORDING_PARTS} "parts".` };
+  }
+  if (media.length === 0 && audio.length === 0) {
+    return { error: 'Must include at least one media item or recording.' };
+  }
+
+  const mediaItems = media.map(item => evidenceItem(item, origin));
+  const recordings = audio.map(r => ({ parts: r.parts.map(part => evidenceItem(part, origin)) }));
+  if (mediaItems.includes(null) || recordings.some(r => r.parts.includes(null))) {
+    return { error: 'Media URLs must point to SafeNotes storage, with hex SHA-256 hashes and ISO capture times.' };
+  }
+
+  const message = raw.message ?? null;
+  if (message !== null && (typeof message !== 'string' || message.length > PAGE_MAX_MESSAGE_LENGTH)) {
+    return { error: `"message" must be text of at most ${PAGE_MAX_MESSAGE_LENGTH} characters.` };
+  }
+
+  const sentAt = raw.sent_at == null ? null : Date.parse(raw.sent_at);
+  if (Number.isNaN(sentAt)) {
+    return { error: '"sent_at" must be an ISO date.' };
+  }
+
+  let location = null;
+  if (raw.latitude != null || raw.longitude != null) {
+    location = { lat: raw.latitude, lng: raw.longitude };
+    if (!isValidPoint({ ...location, t: 0 })) {
+      return { error: '"latitude" and "longitude" must be valid coordinates.' };
+    }
+  }
+
+  return { incident: { message, sentAt, location, media: mediaItems, audio: recordings } };
+}
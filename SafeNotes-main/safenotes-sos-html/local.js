@@ -0,0 +1,44 @@
+// Runs the Worker on this machine against an in-memory KV, for pointing the
+// app or curl at it offline:
+//
+//   SUPABASE_URL=https://<project>.supabase.co npm run local
+//
+// Everything is lost when it stops. Links it hands out point at localhost.
+import { createServer } from 'node:http';
+import worker from './index.js';
+import { createMemoryKV } from './memoryKV.js';
+import { supabaseUrlProblem } from './incident.js';
+
+const PORT = Number(process.env.PORT) || 8787;
+
+const env = {
+  SUPABASE_URL: process.env.SUPABASE_URL,
+  HTML_KV: createMemoryKV()
+};
+
+const problem = supabaseUrlProblem(env);
+if (problem) {
+  console.error(`${problem}. Run it as: SUPABASE_URL=https://<project>.supabase.co npm run local`);
+  process.exit(1);
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+createServer(async (req, res) => {
+  const headers = Object.entries(req.headers).filter(([, value]) => typeof value === 'string');
+  const request = new Request(`http://localhost:${PORT}${req.url}`, {
+    method: req.method,
+    headers,
+    body: req.method === 'GET' || req.method === 'HEAD' ? undefined : await readBody(req)
+  });
+
+  const response = await worker.fetch(request, env);
+  res.writeHead(response.status, Object.fromEntries(response.headers));
+  res.end(Buffer.from(await response.arrayBuffer()));
+}).listen(PORT, () => {
+  console.log(`SOS Worker on http://localhost:${PORT} (storage: ${env.SUPABASE_URL})`);
+});
@@ -0,0 +1,54 @@
+// In-memory stand-in for a Workers KV namespace, so the Worker can run
+// outside Cloudflare (see local.js). It keeps to the parts of the KV API the
+// Worker uses, including the rules that trip real deployments: values are
+// strings and expirationTtl is at least 60 seconds. Expiry follows `now`,
+// which can be moved forward to see pages and sessions run out.
+
+const MIN_EXPIRATION_TTL = 60;
+
+export function createMemoryKV({ now = () => Date.now() } = {}) {
+  const entries = new Map(); // key → { value, expiresAt }
+
+  const live = key => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  return {
+    async get(key, options) {
+      const type = typeof options === 'string' ? options : options?.type || 'text';
+      const entry = live(key);
+      if (!entry) return null;
+      if (type === 'json') return JSON.parse(entry.value);
+      if (type === 'text') return entry.value;
+      throw new Error(`memoryKV: get type "${type}" is not supported`);
+    },
+
+    async put(key, value, { expirationTtl, expiration } = {}) {
+      if (typeof value !== 'string') {
+        throw new TypeError('memoryKV: values must be strings');
+      }
+      if (expirationTtl !== undefined && !(expirationTtl >= MIN_EXPIRATION_TTL)) {
+        throw new Error(`memoryKV: expirationTtl must be at least ${MIN_EXPIRATION_TTL} seconds`);
+      }
+      const expiresAt =
+        expirationTtl !== undefined ? now() + expirationTtl * 1000
+        : expiration !== undefined ? expiration * 1000
+        : null;
+      entries.set(key, { value, expiresAt });
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    /** Live keys, optionally only those starting with `prefix`. Not part of the KV API. */
+    keys(prefix = '') {
+      return [...entries.keys()].filter(key => key.startsWith(prefix) && live(key));
+    }
+  };
+}
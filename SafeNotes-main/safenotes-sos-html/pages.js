@@ -0,0 +1,127 @@
+// Incident pages: /generate makes one, /embed shows it (behind the access
+// code if it has one) and /revoke takes it down early.
+//
+// KV keys, all expiring with the page:
+//   <id>       the rendered HTML
+//   meta:<id>  { expiresAt, revokeHash, revoked }
+//   lock:<id>  the access code's hash and failure counts (locked pages only)
+//   log:<id>   attempts to unlock it
+import { incidentPage, unlockPage, incidentPageCsp, unlockPageCsp } from './template.js';
+import { json, text, htmlResponse, publicUrl, isId, secondsUntil, sha256Hex, jsonObject } from './http.js';
+import { storageOrigin, parseIncident } from './incident.js';
+import { lockPage, logAccess, tryUnlock, UNLOCK_MESSAGES } from './accessCodes.js';
+
+const PAGE_DEFAULT_TTL_HOURS = 24;
+const PAGE_MAX_TTL_HOURS = 7 * 24;
+
+// Hours the sender picked, or the default; null when out of range
+function pageTtlHours(value) {
+  if (value === undefined || value === null) return PAGE_DEFAULT_TTL_HOURS;
+  const hours = Number(value);
+  return Number.isInteger(hours) && hours >= 1 && hours <= PAGE_MAX_TTL_HOURS ? hours : null;
+}
+
+// Every page has a `meta:` record with its revoke token's hash. A revoked
+// page leaves the record behind, marked, until it would have expired, so
+// visitors are told it was taken down rather than that it never existed.
+const revokeHash = (id, token) => sha256Hex(`revoke:${id}:${token}`);
+
+export async function generate(request, env) {
+  const body = await jsonObject(request);
+  if (!body) {
+    return text('Body must be a JSON object.', 400);
+  }
+  const { access_code: withCode = false, ttl_hours } = body;
+  // A string such as "false" would otherwise lock the page
+  if (typeof withCode !== 'boolean') {
+    return text('access_code must be true or false.', 400);
+  }
+
+  const { incident, error } = parseIncident(body, storageOrigin(env));
+  if (error) {
+    return text(error, 400);
+  }
+  const ttlHours = pageTtlHours(ttl_hours);
+  if (!ttlHours) {
+    return text(`ttl_hours must be a whole number from 1 to ${PAGE_MAX_TTL_HOURS}.`, 400);
+  }
+
+  const id = crypto.randomUUID();
+  const expiresAt = Date.now() + ttlHours * 3600 * 1000;
+  const expirationTtl = ttlHours * 3600;
+
+  await env.HTML_KV.put(id, incidentPage(incident, { ttlHours }), { expirationTtl });
+
+  // Only the sender gets this; it takes the page down before it expires
+  const revoke_token = crypto.randomUUID();
+  const meta = { expiresAt, revokeHash: await revokeHash(id, revoke_token), revoked: false };
+  await env.HTML_KV.put(`meta:${id}`, JSON.stringify(meta), { expirationTtl });
+
+  // The app sends the code in a separate message, so a forwarded or
+  // previewed link alone shows nothing
+  const access_code = withCode ? await lockPage(env, id, expiresAt, expirationTtl) : undefined;
+
+  return json({
+    html_url: publicUrl(request, `/embed?id=${id}`),
+    access_code,
+    revoke_token,
+    expires_at: expiresAt
+  });
+}
+
+export async function embed(request, env, url) {
+  const id = url.searchParams.get('id');
+  if (!id) {
+    return text('Missing id', 400);
+  }
+  // Only page ids; tracking sessions share the namespace but are never served raw
+  if (!isId(id)) {
+    return text('Page not found or expired', 404);
+  }
+  const html = await env.HTML_KV.get(id);
+  if (!html) {
+    const meta = await env.HTML_KV.get(`meta:${id}`, 'json');
+    if (meta?.revoked) {
+      return text('This page was removed by the person who shared it.', 410);
+    }
+    return text('Page not found or expired', 404);
+  }
+
+  const lock = await env.HTML_KV.get(`lock:${id}`, 'json');
+  if (lock) {
+    // Codes only ever arrive by POST so they stay out of URLs and history
+    if (request.method === 'GET') {
+      return htmlResponse(unlockPage(id), unlockPageCsp, { noStore: true });
+    }
+    const form = await request.formData().catch(() => null);
+    const code = String(form?.get('code') || '').replace(/\s/g, '');
+    const outcome = await tryUnlock(env, id, lock, code);
+    await logAccess(env, request, id, lock.expiresAt, outcome);
+    if (outcome !== 'ok') {
+      const { status, text: message } = UNLOCK_MESSAGES[outcome];
+      return htmlResponse(unlockPage(id, message), unlockPageCsp, { status, noStore: true });
+    }
+    return htmlResponse(html, incidentPageCsp(storageOrigin(env)), { noStore: true });
+  }
+
+  if (request.method === 'POST') {
+    return text('Not found', 404);
+  }
+  return htmlResponse(html, incidentPageCsp(storageOrigin(env)));
+}
+
+export async function revoke(request, env) {
+  const body = await jsonObject(request);
+  if (!body) return json({ error: 'Body must be a JSON object' }, 400);
+  const { id, token } = body;
+  const meta = isId(id) && token && (await env.HTML_KV.get(`meta:${id}`, 'json'));
+  if (!meta) return json({ error: 'Not found or expired' }, 404);
+  if (meta.revoked) return json({ ok: true });
+  if (meta.revokeHash !== (await revokeHash(id, token))) return json({ error: 'Not found or expired' }, 404);
+
+  await Promise.all([id, `lock:${id}`, `log:${id}`].map(key => env.HTML_KV.delete(key)));
+  await env.HTML_KV.put(`meta:${id}`, JSON.stringify({ expiresAt: meta.expiresAt, revoked: true }), {
+    expirationTtl: secondsUntil(meta.expiresAt)
+  });
+  return json({ ok: true });
+}
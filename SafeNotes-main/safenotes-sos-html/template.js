@@ -0,0 +1,411 @@
+// HTML for the pages the Worker serves. Everything that came from a request
+// is escaped here; callers still validate URLs before passing them in.
+
+export const escapeHtml = value =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Tagged template that escapes every interpolated value unless it is
+// already-rendered markup from html`` itself
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+  toString() {
+    return this.value;
+  }
+}
+
+export const html = (strings, ...values) =>
+  new SafeHtml(
+    strings.reduce((out, str, i) => {
+      if (i === 0) return str;
+      const value = values[i - 1];
+      const rendered = Array.isArray(value)
+        ? value.map(v => (v instanceof SafeHtml ? v.value : escapeHtml(v))).join('')
+        : value instanceof SafeHtml ? value.value : escapeHtml(value ?? '');
+      return out + rendered + str;
+    }, '')
+  );
+
+// Items are rendered by the MIME type the app sent with them. Apps from
+// before that send bare URLs, so their type is guessed from the extension.
+const EXTENSION_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  bmp: 'image/bmp',
+  webp: 'image/webp',
+  mp4: 'video/mp4',
+  mov: 'video/quicktime',
+  webm: 'video/webm',
+  m4a: 'audio/mp4',
+  '3gp': 'audio/3gpp',
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  ogg: 'audio/ogg',
+  amr: 'audio/amr',
+  opus: 'audio/opus'
+};
+
+const extensionOf = url => new URL(url).pathname.split('.').pop().toLowerCase();
+
+const mimeTypeOf = item => item.mimeType || EXTENSION_TYPES[extensionOf(item.url)] || 'application/octet-stream';
+
+// Recordings can run to hundreds of parts, so nothing loads until played
+const mediaPlayer = item => {
+  const { url } = item;
+  const type = mimeTypeOf(item);
+
+  if (type.startsWith('video/')) {
+    return html`
+      <video controls preload="metadata">
+        <source src="${url}" type="${type}">
+      </video>
+    `;
+  }
+
+  if (type.startsWith('audio/')) {
+    return html`
+      <audio controls preload="none">
+        <source src="${url}" type="${type}">
+        Your browser does not support audio playback.
+      </audio>
+    `;
+  }
+
+  if (type.startsWith('image/')) {
+    return html`<img src="${url}" alt="SOS media" />`;
+  }
+
+  // PDF or other non–media files
+  return html`
+    <a href="${url}" target="_blank" rel="noopener noreferrer">
+      Download file
+    </a>
+  `;
+};
+
+const formatTime = time =>
+  time == null ? 'not recorded' : `${new Date(time).toISOString().slice(0, 19).replace('T', ' ')} UTC`;
+
+const evidenceItem = (item, label) => html`
+  <div class="media-item">
+    ${mediaPlayer(item)}
+    <p class="meta">
+      ${label} · captured ${formatTime(item.capturedAt)} ·
+      <a href="${item.url}" target="_blank" rel="noopener noreferrer">original file</a><br>
+      SHA-256: <code>${item.sha256 || 'not recorded'}</code>
+    </p>
+  </div>
+`;
+
+// ——— Static map ———
+
+export const MAP_TILE_ORIGIN = 'https://tile.openstreetmap.org';
+const MAP_ZOOM = 16;
+
+// A 3×3 block of OpenStreetMap tiles around the point, with a pin on top.
+// Plain images, so the page needs no script or third-party frame. The viewer's
+// browser fetches them straight from OpenStreetMap, so OpenStreetMap sees the
+// viewer's IP address alongside the tiles around the SOS location (see README).
+const staticMap = ({ lat, lng }) => {
+  const n = 2 ** MAP_ZOOM;
+  const x = ((lng + 180) / 360) * n;
+  const rad = (lat * Math.PI) / 180;
+  const y = ((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * n;
+  const tileX = Math.floor(x);
+  const tileY = Math.floor(y);
+
+  const tiles = [];
+  for (let dy = -1; dy <= 1; dy++) {
+    for (let dx = -1; dx <= 1; dx++) {
+      const tx = (tileX + dx + n) % n;
+      const ty = Math.min(n - 1, Math.max(0, tileY + dy));
+      tiles.push(html`<img src="${MAP_TILE_ORIGIN}/${MAP_ZOOM}/${tx}/${ty}.png" alt="">`);
+    }
+  }
+  const left = (((x - tileX + 1) / 3) * 100).toFixed(2);
+  const top = (((y - tileY + 1) / 3) * 100).toFixed(2);
+
+  return html`
+    <div class="map">
+      ${tiles}
+      <div class="pin" style="left: ${left}%; top: ${top}%"></div>
+    </div>
+    <p class="meta">
+      ${lat.toFixed(5)}, ${lng.toFixed(5)} ·
+      <a href="https://maps.google.com/?q=${lat},${lng}" target="_blank" rel="noopener noreferrer">Open in Google Maps</a>
+      · Map © OpenStreetMap contributors
+    </p>
+  `;
+};
+
+const describeTtl = hours =>
+  hours === 1 ? '1 hour' : hours <= 48 ? `${hours} hours` : `${Math.round(hours / 24)} days`;
+
+/**
+ * The incident page for /generate: the SOS message, where and when it was
+ * sent, and every file with the hash and capture time the phone recorded.
+ * `incident` must already be validated (see parseIncident in incident.js);
+ * `ttlHours` is how long the page is kept.
+ */
+export const incidentPage = (incident, { ttlHours = 24 } = {}) => html`
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="referrer" content="no-referrer">
+    <title>NyayaGhost SOS Incident</title>
+    <style>
+      body {
+        background: #121212;
+        color: #fff;
+        font-family: Arial, sans-serif;
+        padding: 20px;
+        padding-bottom: 60px; /* Prevents audio player from being clipped on iOS */
+        min-height: 100vh;     /* Ensures scrollable content height */
+        font-size: 3.5vw;        /* Adjust font size based on viewport width */
+        text-align: left;      /* Align everything to the left */
+      }
+      h1 {
+        color: #CA3535;
+        font-size: 6.5vw;        /* Adjust header size relative to the viewport width */
+        text-align: left;      /* Ensure heading is left-aligned */
+      }
+      h2 { color: #CA3535; font-size: 1.2em; margin-top: 28px; }
+      .message {
+        white-space: pre-wrap;
+        background: #1e1e1e;
+        border-left: 3px solid #CA3535;
+        padding: 12px;
+        border-radius: 6px;
+      }
+      .media-item {
+        margin-bottom: 20px;
+        text-align: left;    /* Align media left */
+      }
+      .meta { color: #bbb; font-size: 0.8em; }
+      code { word-break: break-all; color: #ddd; }
+      video, .media-item img {
+        max-width: 100%;
+        max-height: 500px;
+        width: auto;
+        height: auto;
+        border: 1px solid #444;
+        border-radius: 10px;
+        display: block;
+        margin-left: 0;    /* Align left */
+        margin-right: 0;   /* Align left */
+      }
+      audio {
+        width: 100%;
+        max-width: 600px;
+        display: block;
+        margin-top: 8px;
+        margin-left: 0;    /* Align left */
+        margin-right: 0;   /* Align left */
+      }
+      .map {
+        position: relative;
+        display: grid;
+        grid-template-columns: repeat(3, 1fr);
+        max-width: 600px;
+        overflow: hidden;
+        border: 1px solid #444;
+        border-radius: 10px;
+      }
+      .map img { width: 100%; display: block; }
+      .pin {
+        position: absolute;
+        width: 16px;
+        height: 16px;
+        margin: -10px 0 0 -10px;
+        border-radius: 50%;
+        background: #CA3535;
+        border: 2px solid #fff;
+      }
+      a { color: #4181D4; }
+
+      /* Media Query for small screens like phones */
+      @media screen and (max-width: 600px) {
+        body {
+          font-size: 6vw;    /* Increase font size for smaller screens */
+        }
+        h1 {
+          font-size: 10vw;   /* Increase header size for smaller screens */
+        }
+      }
+    </style>
+  </head>
+  <body>
+    <h1>SOS Incident Record</h1>
+    <p>This page contains temporary emergency evidence. This page will expire in ${describeTtl(ttlHours)}.</p>
+    <p class="meta">Sent ${formatTime(incident.sentAt)}</p>
+    ${incident.message ? html`<p class="message">${incident.message}</p>` : ''}
+
+    ${incident.location ? html`<h2>Location when sent</h2>${staticMap(incident.location)}` : ''}
+
+    ${incident.media.length > 0 ? html`<h2>Photos and videos</h2>` : ''}
+    ${incident.media.map((item, i) => evidenceItem(item, `File ${i + 1}`))}
+
+    ${incident.audio.map((recording, i) => html`
+      <h2>Recording ${i + 1}</h2>
+      ${recording.parts.map((part, j) =>
+        evidenceItem(part, recording.parts.length > 1 ? `Part ${j + 1} of ${recording.parts.length}` : 'Audio')
+      )}
+    `)}
+
+    <p style="color:#888; font-size: 0.9em;">
+      Hashes were worked out on the sender's phone before upload. Download a file and compute its
+      SHA-256 to confirm it has not changed since.
+    </p>
+    <p style="color:#888; font-size: 0.9em;">Page generated by NyayaGhost. If you see a 404 for media, it has expired for safety reasons.</p>
+  </body>
+  </html>
+`.toString();
+
+/**
+ * The live location page for /track. `id` must be a validated session id;
+ * `nonce` allows its inline script under the page's CSP.
+ */
+export const trackPage = (id, nonce) => html`
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="referrer" content="no-referrer">
+    <title>NyayaGhost Live Location</title>
+    <style>
+      body { background: #121212; color: #fff; font-family: Arial, sans-serif; padding: 20px; }
+      h1 { color: #CA3535; font-size: 1.6em; }
+      iframe { width: 100%; height: 55vh; border: 1px solid #444; border-radius: 10px; }
+      a { color: #4181D4; }
+      #status { color: #bbb; }
+      #trail { color: #888; font-size: 0.9em; padding-left: 18px; }
+    </style>
+  </head>
+  <body data-track-id="${id}">
+    <h1>Live Location</h1>
+    <p id="status">Loading…</p>
+    <iframe id="map" title="Map"></iframe>
+    <p><a id="gmaps" target="_blank" rel="noopener noreferrer">Open in Google Maps</a></p>
+    <ol id="trail" reversed></ol>
+    <p style="color:#888; font-size: 0.9em;">Shared by NyayaGhost. This page stops updating when the session ends.</p>
+    <script nonce="${nonce}">
+      const id = document.body.dataset.trackId;
+      const fmt = t => new Date(t).toLocaleTimeString();
+
+      async function refresh() {
+        const res = await fetch('/track/data?id=' + encodeURIComponent(id));
+        if (!res.ok) {
+          document.getElementById('status').textContent = 'This live location session has expired.';
+          return false;
+        }
+        const data = await res.json();
+        const last = data.points[data.points.length - 1];
+        const status = document.getElementById('status');
+
+        if (!last) {
+          status.textContent = 'Waiting for the first position…';
+        } else {
+          const d = 0.005;
+          document.getElementById('map').src =
+            'https://www.openstreetmap.org/export/embed.html?bbox=' +
+            [last.lng - d, last.lat - d, last.lng + d, last.lat + d].join(',') +
+            '&layer=mapnik&marker=' + last.lat + ',' + last.lng;
+          document.getElementById('gmaps').href = 'https://maps.google.com/?q=' + last.lat + ',' + last.lng;
+          status.textContent = 'Last update ' + fmt(last.t) +
+            (data.ended ? ' — sharing has ended.' : ' — sharing until ' + fmt(data.expiresAt) + '.');
+
+          const trail = document.getElementById('trail');
+          trail.replaceChildren(...data.points.slice(-10).reverse().map(p => {
+            const li = document.createElement('li');
+            li.textContent = fmt(p.t) + ': ' + p.lat.toFixed(5) + ', ' + p.lng.toFixed(5);
+            return li;
+          }));
+        }
+        return !data.ended && Date.now() < data.expiresAt;
+      }
+
+      (async function loop() {
+        if (await refresh().catch(() => true)) setTimeout(loop, 15000);
+      })();
+    </script>
+  </body>
+  </html>
+`.toString();
+
+/** The form shown in front of a page that needs an access code. */
+export const unlockPage = (id, error = null) => html`
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="referrer" content="no-referrer">
+    <meta name="robots" content="noindex">
+    <title>NyayaGhost SOS Media</title>
+    <style>
+      body { background: #121212; color: #fff; font-family: Arial, sans-serif; padding: 20px; }
+      h1 { color: #CA3535; font-size: 1.6em; }
+      input { font-size: 1.6em; letter-spacing: 0.3em; width: 8em; padding: 8px; border-radius: 8px; border: 1px solid #444; }
+      button { font-size: 1.1em; margin-top: 12px; padding: 10px 24px; border: 0; border-radius: 8px; background: #CA3535; color: #fff; }
+      .error { color: #ff8a80; }
+    </style>
+  </head>
+  <body>
+    <h1>SOS Media Archive</h1>
+    <p>This evidence is protected. Enter the 6-digit access code that was sent to you in a separate message.</p>
+    ${error ? html`<p class="error">${error}</p>` : ''}
+    <form method="POST" action="/embed?id=${encodeURIComponent(id)}">
+      <input name="code" inputmode="numeric" autocomplete="one-time-code" maxlength="7" required autofocus>
+      <br>
+      <button type="submit">Unlock</button>
+    </form>
+  </body>
+  </html>
+`.toString();
+
+// ——— Content-Security-Policy ———
+
+/** Incident pages load nothing but styles, files from the storage origin and map tiles. */
+export const incidentPageCsp = storageOrigin =>
+  [
+    "default-src 'none'",
+    `img-src ${storageOrigin} ${MAP_TILE_ORIGIN}`,
+    `media-src ${storageOrigin}`,
+    "style-src 'unsafe-inline'",
+    "base-uri 'none'",
+    "form-action 'none'",
+    "frame-ancestors 'none'"
+  ].join('; ');
+
+/** The track page also runs its own script, polls the Worker and embeds the map. */
+export const trackPageCsp = nonce =>
+  [
+    "default-src 'none'",
+    `script-src 'nonce-${nonce}'`,
+    "connect-src 'self'",
+    'frame-src https://www.openstreetmap.org',
+    "style-src 'unsafe-inline'",
+    "base-uri 'none'",
+    "form-action 'none'",
+    "frame-ancestors 'none'"
+  ].join('; ');
+
+/** The unlock form only posts back to the Worker. */
+export const unlockPageCsp = [
+  "default-src 'none'",
+  "style-src 'unsafe-inline'",
+  "form-action 'self'",
+  "base-uri 'none'",
+  "frame-ancestors 'none'"
+].join('; ');
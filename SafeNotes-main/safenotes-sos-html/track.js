@@ -0,0 +1,108 @@
+// Live location ("follow me") sessions. The app starts one, posts points to
+// it with the write key only it holds, and contacts watch /track?id=…
+//
+// KV key: track:<id>  { keyHash, createdAt, expiresAt, ended, points }
+import { trackPage, trackPageCsp } from './template.js';
+import { json, text, htmlResponse, publicUrl, isId, sha256Hex, jsonObject } from './http.js';
+import { isValidPoint } from './incident.js';
+
+const TRACK_MIN_MINUTES = 5;
+const TRACK_MAX_MINUTES = 240;
+const TRACK_MAX_POINTS = 500;
+const TRACK_GRACE_SECONDS = 3600; // ended sessions stay viewable for an hour
+
+// Loads a tracking session and checks the write key the app was given on start
+async function loadTrackSession(env, id, key) {
+  if (!isId(id) || !key) return null;
+  const session = await env.HTML_KV.get(`track:${id}`, 'json');
+  if (!session || session.keyHash !== (await sha256Hex(key))) return null;
+  return session;
+}
+
+async function saveTrackSession(env, id, session) {
+  const ttl = Math.max(60, Math.ceil((session.expiresAt - Date.now()) / 1000)) + TRACK_GRACE_SECONDS;
+  await env.HTML_KV.put(`track:${id}`, JSON.stringify(session), { expirationTtl: ttl });
+}
+
+export async function startTrack(request, env) {
+  const body = await jsonObject(request);
+  if (!body) return json({ error: 'Body must be a JSON object' }, 400);
+  const { durationMin } = body;
+  const minutes = Math.round(Number(durationMin));
+  if (!(minutes >= TRACK_MIN_MINUTES && minutes <= TRACK_MAX_MINUTES)) {
+    return json({ error: `durationMin must be between ${TRACK_MIN_MINUTES} and ${TRACK_MAX_MINUTES}` }, 400);
+  }
+
+  const id = crypto.randomUUID();
+  const key = crypto.randomUUID(); // only the app knows this; viewers get the id alone
+  const session = {
+    keyHash: await sha256Hex(key),
+    createdAt: Date.now(),
+    expiresAt: Date.now() + minutes * 60 * 1000,
+    ended: false,
+    points: []
+  };
+  await saveTrackSession(env, id, session);
+
+  return json({
+    track_id: id,
+    write_key: key,
+    expires_at: session.expiresAt,
+    view_url: publicUrl(request, `/track?id=${id}`)
+  });
+}
+
+export async function updateTrack(request, env) {
+  const body = await jsonObject(request);
+  if (!body) return json({ error: 'Body must be a JSON object' }, 400);
+  const { id, key, points } = body;
+  const session = await loadTrackSession(env, id, key);
+  if (!session) return json({ error: 'Unknown session' }, 404);
+  if (session.ended || Date.now() > session.expiresAt) return json({ error: 'Session ended' }, 410);
+  if (!Array.isArray(points) || points.length === 0 || points.length > 100 || !points.every(isValidPoint)) {
+    return json({ error: 'points must be 1 to 100 { lat, lng, t } objects' }, 400);
+  }
+
+  const cleaned = points.map(({ lat, lng, t, accuracy }) => ({
+    lat, lng, t,
+    accuracy: Number.isFinite(accuracy) ? Math.round(accuracy) : null
+  }));
+  session.points = [...session.points, ...cleaned]
+    .sort((a, b) => a.t - b.t)
+    .slice(-TRACK_MAX_POINTS);
+  await saveTrackSession(env, id, session);
+  return json({ ok: true, expires_at: session.expiresAt });
+}
+
+export async function stopTrack(request, env) {
+  const body = await jsonObject(request);
+  if (!body) return json({ error: 'Body must be a JSON object' }, 400);
+  const { id, key } = body;
+  const session = await loadTrackSession(env, id, key);
+  if (!session) return json({ error: 'Unknown session' }, 404);
+  session.ended = true;
+  session.expiresAt = Math.min(session.expiresAt, Date.now());
+  await saveTrackSession(env, id, session);
+  return json({ ok: true });
+}
+
+export async function trackData(request, env, url) {
+  const id = url.searchParams.get('id');
+  if (!isId(id)) return json({ error: 'Missing id' }, 400);
+  const session = await env.HTML_KV.get(`track:${id}`, 'json');
+  if (!session) return json({ error: 'Not found or expired' }, 404);
+  return json({
+    points: session.points.slice(-50),
+    ended: session.ended,
+    expiresAt: session.expiresAt
+  });
+}
+
+export async function trackView(request, env, url) {
+  const id = url.searchParams.get('id');
+  if (!isId(id)) {
+    return text('Missing id', 400);
+  }
+  const nonce = crypto.randomUUID();
+  return htmlResponse(trackPage(id, nonce), trackPageCsp(nonce));
+}
@@ -0,0 +1,16 @@
+// `npm test` runs __tests__ inside workerd, the runtime Cloudflare deploys
+// the Worker on, with the bindings from wrangler.toml.
+import { defineWorkersConfig } from '@cloudflare/vitest-pool-workers/config';
+
+export default defineWorkersConfig({
+  test: {
+    include: ['__tests__/**/*.test.js'],
+    poolOptions: {
+      workers: {
+        wrangler: { configPath: './wrangler.toml' },
+        // For node:assert in the tests; the Worker itself doesn't need it
+        miniflare: { compatibilityFlags: ['nodejs_compat'] }
+      }
+    }
+  }
+});
@@ -1,4 +1,4 @@
-import React, { useState, useContext, useRef, useEffect } from 'react';
+import React, { useContext, useRef, useEffect } from 'react';
 import {
   View,
   Text,
@@ -16,118 +16,135 @@ import { SettingsContext } from '../../contexts/SettingsContext';
 import * as Haptics from 'expo-haptics';
 import * as LocalAuthentication from 'expo-local-authentication';
 import { LongPressGestureHandler, State } from 'react-native-gesture-handler';
+import { CameraView, useCameraPermissions } from 'expo-camera';
+import { sendDuressAlert } from '../../services/duressAlert';
+import { useCalculator } from '../../hooks/useCalculator';
+import {
+  isLockedOut,
+  recordFailedAttempt,
+  resetFailedAttempts,
+  logIntruderAttempt,
+} from '../../services/unlockGuard';
 
 export default function CalculatorUnlock() {
   const navigation = useNavigation();
-  const [expression, setExpression] = useState('');
-  const [result, setResult] = useState('');
-  const [lastResult, setLastResult] = useState(null);
-  const [justEvaluated, setJustEvaluated] = useState(false);
-  const { accessPin, setIsUnlocked, biometricEnabled } = useContext(SettingsContext);
+  const {
+    accessPin,
+    duressPin,
+    duressSOSEnabled,
+    emergencyContact,
+    emergencyMessage,
+    setIsUnlocked,
+    setIsDuressMode,
+    biometricEnabled,
+    cameraEnabled,
+    intruderPhotoEnabled,
+  } = useContext(SettingsContext);
   const scrollRef = useRef();
-
-
-  const handlePress = (value) => {
-    const operators = ['+', '-', '*', '/', '%'];
-    const lastChar = expression.slice(-1);
-  
-    if (expression === '' && (operators.includes(value) || value === '%')) {
-      setExpression('0' + value);
-      return;
-    }
-
-    // Handle '.'
-    if (value === '.') {
-      // If empty, insert 0.
-      if (expression === '') {
-        setExpression('0.');
-        return;
-      }
-
-      // If last character is an operator, insert 0.
-      if (operators.includes(lastChar)) {
-        setExpression(expression + '0.');
-        return;
-      }
-
-      // Prevent multiple dots in the same number
-      const parts = expression.split(/[\+\-\×\/%]/); // split by operator
-      const lastPart = parts[parts.length - 1];
-      if (lastPart.includes('.')) {
-        return; // already has a dot
+  const cameraRef = useRef(null);
+  const [cameraPermission] = useCameraPermissions();
+
+  // Never prompt for camera access here; the owner grants it from Settings
+  const snapshotsActive = intruderPhotoEnabled && cameraEnabled && cameraPermission?.granted;
+
+
+  // Every failed attempt is logged with its time; the snapshot is only taken
+  // for the attempt that starts a lockout
+  const logFailedAttempt = async ({ lockedUntil = 0, lockedOut = false, duringLockout = false } = {}) => {
+    let photoUri = null;
+    if (lockedOut && snapshotsActive && cameraRef.current) {
+      try {
+        const photo = await cameraRef.current.takePictureAsync({
+          quality: 0.3,
+          shutterSound: false,
+          skipProcessing: true,
+        });
+        photoUri = photo?.uri ?? null;
+      } catch (e) {
+        console.warn('[CalculatorUnlock] Intruder snapshot failed:', e);
       }
     }
-
-    // Prevent double operators
-    if (operators.includes(lastChar) && operators.includes(value)) {
-      return;
+    try {
+      await logIntruderAttempt({ photoUri, lockedUntil: lockedOut ? lockedUntil : 0, duringLockout });
+    } catch (e) {
+      console.warn('[CalculatorUnlock] Failed to log intruder attempt:', e);
     }
+  };
 
-    // Reset after evaluation
-    if (justEvaluated && !operators.includes(value)) {
-      setExpression(value);
-      setJustEvaluated(false);
-      return;
+  /**
+   * Called by the calculator engine for bare 4-digit entries. Returns true if
+   * the entry unlocked the app. Wrong PINs are counted, then fall through to
+   * normal evaluation so the display behaves exactly as it would for any other
+   * number. Each one is logged with its time for the owner, who can tell a
+   * sum from a guess; the camera only fires when a run of them starts a lockout.
+   */
+  const tryUnlock = async (cleaned) => {
+    // Duress PIN first, so it still works during a lockout: unlock exactly like
+    // the real PIN, but into the decoy app
+    if (duressPin && cleaned === duressPin) {
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      resetFailedAttempts();
+      setIsDuressMode(true);
+      setIsUnlocked(true);
+      if (duressSOSEnabled) {
+        sendDuressAlert({ contact: emergencyContact, message: emergencyMessage }).catch((e) =>
+          console.warn('[CalculatorUnlock] Duress alert failed:', e)
+        );
+      }
+      return true;
     }
 
-    if (justEvaluated && operators.includes(value)) {
-      setExpression(String(lastResult) + value);
-      setJustEvaluated(false);
-      return;
+    if (await isLockedOut()) {
+      logFailedAttempt({ duringLockout: true });
+      return false;
     }
 
-    setExpression(prev => prev + value);
-  };
-
-
-  const handleClear = () => {
-    setExpression('');
-    setResult('');
-  };
-
-  const handleDelete = () => {
-    setExpression((prev) => prev.slice(0, -1));
-  };
-
-  const handleEvaluate = () => {
-    const cleaned = expression.trim();
-
-    if (cleaned === '') return;
-
-    const lastChar = cleaned.slice(-1);
-
     // Check for unlock PIN directly entered
     if (cleaned === accessPin) {
       Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      resetFailedAttempts();
+      setIsDuressMode(false);
       setIsUnlocked(true);
-      return;
+      return true;
     }
 
-    const binaryOperators = ['+', '-', '*', '/'];
-    if (binaryOperators.includes(lastChar)) {
-      return;
-    }
-
-    let evalReady;
+    logFailedAttempt(await recordFailedAttempt());
+    return false;
+  };
 
+  const handleUnlockEntry = async (entry) => {
     try {
-      evalReady = cleaned.replace(/(\d+(\.\d+)?)%(?!\d)/g, '($1/100)');
-      
-      let evalResult = eval(evalReady);
-
-      if (typeof evalResult === 'number' && isFinite(evalResult)) {
-        evalResult = Number(evalResult.toPrecision(10));
-      }
-
-      setResult(String(evalResult));
-      setLastResult(evalResult);
-      setJustEvaluated(true);
-    } catch (err) {
-      setResult('Error');
-      setJustEvaluated(true);
+      return await tryUnlock(entry);
+    } catch (e) {
+      console.warn('[CalculatorUnlock] Unlock check failed:', e);
+      return false;
     }
   };
 
+  const calc = useCalculator({ onPinEntry: handleUnlockEntry });
+  const { expression, result, memory, tape } = calc;
+
+  const toDisplay = (expr) =>
+    expr.replace(/\*/g, '×').replace(/\//g, '÷').replace(/-/g, '−');
+
+  const handleKey = (label) => {
+    if (label === 'AC') calc.clear();
+    else if (label === '⌫') calc.backspace();
+    else if (label === '=') calc.evaluate();
+    else if (label === '÷') calc.pressOperator('/');
+    else if (label === '×') calc.pressOperator('*');
+    else if (label === '−') calc.pressOperator('-');
+    else if (label === '+') calc.pressOperator('+');
+    else if (label === '%') calc.pressPercent();
+    else if (label === '.') calc.pressDot();
+    else if (label === '(' || label === ')') calc.pressParen(label);
+    else if (label === 'MR') calc.memoryRecall();
+    else if (label === 'M+') calc.memoryAdd();
+    else if (label === 'M−') calc.memorySubtract();
+    else if (label === 'zero') calc.pressDigit('0');
+    else calc.pressDigit(label);
+  };
+
   const renderButton = (label, onPress, key) => {
     const baseButton = (
       <TouchableOpacity
@@ -182,12 +199,16 @@ export default function CalculatorUnlock() {
 
     if (result.success) {
       Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      resetFailedAttempts();
+      // A fingerprint can be forced, so biometrics never leave duress mode—only the real PIN does
       setIsUnlocked(true);
     } else {
       Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
     }
   };
 
+  const memoryKeys = ['(', ')', 'MR', 'M+', 'M−'];
+
   const buttons = [
     ['AC', '⌫', '%', '÷'],
     ['7', '8', '9', '×'],
@@ -209,15 +230,34 @@ export default function CalculatorUnlock() {
       }}
     >
       <View style={styles.container}>
+        {/* Invisible front camera for intruder snapshots */}
+        {snapshotsActive && (
+          <CameraView ref={cameraRef} facing="front" style={styles.hiddenCamera} />
+        )}
+
         {/* Header with back icon */}
         <View style={styles.header}>
           <TouchableOpacity onPress={() => navigation.goBack()}>
             <ChevronLeft size={32} color={theme.text} />
           </TouchableOpacity>
           {/* Removed Calculator text from header */}
-          <View style={{ width: 24 }} />
+          <Text style={styles.memoryIndicator}>{memory !== null ? 'M' : ''}</Text>
         </View>
 
+        {/* History tape */}
+        <ScrollView
+          style={styles.tape}
+          contentContainerStyle={{ flexGrow: 1, justifyContent: 'flex-end' }}
+          showsVerticalScrollIndicator={false}
+          overScrollMode="never"
+        >
+          {[...tape].reverse().map((entry, i) => (
+            <Text key={`tape-${i}`} style={styles.tapeText} numberOfLines={1}>
+              {toDisplay(entry.expression)} = {entry.result}
+            </Text>
+          ))}
+        </ScrollView>
+
         {/* Display */}
         <View style={styles.display}>
           {result !== '' ? (
@@ -229,12 +269,7 @@ export default function CalculatorUnlock() {
                   showsHorizontalScrollIndicator={false}
                   contentContainerStyle={{ flexGrow: 1, justifyContent: 'flex-end' }}
                 >
-                  <Text style={styles.smallExpression}>
-                    {expression
-                      .replace(/\*/g, '×')
-                      .replace(/\//g, '÷')
-                      .replace(/-/g, '−')}
-                  </Text>
+                  <Text style={styles.smallExpression}>{toDisplay(expression)}</Text>
                 </ScrollView>
               </View>
               <ScrollView
@@ -255,12 +290,7 @@ export default function CalculatorUnlock() {
                 showsHorizontalScrollIndicator={false}
                 contentContainerStyle={{ flexGrow: 1, justifyContent: 'flex-end' }}
               >
-                <Text style={styles.expressionText}>
-                  {expression
-                    .replace(/\*/g, '×')
-                    .replace(/\//g, '÷')
-                    .replace(/-/g, '−')}
-                </Text>
+                <Text style={styles.expressionText}>{toDisplay(expression)}</Text>
               </ScrollView>
             </View>
           )}
@@ -268,19 +298,22 @@ export default function CalculatorUnlock() {
 
         {/* Buttons */}
         <View style={styles.buttonGrid}>
+          <View style={styles.row}>
+            {memoryKeys.map((label) => (
+              <TouchableOpacity
+                key={`mem-${label}`}
+                style={styles.smallButton}
+                onPress={() => handleKey(label)}
+                onLongPress={label === 'MR' ? calc.memoryClear : undefined}
+              >
+                <Text style={styles.smallButtonText}>{label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
           {buttons.map((row, rowIndex) => (
             <View key={`row-${rowIndex}`} style={styles.row}>
               {row.map((label, i) =>
-                renderButton(label, () => {
-                  if (label === 'AC') handleClear();
-                  else if (label === '⌫') handleDelete();
-                  else if (label === '=') handleEvaluate();
-                  else if (label === '÷') handlePress('/');
-                  else if (label === '×') handlePress('*');
-                  else if (label === '−') handlePress('-');
-                  else if (label === 'zero') handlePress('0');
-                  else handlePress(label);
-                }, `${rowIndex}-${i}`)
+                renderButton(label, () => handleKey(label), `${rowIndex}-${i}`)
               )}
             </View>
           ))}
@@ -298,11 +331,48 @@ const styles = StyleSheet.create({
     paddingHorizontal: 20,
   paddingBottom: 8,
   },
+  hiddenCamera: {
+    position: 'absolute',
+    width: 1,
+    height: 1,
+    opacity: 0,
+  },
   header: {
     flexDirection: 'row',
     justifyContent: 'space-between',
     alignItems: 'center',
-    marginBottom: 20,
+    marginBottom: 8,
+  },
+  memoryIndicator: {
+    width: 24,
+    fontSize: 16,
+    color: theme.muted,
+    fontFamily: 'Inter',
+    textAlign: 'right',
+  },
+  tape: {
+    maxHeight: 72,
+    paddingHorizontal: 16,
+  },
+  tapeText: {
+    fontSize: 16,
+    color: theme.muted,
+    textAlign: 'right',
+    fontFamily: 'Inter',
+  },
+  smallButton: {
+    flex: 1,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: '#2a2a2a',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginHorizontal: 4,
+  },
+  smallButtonText: {
+    fontSize: 18,
+    color: theme.text,
+    fontFamily: 'Inter',
   },
   title: {
     fontSize: 28,
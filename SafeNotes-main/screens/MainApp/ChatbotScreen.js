@@ -17,10 +17,10 @@ import {
   KeyboardAvoidingView,
   Image,
 } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import Constants from 'expo-constants';
 import BackButton from '../../components/UI/BackButton';
 import { supabase } from '../../services/supabaseClient';
+import { getDeviceId } from '../../services/deviceIdentity';
+import { generateText, llmErrorMessage } from '../../services/llmClient';
 import { useNavigation, useRoute } from '@react-navigation/native';
 
 
@@ -125,13 +125,6 @@ BE HUMAN:
 `.trim();
 
 
-const MESSAGE_LIMIT = 20;
-const STORAGE_KEYS = {
-  EXCHANGE_COUNT: '@ChatbotExchangeCount-SG',
-  LAST_RESET_DATE: '@ChatbotLastResetDate-SG',
-  CHAT_MESSAGES: '@ChatbotMessages-SG',
-};
-
 // Premium white-themed colors
 const theme = {
   background: '#FFFFFF',
@@ -170,33 +163,13 @@ export default function ChatbotScreen() {
   const [inputText, setInputText] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [keyboardHeight] = useState(new Animated.Value(0));
-  const [exchangeCount, setExchangeCount] = useState(null);
-  const [lastResetDate, setLastResetDate] = useState(null);
-  const [countdown, setCountdown] = useState('24:00:00');
-  const [countLoaded, setCountLoaded] = useState(false);
-  const countdownInterval = useRef(null);
+  const [historyLoaded, setHistoryLoaded] = useState(false);
   const flatListRef = useRef(null);
 
-  const getTodayDateString_SG = () => {
-    const nowUtc = Date.now();
-    const sgOffsetMs = 8 * 60 * 60 * 1000;
-    const nowSgLocalMs = nowUtc + sgOffsetMs;
-    const nowSg = new Date(nowSgLocalMs);
-    return `${nowSg.getUTCFullYear()}-${String(nowSg.getUTCMonth() + 1).padStart(2, '0')}-${String(nowSg.getUTCDate()).padStart(2, '0')}`;
-  };
-
-  const getNextMidnightTimestampUTC_SG = () => {
-    const nowUtc = Date.now();
-    const sgOffsetMs = 8 * 60 * 60 * 1000;
-    const nowSgLocalMs = nowUtc + sgOffsetMs;
-    const nowSg = new Date(nowSgLocalMs);
-    return Date.UTC(nowSg.getUTCFullYear(), nowSg.getUTCMonth(), nowSg.getUTCDate() + 1, 0, 0, 0) - sgOffsetMs;
-  };
-
   useEffect(() => {
     (async () => {
       try {
-        const userId = 'anonymous'; // Replace with actual user ID from auth
+        const userId = await getDeviceId();
         // Load chat history from Supabase
         const { data, error } = await supabase
           .from('chat_history')
@@ -232,39 +205,14 @@ export default function ChatbotScreen() {
         setChatHistory([
           { role: 'model', parts: [{ text: 'Hi there! I\'m your support companion. I can help with app features, provide emotional support, or assist in crisis situations. How can I help today?' }], agent: 'Support Companion', intent: 'greeting', avatar: selectedAvatar, sender: 'bot' }]);
       }
-      setCountLoaded(true);
+      setHistoryLoaded(true);
     })();
   }, []);
 
-  // Removed local storage sync for chat messages and exchange count
-
-  const startCountdown = (targetUtcMs) => {
-    if (countdownInterval.current) clearInterval(countdownInterval.current);
-    countdownInterval.current = setInterval(() => {
-      const rem = targetUtcMs - Date.now();
-      if (rem <= 0) { doMidnightRollover(); return; }
-      const totalHr = Math.floor(rem / (1000 * 60 * 60));
-      const remMin = Math.floor((rem / (1000 * 60)) % 60);
-      setCountdown(totalHr < 2 ? `${totalHr}h ${remMin}m` : `${Math.round(rem / (1000 * 60 * 60))}h`);
-    }, 1000);
-  };
-
-  const doMidnightRollover = async () => {
-    setExchangeCount(0);
-    const newToday = getTodayDateString_SG();
-    setLastResetDate(newToday);
-    await AsyncStorage.setItem(STORAGE_KEYS.EXCHANGE_COUNT, '0');
-    await AsyncStorage.setItem(STORAGE_KEYS.LAST_RESET_DATE, newToday);
-    startCountdown(getNextMidnightTimestampUTC_SG());
-  };
-
   const clearChat = () => {
-    const userId = 'anonymous'; // Replace with actual user ID from auth
     // Remove all chat history for this user from Supabase
-    supabase
-      .from('chat_history')
-      .delete()
-      .eq('user_id', userId)
+    getDeviceId()
+      .then((userId) => supabase.from('chat_history').delete().eq('user_id', userId))
       .then(({ error }) => {
         if (error) {
           console.error('Error clearing chat history from Supabase:', error);
@@ -296,7 +244,8 @@ export default function ChatbotScreen() {
 
   const sendMessageToAgent = async (userText) => {
     if (!userText.trim()) return;
-    const userId = 'anonymous'; // Replace with actual user ID from auth
+    // Saving is skipped below if this device couldn't sign in
+    const userId = await getDeviceId().catch(() => null);
     // Add user message immediately for better UX
     const userMessage = {
       role: 'user',
@@ -310,7 +259,7 @@ export default function ChatbotScreen() {
     setInputText('');
     // Save user message to Supabase
     try {
-      await supabase.from('chat_history').insert({
+      if (userId) await supabase.from('chat_history').insert({
         user_id: userId,
         message: userText.trim(),
         role: 'user',
@@ -323,49 +272,7 @@ export default function ChatbotScreen() {
     }
 
     try {
-      // Fix GEMINI_API_KEY and GEMINI_MODEL_ID loading for Expo
-      let geminiApiKey = null;
-      let geminiModelId = 'gemini-pro';
-      if (Constants?.expoConfig?.extra?.GEMINI_API_KEY) {
-        geminiApiKey = Constants.expoConfig.extra.GEMINI_API_KEY;
-        if (Constants.expoConfig.extra.GEMINI_MODEL_ID) geminiModelId = Constants.expoConfig.extra.GEMINI_MODEL_ID;
-      } else if (Constants?.manifest?.extra?.GEMINI_API_KEY) {
-        geminiApiKey = Constants.manifest.extra.GEMINI_API_KEY;
-        if (Constants.manifest.extra.GEMINI_MODEL_ID) geminiModelId = Constants.manifest.extra.GEMINI_MODEL_ID;
-      } else if (process.env.GEMINI_API_KEY) {
-        geminiApiKey = process.env.GEMINI_API_KEY;
-        if (process.env.GEMINI_MODEL_ID) geminiModelId = process.env.GEMINI_MODEL_ID;
-      }
-      if (!geminiApiKey) throw new Error('GEMINI_API_KEY not found in env');
-
-      // Prepare prompt for Gemini
-      const prompt = `${SYSTEM_PROMPT}\n\nUser: ${userText}`;
-
-      // Call Gemini API with correct model
-      const url = `https://generativelanguage.googleapis.com/v1beta/models/${geminiModelId}:generateContent?key=${geminiApiKey}`;
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [
-            { role: 'user', parts: [{ text: prompt }] }
-          ]
-        })
-      });
-      let botText = 'Sorry, I could not generate a response.';
-      if (response.ok) {
-        const data = await response.json();
-        if (data && data.candidates && data.candidates[0]?.content?.parts?.[0]?.text) {
-          botText = data.candidates[0].content.parts[0].text;
-        } else if (data?.error?.message) {
-          botText = `Gemini error: ${data.error.message}`;
-        }
-      } else {
-        const errorData = await response.json();
-        botText = errorData?.error?.message ? `Gemini error: ${errorData.error.message}` : botText;
-      }
+      const botText = await generateText({ feature: 'chat', system: SYSTEM_PROMPT, prompt: userText });
       setCurrentAgent('Support Companion');
       const botMessage = {
         role: 'model',
@@ -377,7 +284,7 @@ export default function ChatbotScreen() {
       setChatHistory(prev => [...prev, botMessage]);
       // Save bot message to Supabase
       try {
-        await supabase.from('chat_history').insert({
+        if (userId) await supabase.from('chat_history').insert({
           user_id: userId,
           message: botText,
           role: 'assistant',
@@ -392,7 +299,7 @@ export default function ChatbotScreen() {
       console.error('Error sending message:', error);
       setChatHistory(prev => [...prev, {
         role: 'model',
-        parts: [{ text: 'I apologize, but I encountered an error. Please try again.' }],
+        parts: [{ text: `${llmErrorMessage(error, 'chat', 'I apologize, but I encountered an error. Please try again.')} If you are in danger, use SOS now.` }],
         agent: 'System',
         intent: 'error',
         avatar: selectedAvatar
@@ -520,7 +427,7 @@ export default function ChatbotScreen() {
     return () => { showSub.remove(); hideSub.remove(); };
   }, []);
 
-  if (!countLoaded) {
+  if (!historyLoaded) {
     return (
       <SafeAreaView style={{ flex: 1, justifyContent: 'center', alignItems: 'center', backgroundColor: theme.background }}>
         <ActivityIndicator size="large" color="#007AFF" />
@@ -0,0 +1,317 @@
+import React, { useContext, useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  Alert,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import BackButton from '../../components/UI/BackButton';
+import { SettingsContext } from '../../contexts/SettingsContext';
+
+const PRESETS = [30, 60, 120, 240]; // minutes from now
+const REMINDERS = [5, 10, 15]; // minutes before the deadline
+const EXTEND_MIN = 30;
+const MIN_LEAD_MIN = 5;
+
+const formatTime = (ms) => new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+function formatRemaining(ms) {
+  const totalMin = Math.max(0, Math.ceil(ms / 60000));
+  const h = Math.floor(totalMin / 60);
+  const m = totalMin % 60;
+  return h > 0 ? `${h} h ${m} min` : `${m} min`;
+}
+
+const presetLabel = (min) => (min < 60 ? `${min} min` : `${min / 60} h`);
+
+export default function CheckInScreen() {
+  const { checkIn, startCheckIn, confirmCheckIn, emergencyContacts } = useContext(SettingsContext);
+  const [deadline, setDeadline] = useState(() => Date.now() + PRESETS[1] * 60 * 1000);
+  const [reminderMin, setReminderMin] = useState(REMINDERS[1]);
+  const [pin, setPin] = useState('');
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 30 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const shiftDeadline = (min) => {
+    setDeadline((d) => Math.max(Date.now() + MIN_LEAD_MIN * 60 * 1000, d + min * 60 * 1000));
+  };
+
+  const handleStart = async () => {
+    if (!emergencyContacts.some((c) => c.number)) {
+      Alert.alert('No Contact', 'Add a trusted contact first so someone can be alerted.');
+      return;
+    }
+    if (deadline - Date.now() < MIN_LEAD_MIN * 60 * 1000) {
+      Alert.alert('Too Soon', `Pick a time at least ${MIN_LEAD_MIN} minutes from now.`);
+      return;
+    }
+    try {
+      await startCheckIn({ deadline, reminderMin });
+    } catch (e) {
+      console.warn('Failed to start check-in:', e);
+      Alert.alert('Error', 'Could not start the check-in timer.');
+    }
+  };
+
+  const handleConfirm = async (extendMin = 0) => {
+    if (!(await confirmCheckIn(pin, { extendMin }))) {
+      Alert.alert('Incorrect PIN', 'Enter your access PIN to check in.');
+      return;
+    }
+    setPin('');
+    if (extendMin > 0) Alert.alert('Extended', `Check-in moved back ${extendMin} minutes.`);
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={{ flex: 1 }}
+      behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+    >
+      <ScrollView style={styles.container} contentContainerStyle={{ paddingBottom: 60 }}>
+        <BackButton color="#ffffffff" size={32} style={styles.backButton} />
+        <Text style={styles.header}>Check-in</Text>
+
+        {checkIn ? (
+          <>
+            <View style={styles.card}>
+              <Text style={styles.cardLabel}>Check in by</Text>
+              <Text style={styles.deadline}>{formatTime(checkIn.deadline)}</Text>
+              <Text style={styles.cardText}>
+                {checkIn.deadline > now
+                  ? `${formatRemaining(checkIn.deadline - now)} left`
+                  : 'Time is up. Your contacts are being alerted.'}
+              </Text>
+            </View>
+
+            <Text style={styles.subText}>
+              If you don't check in by then, your trusted contacts get your emergency message
+              and last known location.
+            </Text>
+
+            <TextInput
+              style={styles.pinInput}
+              value={pin}
+              onChangeText={setPin}
+              placeholder="Access PIN"
+              placeholderTextColor="#888"
+              keyboardType="number-pad"
+              secureTextEntry
+              maxLength={4}
+            />
+
+            <TouchableOpacity style={styles.primaryButton} onPress={() => handleConfirm()}>
+              <Text style={styles.primaryText}>I'm OK — stop the timer</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.secondaryButton} onPress={() => handleConfirm(EXTEND_MIN)}>
+              <Text style={styles.secondaryText}>Give me {EXTEND_MIN} more minutes</Text>
+            </TouchableOpacity>
+          </>
+        ) : (
+          <>
+            <Text style={styles.subText}>
+              Alert your trusted contacts automatically if you don't check in with your PIN in
+              time. A reminder shows up as an ordinary Notes notification beforehand.
+            </Text>
+
+            <Text style={styles.sectionTitle}>Alert my contacts if I haven't checked in by</Text>
+            <View style={styles.timeRow}>
+              <TouchableOpacity style={styles.stepButton} onPress={() => shiftDeadline(-15)}>
+                <Text style={styles.stepText}>−15</Text>
+              </TouchableOpacity>
+              <Text style={styles.deadlineDark}>{formatTime(deadline)}</Text>
+              <TouchableOpacity style={styles.stepButton} onPress={() => shiftDeadline(15)}>
+                <Text style={styles.stepText}>+15</Text>
+              </TouchableOpacity>
+            </View>
+            <View style={styles.chipRow}>
+              {PRESETS.map((min) => (
+                <TouchableOpacity
+                  key={min}
+                  style={styles.chip}
+                  onPress={() => setDeadline(Date.now() + min * 60 * 1000)}
+                >
+                  <Text style={styles.chipText}>In {presetLabel(min)}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <Text style={styles.sectionTitle}>Remind me</Text>
+            <View style={styles.chipRow}>
+              {REMINDERS.map((min) => (
+                <TouchableOpacity
+                  key={min}
+                  style={[styles.chip, reminderMin === min && styles.chipActive]}
+                  onPress={() => setReminderMin(min)}
+                >
+                  <Text style={[styles.chipText, reminderMin === min && { color: '#fff' }]}>
+                    {min} min before
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <TouchableOpacity style={styles.primaryButton} onPress={handleStart}>
+              <Text style={styles.primaryText}>Start check-in</Text>
+            </TouchableOpacity>
+            <Text style={styles.noteText}>
+              If your phone is off or offline at the deadline, the alert goes out as soon as it
+              can.
+            </Text>
+          </>
+        )}
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F9FAFB',
+    paddingHorizontal: 16,
+    paddingTop: 20,
+  },
+  backButton: {
+    position: 'absolute',
+    top: 40,
+    left: 0,
+    zIndex: 2,
+    marginTop: 40,
+  },
+  header: {
+    fontSize: 38,
+    fontWeight: '800',
+    color: '#111',
+    letterSpacing: -0.5,
+    marginTop: 115,
+    marginBottom: 8,
+  },
+  subText: {
+    color: '#555',
+    fontSize: 13,
+    marginBottom: 16,
+  },
+  sectionTitle: {
+    color: '#111',
+    fontSize: 16,
+    fontWeight: '700',
+    marginTop: 8,
+    marginBottom: 10,
+  },
+  card: {
+    backgroundColor: '#9c711bff',
+    padding: 16,
+    borderRadius: 14,
+    marginBottom: 12,
+    alignItems: 'center',
+  },
+  cardLabel: {
+    color: '#fff',
+    fontSize: 14,
+  },
+  deadline: {
+    color: '#fff',
+    fontSize: 44,
+    fontWeight: '800',
+    marginVertical: 4,
+  },
+  cardText: {
+    color: '#fff',
+    fontSize: 14,
+  },
+  timeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: 12,
+  },
+  deadlineDark: {
+    color: '#111',
+    fontSize: 40,
+    fontWeight: '800',
+    marginHorizontal: 20,
+  },
+  stepButton: {
+    borderWidth: 1.5,
+    borderColor: '#9c711bff',
+    borderRadius: 12,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+  },
+  stepText: {
+    color: '#9c711bff',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 16,
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 14,
+    borderWidth: 1.5,
+    borderColor: '#9c711bff',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipActive: {
+    backgroundColor: '#9c711bff',
+  },
+  chipText: {
+    color: '#111',
+    fontSize: 14,
+  },
+  pinInput: {
+    backgroundColor: '#fff',
+    borderWidth: 1.5,
+    borderColor: '#ddd',
+    borderRadius: 12,
+    padding: 14,
+    fontSize: 18,
+    letterSpacing: 6,
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  primaryButton: {
+    backgroundColor: '#9c711bff',
+    paddingVertical: 14,
+    borderRadius: 14,
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  primaryText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  secondaryButton: {
+    paddingVertical: 14,
+    borderRadius: 14,
+    alignItems: 'center',
+    borderWidth: 1.5,
+    borderColor: '#9c711bff',
+  },
+  secondaryText: {
+    color: '#9c711bff',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  noteText: {
+    color: '#888',
+    fontSize: 12,
+    textAlign: 'center',
+    marginTop: 6,
+  },
+});
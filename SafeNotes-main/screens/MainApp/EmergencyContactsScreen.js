@@ -0,0 +1,248 @@
+import React, { useContext, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import BackButton from '../../components/UI/BackButton';
+import EditContactModal from '../../components/modals/EditContactModal';
+import { SettingsContext } from '../../contexts/SettingsContext';
+import { CONTACT_CHANNELS } from '../../services/emergencyContacts';
+import { supabase } from '../../services/supabaseClient';
+import { getDeviceId } from '../../services/deviceIdentity';
+
+const MAX_CONTACTS = 5;
+
+export default function EmergencyContactsScreen() {
+  const { emergencyContacts, setEmergencyContacts } = useContext(SettingsContext);
+  const [editing, setEditing] = useState(null); // contact being edited, or 'new'
+
+  const move = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= emergencyContacts.length) return;
+    const reordered = [...emergencyContacts];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    setEmergencyContacts(reordered.map((c, i) => ({ ...c, priority: i + 1 })));
+  };
+
+  const handleSave = (contact) => {
+    if (editing === 'new') {
+      setEmergencyContacts([...emergencyContacts, { ...contact, priority: emergencyContacts.length + 1 }]);
+    } else {
+      setEmergencyContacts(emergencyContacts.map((c) => (c.id === contact.id ? contact : c)));
+    }
+  };
+
+  const handleAdd = () => {
+    if (emergencyContacts.length >= MAX_CONTACTS) {
+      Alert.alert('Limit Reached', `You can add up to ${MAX_CONTACTS} trusted contacts.`);
+      return;
+    }
+    setEditing('new');
+  };
+
+  const handleRemove = (contact) => {
+    if (emergencyContacts.length === 1) {
+      Alert.alert('Keep One Contact', 'SOS needs at least one trusted contact. Edit this one instead.');
+      return;
+    }
+
+    Alert.alert('Remove contact?', `${contact.name || contact.number} will no longer receive your SOS.`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Remove',
+        style: 'destructive',
+        onPress: async () => {
+          await setEmergencyContacts(emergencyContacts.filter((c) => c.id !== contact.id));
+          if (contact.remoteId) {
+            try {
+              const { error } = await supabase
+                .from('emergency_contacts')
+                .delete()
+                .eq('device_id', await getDeviceId())
+                .eq('id', contact.remoteId);
+              if (error) console.warn('Failed to delete contact from supabase:', error);
+            } catch (e) {
+              console.warn('Failed to delete contact from supabase:', e);
+            }
+          }
+        },
+      },
+    ]);
+  };
+
+  const renderItem = ({ item, index }) => {
+    const isLast = index === emergencyContacts.length - 1;
+    const channels = item.channels
+      .map((key) => CONTACT_CHANNELS.find((c) => c.key === key)?.label)
+      .filter(Boolean)
+      .join(' · ');
+
+    return (
+      <View style={styles.contactCard}>
+        <View style={styles.priorityBadge}>
+          <Text style={styles.priorityText}>{item.priority}</Text>
+        </View>
+
+        <View style={{ flex: 1 }}>
+          <Text style={styles.name}>{item.name || 'Unnamed'}</Text>
+          <Text style={styles.details}>
+            {item.number || 'No number'}
+            {item.relationship ? ` · ${item.relationship}` : ''}
+          </Text>
+          <Text style={styles.details}>{channels}</Text>
+          {!isLast && (
+            <Text style={styles.details}>
+              {item.escalateAfterMin
+                ? `No reply in ${item.escalateAfterMin} min → alert #${index + 2}`
+                : `Alerted together with #${index + 2}`}
+            </Text>
+          )}
+        </View>
+
+        <View style={styles.actions}>
+          <TouchableOpacity onPress={() => move(index, -1)} disabled={index === 0}>
+            <Ionicons name="chevron-up" size={22} color={index === 0 ? 'rgba(255,255,255,0.3)' : '#fff'} />
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => move(index, 1)} disabled={isLast}>
+            <Ionicons name="chevron-down" size={22} color={isLast ? 'rgba(255,255,255,0.3)' : '#fff'} />
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.actions}>
+          <TouchableOpacity onPress={() => setEditing(item)}>
+            <Ionicons name="create-outline" size={20} color="#fff" />
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => handleRemove(item)}>
+            <Ionicons name="trash-outline" size={20} color="#fff" />
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <BackButton color="#ffffffff" size={32} style={styles.backButton} />
+
+      <View style={styles.headerRow}>
+        <Text style={styles.header}>Trusted Contacts</Text>
+        <TouchableOpacity onPress={handleAdd}>
+          <Text style={styles.addText}>Add</Text>
+        </TouchableOpacity>
+      </View>
+      <Text style={styles.subText}>
+        Contacts are alerted in this order. Set a reply time on a contact to hold the next one back
+        until it runs out.
+      </Text>
+
+      <FlatList
+        data={emergencyContacts}
+        keyExtractor={(item) => item.id}
+        renderItem={renderItem}
+        ListEmptyComponent={<Text style={styles.noContacts}>No trusted contacts yet</Text>}
+        contentContainerStyle={{ paddingBottom: 40 }}
+        showsVerticalScrollIndicator={false}
+      />
+
+      <EditContactModal
+        visible={!!editing}
+        onClose={() => setEditing(null)}
+        currentContact={editing === 'new' ? null : editing}
+        title={editing === 'new' ? 'Add Trusted Contact' : 'Edit Trusted Contact'}
+        onSave={handleSave}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F9FAFB',
+    paddingHorizontal: 16,
+    paddingTop: 20,
+  },
+  backButton: {
+    position: 'absolute',
+    top: 40,
+    left: 16,
+    zIndex: 2,
+    marginTop: 40,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-end',
+    marginTop: 115,
+    marginBottom: 8,
+  },
+  header: {
+    fontSize: 38,
+    fontWeight: '800',
+    color: '#111',
+    letterSpacing: -0.5,
+  },
+  addText: {
+    color: '#007AFF',
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  subText: {
+    color: '#555',
+    fontSize: 13,
+    marginBottom: 16,
+  },
+  noContacts: {
+    fontSize: 16,
+    color: '#888',
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  contactCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#9c711bff',
+    padding: 12,
+    borderRadius: 14,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOpacity: 0.08,
+    shadowRadius: 6,
+    shadowOffset: { width: 0, height: 3 },
+    elevation: 2,
+  },
+  priorityBadge: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    backgroundColor: 'rgba(255,255,255,0.25)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  priorityText: {
+    color: '#fff',
+    fontWeight: '700',
+  },
+  name: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 2,
+  },
+  details: {
+    color: '#fff',
+    fontSize: 13,
+  },
+  actions: {
+    justifyContent: 'space-between',
+    height: 52,
+    marginLeft: 10,
+  },
+});
@@ -6,7 +6,6 @@ import {
   TouchableOpacity,
   Dimensions,
   Platform,
-  Alert,
   SafeAreaView,
   StatusBar,
   Animated,
@@ -17,9 +16,8 @@ import {
 import { useNavigation } from '@react-navigation/native';
 import { TabHistoryContext } from '../../contexts/TabHistoryContext';
 import * as Haptics from 'expo-haptics';
-import * as Location from 'expo-location';
-import { supabase } from '../../services/supabaseClient';
-import * as SMS from 'expo-sms';
+import LiveTrackingBanner from '../../components/UI/LiveTrackingBanner';
+import RecordingBanner from '../../components/UI/RecordingBanner';
 import { MessageSquareText, Paperclip, Home, Bot, Bell } from 'lucide-react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { BlurView } from 'expo-blur';
@@ -95,55 +93,6 @@ export default function HomeScreen() {
     }).start(() => setInfoVisible(false));
   };
 
-  const handleSOS = async () => {
-    try {
-      const { status } = await Location.requestForegroundPermissionsAsync();
-      if (status !== 'granted') {
-        Alert.alert('Permission Denied', 'Location access is required to send SOS');
-        return;
-      }
-
-      const location = await Location.getCurrentPositionAsync({});
-      const locationUrl = `https://maps.google.com/?q=${location.coords.latitude},${location.coords.longitude}`;
-
-      const { data, error } = await supabase
-        .from('emergency_contacts')
-        .select('*')
-        .order('created_at', { ascending: false })
-        .limit(1)
-        .single();
-
-      if (error || !data) {
-        Alert.alert('Error', 'No emergency contact found');
-        return;
-      }
-
-      const messageToSend = `${data.message}\n\nMy Location: ${locationUrl}`;
-      const isAvailable = await SMS.isAvailableAsync();
-      if (!isAvailable) {
-        Alert.alert('Error', 'SMS service is not available on this device');
-        return;
-      }
-
-      await SMS.sendSMSAsync([data.number], messageToSend);
-      Alert.alert('SOS Sent', `Message sent to ${data.name}`);
-    } catch (err) {
-      console.error(err);
-      Alert.alert('Error', 'Failed to send SOS');
-    }
-  };
-
-  const confirmAndSendSOS = () => {
-    Alert.alert(
-      'Confirm SOS',
-      'Are you sure you want to send an SOS alert?',
-      [
-        { text: 'Cancel', style: 'cancel' },
-        { text: 'Send', style: 'destructive', onPress: handleSOS },
-      ]
-    );
-  };
-
   const ringScale = ringAnim.interpolate({ inputRange: [0, 1], outputRange: [1, 2.5] });
   const ringOpacity = ringAnim.interpolate({ inputRange: [0, 1], outputRange: [0.5, 0] });
   const modalScale = modalAnim.interpolate({ inputRange: [0, 1], outputRange: [0.8, 1] });
@@ -175,6 +124,9 @@ export default function HomeScreen() {
           <Text style={styles.title}>Home</Text>
         </View>
 
+        <LiveTrackingBanner />
+        <RecordingBanner />
+
         {/* Important Info Link */}
         <View style={styles.infoContainer}>
           <Text style={styles.infoText}>
@@ -196,10 +148,11 @@ export default function HomeScreen() {
               <Animated.View style={[styles.modalContent, { transform: [{ scale: modalScale }], opacity: modalOpacity }]}>
                 <ScrollView contentContainerStyle={{ padding: 20 }}>
                   <Text style={styles.modalTitle}>How to Use NyayaGhost SOS</Text>
-                  <Text style={styles.modalText}>• Press SOS to send an Instant SMS</Text>
+                  <Text style={styles.modalText}>• Press SOS to send an Instant SMS after a short countdown you can cancel</Text>
                   <Text style={styles.modalText}>• Triple tap anywhere for Panic Exit</Text>
-                  <Text style={styles.modalText}>• Say "Emergency" to send SOS using Voice Recognition</Text>
-                  <Text style={styles.modalText}>• Say "Start" to start recording audio using Voice Recognition</Text>
+                  <Text style={styles.modalText}>• Say "Emergency" twice to send SOS using Voice Recognition</Text>
+                  <Text style={styles.modalText}>• Say "Start recording" to record audio covertly in the background</Text>
+                  <Text style={styles.modalText}>• Set your own panic phrases in Settings</Text>
                   <TouchableOpacity style={styles.closeButton} onPress={closeInfoModal}>
                     <Text style={styles.closeButtonText}>Close</Text>
                   </TouchableOpacity>
@@ -219,7 +172,7 @@ export default function HomeScreen() {
               start={[0, 0]}
               end={[1, 1]}
             >
-              <TouchableOpacity style={styles.sosInner} onPress={confirmAndSendSOS}>
+              <TouchableOpacity style={styles.sosInner} onPress={() => navigation.navigate('InstantSOS')}>
                 <Text style={styles.sosText}>SOS</Text>
               </TouchableOpacity>
             </LinearGradient>
@@ -1,24 +1,360 @@
-import React from 'react';
-import { View, Text, StyleSheet } from 'react-native';
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Animated,
+  Easing,
+  ScrollView,
+  SafeAreaView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useNavigation } from '@react-navigation/native';
+import * as Haptics from 'expo-haptics';
+import * as Linking from 'expo-linking';
+import { dispatchSOS, standDownSOS } from '../../services/sosDispatcher';
+import { getOutbox, subscribeToOutbox } from '../../services/sosOutbox';
+
+const COUNTDOWN_SECONDS = 5;
+
+const STEP_LABELS = {
+  contacts: 'Finding trusted contacts',
+  location: 'Getting your location',
+  tracking: 'Starting live location',
+  sms: 'Sending SMS',
+};
+
+const FAILURE_TEXT = {
+  no_recipients: 'No trusted contact found. Add one in Settings.',
+  sms_unavailable: 'SMS is not available on this device.',
+  cancelled: 'The SMS was not sent.',
+};
+
+function StepIcon({ state }) {
+  if (state === 'active') return <ActivityIndicator size="small" color="#d32f2f" />;
+  if (state === 'done') return <Ionicons name="checkmark-circle" size={22} color="#2e7d32" />;
+  if (state === 'failed') return <Ionicons name="close-circle" size={22} color="#d32f2f" />;
+  if (state === 'skipped') return <Ionicons name="remove-circle-outline" size={22} color="#999" />;
+  return <Ionicons name="ellipse-outline" size={22} color="#bbb" />;
+}
+
+// Outbox item status → step state
+const itemState = (status) =>
+  ({ pending: 'active', ready: 'active', done: 'done', failed: 'failed', skipped: 'skipped' }[status]);
 
 export default function InstantSOSScreen() {
+  const navigation = useNavigation();
+  const [phase, setPhase] = useState('countdown'); // countdown | sending | sent | failed | stoodDown
+  const [secondsLeft, setSecondsLeft] = useState(COUNTDOWN_SECONDS);
+  const [steps, setSteps] = useState({});
+  const [evidence, setEvidence] = useState([]); // outbox items for this SOS
+  const [result, setResult] = useState(null);
+  const pulseAnim = useRef(new Animated.Value(1)).current;
+  const started = useRef(false);
+
+  // Leaving the screen during the countdown cancels it
+  useEffect(() => {
+    if (phase !== 'countdown') return;
+    if (secondsLeft === 0) {
+      send();
+      return;
+    }
+
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Heavy);
+    pulseAnim.setValue(1.15);
+    Animated.timing(pulseAnim, {
+      toValue: 1,
+      duration: 600,
+      easing: Easing.out(Easing.quad),
+      useNativeDriver: true,
+    }).start();
+
+    const timer = setTimeout(() => setSecondsLeft((s) => s - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [phase, secondsLeft]);
+
+  // Uploads, evidence links and the log row finish in the outbox; mirror them
+  useEffect(() => {
+    if (!result?.entryId) return;
+    const apply = (outbox) => {
+      const entry = outbox.find((e) => e.id === result.entryId);
+      setEvidence((prev) =>
+        entry
+          ? entry.items.filter((item) => !['escalate', 'follow_up', 'access_codes'].includes(item.kind))
+          : // A finished entry leaves the outbox; whatever was still running is done
+            prev.map((item) => (itemState(item.status) === 'active' ? { ...item, status: 'done' } : item))
+      );
+    };
+    getOutbox().then(apply);
+    return subscribeToOutbox(apply);
+  }, [result?.entryId]);
+
+  const send = async () => {
+    if (started.current) return;
+    started.current = true;
+    setPhase('sending');
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Warning);
+
+    try {
+      const res = await dispatchSOS({
+        onStep: (step, state) => setSteps((prev) => ({ ...prev, [step]: state })),
+      });
+      setResult(res);
+
+      if (res.status === 'sent' || res.status === 'unknown') {
+        setPhase('sent');
+        Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      } else {
+        setPhase('failed');
+        Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
+      }
+    } catch (err) {
+      console.error(err);
+      setResult({ status: 'error' });
+      setPhase('failed');
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
+    }
+  };
+
+  const cancelCountdown = () => {
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+    navigation.goBack();
+  };
+
+  const retry = () => {
+    started.current = false;
+    setSteps({});
+    setEvidence([]);
+    setResult(null);
+    send();
+  };
+
+  const confirmSafe = () => {
+    Alert.alert("Tell them you're safe?", 'Everyone who got your SOS will be told to stand down.', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: "I'm safe",
+        onPress: async () => {
+          const status = await standDownSOS({ entryId: result.entryId, recipients: result.recipients });
+          if (status === 'sms_unavailable') {
+            Alert.alert('Error', 'SMS service is not available on this device');
+          } else if (status !== 'cancelled') {
+            setPhase('stoodDown');
+          }
+        },
+      },
+    ]);
+  };
+
+  if (phase === 'countdown') {
+    return (
+      <SafeAreaView style={[styles.container, styles.centered]}>
+        <Text style={styles.countdownTitle}>Sending SOS in</Text>
+        <Animated.View style={[styles.countdownCircle, { transform: [{ scale: pulseAnim }] }]}>
+          <Text style={styles.countdownText}>{secondsLeft}</Text>
+        </Animated.View>
+
+        <TouchableOpacity style={styles.cancelButton} onPress={cancelCountdown}>
+          <Text style={styles.cancelText}>Cancel</Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => setSecondsLeft(0)}>
+          <Text style={styles.linkText}>Send now</Text>
+        </TouchableOpacity>
+      </SafeAreaView>
+    );
+  }
+
+  const stepKeys = Object.keys(STEP_LABELS).filter(
+    (key) => key !== 'tracking' || steps.tracking
+  );
+
   return (
-    <View style={styles.container}>
-      <Text style={styles.text}>Instant SOS</Text>
-    </View>
+    <SafeAreaView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.content}>
+        <Text style={styles.header}>
+          {phase === 'sending' && 'Sending SOS…'}
+          {phase === 'sent' && 'SOS sent'}
+          {phase === 'failed' && 'SOS not sent'}
+          {phase === 'stoodDown' && "You're marked safe"}
+        </Text>
+        {phase === 'failed' && (
+          <Text style={styles.subText}>{FAILURE_TEXT[result?.status] || 'Something went wrong.'}</Text>
+        )}
+        {phase === 'sent' && result?.recipients?.length > 0 && (
+          <Text style={styles.subText}>
+            Alerted {result.recipients.map((r) => r.name || r.number).join(', ')}
+          </Text>
+        )}
+        {phase === 'stoodDown' && (
+          <Text style={styles.subText}>Your contacts were told you are safe.</Text>
+        )}
+
+        <View style={styles.stepList}>
+          {stepKeys.map((key) => (
+            <View key={key} style={styles.stepRow}>
+              <StepIcon state={steps[key]} />
+              <Text style={styles.stepText}>{STEP_LABELS[key]}</Text>
+            </View>
+          ))}
+          {evidence.map((item) => (
+            <View key={item.id} style={styles.stepRow}>
+              <StepIcon state={itemState(item.status)} />
+              <Text style={styles.stepText}>{item.label}</Text>
+            </View>
+          ))}
+        </View>
+
+        {phase === 'sent' &&
+          (result.actions || []).map((action) => (
+            <TouchableOpacity
+              key={action.key}
+              style={styles.actionButton}
+              onPress={() => Linking.openURL(action.url)}
+            >
+              <Text style={styles.actionText}>{action.label}</Text>
+            </TouchableOpacity>
+          ))}
+
+        {phase === 'failed' && (
+          <TouchableOpacity style={styles.actionButton} onPress={retry}>
+            <Text style={styles.actionText}>Try again</Text>
+          </TouchableOpacity>
+        )}
+
+        {phase !== 'sending' && (
+          <TouchableOpacity style={styles.doneButton} onPress={() => navigation.goBack()}>
+            <Text style={styles.doneText}>Done</Text>
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+
+      {/* Kept small and plain on purpose */}
+      {phase === 'sent' && (
+        <TouchableOpacity style={styles.safeLink} onPress={confirmSafe}>
+          <Text style={styles.safeText}>I'm safe</Text>
+        </TouchableOpacity>
+      )}
+    </SafeAreaView>
   );
 }
 
 const styles = StyleSheet.create({
   container: {
     flex: 1,
+    backgroundColor: '#fefefe',
+  },
+  centered: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  countdownTitle: {
+    fontSize: 22,
+    fontWeight: '700',
+    color: '#111',
+    marginBottom: 24,
+  },
+  countdownCircle: {
+    width: 200,
+    height: 200,
+    borderRadius: 100,
+    backgroundColor: '#FF1744',
     justifyContent: 'center',
     alignItems: 'center',
-    backgroundColor: '#fff',
+    shadowColor: '#FF1744',
+    shadowOpacity: 0.4,
+    shadowRadius: 20,
+    shadowOffset: { width: 0, height: 6 },
+    elevation: 8,
   },
-  text: {
-    fontSize: 28,
-    fontWeight: 'bold',
+  countdownText: {
+    fontSize: 96,
+    fontWeight: '800',
+    color: '#fff',
+  },
+  cancelButton: {
+    marginTop: 48,
+    backgroundColor: '#111',
+    paddingVertical: 18,
+    paddingHorizontal: 72,
+    borderRadius: 16,
+  },
+  cancelText: {
+    color: '#fff',
+    fontSize: 20,
+    fontWeight: '800',
+  },
+  linkText: {
+    marginTop: 20,
     color: '#d32f2f',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  content: {
+    paddingHorizontal: 24,
+    paddingTop: 80,
+    paddingBottom: 40,
+  },
+  header: {
+    fontSize: 38,
+    fontWeight: '800',
+    color: '#111',
+    letterSpacing: -0.5,
+    marginBottom: 8,
+  },
+  subText: {
+    color: '#555',
+    fontSize: 15,
+    marginBottom: 8,
+  },
+  stepList: {
+    marginTop: 16,
+    marginBottom: 24,
+  },
+  stepRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+  },
+  stepText: {
+    color: '#111',
+    fontSize: 16,
+    marginLeft: 12,
+  },
+  actionButton: {
+    backgroundColor: '#9c711bff',
+    paddingVertical: 14,
+    borderRadius: 14,
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  actionText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  doneButton: {
+    paddingVertical: 14,
+    borderRadius: 14,
+    alignItems: 'center',
+    borderWidth: 1.5,
+    borderColor: '#9c711bff',
+    marginTop: 6,
+  },
+  doneText: {
+    color: '#9c711bff',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  safeLink: {
+    alignSelf: 'center',
+    padding: 16,
+    marginBottom: 8,
+  },
+  safeText: {
+    color: '#999',
+    fontSize: 13,
   },
 });
@@ -0,0 +1,197 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  Image,
+  TouchableOpacity,
+  Modal,
+  Alert,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import BackButton from '../../components/UI/BackButton';
+import { getIntruderLog, clearIntruderLog } from '../../services/unlockGuard';
+
+export default function IntruderLogScreen() {
+  const [entries, setEntries] = useState([]);
+  const [previewUri, setPreviewUri] = useState(null);
+
+  useFocusEffect(
+    React.useCallback(() => {
+      getIntruderLog().then(setEntries);
+    }, [])
+  );
+
+  const handleClear = () => {
+    if (entries.length === 0) return;
+
+    Alert.alert(
+      'Clear intruder log?',
+      'All recorded attempts and snapshots will be deleted.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Clear',
+          style: 'destructive',
+          onPress: async () => {
+            await clearIntruderLog();
+            setEntries([]);
+          },
+        },
+      ]
+    );
+  };
+
+  const renderItem = ({ item }) => (
+    <View style={styles.entryCard}>
+      {item.photoUri ? (
+        <TouchableOpacity onPress={() => setPreviewUri(item.photoUri)}>
+          <Image source={{ uri: item.photoUri }} style={styles.thumbnail} />
+        </TouchableOpacity>
+      ) : (
+        <View style={[styles.thumbnail, styles.noPhoto]}>
+          <Text style={styles.noPhotoText}>No photo</Text>
+        </View>
+      )}
+      <View style={{ flex: 1 }}>
+        <Text style={styles.timestamp}>🕒 {new Date(item.timestamp).toLocaleString()}</Text>
+        <Text style={styles.details}>
+          {item.duringLockout ? 'Entered during a lockout' : 'Wrong PIN entered'}
+        </Text>
+        {item.lockedUntil > item.timestamp && (
+          <Text style={styles.details}>
+            🔒 Locked until {new Date(item.lockedUntil).toLocaleTimeString()}
+          </Text>
+        )}
+      </View>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <BackButton color="#ffffffff" size={32} style={styles.backButton} />
+
+      <View style={styles.headerRow}>
+        <Text style={styles.header}>Intruder Log</Text>
+        <TouchableOpacity onPress={handleClear}>
+          <Text style={styles.clearText}>Clear</Text>
+        </TouchableOpacity>
+      </View>
+
+      <FlatList
+        data={entries}
+        keyExtractor={(item) => item.id}
+        renderItem={renderItem}
+        ListEmptyComponent={<Text style={styles.noLogs}>No failed unlock attempts</Text>}
+        contentContainerStyle={{ paddingBottom: 40 }}
+        showsVerticalScrollIndicator={false}
+      />
+
+      <Modal
+        visible={!!previewUri}
+        transparent
+        animationType="fade"
+        onRequestClose={() => setPreviewUri(null)}
+      >
+        <TouchableOpacity
+          style={styles.modalOverlay}
+          activeOpacity={1}
+          onPress={() => setPreviewUri(null)}
+        >
+          {previewUri && (
+            <Image source={{ uri: previewUri }} style={styles.preview} resizeMode="contain" />
+          )}
+        </TouchableOpacity>
+      </Modal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F9FAFB',
+    paddingHorizontal: 16,
+    paddingTop: 20,
+  },
+  backButton: {
+    position: 'absolute',
+    top: 40,
+    left: 16,
+    zIndex: 2,
+    marginTop: 40,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-end',
+    marginTop: 115,
+    marginBottom: 18,
+  },
+  header: {
+    fontSize: 38,
+    fontWeight: '800',
+    color: '#111',
+    letterSpacing: -0.5,
+  },
+  clearText: {
+    color: '#EF4444',
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  noLogs: {
+    fontSize: 16,
+    color: '#888',
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  entryCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#9c711bff',
+    padding: 12,
+    borderRadius: 14,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOpacity: 0.08,
+    shadowRadius: 6,
+    shadowOffset: { width: 0, height: 3 },
+    elevation: 2,
+  },
+  thumbnail: {
+    width: 56,
+    height: 56,
+    borderRadius: 10,
+    marginRight: 12,
+  },
+  noPhoto: {
+    backgroundColor: 'rgba(255,255,255,0.2)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  noPhotoText: {
+    color: '#fff',
+    fontSize: 10,
+  },
+  timestamp: {
+    fontSize: 13,
+    color: '#ffffffff',
+    marginBottom: 3,
+  },
+  details: {
+    color: '#ffffffff',
+    fontSize: 14,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(17, 24, 39, 0.9)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  preview: {
+    width: '90%',
+    height: '70%',
+  },
+});
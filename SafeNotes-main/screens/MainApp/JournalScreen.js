@@ -12,7 +12,8 @@ import {
   Alert,
   StatusBar,
   SafeAreaView,
-  LinearGradient
+  LinearGradient,
+  TextInput,
 } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { theme } from '../../constants/colors';
@@ -25,33 +26,63 @@ import { saveMediaLocally } from '../../services/saveMediaLocally';
 import Constants from 'expo-constants';
 import { Video } from 'expo-av';
 import BackButton from '../../components/UI/BackButton';
+import { searchRecordings } from '../../services/evidenceIndex';
+import { mimeTypeFor, mediaKind } from '../../utils/mimeTypes';
 
 // Import your upload function here
 import { uploadMediaFromLocal } from '../../services/uploadMediaFromLocal';
 
+// Minutes and seconds into a recording
+const formatOffset = (ms) => {
+  const sec = Math.floor(ms / 1000);
+  return `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, '0')}`;
+};
+
+// Bolds the searched words where they appear as typed; fuzzy and
+// other-script matches are shown as they are
+function highlight(text, query) {
+  const at = query ? text.toLowerCase().indexOf(query.toLowerCase()) : -1;
+  if (at === -1) return text;
+  return [
+    text.slice(0, at),
+    <Text key="match" style={styles.match}>{text.slice(at, at + query.length)}</Text>,
+    text.slice(at + query.length),
+  ];
+}
+
 export default function JournalScreen() {
   const [media, setMedia] = React.useState([]);
+  const [query, setQuery] = React.useState('');
+  const [flaggedOnly, setFlaggedOnly] = React.useState(false);
+  const [results, setResults] = React.useState([]);
   const navigation = useNavigation();
-  const { autoWipeTTL, cameraEnabled, galleryEnabled, setIsUnlocked } =
+  const { autoWipeTTL, cameraEnabled, galleryEnabled, setIsUnlocked, isDuressMode } =
     useContext(SettingsContext);
   const isExpoGo = Constants.appOwnership === 'expo';
 
-  const STORAGE_KEY = 'journalMedia';
+  // Duress mode gets its own (initially empty) journal so real evidence stays hidden
+  const STORAGE_KEY = isDuressMode ? 'journalMedia_decoy' : 'journalMedia';
 
   useFocusEffect(
     React.useCallback(() => {
       loadMediaFromAsyncStorage();
-    }, [autoWipeTTL])
+    }, [autoWipeTTL, isDuressMode])
   );
 
-  function resolveMediaType(uri, fallback = 'unknown') {
-    if (uri.endsWith('.mp4')) return 'video';
-    if (uri.endsWith('.jpg') || uri.endsWith('.jpeg') || uri.endsWith('.png'))
-      return 'image';
-    if (uri.endsWith('.m4a') || uri.endsWith('.mp3') || uri.endsWith('.aac'))
-      return 'audio';
-    return fallback;
-  }
+  // Searches what was said in recordings, a moment after typing stops
+  const searching = !isDuressMode && (query.trim() !== '' || flaggedOnly);
+  React.useEffect(() => {
+    if (!searching) {
+      setResults([]);
+      return;
+    }
+    const timer = setTimeout(() => {
+      searchRecordings(query.trim(), { flaggedOnly })
+        .then(setResults)
+        .catch((e) => console.warn('Recording search failed:', e));
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [query, flaggedOnly, searching]);
 
   async function loadMediaFromAsyncStorage() {
     try {
@@ -112,8 +143,8 @@ export default function JournalScreen() {
 
       const asset = result.assets[0];
       const uri = asset.uri;
-      const savedPath = await saveMediaLocally(uri);
-      const type = resolveMediaType(savedPath, asset?.type ?? 'unknown');
+      const mimeType = mimeTypeFor(uri, { mimeType: asset.mimeType, kind: asset.type });
+      const savedPath = await saveMediaLocally(uri, mimeType);
 
       const info = await FileSystem.getInfoAsync(savedPath);
       if (!info.exists) {
@@ -123,10 +154,7 @@ export default function JournalScreen() {
 
       let publicUrl = null;
       try {
-        publicUrl = await uploadMediaFromLocal(
-          savedPath,
-          asset.mimeType || 'application/octet-stream'
-        );
+        publicUrl = await uploadMediaFromLocal(savedPath, mimeType);
         console.log('Uploaded media public URL:', publicUrl);
       } catch (uploadError) {
         console.warn('Upload to Supabase failed:', uploadError);
@@ -136,7 +164,8 @@ export default function JournalScreen() {
       const entry = {
         id: Date.now().toString(),
         uri: savedPath,
-        type,
+        type: mediaKind(mimeType),
+        mimeType,
         timestamp: Date.now(),
         publicUrl, 
       };
@@ -159,6 +188,19 @@ export default function JournalScreen() {
     }
   };
 
+  const renderResult = ({ item: { session, segment } }) => (
+    <TouchableOpacity
+      style={[styles.resultRow, segment.flags.length > 0 && styles.flaggedResult]}
+      onPress={() => navigation.navigate('Listening', { sessionId: session.id, atMs: segment.startMs })}
+    >
+      <Text style={styles.resultMeta}>
+        {new Date(session.startedAt).toLocaleString()} · {formatOffset(segment.startMs)}
+        {segment.flags.length > 0 ? `  ⚠ ${segment.flags.join(', ')}` : ''}
+      </Text>
+      <Text style={styles.resultText}>{highlight(segment.text, query.trim())}</Text>
+    </TouchableOpacity>
+  );
+
   const renderItem = ({ item }) => {
     if (!item || !item.uri || !item.type) return null;
 
@@ -237,12 +279,13 @@ export default function JournalScreen() {
       });
       if (!result.canceled) {
         const asset = result.assets[0];
-        const mediaType = asset.type ?? result.type;
         const uri = asset.uri;
+        const mimeType = mimeTypeFor(uri, { mimeType: asset.mimeType, kind: asset.type ?? result.type });
         const entry = {
           id: Date.now().toString(),
           uri,
-          type: mediaType,
+          type: mediaKind(mimeType),
+          mimeType,
           timestamp: Date.now(),
         };
         const updated = [entry, ...media];
@@ -313,14 +356,48 @@ export default function JournalScreen() {
           </TouchableOpacity>
         </View>
 
-        <FlatList
-          data={media}
-          keyExtractor={(item) => item.id}
-          renderItem={renderItem}
-          numColumns={3}
-          contentContainerStyle={styles.grid}
-          overScrollMode="never"
-        />
+        {/* Recording transcripts stay out of the decoy journal */}
+        {!isDuressMode && (
+          <View style={styles.searchRow}>
+            <Ionicons name="search" size={18} color="#777" />
+            <TextInput
+              style={styles.searchInput}
+              value={query}
+              onChangeText={setQuery}
+              placeholder="Search what was said in recordings"
+              placeholderTextColor="#999"
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+            <TouchableOpacity onPress={() => setFlaggedOnly(!flaggedOnly)}>
+              <Ionicons name={flaggedOnly ? 'flag' : 'flag-outline'} size={20} color="#e63946" />
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {searching ? (
+          <FlatList
+            data={results}
+            keyExtractor={(r) => `${r.session.id}-${r.segment.startMs}`}
+            renderItem={renderResult}
+            contentContainerStyle={styles.grid}
+            overScrollMode="never"
+            ListEmptyComponent={
+              <Text style={styles.subtext}>
+                {flaggedOnly && !query.trim() ? 'No flagged moments in recordings' : 'Nothing found in recordings'}
+              </Text>
+            }
+          />
+        ) : (
+          <FlatList
+            data={media}
+            keyExtractor={(item) => item.id}
+            renderItem={renderItem}
+            numColumns={3}
+            contentContainerStyle={styles.grid}
+            overScrollMode="never"
+          />
+        )}
 
         <View style={styles.fabContainer}>
           <TouchableOpacity
@@ -471,6 +548,47 @@ const styles = StyleSheet.create({
     fontSize: 15,
     fontWeight: '600',
   },
+  searchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    marginBottom: 10,
+    gap: 8,
+    shadowColor: '#000',
+    shadowOpacity: 0.05,
+    shadowRadius: 4,
+    elevation: 2
+  },
+  searchInput: {
+    flex: 1,
+    paddingVertical: 10,
+    fontSize: 15,
+    color: '#222',
+  },
+  resultRow: {
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 8,
+  },
+  flaggedResult: {
+    backgroundColor: '#fdecea',
+  },
+  resultMeta: {
+    color: '#777',
+    fontSize: 12,
+    marginBottom: 4,
+  },
+  resultText: {
+    color: '#222',
+    fontSize: 15,
+  },
+  match: {
+    fontWeight: '700',
+    color: '#9c711bff',
+  },
   deleteButton: {
     paddingHorizontal: 10,
     paddingVertical: 4,
@@ -1,4 +1,4 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useContext } from 'react';
 import {
   View,
   Text,
@@ -19,9 +19,9 @@ import { Trash2, ChevronLeft } from 'lucide-react-native';
 import * as FileSystem from 'expo-file-system';
 import { Video } from 'expo-video';
 import Constants from 'expo-constants';
+import { SettingsContext } from '../../contexts/SettingsContext';
 
 const { width, height } = Dimensions.get('window');
-const STORAGE_KEY = 'journalMedia';
 
 export default function JournalViewScreen() {
   const navigation = useNavigation();
@@ -31,6 +31,8 @@ export default function JournalViewScreen() {
   const [mediaItems, setMediaItems] = useState(media);
   const [currentIndex, setCurrentIndex] = useState(index);
   const isExpoGo = Constants.appOwnership === 'expo';
+  const { isDuressMode } = useContext(SettingsContext);
+  const STORAGE_KEY = isDuressMode ? 'journalMedia_decoy' : 'journalMedia';
 
   const flatListRef = useRef(null);
 
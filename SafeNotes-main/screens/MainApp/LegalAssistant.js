@@ -15,7 +15,6 @@ import {
   Keyboard,
   Animated,
 } from "react-native";
-import Constants from "expo-constants";
 import { theme } from "../../constants/colors";
 import { LinearGradient } from "expo-linear-gradient";
 import { Linking, Alert } from "react-native";
@@ -23,32 +22,19 @@ import * as Print from "expo-print";
 import * as Sharing from "expo-sharing";
 import BackButton from "../../components/UI/BackButton";
 import { supabase } from "../../services/supabaseClient";
+import { getDeviceId } from "../../services/deviceIdentity";
 import { useNavigation } from "@react-navigation/native";
-import * as GoogleGenerativeAI from "@google/generative-ai";
+import { generateText, searchWeb, llmErrorMessage } from "../../services/llmClient";
 
 /*
   LegalAssistant.js
   - Trauma-informed legal assistant focused on domestic violence (India)
-  - Uses Gemini (Gemini 2.5 flash preferred) for conversation & extraction
-  - Falls back to SerpAPI for validated IPC/PDV sections when Gemini is unsure
+  - Uses the configured model (services/llmClient) for conversation & extraction
+  - Falls back to a web search for validated IPC/PDV sections when Gemini is unsure
   - Stores all interactions in Supabase table `legal_assistant_interactions`
   - Can extract FIR fields and generate/share a PDF FIR draft
 */
 
-// --- Helper: load keys from Expo Constants or process.env ---
-const loadKey = (name) => {
-  const extra = Constants.expoConfig?.extra ?? Constants.manifest?.extra ?? {};
-  if (extra && extra[name]) return extra[name];
-  if (process.env && process.env[name]) return process.env[name];
-  return null;
-};
-
-const GEMINI_API_KEY = loadKey('GEMINI_API_KEY');
-const GEMINI_MODEL_ID = loadKey('GEMINI_MODEL_ID') || 'gemini-2.5-flash';
-const SERPAPI_KEY = loadKey('SERPAPI_KEY') || loadKey('SERPAPI');
-
-const genAI = GEMINI_API_KEY ? new GoogleGenerativeAI.GoogleGenerativeAI(GEMINI_API_KEY) : null;
-
 // Minimal system prompt tailored for legal assistant (domestic violence focus)
 // Enhanced system prompt with clear transitions between info gathering and FIR creation
 const SYSTEM_PROMPT = `You are a trauma-informed legal assistant focused on domestic violence in India. Your role has two phases:
@@ -138,35 +124,24 @@ export default function LegalAssistant() {
 
   const saveInteraction = async (role, message, metadata = {}) => {
     try {
-      await supabase.from('legal_assistant_interactions').insert([{ role, message, metadata }]);
+      await supabase
+        .from('legal_assistant_interactions')
+        .insert([{ role, message, metadata, device_id: await getDeviceId() }]);
     } catch (e) {
       console.warn('Supabase insert failed', e);
     }
   };
 
   const querySerpApiForIPC = async (query) => {
-    if (!SERPAPI_KEY) return null;
     try {
-      const url = `https://serpapi.com/search.json?q=${encodeURIComponent(query)}&engine=google&lr=lang_en&gl=IN&api_key=${SERPAPI_KEY}`;
-      const res = await fetch(url);
-      const data = await res.json();
-      // return top organic results snippets
-      const items = (data.organic_results || []).slice(0,5).map(r => ({ title: r.title, link: r.link, snippet: r.snippet }));
-      return items;
+      return await searchWeb(query);
     } catch (err) {
-      console.warn('SerpAPI error', err);
+      console.warn('Web search error', err);
       return null;
     }
   };
 
-  const callGemini = async (prompt) => {
-    if (!genAI) throw new Error('Gemini not configured');
-    const model = genAI.getGenerativeModel({ model: GEMINI_MODEL_ID });
-    const resp = await model.generateContent(prompt);
-    // model library returns object with response.text()
-    const text = (resp?.response?.text && resp.response.text()) || resp?.text || '';
-    return text;
-  };
+  const callGemini = (prompt, system = SYSTEM_PROMPT) => generateText({ feature: 'legal_assistant', system, prompt });
 
   const handleSend = async () => {
     if (!inputText.trim()) return;
@@ -179,13 +154,13 @@ export default function LegalAssistant() {
 
     try {
       // Build conversation prompt
-      const prompt = `${SYSTEM_PROMPT}\n\nUser: ${userText}\nAssistant:`;
+      const prompt = `User: ${userText}\nAssistant:`;
       let aiReply = '';
       try {
         aiReply = await callGemini(prompt);
       } catch (err) {
         console.warn('Gemini call failed', err);
-        aiReply = 'I am having trouble reaching the helper service right now. Please try again shortly.';
+        aiReply = llmErrorMessage(err, 'legal_assistant', 'I am having trouble reaching the helper service right now. Please try again shortly.');
       }
 
       // If model says NEEDS_SEARCH, run SerpAPI
@@ -194,9 +169,12 @@ export default function LegalAssistant() {
         const results = await querySerpApiForIPC(userText + ' IPC relevant sections domestic violence India');
         metadata.sources = results;
         // ask Gemini to re-evaluate with top sources
-        const sourceSummary = (results || []).map(r => `${r.title} - ${r.link}`).join('\n');
+        // Self-hosted models have no web search, so say there are no sources rather than asking again
+        const sourceSummary = results?.length
+          ? results.map(r => `${r.title} - ${r.link}`).join('\n')
+          : 'None found. Answer from what you know and suggest confirming with a lawyer.';
         try {
-          const sourcePrompt = `${SYSTEM_PROMPT}\n\nSources:\n${sourceSummary}\n\nUser: ${userText}\nAssistant:`;
+          const sourcePrompt = `Sources:\n${sourceSummary}\n\nUser: ${userText}\nAssistant:`;
           aiReply = await callGemini(sourcePrompt);
         } catch (e) {
           console.warn('Gemini re-eval failed', e);
@@ -232,7 +210,7 @@ export default function LegalAssistant() {
     
     setIsLoading(true);
     try {
-      const contentText = await callGemini(extractPrompt);
+      const contentText = await callGemini(extractPrompt, '');
       
       // Structure the content into sections
       const sections = [
@@ -274,7 +252,7 @@ export default function LegalAssistant() {
       }
     } catch (err) {
       console.warn('FIR generation error', err);
-      Alert.alert('Error', 'Could not generate FIR.');
+      Alert.alert('Error', llmErrorMessage(err, 'legal_assistant', 'Could not generate FIR.'));
     } finally { setIsLoading(false); }
   };
 
@@ -11,11 +11,10 @@ import {
   KeyboardAvoidingView,
 } from "react-native";
 import { Picker } from "@react-native-picker/picker";
-import Constants from "expo-constants";
-import * as GoogleGenerativeAI from "@google/generative-ai";
 import * as Print from "expo-print";
 import * as Sharing from "expo-sharing";
 import BackButton from "../../components/UI/BackButton";
+import { generateText, llmErrorMessage } from "../../services/llmClient";
 
 const DOCUMENT_TYPES = [
   "Domestic Violence Petition",
@@ -26,13 +25,6 @@ const DOCUMENT_TYPES = [
 ];
 
 export default function LegalDocumentGenerator() {
-  const extra = Constants.expoConfig?.extra ?? {};
-  const GEMINI_API_KEY = extra.GEMINI_API_KEY || "";
-
-  const genAI = GEMINI_API_KEY
-    ? new GoogleGenerativeAI.GoogleGenerativeAI(GEMINI_API_KEY)
-    : null;
-
   const [documentType, setDocumentType] = useState(DOCUMENT_TYPES[0]);
   const [caseDetails, setCaseDetails] = useState("");
   const [timeline, setTimeline] = useState("");
@@ -57,6 +49,8 @@ export default function LegalDocumentGenerator() {
   const [refineQuery, setRefineQuery] = useState("");
   const [refining, setRefining] = useState(false);
 
+  const generate = (prompt) => generateText({ feature: "legal_document", prompt });
+
   const composePersonDetails = (name, age, address, contact) => {
     return `Name: ${name || "Not Provided"}\nAge: ${
       age || "Not Provided"
@@ -66,10 +60,6 @@ export default function LegalDocumentGenerator() {
   };
 
   const generateDocumentAsync = async () => {
-    if (!GEMINI_API_KEY || !genAI) {
-      Alert.alert("Error", "Gemini API key is not configured.");
-      return;
-    }
     if (!caseDetails || !complainantName || !respondentName || !court) {
       Alert.alert(
         "Missing Fields",
@@ -113,9 +103,7 @@ Output only a clean list of laws and sections that should be cited.
 Do not explain, just give them in bullet points.
 `;
 
-      const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-      const lawsResp = await model.generateContent(lawPrompt);
-      const applicableLaws = (lawsResp.response.text() || "").trim();
+      const applicableLaws = (await generate(lawPrompt)).trim();
 
       // Step 2 – Build structured details block
       const sections = [];
@@ -152,8 +140,7 @@ Drafter Instructions:
 Provide the complete draft between delimiters [START DRAFT] ... [END DRAFT].
 `;
 
-      const draftResp = await model.generateContent(draftPrompt);
-      const rawDraft = draftResp.response.text();
+      const rawDraft = await generate(draftPrompt);
       const match = rawDraft.match(/\[START DRAFT\]([\s\S]*?)\[END DRAFT\]/);
       let draft = match ? match[1].trim() : rawDraft.trim();
 
@@ -163,7 +150,7 @@ Provide the complete draft between delimiters [START DRAFT] ... [END DRAFT].
       setGeneratedDocument(draft);
     } catch (error) {
       console.error(error);
-      Alert.alert("Error", "Failed to generate document. Please try again.");
+      Alert.alert("Error", llmErrorMessage(error, "legal_document", "Failed to generate document. Please try again."));
     } finally {
       setLoading(false);
     }
@@ -175,14 +162,9 @@ Provide the complete draft between delimiters [START DRAFT] ... [END DRAFT].
       Alert.alert("Missing Input", "Enter refinement instructions.");
       return;
     }
-    if (!genAI) {
-      Alert.alert("Error", "Gemini API key not configured.");
-      return;
-    }
 
     setRefining(true);
     try {
-      const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
       const refinePrompt = `
 You are a legal AI assistant. Refine the following draft based on the user's request.
 Make only the changes asked, without removing important details.
@@ -198,13 +180,12 @@ ${refineQuery}
 Provide the updated draft only, no explanations.
 `;
 
-      const refineResp = await model.generateContent(refinePrompt);
-      const newDraft = (refineResp.response.text() || "").trim();
+      const newDraft = (await generate(refinePrompt)).trim();
       setGeneratedDocument(newDraft);
       setRefineQuery(""); // clear input
     } catch (err) {
       console.error("Refine error:", err);
-      Alert.alert("Error", "Failed to refine draft. Try again.");
+      Alert.alert("Error", llmErrorMessage(err, "legal_document", "Failed to refine draft. Try again."));
     } finally {
       setRefining(false);
     }
@@ -1,5 +1,4 @@
-import Constants from 'expo-constants';
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useContext } from 'react';
 import {
   View,
   Text,
@@ -12,13 +11,30 @@ import {
   Platform,
   StatusBar,
 } from 'react-native';
-import { Audio, InterruptionModeIOS, InterruptionModeAndroid } from 'expo-av';
-import * as FileSystem from 'expo-file-system';
-import { createClient } from '@supabase/supabase-js';
+import Slider from '@react-native-community/slider';
 import BackButton from '../../components/UI/BackButton';
 import { Ionicons } from '@expo/vector-icons';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
-import { useRoute } from '@react-navigation/native';
+import { SettingsContext } from '../../contexts/SettingsContext';
+import {
+  CHUNK_MS,
+  MAX_COVERT_MIN,
+  getRecorderState,
+  subscribeToRecorder,
+  startEvidenceRecording,
+  stopEvidenceRecording,
+  loadRecordingSessions,
+  uploadPendingChunks,
+  deleteRecordingSession,
+} from '../../services/evidenceRecorder';
+import {
+  loadFlaggedTerms,
+  indexPendingChunks,
+  retranscribeSession,
+  sessionTimeline,
+  transcriptStatus,
+} from '../../services/evidenceIndex';
+import { useChunkedPlayback } from '../../hooks/useChunkedPlayback';
 
 
 // Theme (Premium White + Gold)
@@ -31,13 +47,6 @@ const theme = {
 };
 
 
-// Local recordings folder
-const localDir = FileSystem.documentDirectory + 'recordings/';
-
-// Initialize Supabase
-const { SUPABASE_URL, SUPABASE_ANON_KEY } = Constants.expoConfig.extra;
-const supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
-
 // Helper to format duration
 function formatDuration(milliseconds) {
   const minutes = Math.floor(milliseconds / 1000 / 60);
@@ -45,284 +54,139 @@ function formatDuration(milliseconds) {
   return seconds < 10 ? `${minutes}:0${seconds}` : `${minutes}:${seconds}`;
 }
 
-// Save file locally
-async function copyRecordingLocally(uri, fileName) {
-  try {
-    const dirInfo = await FileSystem.getInfoAsync(localDir);
-    if (!dirInfo.exists) {
-      await FileSystem.makeDirectoryAsync(localDir, { intermediates: true });
-    }
-    const localUri = localDir + fileName;
-    await FileSystem.copyAsync({ from: uri, to: localUri });
-    return localUri;
-  } catch (error) {
-    console.error('Error saving file locally:', error);
-    return null;
-  }
-}
+const sessionDuration = (session) => session.chunks.reduce((sum, c) => sum + (c.durationMs || 0), 0);
 
-// Delete file locally
-async function deleteLocalFile(uri) {
-  try {
-    const fileInfo = await FileSystem.getInfoAsync(uri);
-    if (fileInfo.exists) {
-      await FileSystem.deleteAsync(uri, { idempotent: true });
-    }
-  } catch (error) {
-    console.error('Error deleting local file:', error);
-  }
-}
+export default function ListeningScreen({ navigation, route }) {
+  const [recorder, setRecorder] = useState(getRecorderState());
+  const [sessions, setSessions] = useState([]);
+  const [elapsedSec, setElapsedSec] = useState(0);
+  const [expandedId, setExpandedId] = useState(null); // session whose transcript is open
+  const [flaggedTerms, setFlaggedTerms] = useState([]);
 
-export default function ListeningScreen({ navigation }) {
-  const [recording, setRecording] = useState(null);
-  const [recordings, setRecordings] = useState([]);
-  const [uploading, setUploading] = useState(false);
-  const [recordingDuration, setRecordingDuration] = useState(0);
-  const [playingIndex, setPlayingIndex] = useState(null);
-  const [playingProgress, setPlayingProgress] = useState(0);
-  const [isPlaying, setIsPlaying] = useState(false);
+  const { setIsUnlocked } = useContext(SettingsContext);
+  const playback = useChunkedPlayback();
 
   const insets = useSafeAreaInsets();
-  const route = useRoute();
-  const stopTimerRef = useRef(null);
+  const recorderRef = useRef(recorder);
 
-  // Load existing local recordings on mount
-  useEffect(() => {
-    async function loadLocalRecordings() {
-      try {
-        const dirInfo = await FileSystem.getInfoAsync(localDir);
-        if (!dirInfo.exists) return;
-
-        const files = await FileSystem.readDirectoryAsync(localDir);
-        const loaded = [];
-
-        for (let fileName of files) {
-          const fileUri = localDir + fileName;
-          const { sound, status } = await Audio.Sound.createAsync({ uri: fileUri });
-          loaded.push({
-            sound,
-            duration: formatDuration(status.durationMillis),
-            durationSec: Math.floor(status.durationMillis / 1000),
-            file: fileUri,
-            localUri: fileUri,
-            publicUrl: null,
-            supabasePath: null
-          });
-        }
-        setRecordings(loaded);
-      } catch (error) {
-        console.error('Error loading local recordings:', error);
-      }
+  const refreshSessions = async () => {
+    try {
+      setSessions(await loadRecordingSessions());
+    } catch (error) {
+      console.error('Error loading local recordings:', error);
     }
-    loadLocalRecordings();
+  };
+
+  // Sessions change as each chunk is saved and uploaded
+  useEffect(() => {
+    refreshSessions();
+    uploadPendingChunks();
+    indexPendingChunks();
+    loadFlaggedTerms().then(setFlaggedTerms);
+    return subscribeToRecorder((state) => {
+      recorderRef.current = state;
+      setRecorder(state);
+      refreshSessions();
+    });
+  }, []);
+
+  // An ordinary recording ends with the screen; a covert one carries on
+  useEffect(() => () => {
+    if (recorderRef.current && !recorderRef.current.covert) stopEvidenceRecording();
   }, []);
 
+  // Opened from a journal search result: play from the moment that matched
   useEffect(() => {
-    if (route.params?.autoStart) {
-      startRecording(true);
-    }
-    return () => {
-      stopRecording();
-    };
-  }, [route.params?.autoStart]);
+    const { sessionId, atMs } = route?.params || {};
+    if (!sessionId) return;
+    loadRecordingSessions().then((all) => {
+      const session = all.find((s) => s.id === sessionId);
+      if (!session) return;
+      setExpandedId(session.id);
+      // Still being recorded; its transcript so far is shown but can't be played yet
+      if (getRecorderState()?.sessionId !== session.id) playback.play(session, atMs || 0);
+    });
+  }, [route?.params?.sessionId, route?.params?.atMs]);
 
-  async function startRecording(auto = false) {
+  useEffect(() => {
+    if (!recorder) return;
+    const tick = () => setElapsedSec(Math.floor((Date.now() - recorder.startedAt) / 1000));
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [recorder?.sessionId]);
+
+  async function startRecording(covert = false) {
     try {
-      const perm = await Audio.requestPermissionsAsync();
-      if (perm.status !== 'granted') {
-        alert('Permission to access microphone is required!');
-        return;
-      }
-
-      await Audio.setAudioModeAsync({
-        allowsRecordingIOS: true,
-        playsInSilentModeIOS: true,
-        interruptionModeIOS: InterruptionModeIOS.DoNotMix,
-        interruptionModeAndroid: InterruptionModeAndroid.DoNotMix,
-        shouldDuckAndroid: false,
-        playThroughEarpieceAndroid: false,
-      });
-
-      const { recording } = await Audio.Recording.createAsync(
-        Audio.RecordingOptionsPresets.HIGH_QUALITY
-      );
-
-      setRecording(recording);
-      setRecordingDuration(0);
-
-      const interval = setInterval(() => {
-        setRecordingDuration(prev => prev + 1);
-      }, 1000);
-      recording._intervalId = interval;
-
-      if (auto) {
-        stopTimerRef.current = setTimeout(() => {
-          stopRecording();
-        }, 60000);
-      }
+      await playback.stop();
+      await startEvidenceRecording({ covert });
+      // Covert recording hides behind the notes straight away
+      if (covert) setIsUnlocked(false);
     } catch (err) {
       console.error('Failed to start recording', err);
+      alert(err.message.includes('permission')
+        ? 'Permission to access microphone is required!'
+        : 'Could not start recording');
     }
   }
 
   async function stopRecording() {
     try {
-      if (!recording) return;
-
-      if (recording._intervalId) clearInterval(recording._intervalId);
-      if (stopTimerRef.current) {
-        clearTimeout(stopTimerRef.current);
-        stopTimerRef.current = null;
-      }
-
-      const status = await recording.getStatusAsync();
-      if (status.isRecording) {
-        await recording.stopAndUnloadAsync();
-      }
-
-      await Audio.setAudioModeAsync({
-        allowsRecordingIOS: false,
-        playsInSilentModeIOS: true,
-        interruptionModeIOS: InterruptionModeIOS.DoNotMix,
-        interruptionModeAndroid: InterruptionModeAndroid.DoNotMix,
-        shouldDuckAndroid: false,
-        playThroughEarpieceAndroid: false,
-      });
-
-      const uri = recording.getURI();
-      const fileName = `recording-${Date.now()}.wav`;
-
-      const localUri = await copyRecordingLocally(uri, fileName);
-      const uploadResult = await uploadRecordingToSupabase(uri, fileName);
-
-      const { sound, status: soundStatus } = await recording.createNewLoadedSoundAsync();
-      sound.setOnPlaybackStatusUpdate((status) => {
-        if (status.isLoaded && status.isPlaying) {
-          setPlayingProgress(Math.floor(status.positionMillis / 1000));
-        }
-        if (status.didJustFinish) {
-          setIsPlaying(false);
-          setPlayingIndex(null);
-          setPlayingProgress(0);
-        }
-      });
-
-      const newRecording = {
-        sound,
-        duration: formatDuration(soundStatus.durationMillis),
-        durationSec: Math.floor(soundStatus.durationMillis / 1000),
-        file: uri,
-        localUri,
-        publicUrl: uploadResult?.publicUrl,
-        supabasePath: uploadResult?.filePath,
-      };
-
-      setRecordings(prev => [...prev, newRecording]);
-      setRecording(null);
-      setRecordingDuration(0);
+      await stopEvidenceRecording();
     } catch (error) {
       console.error('Failed to stop recording', error);
     }
   }
 
-  async function uploadRecordingToSupabase(uri, fileName) {
-    try {
-      setUploading(true);
-      const fileData = await FileSystem.readAsStringAsync(uri, {
-        encoding: FileSystem.EncodingType.Base64,
-      });
-
-      const { error: uploadError } = await supabase.storage
-        .from('recordings')
-        .upload(fileName, Buffer.from(fileData, 'base64'), {
-          cacheControl: '3600',
-          upsert: false,
-          contentType: 'audio/x-wav',
-        });
-
-      if (uploadError) {
-        alert('Upload failed: ' + uploadError.message);
-        setUploading(false);
-        return null;
-      }
-
-      const { data } = supabase.storage.from('recordings').getPublicUrl(fileName);
-
-      const { error: insertError } = await supabase
-        .from('record_audio')
-        .insert([
-          {
-            public_url: data.publicUrl,
-            mime_type: 'audio/x-wav',
-            tags: ['recording'],
-          },
-        ]);
-
-      if (insertError) {
-        alert('Failed to save recording info: ' + insertError.message);
-        setUploading(false);
-        return null;
-      }
-
-      setUploading(false);
-      return { publicUrl: data.publicUrl, filePath: fileName };
-    } catch (err) {
-      console.error('Upload error:', err);
-      setUploading(false);
-      return null;
-    }
+  // Transcripts are made in the background as each part is saved; this is
+  // for when that failed or the voice language has changed since
+  function transcribeAgain(session) {
+    Alert.alert('Transcribe again', 'Replace this transcript using the current voice language and transcription settings?', [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Transcribe', onPress: () => retranscribeSession(session) },
+    ]);
   }
 
-  async function playRecording(index) {
-    const rec = recordings[index];
-    if (!rec) return;
-    await rec.sound.setVolumeAsync(1.0);
-    if (!isPlaying || playingIndex !== index) {
-      await rec.sound.replayAsync();
+  async function playFrom(session, ms) {
+    if (playback.sessionId === session.id) {
+      await playback.seek(ms);
+      if (!playback.isPlaying) await playback.resume();
     } else {
-      await rec.sound.playAsync();
+      await playback.play(session, ms);
     }
-    setPlayingIndex(index);
-    setIsPlaying(true);
   }
 
-  async function pauseRecording(index) {
-    const rec = recordings[index];
-    if (!rec) return;
-    await rec.sound.pauseAsync();
-    setIsPlaying(false);
+  async function togglePlayback(session) {
+    if (playback.sessionId !== session.id) {
+      await playback.play(session);
+    } else if (playback.isPlaying) {
+      await playback.pause();
+    } else {
+      await playback.resume();
+    }
   }
 
-  async function deleteRecording(index) {
-    const rec = recordings[index];
-    if (!rec) return;
-
+  function deleteRecording(session) {
     Alert.alert('Delete Recording', 'Are you sure you want to delete this?', [
       { text: 'Cancel', style: 'cancel' },
       {
         text: 'Delete',
         style: 'destructive',
         onPress: async () => {
-          if (rec.supabasePath) {
-            const { error } = await supabase.storage.from('recordings').remove([rec.supabasePath]);
-            if (error) alert('Failed to delete from Supabase');
-          }
-          if (rec.localUri) {
-            await deleteLocalFile(rec.localUri);
-          }
-          setRecordings(prev => prev.filter((_, i) => i !== index));
-          if (playingIndex === index) {
-            setPlayingIndex(null);
-            setIsPlaying(false);
-            setPlayingProgress(0);
+          if (playback.sessionId === session.id) await playback.stop();
+          try {
+            await deleteRecordingSession(session);
+          } catch (err) {
+            alert(err.message);
           }
+          refreshSessions();
         },
       },
     ]);
   }
 
   function clearAllRecordings() {
-    if (recordings.length === 0) {
+    if (sessions.length === 0) {
       alert('No recordings to delete');
       return;
     }
@@ -332,17 +196,16 @@ export default function ListeningScreen({ navigation }) {
         text: 'Delete All',
         style: 'destructive',
         onPress: async () => {
-          const paths = recordings.filter(r => r.supabasePath).map(r => r.supabasePath);
-          if (paths.length) {
-            await supabase.storage.from('recordings').remove(paths);
+          await playback.stop();
+          for (const session of sessions) {
+            if (session.id === recorder?.sessionId) continue;
+            try {
+              await deleteRecordingSession(session);
+            } catch (err) {
+              console.warn('Failed to delete recording:', err.message);
+            }
           }
-          for (let rec of recordings) {
-            if (rec.localUri) await deleteLocalFile(rec.localUri);
-          }
-          setRecordings([]);
-          setPlayingIndex(null);
-          setIsPlaying(false);
-          setPlayingProgress(0);
+          refreshSessions();
         },
       },
     ]);
@@ -366,59 +229,148 @@ export default function ListeningScreen({ navigation }) {
 
       {/* Record/Stop */}
       <TouchableOpacity
-        style={[styles.recordBtn, recording && styles.stopBtn]}
-        onPress={recording ? stopRecording : () => startRecording(false)}
-        disabled={uploading}
+        style={[styles.recordBtn, recorder && styles.stopBtn]}
+        onPress={recorder ? stopRecording : () => startRecording(false)}
       >
-        <Ionicons name={recording ? 'stop-circle' : 'mic-circle'} size={56} color="#fff" />
+        <Ionicons name={recorder ? 'stop-circle' : 'mic-circle'} size={56} color="#fff" />
         <Text style={styles.recordBtnText}>
-          {recording ? 'Stop Recording' : 'Start Recording'}
+          {recorder ? 'Stop Recording' : 'Start Recording'}
         </Text>
       </TouchableOpacity>
 
-      {/* Timer */}
-      {recording && (
-        <Text style={{ textAlign: 'center', marginTop: 10, fontSize: 16, color: theme.text }}>
-          ⏱ {Math.floor(recordingDuration / 60)}:{String(recordingDuration % 60).padStart(2, '0')}
+      {!recorder && (
+        <TouchableOpacity style={styles.covertBtn} onPress={() => startRecording(true)}>
+          <Ionicons name="eye-off" size={20} color={theme.primary} />
+          <Text style={styles.covertBtnText}>Record covertly</Text>
+        </TouchableOpacity>
+      )}
+      {!recorder && (
+        <Text style={styles.hint}>
+          Switches to the notes screen and keeps recording for up to {MAX_COVERT_MIN / 60} hours.
+          Each {CHUNK_MS / 1000}-second part is saved and uploaded as soon as it is recorded.
         </Text>
       )}
 
-      {uploading && (
-        <ActivityIndicator style={{ marginVertical: 10 }} size="large" color={theme.primary} />
+      {/* Timer */}
+      {recorder && (
+        <Text style={{ textAlign: 'center', marginTop: 10, fontSize: 16, color: theme.text }}>
+          ⏱ {Math.floor(elapsedSec / 60)}:{String(elapsedSec % 60).padStart(2, '0')}
+          {'  '}· {recorder.chunkCount} {recorder.chunkCount === 1 ? 'part' : 'parts'} saved
+          {recorder.covert ? '  · covert' : ''}
+        </Text>
       )}
 
       {/* List */}
       <ScrollView style={{ width: '100%', marginTop: 20 }}>
-        {recordings.map((rec, index) => (
-          <View key={index} style={styles.recordCard}>
-            <Text style={styles.recordName}>
-              🎵 Recording #{index + 1} | {rec.duration}
-            </Text>
-            <View style={styles.actionRow}>
-              {playingIndex === index && isPlaying ? (
-                <TouchableOpacity onPress={() => pauseRecording(index)}>
-                  <Ionicons name="pause-circle" size={30} color={theme.primary} />
+        {sessions.map((session, index) => {
+          const isCurrent = playback.sessionId === session.id;
+          const isLive = recorder?.sessionId === session.id;
+          const uploaded = session.chunks.filter(c => c.publicUrl).length;
+          const total = isCurrent ? playback.durationMs : sessionDuration(session);
+          const timeline = sessionTimeline(session, flaggedTerms);
+          const flagged = timeline.filter((seg) => seg.flags.length > 0);
+          const status = transcriptStatus(session);
+
+          return (
+            <View key={session.id} style={styles.recordCard}>
+              <View style={{ flex: 1 }}>
+                <Text style={styles.recordName}>
+                  🎵 Recording #{index + 1} | {isLive ? 'recording…' : formatDuration(total)}
+                </Text>
+                <Text style={styles.recordMeta}>
+                  {new Date(session.startedAt).toLocaleString()}
+                  {session.legacy
+                    ? ''
+                    : ` · ${uploaded}/${session.chunks.length} parts uploaded`}
+                  {session.covert ? ' · covert' : ''}
+                </Text>
+              </View>
+              <View style={styles.actionRow}>
+                <TouchableOpacity
+                  onPress={() => togglePlayback(session)}
+                  disabled={isLive || session.chunks.length === 0}
+                >
+                  <Ionicons
+                    name={isCurrent && playback.isPlaying ? 'pause-circle' : 'play-circle'}
+                    size={30}
+                    color={theme.primary}
+                  />
+                </TouchableOpacity>
+                <TouchableOpacity
+                  onPress={() => setExpandedId(expandedId === session.id ? null : session.id)}
+                  disabled={session.chunks.length === 0}
+                >
+                  <Ionicons name="document-text" size={28} color={theme.primary} />
                 </TouchableOpacity>
-              ) : (
-                <TouchableOpacity onPress={() => playRecording(index)}>
-                  <Ionicons name="play-circle" size={30} color={theme.primary} />
+                <TouchableOpacity onPress={() => deleteRecording(session)} disabled={isLive}>
+                  <Ionicons name="trash" size={30} color="#e63946" />
                 </TouchableOpacity>
+              </View>
+
+              {isCurrent && (
+                <View style={styles.timeline}>
+                  <Slider
+                    style={{ flex: 1 }}
+                    minimumValue={0}
+                    maximumValue={Math.max(playback.durationMs, 1)}
+                    value={playback.positionMs}
+                    onSlidingComplete={playback.seek}
+                    minimumTrackTintColor={theme.primary}
+                    maximumTrackTintColor={theme.border}
+                    thumbTintColor={theme.primary}
+                  />
+                  <Text style={styles.recordMeta}>
+                    {formatDuration(playback.positionMs)} / {formatDuration(playback.durationMs)}
+                  </Text>
+                </View>
               )}
-              {playingIndex === index && (
-                <Text style={{ marginLeft: 8, color: theme.text }}>
-                  {Math.floor(playingProgress / 60)}:
-                  {String(playingProgress % 60).padStart(2, '0')} / {rec.duration}
+
+              {flagged.length > 0 && (
+                <Text style={styles.flagSummary}>
+                  ⚠ {flagged.length} flagged {flagged.length === 1 ? 'moment' : 'moments'}:{' '}
+                  {[...new Set(flagged.flatMap((seg) => seg.flags))].join(', ')}
                 </Text>
               )}
-              <TouchableOpacity onPress={() => deleteRecording(index)}>
-                <Ionicons name="trash" size={30} color="#e63946" />
-              </TouchableOpacity>
+
+              {expandedId === session.id && (
+                <View style={styles.transcript}>
+                  {timeline.map((segment, i) => (
+                    <TouchableOpacity
+                      key={i}
+                      style={[styles.segment, segment.flags.length > 0 && styles.flaggedSegment]}
+                      onPress={() => playFrom(session, segment.startMs)}
+                      disabled={isLive}
+                    >
+                      <Text style={styles.segmentTime}>{formatDuration(segment.startMs)}</Text>
+                      <Text style={styles.segmentText}>{segment.text}</Text>
+                    </TouchableOpacity>
+                  ))}
+
+                  {status === 'pending' && (
+                    <View style={styles.transcriptStatus}>
+                      <ActivityIndicator size="small" color={theme.primary} />
+                      <Text style={styles.recordMeta}>  Transcribing…</Text>
+                    </View>
+                  )}
+                  {status === 'done' && timeline.length === 0 && (
+                    <Text style={styles.recordMeta}>No speech detected</Text>
+                  )}
+                  {status === 'failed' && (
+                    <Text style={styles.recordMeta}>Some parts could not be transcribed.</Text>
+                  )}
+                  {!isLive && status !== 'pending' && (
+                    <TouchableOpacity onPress={() => transcribeAgain(session)}>
+                      <Text style={styles.retryText}>Transcribe again</Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+              )}
             </View>
-          </View>
-        ))}
+          );
+        })}
       </ScrollView>
 
-      {recordings.length > 0 && (
+      {sessions.length > 0 && (
         <TouchableOpacity style={styles.clearAllBtn} onPress={clearAllRecordings}>
           <Text style={styles.clearAllText}>Clear All Recordings</Text>
         </TouchableOpacity>
@@ -456,6 +408,20 @@ const styles = StyleSheet.create({
     elevation: 4,
   },
   stopBtn: { backgroundColor: "#e63946" },
+  covertBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    marginTop: 12,
+    marginHorizontal: 20,
+    paddingVertical: 12,
+    borderRadius: 30,
+    borderWidth: 1,
+    borderColor: theme.primary,
+  },
+  covertBtnText: { color: theme.primary, fontSize: 15, fontWeight: '600' },
+  hint: { textAlign: 'center', color: '#777', fontSize: 12, marginTop: 8, marginHorizontal: 30 },
   recordBtnText: { color: '#fff', fontSize: 16, fontWeight: '600', marginTop: 5 },
   recordCard: {
     backgroundColor: theme.card,
@@ -465,6 +431,7 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     justifyContent: 'space-between',
     alignItems: 'center',
+    flexWrap: 'wrap',
     shadowColor: "#000",
     shadowOpacity: 0.08,
     shadowRadius: 4,
@@ -473,7 +440,17 @@ const styles = StyleSheet.create({
     borderColor: theme.border,
   },
   recordName: { fontSize: 16, color: theme.text, flex: 1 },
+  recordMeta: { fontSize: 12, color: '#777', marginTop: 4 },
   actionRow: { flexDirection: 'row', gap: 15, marginLeft: 10, alignItems: 'center' },
+  timeline: { width: '100%', flexDirection: 'row', alignItems: 'center', marginTop: 10 },
+  transcript: { width: '100%', marginTop: 10 },
+  segment: { flexDirection: 'row', paddingVertical: 4, paddingHorizontal: 6, borderRadius: 6 },
+  flaggedSegment: { backgroundColor: '#fdecea' },
+  segmentTime: { width: 44, fontSize: 12, color: theme.primary, marginTop: 2 },
+  segmentText: { flex: 1, fontSize: 14, color: '#555' },
+  flagSummary: { width: '100%', marginTop: 8, fontSize: 13, color: '#e63946' },
+  transcriptStatus: { flexDirection: 'row', alignItems: 'center', marginTop: 6 },
+  retryText: { color: theme.primary, fontSize: 13, fontWeight: '600', marginTop: 8 },
   clearAllBtn: {
     backgroundColor: "#e63946",
     padding: 15,
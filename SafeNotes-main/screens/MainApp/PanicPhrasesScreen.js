@@ -0,0 +1,294 @@
+import React, { useCallback, useContext, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useFocusEffect } from '@react-navigation/native';
+import BackButton from '../../components/UI/BackButton';
+import EditPhraseModal from '../../components/modals/EditPhraseModal';
+import { SettingsContext } from '../../contexts/SettingsContext';
+import { actionLabel, sensitivityFor } from '../../services/panicPhrases';
+import { startPhraseTest, stopPhraseTest } from '../../services/voiceRecognition';
+
+const MAX_PHRASES = 6;
+
+export default function PanicPhrasesScreen() {
+  const { panicPhrases, setPanicPhrases, emergencyContacts } = useContext(SettingsContext);
+  const [editing, setEditing] = useState(null); // phrase being edited, or 'new'
+  const [testing, setTesting] = useState(null); // phrases under test, or null
+  const [lastHeard, setLastHeard] = useState(null); // { transcript, match }
+
+  // Never leave the microphone on for a test once the screen is gone
+  useFocusEffect(
+    useCallback(() => () => {
+      stopPhraseTest();
+      setTesting(null);
+    }, [])
+  );
+
+  const contactName = (id) => {
+    const contact = emergencyContacts.find((c) => c.id === id) || emergencyContacts[0];
+    return contact ? contact.name || contact.number : 'first contact';
+  };
+
+  const describe = (item) =>
+    item.action === 'call' ? `${actionLabel(item.action)}: ${contactName(item.contactId)}` : actionLabel(item.action);
+
+  const startTest = async (phrases) => {
+    setLastHeard(null);
+    try {
+      await startPhraseTest(phrases, ({ transcript, final, match }) => {
+        // Partial results flicker; only replace a match with a newer one
+        setLastHeard((prev) => (match || final || !prev?.match ? { transcript, match } : prev));
+      });
+      setTesting(phrases);
+    } catch (err) {
+      console.error('Phrase test failed to start:', err);
+      Alert.alert('Microphone Unavailable', 'Could not start listening. Check the voice engine in Settings.');
+    }
+  };
+
+  const endTest = async () => {
+    await stopPhraseTest();
+    setTesting(null);
+  };
+
+  const handleSave = async (phrase) => {
+    const duplicate = panicPhrases.some((p) => p.phrase === phrase.phrase && p.id !== phrase.id);
+    if (duplicate) {
+      Alert.alert('Already Added', `"${phrase.phrase}" is already one of your phrases.`);
+      return;
+    }
+
+    await endTest();
+    if (editing === 'new') {
+      await setPanicPhrases([...panicPhrases, phrase]);
+    } else {
+      await setPanicPhrases(panicPhrases.map((p) => (p.id === phrase.id ? phrase : p)));
+    }
+  };
+
+  const handleAdd = () => {
+    if (panicPhrases.length >= MAX_PHRASES) {
+      Alert.alert('Limit Reached', `You can set up to ${MAX_PHRASES} panic phrases.`);
+      return;
+    }
+    setEditing('new');
+  };
+
+  const handleRemove = (phrase) => {
+    Alert.alert('Remove phrase?', `Saying "${phrase.phrase}" will no longer do anything.`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Remove',
+        style: 'destructive',
+        onPress: async () => {
+          await endTest();
+          await setPanicPhrases(panicPhrases.filter((p) => p.id !== phrase.id));
+        },
+      },
+    ]);
+  };
+
+  const renderItem = ({ item }) => (
+    <View style={styles.phraseCard}>
+      <View style={{ flex: 1 }}>
+        <Text style={styles.phrase}>"{item.phrase}"</Text>
+        <Text style={styles.details}>{describe(item)}</Text>
+        <Text style={styles.details}>
+          {sensitivityFor(item.threshold).label} match ·{' '}
+          {item.confirmations === 1 ? 'Say it once' : `Say it ${item.confirmations} times`}
+        </Text>
+      </View>
+
+      <View style={styles.actions}>
+        <TouchableOpacity onPress={() => startTest([item])}>
+          <Ionicons name="mic-outline" size={20} color="#fff" />
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => setEditing(item)}>
+          <Ionicons name="create-outline" size={20} color="#fff" />
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => handleRemove(item)}>
+          <Ionicons name="trash-outline" size={20} color="#fff" />
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  const match = lastHeard?.match;
+
+  return (
+    <View style={styles.container}>
+      <BackButton color="#ffffffff" size={32} style={styles.backButton} />
+
+      <View style={styles.headerRow}>
+        <Text style={styles.header}>Panic Phrases</Text>
+        <TouchableOpacity onPress={handleAdd}>
+          <Text style={styles.addText}>Add</Text>
+        </TouchableOpacity>
+      </View>
+      <Text style={styles.subText}>
+        While voice detection is on, saying one of these runs its action. Pick phrases that sound
+        natural to say but won't come up by accident.
+      </Text>
+
+      {testing ? (
+        <View style={styles.testCard}>
+          <Text style={styles.testTitle}>
+            Testing {testing.length === 1 ? `"${testing[0].phrase}"` : 'all phrases'} — nothing will be sent
+          </Text>
+          <Text style={styles.testText}>
+            Heard: {lastHeard?.transcript ? `"${lastHeard.transcript}"` : 'listening…'}
+          </Text>
+          {match && (
+            <Text style={styles.testText}>
+              Matched "{match.phrase.phrase}" ({Math.round(match.score * 100)}%) · {match.heard} of{' '}
+              {match.phrase.confirmations}
+              {match.confirmed ? ` → would ${describe(match.phrase).toLowerCase()}` : ''}
+            </Text>
+          )}
+          <TouchableOpacity style={styles.testButton} onPress={endTest}>
+            <Text style={styles.testButtonText}>Stop test</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <TouchableOpacity
+          style={styles.testButton}
+          onPress={() => startTest(panicPhrases)}
+          disabled={panicPhrases.length === 0}
+        >
+          <Text style={styles.testButtonText}>Test my phrases</Text>
+        </TouchableOpacity>
+      )}
+
+      <FlatList
+        data={panicPhrases}
+        keyExtractor={(item) => item.id}
+        renderItem={renderItem}
+        ListEmptyComponent={<Text style={styles.noPhrases}>No panic phrases yet</Text>}
+        contentContainerStyle={{ paddingBottom: 40 }}
+        showsVerticalScrollIndicator={false}
+      />
+
+      <EditPhraseModal
+        visible={!!editing}
+        onClose={() => setEditing(null)}
+        currentPhrase={editing === 'new' ? null : editing}
+        contacts={emergencyContacts}
+        title={editing === 'new' ? 'Add Panic Phrase' : 'Edit Panic Phrase'}
+        onSave={handleSave}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F9FAFB',
+    paddingHorizontal: 16,
+    paddingTop: 20,
+  },
+  backButton: {
+    position: 'absolute',
+    top: 40,
+    left: 16,
+    zIndex: 2,
+    marginTop: 40,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-end',
+    marginTop: 115,
+    marginBottom: 8,
+  },
+  header: {
+    fontSize: 38,
+    fontWeight: '800',
+    color: '#111',
+    letterSpacing: -0.5,
+  },
+  addText: {
+    color: '#007AFF',
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  subText: {
+    color: '#555',
+    fontSize: 13,
+    marginBottom: 16,
+  },
+  noPhrases: {
+    fontSize: 16,
+    color: '#888',
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  phraseCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#9c711bff',
+    padding: 12,
+    borderRadius: 14,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOpacity: 0.08,
+    shadowRadius: 6,
+    shadowOffset: { width: 0, height: 3 },
+    elevation: 2,
+  },
+  phrase: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 2,
+  },
+  details: {
+    color: '#fff',
+    fontSize: 13,
+  },
+  actions: {
+    justifyContent: 'space-between',
+    height: 78,
+    marginLeft: 10,
+  },
+  testCard: {
+    backgroundColor: '#fff',
+    borderColor: '#9c711bff',
+    borderWidth: 1,
+    borderRadius: 14,
+    padding: 12,
+    marginBottom: 16,
+  },
+  testTitle: {
+    color: '#111',
+    fontSize: 14,
+    fontWeight: '600',
+    marginBottom: 6,
+  },
+  testText: {
+    color: '#555',
+    fontSize: 13,
+    marginBottom: 4,
+  },
+  testButton: {
+    backgroundColor: '#111',
+    borderRadius: 10,
+    paddingVertical: 10,
+    alignItems: 'center',
+    marginTop: 6,
+    marginBottom: 16,
+  },
+  testButtonText: {
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+});
@@ -1,4 +1,4 @@
-import React, { useEffect, useState, useRef } from 'react';
+import React, { useContext, useEffect, useState, useRef } from 'react';
 import {
   View,
   Text,
@@ -14,25 +14,65 @@ import {
 } from 'react-native';
 import { useIsFocused } from '@react-navigation/native';
 import { supabase } from '../../services/supabaseClient';
+import { getDeviceId } from '../../services/deviceIdentity';
 import { theme } from '../../constants/colors';
 import BackButton from '../../components/UI/BackButton';
+import { SettingsContext } from '../../contexts/SettingsContext';
+import {
+  getOutbox,
+  subscribeToOutbox,
+  retryOutboxEntry,
+  sendReadyItem,
+  acknowledgeOutboxEntry,
+  discardOutboxEntry,
+} from '../../services/sosOutbox';
+import {
+  loadEvidenceLinks,
+  linksInMessage,
+  revokeEvidenceLink,
+} from '../../services/evidenceLinks';
+
+const ITEM_STATUS = {
+  pending: '⏳ Waiting for network',
+  ready: '📨 Ready to send',
+  done: '✅ Done',
+  skipped: '— Not needed',
+  failed: '⚠️ Failed',
+};
 
 export default function SOSLogsScreen() {
   const [logs, setLogs] = useState([]);
   const [loading, setLoading] = useState(false);
   const [selectedLog, setSelectedLog] = useState(null);
+  const [queued, setQueued] = useState([]);
+  const [evidenceLinks, setEvidenceLinks] = useState([]);
+  const queuedLogCount = useRef(0);
   const isFocused = useIsFocused();
+  const { isDuressMode } = useContext(SettingsContext);
 
   // Animations
   const fadeAnim = useRef(new Animated.Value(0)).current;
   const modalScale = useRef(new Animated.Value(0.8)).current;
 
   const fetchLogs = async () => {
+    // The decoy app never touches the real SOS history
+    if (isDuressMode) {
+      setLogs([]);
+      setEvidenceLinks([]);
+      return;
+    }
+
     setLoading(true);
-    const { data, error } = await supabase
-      .from('sos_logs')
-      .select('*')
-      .order('created_at', { ascending: false });
+    setEvidenceLinks(await loadEvidenceLinks());
+    const { data, error } = await getDeviceId()
+      .then((deviceId) =>
+        supabase
+          .from('sos_logs')
+          .select('*')
+          .eq('device_id', deviceId)
+          .order('created_at', { ascending: false })
+      )
+      .catch((e) => ({ data: null, error: e }));
 
     if (error) {
       console.error('Error fetching SOS logs:', error);
@@ -52,7 +92,11 @@ export default function SOSLogsScreen() {
           text: 'Delete',
           style: 'destructive',
           onPress: async () => {
-            const { error } = await supabase.from('sos_logs').delete().eq('id', id);
+            const { error } = await supabase
+              .from('sos_logs')
+              .delete()
+              .eq('device_id', await getDeviceId())
+              .eq('id', id);
             if (error) {
               console.error('Error deleting log:', error);
             } else {
@@ -65,6 +109,28 @@ export default function SOSLogsScreen() {
     );
   };
 
+  const revokeLink = (link) => {
+    Alert.alert(
+      'Take this link down?',
+      'Anyone opening it, including your contacts, will see that it was removed. This cannot be undone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Revoke',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await revokeEvidenceLink(link.url);
+              setEvidenceLinks(await loadEvidenceLinks());
+            } catch (e) {
+              Alert.alert('Could not revoke link', `${e.message}. Check your connection and try again.`);
+            }
+          },
+        },
+      ]
+    );
+  };
+
   useEffect(() => {
     if (isFocused) {
       fetchLogs();
@@ -75,7 +141,96 @@ export default function SOSLogsScreen() {
         useNativeDriver: true,
       }).start();
     }
-  }, [isFocused]);
+  }, [isFocused, isDuressMode]);
+
+  // SOS items still in the outbox (uploads, links, the log row itself)
+  useEffect(() => {
+    if (isDuressMode) {
+      setQueued([]);
+      return;
+    }
+    const countPendingLogs = (outbox) =>
+      outbox.filter((e) => e.items.some((i) => i.kind === 'log' && i.status !== 'done')).length;
+
+    getOutbox().then((outbox) => {
+      setQueued(outbox);
+      queuedLogCount.current = countPendingLogs(outbox);
+    });
+    return subscribeToOutbox((outbox) => {
+      setQueued(outbox);
+      // Refresh the history when a queued log row goes through
+      const pendingLogs = countPendingLogs(outbox);
+      if (pendingLogs < queuedLogCount.current) fetchLogs();
+      queuedLogCount.current = pendingLogs;
+    });
+  }, [isDuressMode]);
+
+  const discardQueued = (entry) => {
+    Alert.alert(
+      'Discard queued SOS?',
+      'Anything not yet uploaded or logged for this SOS will be dropped.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Discard', style: 'destructive', onPress: () => discardOutboxEntry(entry.id) },
+      ]
+    );
+  };
+
+  const renderQueued = (entry) => {
+    const canRetry = entry.items.some(
+      (i) => i.kind !== 'escalate' && (i.status === 'pending' || i.status === 'failed')
+    );
+    const awaitingReply = entry.items.some(
+      (i) => i.kind === 'escalate' && (i.status === 'pending' || i.status === 'ready')
+    );
+
+    return (
+      <View key={entry.id} style={styles.queuedCard}>
+        <Text style={styles.queuedTimestamp}>
+          🕒 {new Date(entry.createdAt).toLocaleString()}
+        </Text>
+        {entry.recipients?.length > 0 && (
+          <Text style={styles.queuedText}>
+            👤 {entry.recipients.map((r) => r.name || r.number).join(', ')}
+          </Text>
+        )}
+        {entry.items.map((item) => (
+          <View key={item.id} style={styles.queuedItemRow}>
+            <Text style={styles.queuedText}>{item.label}</Text>
+            {item.status === 'ready' ? (
+              <TouchableOpacity onPress={() => sendReadyItem(entry.id, item.id)}>
+                <Text style={styles.queuedAction}>Send now</Text>
+              </TouchableOpacity>
+            ) : item.kind === 'escalate' && item.status === 'pending' ? (
+              <Text style={styles.queuedText}>
+                ⏰ If no reply by {new Date(item.notBefore).toLocaleTimeString()}
+              </Text>
+            ) : (
+              <Text style={styles.queuedText}>
+                {ITEM_STATUS[item.status]}
+                {item.status === 'pending' && item.attempts > 0 ? ` (retry ${item.attempts})` : ''}
+              </Text>
+            )}
+          </View>
+        ))}
+        <View style={styles.queuedActions}>
+          {awaitingReply && (
+            <TouchableOpacity onPress={() => acknowledgeOutboxEntry(entry.id)}>
+              <Text style={styles.queuedAction}>They replied</Text>
+            </TouchableOpacity>
+          )}
+          {canRetry && (
+            <TouchableOpacity onPress={() => retryOutboxEntry(entry.id)}>
+              <Text style={styles.queuedAction}>Retry now</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity onPress={() => discardQueued(entry)}>
+            <Text style={[styles.queuedAction, { color: '#EF4444' }]}>Discard</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
 
   useEffect(() => {
     if (selectedLog) {
@@ -97,6 +252,13 @@ export default function SOSLogsScreen() {
       {/* Header */}
       <Text style={styles.header}>          SOS History</Text>
 
+      {queued.length > 0 && (
+        <View style={styles.queuedSection}>
+          <Text style={styles.sectionTitle}>Queued</Text>
+          {queued.map(renderQueued)}
+        </View>
+      )}
+
       {loading ? (
         <ActivityIndicator size="large" color="#007AFF" style={{ marginTop: 20 }} />
       ) : logs.length === 0 ? (
@@ -196,6 +358,26 @@ export default function SOSLogsScreen() {
                   </View>
                 )}
 
+                {linksInMessage(evidenceLinks, selectedLog.message).length > 0 && (
+                  <View style={styles.mediaSection}>
+                    <Text style={styles.sectionTitle}>🔗 Evidence links</Text>
+                    {linksInMessage(evidenceLinks, selectedLog.message).map((link) => (
+                      <View key={link.url} style={styles.queuedItemRow}>
+                        <Text style={styles.modalText}>
+                          {link.revokedAt
+                            ? 'Revoked'
+                            : `Expires ${new Date(link.expiresAt).toLocaleString()}`}
+                        </Text>
+                        {!link.revokedAt && (
+                          <TouchableOpacity onPress={() => revokeLink(link)}>
+                            <Text style={[styles.queuedAction, { color: '#EF4444' }]}>Revoke link</Text>
+                          </TouchableOpacity>
+                        )}
+                      </View>
+                    ))}
+                  </View>
+                )}
+
                 {/* Delete Single Entry */}
                 <TouchableOpacity
                   style={[styles.deleteButton, { marginTop: 20 }]}
@@ -248,6 +430,41 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     marginTop: 40,
   },
+  queuedSection: {
+    marginBottom: 12,
+  },
+  queuedCard: {
+    backgroundColor: '#fff',
+    padding: 14,
+    borderRadius: 14,
+    marginBottom: 10,
+    borderWidth: 1,
+    borderColor: '#9c711bff',
+  },
+  queuedTimestamp: {
+    fontSize: 12,
+    color: '#111',
+    marginBottom: 4,
+  },
+  queuedText: {
+    color: '#111',
+    fontSize: 14,
+  },
+  queuedItemRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 4,
+  },
+  queuedActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 18,
+    marginTop: 10,
+  },
+  queuedAction: {
+    color: '#007AFF',
+    fontWeight: '600',
+  },
   logCard: {
     backgroundColor: '#9c711bff',
     padding: 16,
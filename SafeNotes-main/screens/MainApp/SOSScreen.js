@@ -17,14 +17,15 @@ import {
 } from 'react-native';
 import { SettingsContext } from '../../contexts/SettingsContext';
 import { Ionicons } from '@expo/vector-icons';
-import * as Location from 'expo-location';
 import * as Linking from 'expo-linking';
-import { uploadMediaFromLocal } from '../../services/uploadMediaFromLocal';
-import EditContactModal from '../../components/modals/EditContactModal';
-import { supabase } from '../../services/supabaseClient';
+import { dispatchSOS } from '../../services/sosDispatcher';
+import { TRACKING_DURATIONS } from '../../services/locationTracking';
+import LiveTrackingBanner from '../../components/UI/LiveTrackingBanner';
+import { planEscalation } from '../../services/emergencyContacts';
 import MediaPickerModal from '../../components/modals/MediaPickerModal';
 import AudioPickerModal from '../../components/modals/AudioPickerModal';
 import BackButton from '../../components/UI/BackButton';
+import { mimeTypeFor } from '../../utils/mimeTypes';
 
 // ——— Light palette (all text black) ———
 const COLORS = {
@@ -36,13 +37,14 @@ const COLORS = {
   overlay: 'rgba(0,0,0,0.6)',
 };
 
+const LINK_WAIT_MS = 8000; // how long the first SMS waits for evidence links
+
 export default function SOSScreen() {
   const navigation = useNavigation();
   const {
     emergencyMessage,
     setEmergencyMessage,
-    emergencyContact,
-    setEmergencyContact,
+    emergencyContacts,
     locationEnabled,
     setLocationEnabled,
     setIsUnlocked,
@@ -50,12 +52,16 @@ export default function SOSScreen() {
 
   const [message, setMessage] = useState(emergencyMessage);
   const [includeLocation, setIncludeLocation] = useState(locationEnabled);
+  const [followMeMin, setFollowMeMin] = useState(0); // 0 = don't share live location
   const [mediaSelected, setMediaSelected] = useState([]);
   const [audioSelected, setAudioSelected] = useState([]);
   const [recipient, setRecipient] = useState('emergency');
   const [confirmSPF, setConfirmSPF] = useState(false);
   const [showDeleteHelpModal, setShowDeleteHelpModal] = useState(false);
-  const [showContactModal, setShowContactModal] = useState(false);
+  // Defaults to the contacts an instant SOS would alert straight away
+  const [selectedContactIds, setSelectedContactIds] = useState(() =>
+    planEscalation(emergencyContacts).immediate.map((c) => c.id)
+  );
   const [showPostSendReminder, setShowPostSendReminder] = useState(false); // kept if you use later
   const [showMediaPicker, setShowMediaPicker] = useState(false);
   const [showAudioPicker, setShowAudioPicker] = useState(false);
@@ -122,150 +128,56 @@ export default function SOSScreen() {
     );
   };
 
-  const proceedToSend = async () => {
-    let msg = message;
-    let latitude = null;
-    let longitude = null;
-    let finalMediaUrls = [];
-    let finalAudioUrls = [];
-
-    if (includeLocation) {
-      try {
-        let permissionGranted = false;
-        const perm = await Location.getForegroundPermissionsAsync();
-        if (perm.status === 'granted') {
-          permissionGranted = true;
-        } else {
-          const { status } = await Location.requestForegroundPermissionsAsync();
-          if (status === 'granted') permissionGranted = true;
-        }
-
-        if (permissionGranted) {
-          const loc = await Location.getCurrentPositionAsync({});
-          latitude = loc.coords.latitude;
-          longitude = loc.coords.longitude;
-          const mapsLink = `https://maps.google.com/?q=${latitude},${longitude}`;
-          msg += `\n\nMy location: ${mapsLink}`;
-        } else {
-          throw new Error('Location permission not granted');
-        }
-      } catch (err) {
-        console.warn('[SOS] Location error:', err);
-        msg += `\n\n[Location could not be retrieved]`;
-      }
-    }
-
-    // Upload media files
-    if (mediaSelected.length > 0) {
-      const publicUrls = [];
-      let mediaUploadFailed = false;
-      for (const uri of mediaSelected) {
-        const ext = uri.split('.').pop().toLowerCase();
-        const mime =
-          ext === 'mp4' ? 'video/mp4' :
-          ext === 'mov' ? 'video/quicktime' :
-          ext === 'm4a' || ext === 'aac' ? 'audio/mp4' :
-          ext === 'mp3' ? 'audio/mpeg' :
-          ext === 'wav' ? 'audio/wav' :
-          ext === 'ogg' ? 'audio/ogg' :
-          ext === 'amr' ? 'audio/amr' :
-          ext === '3gp' ? 'audio/3gpp' :
-          ext === 'jpg' || ext === 'jpeg' ? 'image/jpeg' :
-          ext === 'png' ? 'image/png' :
-          'application/octet-stream';
-        try {
-          const url = await uploadMediaFromLocal(uri, mime);
-          publicUrls.push(url);
-        } catch (err) {
-          console.warn('[SOS] Media upload failed:', err);
-          mediaUploadFailed = true;
-        }
-      }
-      if (mediaUploadFailed) {
-        msg += `\n\n[One or more media files failed to upload]`;
-      }
-      finalMediaUrls = publicUrls;
-
-      if (publicUrls.length > 0) {
-        try {
-          const response = await fetch('https://safenotes-sos-html.safenotes-sos.workers.dev/generate', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ media: publicUrls }),
-          });
-          const data = await response.json();
-          if (data.html_url) {
-            msg += `\n\nMedia evidence: ${data.html_url}`;
-          } else {
-            msg += `\n\n[Media link could not be generated]`;
-          }
-        } catch (err) {
-          console.warn('[SOS] HTML link generation failed:', err);
-          msg += `\n\n[Media link could not be generated]`;
-        }
-      }
-    }
-
-    // Append audio URLs from audioSelected
-    if (audioSelected.length > 0) {
-      try {
-        const audioUrls = audioSelected.map(a => a.public_url);
-        finalAudioUrls = audioUrls;
-
-        const response = await fetch('https://safenotes-sos-html.safenotes-sos.workers.dev/generate', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ media: audioUrls }),
-        });
-        const data = await response.json();
-        if (data.html_url) {
-          msg += `\n\nAudio evidence: ${data.html_url}`;
-        } else {
-          msg += `\n\n[Audio link could not be generated]`;
-        }
-      } catch (err) {
-        console.warn('[SOS] Audio HTML link generation failed:', err);
-        msg += `\n\n[Audio link could not be generated]`;
-      }
-    }
+  const toggleContact = (id) => {
+    setSelectedContactIds((prev) =>
+      prev.includes(id) ? prev.filter((c) => c !== id) : [...prev, id]
+    );
+  };
 
-    // Save to Supabase
-    try {
-      const { error } = await supabase.from('sos_logs').insert([{
-        message: msg,
-        contact_name: emergencyContact?.name || null,
-        contact_number: emergencyContact?.number || null,
-        latitude,
-        longitude,
-        media_urls: finalMediaUrls,
-        audio_urls: finalAudioUrls,
-      }]);
-      if (error) {
-        console.error('Supabase insert error:', error);
-      } else {
-        console.log('SOS log saved to Supabase');
-      }
-    } catch (dbErr) {
-      console.error('Error saving to Supabase:', dbErr);
+  const proceedToSend = async () => {
+    const recipients = emergencyContacts.filter(
+      (c) => selectedContactIds.includes(c.id) && c.number
+    );
+    if (recipients.length === 0) {
+      Alert.alert('No Contact', 'Please add or select a trusted contact first.');
+      return;
     }
 
-    // Send SMS via device
-    if (emergencyContact?.number) {
-      Alert.alert(
-        'Reminder',
-        'After sending your SOS via SMS, please return to SafeNotes to confirm.',
-        [
-          {
-            text: 'Continue',
-            onPress: () => {
-              Linking.openURL(`sms:${emergencyContact.number}?body=${encodeURIComponent(msg)}`);
-              setTimeout(() => setShowDeleteReminder(true), 3000);
-            },
-          },
-        ]
-      );
-    } else {
-      Alert.alert('No Contact', 'Please add an emergency contact first.');
+    const { status, actions } = await dispatchSOS({
+      message,
+      recipients,
+      includeLocation,
+      media: mediaSelected.map((item) => ({
+        uri: item.uri,
+        mimeType: mimeTypeFor(item.uri, { mimeType: item.mimeType, kind: item.type }),
+        capturedAt: item.timestamp ?? null,
+      })),
+      audio: audioSelected.map((a) => ({ parts: a.parts })),
+      linkWaitMs: LINK_WAIT_MS,
+      liveTrackingMin: includeLocation ? followMeMin : 0,
+      beforeSend: () =>
+        new Promise((resolve) =>
+          Alert.alert(
+            'Reminder',
+            'After sending your SOS via SMS, please return to SafeNotes to confirm.',
+            [{ text: 'Continue', onPress: () => resolve(true) }]
+          )
+        ),
+    });
+
+    if (status === 'sms_unavailable') {
+      Alert.alert('Error', 'SMS service is not available on this device');
+    } else if (status !== 'cancelled' && actions.length > 0) {
+      // Contacts who also want a call, email or WhatsApp
+      Alert.alert('Reach them another way?', 'Some of your contacts prefer other channels.', [
+        ...actions.slice(0, 2).map((action) => ({
+          text: action.label,
+          onPress: () => Linking.openURL(action.url),
+        })),
+        { text: 'Done', onPress: () => setShowDeleteReminder(true) },
+      ]);
+    } else if (status !== 'cancelled') {
+      setShowDeleteReminder(true);
     }
   };
 
@@ -339,6 +251,8 @@ export default function SOSScreen() {
   </View>
 </View>
 
+        <LiveTrackingBanner style={{ marginTop: 12 }} />
+
 
         {/* Message input */}
         <Text style={styles.sectionTitle}>Message</Text>
@@ -362,6 +276,37 @@ export default function SOSScreen() {
           <Text style={styles.rowText}>  Share my current location</Text>
         </TouchableOpacity>
 
+        {includeLocation && (
+          <>
+            <TouchableOpacity
+              onPress={() => setFollowMeMin(followMeMin ? 0 : TRACKING_DURATIONS[1])}
+              style={styles.row}
+            >
+              {followMeMin ? (
+                <Ionicons name="checkbox" size={20} color={COLORS.text} />
+              ) : (
+                <View style={styles.emptyBox} />
+              )}
+              <Text style={styles.rowText}>  Follow me (live location)</Text>
+            </TouchableOpacity>
+            {followMeMin > 0 && (
+              <View style={[styles.row, styles.contactRow]}>
+                {TRACKING_DURATIONS.map((min) => (
+                  <TouchableOpacity
+                    key={min}
+                    onPress={() => setFollowMeMin(min)}
+                    style={[styles.durationChip, followMeMin === min && styles.durationChipActive]}
+                  >
+                    <Text style={[styles.rowText, followMeMin === min && { color: '#fff' }]}>
+                      {min} min
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            )}
+          </>
+        )}
+
 {/* Share Media Section */}
 <Text style={styles.sectionTitle}>Share Media</Text>
 <TouchableOpacity onPress={() => setShowMediaPicker(true)} style={styles.selectBtn}>
@@ -390,16 +335,35 @@ export default function SOSScreen() {
             color={COLORS.text}
           />
           <Text style={styles.rowText}>
-            {'  '}Emergency Contact ({emergencyContact?.name || 'Not Set'})
+            {'  '}Trusted Contacts ({emergencyContacts.length || 'Not Set'})
           </Text>
           <TouchableOpacity
-            onPress={() => setShowContactModal(true)}
+            onPress={() => navigation.navigate('EmergencyContacts')}
             style={{ flexDirection: 'row', alignItems: 'center', marginLeft: 6 }}
           >
             <Text style={styles.linkInline}>[Edit]</Text>
           </TouchableOpacity>
         </TouchableOpacity>
 
+        {recipient === 'emergency' &&
+          emergencyContacts.map((contact) => (
+            <TouchableOpacity
+              key={contact.id}
+              onPress={() => toggleContact(contact.id)}
+              style={[styles.row, styles.contactRow]}
+            >
+              {selectedContactIds.includes(contact.id) ? (
+                <Ionicons name="checkbox" size={20} color={COLORS.text} />
+              ) : (
+                <View style={styles.emptyBox} />
+              )}
+              <Text style={styles.rowText}>
+                {'  '}{contact.priority}. {contact.name || contact.number}
+                {contact.relationship ? ` (${contact.relationship})` : ''}
+              </Text>
+            </TouchableOpacity>
+          ))}
+
         <TouchableOpacity
           onPress={() => {
             if (!includeLocation) {
@@ -484,23 +448,13 @@ export default function SOSScreen() {
         </TouchableOpacity>
 
         <Text style={styles.subText}>
-          Your SOS will be sent via SMS. Location and media are shared as links. The media link expires in about 24h.
+          Your SOS will be sent via SMS. Location and media are shared as links. The evidence page expires after the time set in Settings.
         </Text>
         <TouchableOpacity onPress={() => setShowDeleteHelpModal(true)}>
           <Text style={styles.linkText}>How to delete an SMS message for yourself</Text>
         </TouchableOpacity>
 
         {/* Modals */}
-        <EditContactModal
-          visible={showContactModal}
-          onClose={() => setShowContactModal(false)}
-          currentContact={emergencyContact}
-          onSave={(updatedContact) => {
-            setEmergencyContact(updatedContact);
-            setShowContactModal(false);
-          }}
-        />
-
         <Modal visible={showDeleteHelpModal} transparent animationType="fade">
           <View style={styles.modalOverlay}>
             <View style={styles.modalBox}>
@@ -671,6 +625,17 @@ const styles = StyleSheet.create({
     color: COLORS.text,
     fontSize: 16,
   },
+  durationChip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 14,
+    borderWidth: 1.5,
+    borderColor: '#9c711bff',
+    marginRight: 8,
+  },
+  durationChipActive: {
+    backgroundColor: '#9c711bff',
+  },
   selectBtn: {
     backgroundColor: '#9c711bff',
     
@@ -716,6 +681,9 @@ const styles = StyleSheet.create({
     marginTop: 6,
     textDecorationLine: 'underline',
   },
+  contactRow: {
+    marginLeft: 28,
+  },
   linkInline: {
      color: "#1c74c6ff",
     fontSize: 16,
@@ -44,10 +44,12 @@ export default function ConfigureSOSScreen({ navigation, onFinish }) {
     (async () => {
       try {
         const { supabase } = require('../../services/supabaseClient');
+        const { getDeviceId } = require('../../services/deviceIdentity');
         await supabase
           .from('emergency_contacts')
           .upsert([
             {
+              device_id: await getDeviceId(),
               name: emergencyName,
               number: digitsOnly,
               relationship: emergencyRelationship,
@@ -20,31 +20,40 @@ const BackspaceIcon = () => (
 );
 
 export default function PinSetupScreen({ navigation, onFinish }) {
-  const { pin, confirmPin, setField } = useContext(OnboardingContext);
+  const { pin, confirmPin, duressPin, setField } = useContext(OnboardingContext);
 
   const [isMatching, setIsMatching] = useState(false);
   const [activeField, setActiveField] = useState('pin');
 
   const [showPin, setShowPin] = useState(false);
   const [showConfirmPin, setShowConfirmPin] = useState(false);
+  const [showDuressPin, setShowDuressPin] = useState(false);
+
+  // Duress PIN is optional, but if given it must be complete and differ from the real PIN
+  const duressValid = duressPin.length === 0 || (duressPin.length === 4 && duressPin !== pin);
 
   useEffect(() => {
     if (
       pin.length === 4 &&
       confirmPin.length === 4 &&
-      pin === confirmPin
+      pin === confirmPin &&
+      duressValid
     ) {
       setIsMatching(true);
     } else {
       setIsMatching(false);
     }
-  }, [pin, confirmPin]);
+  }, [pin, confirmPin, duressPin]);
 
   const handleDigitPress = (digit) => {
     if (activeField === 'pin') {
       if (pin.length < 4) {
         setField('pin', pin + digit);
       }
+    } else if (activeField === 'duress') {
+      if (duressPin.length < 4) {
+        setField('duressPin', duressPin + digit);
+      }
     } else {
       if (confirmPin.length < 4) {
         setField('confirmPin', confirmPin + digit);
@@ -55,6 +64,8 @@ export default function PinSetupScreen({ navigation, onFinish }) {
   const handleBackspace = () => {
     if (activeField === 'pin') {
       setField('pin', pin.slice(0, -1));
+    } else if (activeField === 'duress') {
+      setField('duressPin', duressPin.slice(0, -1));
     } else {
       setField('confirmPin', confirmPin.slice(0, -1));
     }
@@ -143,6 +154,37 @@ export default function PinSetupScreen({ navigation, onFinish }) {
               )}
             </View>
           </TouchableOpacity>
+
+          {/* Optional duress PIN field */}
+          <TouchableOpacity
+            activeOpacity={0.8}
+            onPress={() => setActiveField('duress')}
+            style={[
+              styles.pinField,
+              activeField === 'duress' && styles.fieldFocused,
+            ]}
+          >
+            <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
+              <Text style={duressPin ? styles.pinFieldText : styles.placeholderText}>
+                {duressPin
+                  ? (showDuressPin ? duressPin : '•'.repeat(duressPin.length))
+                  : 'Duress PIN (optional)'}
+              </Text>
+              {duressPin.length > 0 && (
+                <TouchableOpacity onPress={() => setShowDuressPin(!showDuressPin)}>
+                  <Feather
+                    name={showDuressPin ? 'eye' : 'eye-off'}
+                    size={20}
+                    color={theme.muted}
+                  />
+                </TouchableOpacity>
+              )}
+            </View>
+          </TouchableOpacity>
+          <Text style={styles.helperText}>
+            If someone forces you to unlock, enter the duress PIN instead. It opens a harmless decoy
+            version of the app.
+          </Text>
         </View>
 
         <View style={styles.keypadWrapper}>
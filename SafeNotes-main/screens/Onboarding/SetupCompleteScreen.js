@@ -19,7 +19,8 @@ export default function SetupCompleteScreen({ navigation }) {
   const settings = useContext(SettingsContext);
 
   const handleLaunch = () => {
-    settings.setAccessPin(onboarding.pin);
+    settings.setAccessPin(onboarding.pin).catch((e) => console.warn('Failed to save access PIN:', e));
+    settings.setDuressPin(onboarding.duressPin);
     settings.setEmergencyMessage(onboarding.sosMessage);
     settings.setEmergencyContact({
       name: onboarding.emergencyName,
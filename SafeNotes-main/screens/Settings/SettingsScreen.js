@@ -19,19 +19,27 @@ import { ChevronRight } from 'lucide-react-native';
 import * as SecureStore from 'expo-secure-store';
 import { resetAppDataAndRestartOnboarding } from '../../services/resetAppDataAndRestartOnboarding';
 import { Audio } from 'expo-av';
+import { Camera } from 'expo-camera';
+import { useNavigation } from '@react-navigation/native';
 
 // Import voice recognition service functions
 import {
   startBackgroundListening,
   stopBackgroundListening,
-  registerListeningStoppedCallback
+  registerListeningStoppedCallback,
+  VOICE_ENGINES,
 } from '../../services/voiceRecognition';
+import { voiceLanguageFor } from '../../services/voiceLanguages';
+import { TRANSCRIBERS } from '../../services/transcription';
+import { linkTtlLabel } from '../../services/evidenceLinks';
 
 // Modals
 import EditMessageModal from '../../components/modals/EditMessageModal';
-import EditContactModal from '../../components/modals/EditContactModal';
 import ChangePinModal from '../../components/modals/ChangePinModal';
 import SelectTTLModal from '../../components/modals/SelectTTLModal';
+import SelectLanguageModal from '../../components/modals/SelectLanguageModal';
+import EditFlaggedTermsModal from '../../components/modals/EditFlaggedTermsModal';
+import SelectLinkExpiryModal from '../../components/modals/SelectLinkExpiryModal';
 
 export default function SettingsScreen() {
   const {
@@ -45,24 +53,43 @@ export default function SettingsScreen() {
     setGalleryEnabled,
     emergencyMessage,
     setEmergencyMessage,
-    emergencyContact,
-    setEmergencyContact,
     accessPin,
     setAccessPin,
     autoWipeTTL,
     setAutoWipeTTL,
     biometricEnabled,
     setBiometricEnabled,
+    duressPin,
+    setDuressPin,
+    duressSOSEnabled,
+    setDuressSOSEnabled,
+    isDuressMode,
+    intruderPhotoEnabled,
+    protectEvidenceLinks,
+    setProtectEvidenceLinks,
+    evidenceLinkTTL,
+    setEvidenceLinkTTL,
+    setIntruderPhotoEnabled,
+    voiceEngine,
+    setVoiceEngine,
+    voiceLanguage,
+    setVoiceLanguage,
+    transcriber,
+    setTranscriber,
   } = useContext(SettingsContext);
+  const navigation = useNavigation();
 
   // New state for voice recognition toggle
   const [voiceRecognitionEnabled, setVoiceRecognitionEnabled] = useState(false);
 
   // Modal states
   const [showPinModal, setShowPinModal] = useState(false);
+  const [showDuressPinModal, setShowDuressPinModal] = useState(false);
   const [showMessageModal, setShowMessageModal] = useState(false);
-  const [showContactModal, setShowContactModal] = useState(false);
   const [showTTLModal, setShowTTLModal] = useState(false);
+  const [showLanguageModal, setShowLanguageModal] = useState(false);
+  const [showFlaggedModal, setShowFlaggedModal] = useState(false);
+  const [showLinkExpiryModal, setShowLinkExpiryModal] = useState(false);
 
   const { setHasCompletedOnboarding } = useContext(SettingsContext);
 
@@ -100,7 +127,72 @@ export default function SettingsScreen() {
           {/* PRIVACY */}
           <Text style={styles.sectionTitle}>Privacy</Text>
           <View style={styles.group}>
-            <SettingRow label="Update access PIN" onPress={() => setShowPinModal(true)} />
+            {/* PIN rows are hidden in the decoy app so the duress feature isn't revealed */}
+            {!isDuressMode && (
+              <>
+                <SettingRow label="Update access PIN" onPress={() => setShowPinModal(true)} />
+                <ValueRow
+                  label="Duress PIN"
+                  value={duressPin ? 'On' : 'Off'}
+                  onPress={() => {
+                    if (!duressPin) {
+                      setShowDuressPinModal(true);
+                      return;
+                    }
+                    Alert.alert(
+                      'Duress PIN',
+                      'Entering this PIN in the calculator opens a decoy version of the app.',
+                      [
+                        { text: 'Cancel', style: 'cancel' },
+                        { text: 'Change', onPress: () => setShowDuressPinModal(true) },
+                        {
+                          text: 'Remove',
+                          style: 'destructive',
+                          onPress: () => setDuressPin(''),
+                        },
+                      ]
+                    );
+                  }}
+                />
+                {!!duressPin && (
+                  <ToggleRow
+                    label="Silent alert on duress unlock"
+                    value={duressSOSEnabled}
+                    onValueChange={(val) => setDuressSOSEnabled(val)}
+                  />
+                )}
+                <ToggleRow
+                  label="Snapshot on wrong PIN"
+                  value={intruderPhotoEnabled}
+                  onValueChange={async (val) => {
+                    if (!val) {
+                      setIntruderPhotoEnabled(false);
+                      return;
+                    }
+                    if (!cameraEnabled) {
+                      Alert.alert(
+                        'Camera Required',
+                        'Enable camera access first to take snapshots of failed unlock attempts.'
+                      );
+                      return;
+                    }
+                    const { status } = await Camera.requestCameraPermissionsAsync();
+                    if (status === 'granted') {
+                      setIntruderPhotoEnabled(true);
+                    } else {
+                      Alert.alert(
+                        'Camera Permission Required',
+                        'You must allow camera access to take intruder snapshots.'
+                      );
+                    }
+                  }}
+                />
+                <SettingRow
+                  label="View intruder log"
+                  onPress={() => navigation.navigate('IntruderLog')}
+                />
+              </>
+            )}
             <ValueRow
               label="Auto-wipe settings"
               value={autoWipeTTL === 'never' ? 'Never' : autoWipeTTL}
@@ -174,6 +266,67 @@ export default function SettingsScreen() {
                 }
               }}
             />
+            {/* The phrases are the real ones; the decoy must not show or change them */}
+            {!isDuressMode && (
+              <SettingRow
+                label="Panic phrases"
+                onPress={() => navigation.navigate('PanicPhrases')}
+              />
+            )}
+            <ValueRow
+              label="Voice engine"
+              value={VOICE_ENGINES.find((e) => e.key === voiceEngine)?.label}
+              onPress={() =>
+                Alert.alert(
+                  'Voice engine',
+                  VOICE_ENGINES.map((e) => `${e.label}: ${e.description}`).join('\n'),
+                  [
+                    ...VOICE_ENGINES.map((e) => ({
+                      text: e.label,
+                      onPress: async () => {
+                        await setVoiceEngine(e.key);
+                        // Restart so the new engine takes over straight away
+                        if (voiceRecognitionEnabled) {
+                          await stopBackgroundListening({ notify: false });
+                          startBackgroundListening();
+                        }
+                      },
+                    })),
+                    { text: 'Cancel', style: 'cancel' },
+                  ]
+                )
+              }
+            />
+
+            <ValueRow
+              label="Voice language"
+              value={voiceLanguageFor(voiceLanguage).label}
+              onPress={() => setShowLanguageModal(true)}
+            />
+            <ValueRow
+              label="Transcription"
+              value={TRANSCRIBERS.find((t) => t.key === transcriber)?.label}
+              onPress={() =>
+                Alert.alert(
+                  'Transcription',
+                  TRANSCRIBERS.map((t) => `${t.label}: ${t.description}`).join('\n'),
+                  [
+                    ...TRANSCRIBERS.map((t) => ({
+                      text: t.label,
+                      onPress: () => setTranscriber(t.key),
+                    })),
+                    { text: 'Cancel', style: 'cancel' },
+                  ]
+                )
+              }
+            />
+            {/* The word list would give away what the real app is for */}
+            {!isDuressMode && (
+              <SettingRow
+                label="Flagged words in recordings"
+                onPress={() => setShowFlaggedModal(true)}
+              />
+            )}
 
             <ToggleRow
               label="Enable media gallery access"
@@ -194,15 +347,45 @@ export default function SettingsScreen() {
           {/* SAFETY */}
           <Text style={styles.sectionTitle}>Safety</Text>
           <View style={styles.group}>
-            <SettingRow
-              label="Edit emergency message"
-              onPress={() => setShowMessageModal(true)}
+            {/* The real message and contacts stay out of the decoy, as the PINs do */}
+            {!isDuressMode && (
+              <>
+                <SettingRow
+                  label="Edit emergency message"
+                  onPress={() => setShowMessageModal(true)}
+                />
+                <SettingRow
+                  label="Trusted contacts"
+                  onPress={() => navigation.navigate('EmergencyContacts')}
+                />
+              </>
+            )}
+            <ToggleRow
+              label="Lock evidence links with a code"
+              value={protectEvidenceLinks}
+              onValueChange={(val) => {
+                setProtectEvidenceLinks(val);
+                if (val) {
+                  Alert.alert(
+                    'Evidence links locked',
+                    'Your contacts will need a 6-digit code to open evidence links. After your SOS, the app asks you to send the code in a separate text.'
+                  );
+                }
+              }}
             />
-            <SettingRow
-              label="Change emergency contact"
-              onPress={() => setShowContactModal(true)}
-              last
+            <ValueRow
+              label="Evidence links expire after"
+              value={linkTtlLabel(evidenceLinkTTL)}
+              onPress={() => setShowLinkExpiryModal(true)}
+              last={isDuressMode}
             />
+            {!isDuressMode && (
+              <SettingRow
+                label="Check-in timer"
+                onPress={() => navigation.navigate('CheckIn')}
+                last
+              />
+            )}
           </View>
 
           {/* RESET */}
@@ -239,16 +422,18 @@ export default function SettingsScreen() {
           currentMessage={emergencyMessage}
           onSave={setEmergencyMessage}
         />
-        <EditContactModal
-          visible={showContactModal}
-          onClose={() => setShowContactModal(false)}
-          currentContact={emergencyContact}
-          onSave={setEmergencyContact}
-        />
         <ChangePinModal
           visible={showPinModal}
           onClose={() => setShowPinModal(false)}
           onSave={setAccessPin}
+          reservedPin={duressPin}
+        />
+        <ChangePinModal
+          visible={showDuressPinModal}
+          onClose={() => setShowDuressPinModal(false)}
+          onSave={setDuressPin}
+          title="Set Duress PIN"
+          reservedPin={accessPin}
         />
         <SelectTTLModal
           visible={showTTLModal}
@@ -256,6 +441,22 @@ export default function SettingsScreen() {
           currentTTL={autoWipeTTL}
           onSave={setAutoWipeTTL}
         />
+        <SelectLanguageModal
+          visible={showLanguageModal}
+          onClose={() => setShowLanguageModal(false)}
+          currentLanguage={voiceLanguage}
+          onSave={setVoiceLanguage}
+        />
+        <EditFlaggedTermsModal
+          visible={showFlaggedModal}
+          onClose={() => setShowFlaggedModal(false)}
+        />
+        <SelectLinkExpiryModal
+          visible={showLinkExpiryModal}
+          onClose={() => setShowLinkExpiryModal(false)}
+          currentHours={evidenceLinkTTL}
+          onSave={setEvidenceLinkTTL}
+        />
       </KeyboardAvoidingView>
     </SafeAreaView>
   );
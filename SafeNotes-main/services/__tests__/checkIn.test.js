@@ -0,0 +1,63 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import { triggerOverdueCheckIn, getCheckIn, CHECK_IN_KEY } from '../checkIn';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('expo-location', () => ({ getForegroundPermissionsAsync: jest.fn(async () => ({ status: 'denied' })) }));
+jest.mock('expo-notifications', () => ({
+  scheduleNotificationAsync: jest.fn(async () => 'notification-id'),
+  cancelScheduledNotificationAsync: jest.fn(async () => {}),
+  requestPermissionsAsync: jest.fn(async () => ({ status: 'granted' })),
+  SchedulableTriggerInputTypes: { DATE: 'date' },
+}));
+jest.mock('expo-task-manager', () => ({ defineTask: jest.fn(), isTaskRegisteredAsync: jest.fn(async () => false) }));
+jest.mock('expo-background-fetch', () => ({ BackgroundFetchResult: {}, unregisterTaskAsync: jest.fn() }));
+
+const mockDispatch = jest.fn();
+jest.mock('../sosDispatcher', () => ({
+  createSOSDispatcher: () => ({ dispatch: (...args) => mockDispatch(...args) }),
+  getSavedRecipients: jest.fn(async () => []),
+  getSavedMessage: jest.fn(async () => 'Help me'),
+}));
+
+const overdue = { deadline: Date.now() - 60 * 1000, reminderMin: 10, notificationIds: [], lastLocation: null };
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  await AsyncStorage.setItem(CHECK_IN_KEY, JSON.stringify(overdue));
+  jest.clearAllMocks();
+});
+
+describe('triggerOverdueCheckIn', () => {
+  it('clears the check-in once the alert went out', async () => {
+    mockDispatch.mockResolvedValueOnce({ status: 'sent' });
+    await expect(triggerOverdueCheckIn()).resolves.toBe('sent');
+    expect(await getCheckIn()).toBeNull();
+  });
+
+  it('keeps a check-in whose relay failed, to retry without telling anyone', async () => {
+    mockDispatch.mockResolvedValueOnce({ status: 'failed' });
+    await triggerOverdueCheckIn();
+    expect(await getCheckIn()).toEqual(overdue);
+    expect(Notifications.scheduleNotificationAsync).not.toHaveBeenCalled();
+  });
+
+  it.each(['no_recipients', 'sms_unavailable'])('keeps the check-in and says so once when the status is %s', async (status) => {
+    mockDispatch.mockResolvedValue({ status });
+    await triggerOverdueCheckIn();
+    await triggerOverdueCheckIn();
+
+    expect(await getCheckIn()).toEqual({ ...overdue, unsentReason: status });
+    expect(Notifications.scheduleNotificationAsync).toHaveBeenCalledTimes(1);
+    expect(Notifications.scheduleNotificationAsync).toHaveBeenCalledWith(expect.objectContaining({ trigger: null }));
+    expect(mockDispatch).toHaveBeenCalledTimes(2);
+  });
+
+  it('does nothing before the deadline', async () => {
+    await AsyncStorage.setItem(CHECK_IN_KEY, JSON.stringify({ ...overdue, deadline: Date.now() + 60 * 1000 }));
+    await expect(triggerOverdueCheckIn()).resolves.toBeNull();
+    expect(mockDispatch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,46 @@
+import { flagsFor } from '../evidenceIndex';
+
+jest.mock('../supabaseClient', () => ({ supabase: {} }));
+jest.mock('../deviceIdentity', () => ({ getDeviceId: jest.fn() }));
+jest.mock('../transcription', () => ({ transcribeAudio: jest.fn() }));
+jest.mock('../evidenceRecorder', () => ({
+  loadRecordingSessions: jest.fn(),
+  getRecordingChunk: jest.fn(),
+  updateRecordingChunk: jest.fn(),
+  subscribeToChunks: jest.fn(),
+  transcriptColumns: jest.fn(),
+}));
+
+describe('flagsFor', () => {
+  it('flags threats said outright', () => {
+    expect(flagsFor('I swear I will kill you')).toEqual(['kill you']);
+    expect(flagsFor('He said he would take the children')).toEqual(['take the children']);
+  });
+
+  it.each([
+    ['will you come home', 'kill you'],
+    ['i will turn you around', 'burn you'],
+    ['dekh lena', 'dekh lunga'],
+    ['you are dad', 'you are dead'],
+  ])('does not flag "%s" as "%s"', (text) => {
+    expect(flagsFor(text)).toEqual([]);
+  });
+
+  it('flags romanized Hindi whichever way its long vowels are spelled', () => {
+    expect(flagsFor('jan se mar dunga')).toEqual(expect.arrayContaining(['jaan se maar', 'maar dunga']));
+  });
+
+  it('flags Hindi written in Devanagari', () => {
+    expect(flagsFor('मैं तुझे देख लूंगा')).toEqual(['dekh lunga']);
+  });
+
+  it('flags the names the user added, after the threats', () => {
+    expect(flagsFor('Ramesh said he will hurt you', ['ramesh'])).toEqual(['hurt you', 'ramesh']);
+    expect(flagsFor('Rajesh came by', ['ramesh'])).toEqual([]);
+  });
+
+  it('flags nothing in an empty transcript', () => {
+    expect(flagsFor('')).toEqual([]);
+    expect(flagsFor(null)).toEqual([]);
+  });
+});
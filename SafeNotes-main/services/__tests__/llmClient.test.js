@@ -0,0 +1,175 @@
+import { FunctionsHttpError, FunctionsFetchError } from '@supabase/supabase-js';
+import { generateText, searchWeb, registerLlmProvider, llmErrorMessage, LlmError, LlmQuotaError } from '../llmClient';
+import { createGatewayProvider } from '../llmProviders/gatewayProvider';
+import { createMockProvider } from '../llmProviders/mockProvider';
+import { supabase } from '../supabaseClient';
+
+jest.mock('expo-constants', () => ({ expoConfig: { extra: {} } }));
+jest.mock('../supabaseClient', () => ({ supabase: { functions: { invoke: jest.fn() } } }));
+jest.mock('../deviceIdentity', () => ({ getDeviceId: jest.fn(async () => 'device-1') }));
+
+// A provider that fails with each of `failures` in turn, then answers
+function flakyProvider(...failures) {
+  const generate = jest.fn(async () => {
+    const failure = failures.shift();
+    if (failure) throw failure;
+    return 'answer';
+  });
+  registerLlmProvider('flaky', () => ({ name: 'flaky', generate }));
+  return generate;
+}
+
+// Runs a call while skipping the waits between retries
+async function withoutWaiting(call) {
+  const result = call().then(
+    (value) => ({ value }),
+    (error) => ({ error })
+  );
+  await jest.runAllTimersAsync();
+  const { value, error } = await result;
+  if (error) throw error;
+  return value;
+}
+
+describe('llmClient retries', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('retries retryable failures twice, then succeeds', async () => {
+    const generate = flakyProvider(
+      new LlmError('busy', { retryable: true, status: 503 }),
+      new LlmError('busy', { retryable: true, status: 503 })
+    );
+    await expect(withoutWaiting(() => generateText({ feature: 'chat', prompt: 'hi' }, { provider: 'flaky' }))).resolves.toBe('answer');
+    expect(generate).toHaveBeenCalledTimes(3);
+  });
+
+  it('gives up after the third retryable failure', async () => {
+    const generate = flakyProvider(
+      ...Array.from({ length: 3 }, () => new LlmError('down', { retryable: true }))
+    );
+    await expect(withoutWaiting(() => generateText({ feature: 'chat', prompt: 'hi' }, { provider: 'flaky' }))).rejects.toThrow('down');
+    expect(generate).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not retry failures that are not retryable, or plain errors', async () => {
+    let generate = flakyProvider(new LlmError('bad request', { status: 400 }));
+    await expect(withoutWaiting(() => generateText({ feature: 'chat', prompt: 'hi' }, { provider: 'flaky' }))).rejects.toMatchObject({ status: 400 });
+    expect(generate).toHaveBeenCalledTimes(1);
+
+    generate = flakyProvider(new TypeError('oops'));
+    const error = await withoutWaiting(() => generateText({ feature: 'chat', prompt: 'hi' }, { provider: 'flaky' })).catch((e) => e);
+    expect(error).toBeInstanceOf(LlmError);
+    expect(error.message).toBe('oops');
+    expect(generate).toHaveBeenCalledTimes(1);
+  });
+
+  it('treats an empty reply as a failure', async () => {
+    registerLlmProvider('silent', () => ({ name: 'silent', generate: async () => '' }));
+    await expect(generateText({ feature: 'chat', prompt: 'hi' }, { provider: 'silent' })).rejects.toThrow('no text');
+  });
+
+  it('refuses an unknown provider', async () => {
+    await expect(generateText({ feature: 'chat', prompt: 'hi' }, { provider: 'nope' })).rejects.toThrow('Unknown LLM provider "nope"');
+  });
+});
+
+describe('gateway provider errors', () => {
+  const httpError = (status, body) =>
+    new FunctionsHttpError({ status, json: async () => body });
+
+  it('maps a 429 quota_exceeded reply to LlmQuotaError', async () => {
+    const resetsAt = Date.now() + 3 * 3600 * 1000;
+    supabase.functions.invoke.mockResolvedValueOnce({
+      data: null,
+      error: httpError(429, { error: 'Daily limit reached', code: 'quota_exceeded', limit: 20, resets_at: resetsAt }),
+    });
+
+    const error = await createGatewayProvider().generate({ feature: 'chat', prompt: 'hi' }).catch((e) => e);
+    expect(error).toBeInstanceOf(LlmQuotaError);
+    expect(error).toMatchObject({ limit: 20, resetsAt, retryable: false, status: 429 });
+    expect(llmErrorMessage(error, 'chat')).toMatch(/^You have reached today's limit for chat messages\. It resets in 3h 0m\.$/);
+  });
+
+  it('marks server and network failures retryable, but not a gateway without keys or other client errors', async () => {
+    const gateway = createGatewayProvider();
+    const failWith = async (error) => {
+      supabase.functions.invoke.mockResolvedValueOnce({ data: null, error });
+      return gateway.generate({ feature: 'chat', prompt: 'hi' }).catch((e) => e);
+    };
+
+    expect(await failWith(httpError(502, { error: 'Upstream failed' }))).toMatchObject({ message: 'Upstream failed', retryable: true, status: 502 });
+    expect(await failWith(httpError(503, { error: 'Gemini is not configured', code: 'not_configured' }))).toMatchObject({ retryable: false, status: 503 });
+    expect(await failWith(httpError(400, {}))).toMatchObject({ message: 'AI gateway error 400', retryable: false });
+    expect(await failWith(httpError(429, { error: 'Slow down' }))).not.toBeInstanceOf(LlmQuotaError);
+    expect(await failWith(new FunctionsFetchError('offline'))).toMatchObject({ retryable: true });
+  });
+
+  it('words everything but the quota with the fallback', () => {
+    expect(llmErrorMessage(new LlmError('x'), 'chat', 'Try later')).toBe('Try later');
+  });
+});
+
+describe('mock provider', () => {
+  const mock = createMockProvider();
+
+  it('gives the same chat reply to the same message', async () => {
+    const reply = await mock.generate({ feature: 'chat', prompt: 'I feel scared' });
+    expect(reply).toBeTruthy();
+    await expect(mock.generate({ feature: 'chat', prompt: 'I feel scared' })).resolves.toBe(reply);
+  });
+
+  it('asks for a search when sections come up, and cites the results it is given', async () => {
+    await expect(mock.generate({ feature: 'legal_assistant', prompt: 'User: Which IPC section covers this?\nAssistant:' }))
+      .resolves.toBe('NEEDS_SEARCH');
+    const cited = await mock.generate({
+      feature: 'legal_assistant',
+      prompt: 'Sources:\nSection 498A - Cruelty\n\nUser: Which section?\nAssistant:',
+    });
+    expect(cited).toMatch(/^Based on Section 498A, /);
+    await expect(searchWeb('498A', { provider: 'mock' })).resolves.toHaveLength(2);
+  });
+
+  it('fills every FIR section, with what the user said as the incident', async () => {
+    const fir = await mock.generate({
+      feature: 'legal_assistant',
+      prompt: `
+      Extract structured FIR information from the conversation below. Format as sections:
+
+      Conversation:
+      User: He hit me on Sunday night.
+Assistant: I am sorry. Where were you?
+User: At home in Delhi.
+    `,
+    });
+    expect(fir.split('\n\n')).toEqual([
+      'Complainant Details: Information not provided.',
+      'Incident Details: He hit me on Sunday night. At home in Delhi.',
+      'Accused Details: Information not provided.',
+      'Witness Details: Information not provided.',
+      'Evidence Details: Information not provided.',
+      'IPC Sections: Information not provided.',
+    ]);
+  });
+
+  it('drafts from the details block and refines by appending the request', async () => {
+    const draft = await mock.generate({
+      feature: 'legal_document',
+      prompt: 'Draft a comprehensive, professional Protection Order Petition\nusing ALL the details.\n\n--- DETAILS ---\nName: Asha\n--- END ---\n',
+    });
+    expect(draft).toBe('[START DRAFT]\nPROTECTION ORDER PETITION\n\nName: Asha\n\n(Sample draft made offline, without a model.)\n[END DRAFT]');
+
+    const refined = await mock.generate({
+      feature: 'legal_document',
+      prompt: '--- CURRENT DRAFT ---\nDear Sir\n--- END DRAFT ---\n\n--- USER REQUEST ---\nAdd the date\n--- END REQUEST ---',
+    });
+    expect(refined).toBe('Dear Sir\n\n[Change requested: Add the date]');
+  });
+});
@@ -0,0 +1,63 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+import { loadVaultNotes, saveVaultNotes, changeVaultPin, ACCESS_PIN_KEY } from '../notesVault';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('expo-secure-store', () => {
+  const store = {};
+  return {
+    getItemAsync: jest.fn(async (key) => store[key] ?? null),
+    setItemAsync: jest.fn(async (key, value) => {
+      store[key] = value;
+    }),
+  };
+});
+jest.mock('expo-crypto', () => ({
+  getRandomBytes: (n) => new Uint8Array(require('crypto').randomBytes(n)),
+}));
+
+const NOTE = { id: 'a', timestamp: 1, title: 'Dates', content: '<p>3 May</p>' };
+
+describe('notesVault', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    await SecureStore.setItemAsync(ACCESS_PIN_KEY, '1111');
+  });
+
+  it('reads back what it saved under the same PIN', async () => {
+    await saveVaultNotes([NOTE], '1111');
+    await expect(loadVaultNotes('1111')).resolves.toEqual([NOTE]);
+  });
+
+  it('changes the PIN together with the key, so notes open with the new one', async () => {
+    await saveVaultNotes([NOTE], '1111');
+    await changeVaultPin('1111', '2222');
+    await expect(SecureStore.getItemAsync(ACCESS_PIN_KEY)).resolves.toBe('2222');
+    await expect(loadVaultNotes('2222')).resolves.toEqual([NOTE]);
+    await expect(loadVaultNotes('1111')).rejects.toThrow();
+  });
+
+  it('keeps the old PIN and key when the new PIN cannot be stored', async () => {
+    await saveVaultNotes([NOTE], '1111');
+    SecureStore.setItemAsync.mockRejectedValueOnce(new Error('keychain locked'));
+    await expect(changeVaultPin('1111', '2222')).rejects.toThrow('keychain locked');
+    await expect(SecureStore.getItemAsync(ACCESS_PIN_KEY)).resolves.toBe('1111');
+    await expect(loadVaultNotes('1111')).resolves.toEqual([NOTE]);
+  });
+
+  it('refuses to re-key with the wrong old PIN and leaves the PIN unchanged', async () => {
+    await saveVaultNotes([NOTE], '1111');
+    await expect(changeVaultPin('9999', '2222')).rejects.toThrow();
+    await expect(SecureStore.getItemAsync(ACCESS_PIN_KEY)).resolves.toBe('1111');
+  });
+
+  it('lets a save that started before a PIN change finish under the old key first', async () => {
+    await saveVaultNotes([NOTE], '1111');
+    const saving = saveVaultNotes([NOTE, { ...NOTE, id: 'b' }], '1111');
+    const changing = changeVaultPin('1111', '2222');
+    await Promise.all([saving, changing]);
+    await expect(loadVaultNotes('2222')).resolves.toHaveLength(2);
+  });
+});
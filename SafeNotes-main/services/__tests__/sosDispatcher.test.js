@@ -0,0 +1,178 @@
+import { Alert } from 'react-native';
+import { createSOSDispatcher, showSOSResult } from '../sosDispatcher';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('@react-native-community/netinfo', () => ({ addEventListener: jest.fn(), fetch: jest.fn() }));
+jest.mock('../supabaseClient', () => ({ supabase: {} }));
+jest.mock('../deviceIdentity', () => ({ getDeviceId: jest.fn() }));
+jest.mock('../uploadMediaFromLocal', () => ({ uploadMediaFromLocal: jest.fn() }));
+jest.mock('../evidenceLinks', () => ({ createEvidenceLink: jest.fn() }));
+jest.mock('../locationTracking', () => ({ startTrackingSession: jest.fn(), stopTrackingSession: jest.fn() }));
+jest.mock('../duressAlert', () => ({ relayAlert: jest.fn() }));
+jest.mock('../../utils/fileHash', () => ({ sha256File: jest.fn() }));
+jest.mock('../../contexts/SettingsContext', () => ({ DEFAULT_MESSAGE: 'Help me' }));
+
+const ASHA = { id: 'a', name: 'Asha', number: '9876543210', priority: 1, channels: ['sms'], escalateAfterMin: 5 };
+const RAVI = { id: 'r', name: 'Ravi', number: '9123456780', priority: 2, channels: ['sms'], escalateAfterMin: 0 };
+const MEERA = { id: 'm', name: 'Meera', number: '9000000000', priority: 1, channels: ['call'], escalateAfterMin: 0 };
+const HERE = { latitude: 28.6, longitude: 77.2 };
+
+// Every side effect faked; the outbox entry keeps no items, so its text is the message itself
+function fakeDeps(overrides = {}) {
+  const entries = [];
+  return {
+    getRecipients: jest.fn(async () => [ASHA, RAVI]),
+    getMessage: jest.fn(async () => 'Help me'),
+    getLinkProtection: jest.fn(async () => false),
+    getLocation: jest.fn(async () => HERE),
+    isSMSAvailable: jest.fn(async () => true),
+    sendSMS: jest.fn(async () => 'sent'),
+    relayAlert: jest.fn(async () => true),
+    enqueueSOS: jest.fn(async (fields) => {
+      const entry = { id: `entry-${entries.length + 1}`, items: [], sentLinks: [], ...fields };
+      entries.push(entry);
+      return entry;
+    }),
+    processOutbox: jest.fn(async () => {}),
+    getOutbox: jest.fn(async () => entries),
+    markInitialSMSSent: jest.fn(async () => {}),
+    discardOutboxEntry: jest.fn(async () => {}),
+    startTracking: jest.fn(async () => ({ viewUrl: 'https://track.example/t/1' })),
+    stopTracking: jest.fn(async () => {}),
+    ...overrides,
+  };
+}
+
+describe('createSOSDispatcher', () => {
+  it('texts the first contact with the saved message and location, and queues the next one', async () => {
+    const deps = fakeDeps();
+    const onStep = jest.fn();
+    const result = await createSOSDispatcher(deps).dispatch({ onStep });
+
+    expect(result.status).toBe('sent');
+    expect(deps.sendSMS).toHaveBeenCalledWith(
+      ['9876543210'],
+      'Help me\n\nMy location: https://maps.google.com/?q=28.6,77.2'
+    );
+    expect(deps.enqueueSOS).toHaveBeenCalledWith(expect.objectContaining({
+      recipients: [expect.objectContaining({ name: 'Asha' })],
+      escalations: [expect.objectContaining({ contact: expect.objectContaining({ name: 'Ravi' }) })],
+      latitude: 28.6,
+      longitude: 77.2,
+    }));
+    expect(deps.markInitialSMSSent).toHaveBeenCalled();
+    expect(onStep).toHaveBeenLastCalledWith('sms', 'done');
+  });
+
+  it('says why nothing was sent when there is nobody to alert', async () => {
+    const deps = fakeDeps({ getRecipients: jest.fn(async () => []) });
+    await expect(createSOSDispatcher(deps).dispatch()).resolves.toMatchObject({ status: 'no_recipients' });
+    expect(deps.enqueueSOS).not.toHaveBeenCalled();
+  });
+
+  it('stops before queueing anything when the phone cannot send SMS', async () => {
+    const deps = fakeDeps({ isSMSAvailable: jest.fn(async () => false) });
+    await expect(createSOSDispatcher(deps).dispatch()).resolves.toMatchObject({ status: 'sms_unavailable' });
+    expect(deps.enqueueSOS).not.toHaveBeenCalled();
+  });
+
+  it('reaches contacts who only take calls through actions, without the composer', async () => {
+    const deps = fakeDeps();
+    const result = await createSOSDispatcher(deps).dispatch({ recipients: [MEERA] });
+    expect(result.status).toBe('unknown');
+    expect(deps.sendSMS).not.toHaveBeenCalled();
+    expect(result.actions).toEqual([expect.objectContaining({ url: 'tel:9000000000' })]);
+  });
+
+  it('discards the queued SOS and stops tracking when the user cancels the composer', async () => {
+    const deps = fakeDeps({ sendSMS: jest.fn(async () => 'cancelled') });
+    const result = await createSOSDispatcher(deps).dispatch({ liveTrackingMin: 30 });
+    expect(result.status).toBe('cancelled');
+    expect(deps.discardOutboxEntry).toHaveBeenCalledWith('entry-1');
+    expect(deps.stopTracking).toHaveBeenCalled();
+    expect(deps.markInitialSMSSent).not.toHaveBeenCalled();
+  });
+
+  it('aborts before sending when beforeSend says no', async () => {
+    const deps = fakeDeps();
+    const result = await createSOSDispatcher(deps).dispatch({ beforeSend: async () => false });
+    expect(result.status).toBe('cancelled');
+    expect(deps.sendSMS).not.toHaveBeenCalled();
+    expect(deps.discardOutboxEntry).toHaveBeenCalledWith('entry-1');
+  });
+
+  it('still sends when the location or live tracking is unavailable', async () => {
+    const deps = fakeDeps({
+      getLocation: jest.fn(async () => null),
+      startTracking: jest.fn(async () => {
+        throw new Error('no permission');
+      }),
+    });
+    const result = await createSOSDispatcher(deps).dispatch({ liveTrackingMin: 30 });
+    expect(result.status).toBe('sent');
+    expect(deps.sendSMS.mock.calls[0][1]).toBe('Help me\n\n[Location could not be retrieved]');
+  });
+
+  it('keeps an outbox pass from blocking the SMS when it fails', async () => {
+    const deps = fakeDeps({ processOutbox: jest.fn(async () => { throw new Error('offline'); }) });
+    await expect(createSOSDispatcher(deps).dispatch()).resolves.toMatchObject({ status: 'sent' });
+  });
+
+  describe('relay', () => {
+    it('texts every contact through the relay, whatever their channel, with unlocked links', async () => {
+      const deps = fakeDeps({ getLinkProtection: jest.fn(async () => true) });
+      const result = await createSOSDispatcher(deps).dispatch({
+        recipients: [ASHA, MEERA],
+        requestPermission: false,
+        relay: 'check_in',
+      });
+      expect(result.status).toBe('sent');
+      expect(deps.isSMSAvailable).not.toHaveBeenCalled();
+      expect(deps.sendSMS).not.toHaveBeenCalled();
+      expect(deps.getLocation).toHaveBeenCalledWith({ requestPermission: false });
+      expect(deps.relayAlert).toHaveBeenCalledWith(expect.objectContaining({
+        contacts: [expect.objectContaining({ name: 'Asha' }), expect.objectContaining({ name: 'Meera' })],
+        source: 'check_in',
+        latitude: 28.6,
+      }));
+      expect(deps.enqueueSOS).toHaveBeenCalledWith(expect.objectContaining({ protectLinks: false }));
+    });
+
+    it('reports failed and discards the entry when nothing was delivered, so the caller can retry', async () => {
+      const deps = fakeDeps({ relayAlert: jest.fn(async () => false) });
+      const dispatcher = createSOSDispatcher(deps);
+
+      const first = await dispatcher.dispatch({ relay: 'check_in' });
+      expect(first.status).toBe('failed');
+      expect(deps.discardOutboxEntry).toHaveBeenCalledWith('entry-1');
+      expect(deps.markInitialSMSSent).not.toHaveBeenCalled();
+
+      deps.relayAlert.mockResolvedValueOnce(true);
+      const retry = await dispatcher.dispatch({ relay: 'check_in' });
+      expect(retry.status).toBe('sent');
+      expect(deps.markInitialSMSSent).toHaveBeenCalledTimes(1);
+    });
+  });
+});
+
+describe('showSOSResult', () => {
+  beforeEach(() => jest.spyOn(Alert, 'alert').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  it('says nothing was sent and offers a retry when the SOS failed', () => {
+    const onRetry = jest.fn();
+    showSOSResult({ status: 'failed', recipients: [ASHA], onRetry });
+
+    const [title, , buttons] = Alert.alert.mock.calls[0];
+    expect(title).toBe('SOS not sent');
+    buttons.find((b) => b.text === 'Retry').onPress();
+    expect(onRetry).toHaveBeenCalled();
+  });
+
+  it('names the recipients once the SOS went out', () => {
+    showSOSResult({ status: 'sent', recipients: [ASHA, RAVI] });
+    expect(Alert.alert).toHaveBeenCalledWith('SOS Sent', 'Message sent to Asha, Ravi', [{ text: 'OK' }]);
+  });
+});
@@ -0,0 +1,192 @@
+import {
+  enqueueSOS,
+  processOutbox,
+  getOutbox,
+  markInitialSMSSent,
+  discardOutboxEntry,
+  retryOutboxEntry,
+  OUTBOX_KEY,
+} from '../sosOutbox';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { uploadMediaFromLocal } from '../uploadMediaFromLocal';
+import { createEvidenceLink } from '../evidenceLinks';
+import { supabase } from '../supabaseClient';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('@react-native-community/netinfo', () => ({ addEventListener: jest.fn() }));
+jest.mock('expo-sms', () => ({ sendSMSAsync: jest.fn() }));
+jest.mock('expo-linking', () => ({ openURL: jest.fn() }));
+jest.mock('../emergencyContacts', () => ({ channelUrl: jest.fn() }));
+jest.mock('../uploadMediaFromLocal', () => ({ uploadMediaFromLocal: jest.fn() }));
+jest.mock('../evidenceLinks', () => ({ createEvidenceLink: jest.fn() }));
+jest.mock('../supabaseClient', () => ({ supabase: { from: jest.fn() } }));
+jest.mock('../deviceIdentity', () => ({ getDeviceId: jest.fn(async () => 'device-1') }));
+jest.mock('../../utils/fileHash', () => ({ sha256File: jest.fn(async () => 'a'.repeat(64)) }));
+jest.mock('../../utils/generateUUID', () => {
+  let next = 0;
+  return { generateUUID: jest.fn(async () => `entry-${++next}`) };
+});
+
+const SECOND = 1000;
+let now;
+let calls; // every side effect, in the order the outbox ran them
+const insertLog = jest.fn();
+
+beforeEach(async () => {
+  await AsyncStorage.removeItem(OUTBOX_KEY);
+  jest.clearAllMocks();
+  now = 1_000_000;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  calls = [];
+
+  uploadMediaFromLocal.mockImplementation(async (uri) => {
+    calls.push(`upload ${uri}`);
+    return `https://storage.example/${uri}`;
+  });
+  createEvidenceLink.mockImplementation(async (incident) => {
+    calls.push(`link with ${incident.media.length} files`);
+    return { url: 'https://worker.example/embed?id=1', accessCode: null };
+  });
+  insertLog.mockImplementation(async () => {
+    calls.push('log');
+    return { error: null };
+  });
+  supabase.from.mockReturnValue({ insert: insertLog });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const sos = (fields = {}) =>
+  enqueueSOS({
+    message: 'Help me',
+    recipients: [{ name: 'Asha', number: '9876543210' }],
+    media: [{ uri: 'a.jpg', mimeType: 'image/jpeg' }, { uri: 'b.mp4', mimeType: 'video/mp4' }],
+    ...fields,
+  });
+
+const itemsOf = async (id) => {
+  const entry = (await getOutbox()).find((e) => e.id === id);
+  return entry && Object.fromEntries(entry.items.map((i) => [i.id, i]));
+};
+
+describe('order', () => {
+  it('uploads every file, then makes the page with them, then logs the SOS once it was sent', async () => {
+    const entry = await sos();
+    await processOutbox();
+    expect(calls).toEqual(['upload a.jpg', 'upload b.mp4', 'link with 2 files']);
+
+    await markInitialSMSSent((await getOutbox())[0]);
+    await processOutbox();
+    expect(calls).toEqual(['upload a.jpg', 'upload b.mp4', 'link with 2 files', 'log']);
+    // The link went out with the SMS, so no follow-up; with everything through it is dropped
+    expect(await itemsOf(entry.id)).toBeUndefined();
+  });
+
+  it('offers the follow-up SMS only after the first one went out without the link', async () => {
+    const entry = await sos();
+    await markInitialSMSSent(entry); // sent before the link was ready
+    await processOutbox();
+    expect((await itemsOf(entry.id)).follow_up.status).toBe('ready');
+  });
+
+  it('makes a page for recordings alone, and none for an SOS without evidence', async () => {
+    const entry = await sos({ media: [], audio: [{ parts: [{ url: 'https://storage.example/r.m4a' }] }] });
+    await processOutbox();
+    expect((await itemsOf(entry.id)).evidence_link.status).toBe('done');
+
+    const bare = await sos({ media: [] });
+    await markInitialSMSSent(bare);
+    await processOutbox();
+    expect(calls).toEqual(['link with 0 files', 'log']);
+    expect(await itemsOf(bare.id)).toBeUndefined(); // everything through, so dropped
+  });
+
+  it('never logs an SOS the user cancelled in the composer', async () => {
+    const entry = await sos();
+    await processOutbox();
+    await discardOutboxEntry(entry.id);
+    await processOutbox();
+    expect(insertLog).not.toHaveBeenCalled();
+  });
+});
+
+describe('retries', () => {
+  it('leaves the rest of the entry for the next pass after a failure', async () => {
+    uploadMediaFromLocal.mockRejectedValueOnce(new Error('offline'));
+    const entry = await sos();
+    await processOutbox();
+    const items = await itemsOf(entry.id);
+    expect(items['upload-0']).toMatchObject({ attempts: 1, status: 'pending' });
+    expect(items['upload-1'].attempts).toBe(0);
+    expect(uploadMediaFromLocal).toHaveBeenCalledTimes(1);
+  });
+
+  it('backs off 10s, 20s, 40s… up to 15 minutes, then gives up', async () => {
+    uploadMediaFromLocal.mockRejectedValue(new Error('offline'));
+    const entry = await sos({ media: [{ uri: 'a.jpg', mimeType: 'image/jpeg' }] });
+
+    const waits = [];
+    for (let attempt = 1; attempt <= 7; attempt++) {
+      await processOutbox();
+      const { 'upload-0': upload, evidence_link: link } = await itemsOf(entry.id);
+      expect(upload).toMatchObject({ attempts: attempt, status: 'pending', error: 'offline' });
+      expect(link.attempts).toBe(0);
+      waits.push((upload.nextAttemptAt - now) / SECOND);
+
+      now = upload.nextAttemptAt - 1;
+      await processOutbox(); // not due yet
+      expect((await itemsOf(entry.id))['upload-0'].attempts).toBe(attempt);
+      now += 1;
+    }
+    expect(waits).toEqual([10, 20, 40, 80, 160, 320, 640]);
+
+    await processOutbox();
+    const { 'upload-0': upload } = await itemsOf(entry.id);
+    expect(upload).toMatchObject({ attempts: 8, status: 'failed' });
+    expect(upload.nextAttemptAt - now).toBe(15 * 60 * SECOND);
+  });
+
+  it('goes on with the next item once a retry succeeds', async () => {
+    uploadMediaFromLocal.mockRejectedValueOnce(new Error('offline'));
+    const entry = await sos();
+    await processOutbox();
+    expect(calls).toEqual([]);
+
+    now += 10 * SECOND;
+    await processOutbox();
+    expect(calls).toEqual(['upload a.jpg', 'upload b.mp4', 'link with 2 files']);
+    expect((await itemsOf(entry.id))['upload-0']).toMatchObject({ status: 'done', attempts: 1, error: null });
+  });
+
+  it('runs failed and backed-off items again straight away when retried by hand', async () => {
+    uploadMediaFromLocal.mockRejectedValue(new Error('offline'));
+    const entry = await sos();
+    for (let attempt = 0; attempt < 8; attempt++) {
+      await processOutbox();
+      now += 15 * 60 * SECOND;
+    }
+    expect((await itemsOf(entry.id))['upload-0'].status).toBe('failed');
+
+    uploadMediaFromLocal.mockImplementation(async (uri) => `https://storage.example/${uri}`);
+    await retryOutboxEntry(entry.id);
+    const items = await itemsOf(entry.id);
+    expect(items['upload-0']).toMatchObject({ status: 'done', attempts: 0 });
+    expect(items.evidence_link.status).toBe('done');
+  });
+
+  it('retries a failed log write without repeating the page', async () => {
+    insertLog.mockResolvedValueOnce({ error: { message: 'permission denied' } });
+    const entry = await sos();
+    await markInitialSMSSent(entry);
+    await processOutbox();
+    expect((await itemsOf(entry.id)).log).toMatchObject({ status: 'pending', attempts: 1, error: 'permission denied' });
+
+    now += 10 * SECOND;
+    await processOutbox();
+    expect(insertLog).toHaveBeenCalledTimes(2);
+    expect(createEvidenceLink).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,79 @@
+import { isLockedOut, recordFailedAttempt, resetFailedAttempts, logIntruderAttempt, getIntruderLog, clearIntruderLog } from '../unlockGuard';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('expo-secure-store', () => {
+  const store = {};
+  return {
+    getItemAsync: jest.fn(async (key) => store[key] ?? null),
+    setItemAsync: jest.fn(async (key, value) => {
+      store[key] = value;
+    }),
+  };
+});
+jest.mock('expo-file-system', () => ({ documentDirectory: 'file:///docs/', deleteAsync: jest.fn(async () => {}) }));
+jest.mock('../../utils/generateUUID', () => ({ generateUUID: async () => 'id' }));
+
+const HOUR = 60 * 60 * 1000;
+
+describe('unlockGuard', () => {
+  let now;
+
+  beforeEach(async () => {
+    now = Date.UTC(2025, 0, 1);
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    await resetFailedAttempts();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('locks out only after the free attempts, and says which entry started it', async () => {
+    for (let i = 0; i < 4; i++) {
+      expect((await recordFailedAttempt()).lockedOut).toBe(false);
+    }
+    await expect(isLockedOut()).resolves.toBe(false);
+
+    const fifth = await recordFailedAttempt();
+    expect(fifth.lockedOut).toBe(true);
+    expect(fifth.lockedUntil).toBe(now + 30 * 1000);
+    await expect(isLockedOut()).resolves.toBe(true);
+  });
+
+  it('doubles the lockout for each further failure', async () => {
+    for (let i = 0; i < 5; i++) await recordFailedAttempt();
+    now += 60 * 1000;
+    expect((await recordFailedAttempt()).lockedUntil).toBe(now + 60 * 1000);
+  });
+
+  it('stops counting failures older than a day', async () => {
+    for (let i = 0; i < 4; i++) await recordFailedAttempt();
+    now += 25 * HOUR;
+    const next = await recordFailedAttempt();
+    expect(next.failures).toBe(1);
+    expect(next.lockedOut).toBe(false);
+  });
+
+  it('clears failures and any lockout on a successful unlock', async () => {
+    for (let i = 0; i < 5; i++) await recordFailedAttempt();
+    await resetFailedAttempts();
+    await expect(isLockedOut()).resolves.toBe(false);
+    expect((await recordFailedAttempt()).failures).toBe(1);
+  });
+
+  it('logs the time of every failed attempt, including those during a lockout', async () => {
+    await clearIntruderLog();
+    await logIntruderAttempt();
+    now += 1000;
+    await logIntruderAttempt({ lockedUntil: now + 30 * 1000 });
+    now += 1000;
+    await logIntruderAttempt({ duringLockout: true });
+
+    const log = await getIntruderLog();
+    expect(log.map(({ timestamp, lockedUntil, duringLockout }) => ({ timestamp, lockedUntil, duringLockout }))).toEqual([
+      { timestamp: now, lockedUntil: 0, duringLockout: true },
+      { timestamp: now - 1000, lockedUntil: now - 1000 + 30 * 1000, duringLockout: false },
+      { timestamp: now - 2000, lockedUntil: 0, duringLockout: false },
+    ]);
+  });
+});
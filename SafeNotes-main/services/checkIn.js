@@ -0,0 +1,254 @@
+// services/checkIn.js
+//
+// Check-in timer ("dead-man switch"): the user promises to check in by a
+// deadline. A disguised reminder goes off beforehand; if the deadline passes
+// without a PIN confirmation, the shared SOS flow is sent on their behalf.
+//
+// Nobody may be there to press send, so the SOS is texted by the alert-relay
+// edge function (see duressAlert.relayAlert) rather than the SMS composer, and
+// counts as sent only once an SMS was accepted for delivery. While the app is
+// running a timer fires it on time; otherwise the deadline notification, the
+// next app launch and a background fetch task each catch it as soon as they can.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AppState } from 'react-native';
+import * as Location from 'expo-location';
+import * as Notifications from 'expo-notifications';
+import * as TaskManager from 'expo-task-manager';
+import * as BackgroundFetch from 'expo-background-fetch';
+import { createSOSDispatcher, getSavedRecipients, getSavedMessage } from './sosDispatcher';
+
+export const CHECK_IN_KEY = 'checkInTimer';
+const TASK_NAME = 'safenotes-check-in';
+
+// Shown on the lock screen, so they read like the disguise app's own notices
+const REMINDER_NOTIFICATION = { title: 'Notes', body: 'You have a note to review.' };
+const DEADLINE_NOTIFICATION = { title: 'Notes', body: 'Sync paused. Open Notes to resume.' };
+// The missed check-in's alert could not go out at all; the app says why once unlocked
+const UNSENT_NOTIFICATION = { title: 'Notes', body: 'Sync could not finish. Open Notes to fix it.' };
+
+const listeners = new Set();
+
+export async function getCheckIn() {
+  try {
+    const stored = await AsyncStorage.getItem(CHECK_IN_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch {
+    return null;
+  }
+}
+
+async function saveCheckIn(checkIn) {
+  if (checkIn) await AsyncStorage.setItem(CHECK_IN_KEY, JSON.stringify(checkIn));
+  else await AsyncStorage.removeItem(CHECK_IN_KEY);
+  listeners.forEach((listener) => listener(checkIn));
+}
+
+export function subscribeToCheckIn(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+const formatTime = (ms) => new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// ——— Location ———
+
+/**
+ * Best position available without prompting: a fresh fix if one comes
+ * quickly, else the OS's last known one. Never asks for permission, since this
+ * also runs in the background.
+ */
+async function currentOrLastKnownLocation() {
+  try {
+    const { status } = await Location.getForegroundPermissionsAsync();
+    if (status !== 'granted') return null;
+    const loc =
+      (await Location.getLastKnownPositionAsync({ maxAge: 5 * 60 * 1000 })) ||
+      (await Location.getCurrentPositionAsync({}));
+    return loc ? { latitude: loc.coords.latitude, longitude: loc.coords.longitude, at: loc.timestamp } : null;
+  } catch (e) {
+    console.warn('[CheckIn] Location unavailable:', e);
+    return null;
+  }
+}
+
+/**
+ * Refreshes the position saved with the check-in, so the alert still has a
+ * recent location if the phone can't get one at the deadline.
+ */
+export async function recordCheckInLocation() {
+  const checkIn = await getCheckIn();
+  if (!checkIn) return;
+  const location = await currentOrLastKnownLocation();
+  if (location) await saveCheckIn({ ...checkIn, lastLocation: location });
+}
+
+// ——— Scheduling ———
+
+async function cancelScheduled(checkIn) {
+  await Promise.all(
+    (checkIn?.notificationIds || []).map((id) =>
+      Notifications.cancelScheduledNotificationAsync(id).catch(() => {})
+    )
+  );
+  if (await TaskManager.isTaskRegisteredAsync(TASK_NAME)) {
+    await BackgroundFetch.unregisterTaskAsync(TASK_NAME).catch(() => {});
+  }
+}
+
+const scheduleAt = (content, ms) =>
+  Notifications.scheduleNotificationAsync({
+    content,
+    trigger: { type: Notifications.SchedulableTriggerInputTypes.DATE, date: new Date(ms) },
+  });
+
+/**
+ * Starts (or replaces) the check-in. `deadline` is a timestamp; the reminder
+ * goes off `reminderMin` minutes before it.
+ */
+export async function scheduleCheckIn({ deadline, reminderMin = 10 }) {
+  const previous = await getCheckIn();
+  await cancelScheduled(previous);
+
+  const { status } = await Notifications.requestPermissionsAsync();
+  const notificationIds = [];
+  if (status === 'granted') {
+    const remindAt = deadline - reminderMin * 60 * 1000;
+    if (remindAt > Date.now()) notificationIds.push(await scheduleAt(REMINDER_NOTIFICATION, remindAt));
+    notificationIds.push(await scheduleAt(DEADLINE_NOTIFICATION, deadline));
+  }
+
+  try {
+    await BackgroundFetch.registerTaskAsync(TASK_NAME, {
+      minimumInterval: 15 * 60, // the OS treats this as a floor, not a promise
+      stopOnTerminate: false,
+      startOnBoot: true,
+    });
+  } catch (e) {
+    console.warn('[CheckIn] Background fetch unavailable:', e);
+  }
+
+  const checkIn = {
+    deadline,
+    reminderMin,
+    notificationIds,
+    lastLocation: previous?.lastLocation ?? null,
+    createdAt: Date.now(),
+  };
+  await saveCheckIn(checkIn);
+  recordCheckInLocation();
+  return checkIn;
+}
+
+/**
+ * The user checked in (PIN already verified by the caller).
+ */
+export async function confirmCheckIn() {
+  await cancelScheduled(await getCheckIn());
+  await saveCheckIn(null);
+}
+
+// ——— Triggering ———
+
+// Uses the location saved with the check-in when no better one is available
+const checkInDispatcher = createSOSDispatcher({
+  getLocation: async () => {
+    const location = await currentOrLastKnownLocation();
+    const saved = (await getCheckIn())?.lastLocation;
+    const best = location || saved;
+    return best ? { latitude: best.latitude, longitude: best.longitude } : null;
+  },
+});
+
+let triggering = null;
+
+/**
+ * Sends the SOS if the deadline has passed without a check-in (or right away
+ * with `force`, used when the duress PIN "confirms"). Safe to call from
+ * anywhere, any number of times: only one send runs, and an alert that did
+ * not go out is retried on the next call. When it can't go out without the
+ * user's help, the check-in keeps the status as `unsentReason`. Resolves to
+ * the dispatch status, or null if nothing was due.
+ */
+export function triggerOverdueCheckIn({ force = false } = {}) {
+  if (triggering) return triggering;
+
+  triggering = (async () => {
+    const checkIn = await getCheckIn();
+    if (!checkIn || (!force && Date.now() < checkIn.deadline)) return null;
+
+    const message = `${await getSavedMessage()}\n\n[Automatic alert: I missed a check-in due at ${formatTime(checkIn.deadline)}]`;
+    // Waiting on replies makes no sense here, so every contact is alerted at once
+    const recipients = await getSavedRecipients();
+    const { status } = await checkInDispatcher.dispatch({
+      message,
+      recipients,
+      requestPermission: false,
+      relay: 'check_in',
+    });
+
+    if (status === 'sent' || status === 'unknown') {
+      await cancelScheduled(checkIn);
+      await saveCheckIn(null);
+      return status;
+    }
+
+    // The check-in stays in place and is retried. 'failed' (offline, or no SMS
+    // delivered) may clear up by itself; anything else ('no_recipients',
+    // 'sms_unavailable') needs the user, so tell them once per cause.
+    if (status !== 'failed' && checkIn.unsentReason !== status) {
+      await saveCheckIn({ ...checkIn, unsentReason: status });
+      await Notifications.scheduleNotificationAsync({ content: UNSENT_NOTIFICATION, trigger: null }).catch((e) =>
+        console.warn('[CheckIn] Could not post the unsent alert notice:', e)
+      );
+    }
+    return status;
+  })().finally(() => {
+    triggering = null;
+  });
+
+  return triggering;
+}
+
+// Runs even when the app isn't open, as often as the OS allows
+TaskManager.defineTask(TASK_NAME, async () => {
+  try {
+    const status = await triggerOverdueCheckIn();
+    return status ? BackgroundFetch.BackgroundFetchResult.NewData : BackgroundFetch.BackgroundFetchResult.NoData;
+  } catch (e) {
+    console.warn('[CheckIn] Background check failed:', e);
+    return BackgroundFetch.BackgroundFetchResult.Failed;
+  }
+});
+
+/**
+ * Keeps a timer armed for the current deadline while the app runs and checks
+ * again whenever it comes to the foreground. Returns a stop function.
+ */
+export function startCheckInWatcher() {
+  let timer = null;
+
+  const arm = (checkIn) => {
+    clearTimeout(timer);
+    if (!checkIn) return;
+    // setTimeout overflows past ~24.8 days; no check-in is that long
+    timer = setTimeout(() => triggerOverdueCheckIn(), Math.max(0, checkIn.deadline - Date.now()));
+  };
+
+  const check = async () => {
+    await recordCheckInLocation();
+    await triggerOverdueCheckIn().catch((e) => console.warn('[CheckIn] Trigger failed:', e));
+    arm(await getCheckIn());
+  };
+
+  check();
+  const unsubscribe = subscribeToCheckIn(arm);
+  const appStateSub = AppState.addEventListener('change', (state) => {
+    if (state === 'active') check();
+  });
+
+  return () => {
+    clearTimeout(timer);
+    unsubscribe();
+    appStateSub.remove();
+  };
+}
@@ -0,0 +1,50 @@
+// services/deviceIdentity.js
+//
+// Each install signs in to Supabase as its own anonymous user. That user's id
+// is the device id stamped on every row the app writes, and row-level
+// security keeps each install to its own rows. It says nothing about the
+// person using the phone, and a reset signs out so the next start gets a new
+// one. Anonymous sign-ins must be enabled in the Supabase project.
+import Constants from 'expo-constants';
+import { supabase } from './supabaseClient';
+
+const { SUPABASE_ANON_KEY } = Constants.expoConfig.extra;
+
+let signingIn = null;
+
+async function getSession() {
+  const { data } = await supabase.auth.getSession();
+  if (data.session) return data.session;
+
+  // Several uploads can ask at once on first launch; make one user, not many
+  if (!signingIn) {
+    signingIn = supabase.auth
+      .signInAnonymously()
+      .then(({ data: signedIn, error }) => {
+        if (error) throw new Error(`Anonymous sign-in failed: ${error.message}`);
+        return signedIn.session;
+      })
+      .finally(() => {
+        signingIn = null;
+      });
+  }
+  return signingIn;
+}
+
+export async function getDeviceId() {
+  return (await getSession()).user.id;
+}
+
+/** Headers for calls made with fetch rather than the Supabase client. */
+export async function getAuthHeaders() {
+  const session = await getSession();
+  return {
+    apikey: SUPABASE_ANON_KEY,
+    Authorization: `Bearer ${session.access_token}`,
+  };
+}
+
+/** Drops this install's identity; its rows stay behind for the cleanup job. */
+export async function signOutDevice() {
+  await supabase.auth.signOut({ scope: 'local' });
+}
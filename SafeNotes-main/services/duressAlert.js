@@ -0,0 +1,85 @@
+// services/duressAlert.js
+import * as Location from 'expo-location';
+import { supabase } from './supabaseClient';
+import { getDeviceId } from './deviceIdentity';
+
+// The relay only texts for signed-in devices
+async function signedInDevice() {
+  try {
+    return await getDeviceId();
+  } catch (e) {
+    console.error('[DuressAlert] No device identity:', e);
+    return null;
+  }
+}
+
+const RELAY_FUNCTION = 'alert-relay';
+
+// The relay only texts contacts mirrored in emergency_contacts, picked by
+// their row ids. An empty list (nothing mirrored yet) means every saved one.
+const savedContactIds = (contacts) =>
+  contacts.filter((c) => c?.number && c.remoteId).map((c) => c.remoteId);
+
+// Hands the alert to the relay, which texts each contact. True only once at
+// least one SMS has actually been accepted for delivery.
+async function relay(alert) {
+  if (!(await signedInDevice())) return false; // the relay refuses calls without one
+  const { data, error } = await supabase.functions.invoke(RELAY_FUNCTION, { body: alert });
+  if (error) {
+    console.error('[DuressAlert] Relay failed:', error.message);
+    return false;
+  }
+  return data?.delivered > 0;
+}
+
+/**
+ * Silently raises an alert when the app is unlocked with the duress PIN.
+ *
+ * expo-sms can only open the SMS composer, which would be visible to whoever is
+ * forcing the unlock, so the alert is texted by the `alert-relay` edge function
+ * instead (see relay). Nothing here prompts for permissions or shows UI;
+ * location is included only if already granted. Resolves to true only once the
+ * SMS was accepted for delivery.
+ */
+export async function sendDuressAlert({ contact, message }) {
+  if (!contact?.number) {
+    console.warn('[DuressAlert] No emergency contact configured');
+    return false;
+  }
+
+  let latitude = null;
+  let longitude = null;
+  try {
+    const perm = await Location.getForegroundPermissionsAsync();
+    if (perm.status === 'granted') {
+      const loc =
+        (await Location.getLastKnownPositionAsync({})) ||
+        (await Location.getCurrentPositionAsync({}));
+      latitude = loc?.coords?.latitude ?? null;
+      longitude = loc?.coords?.longitude ?? null;
+    }
+  } catch (e) {
+    console.warn('[DuressAlert] Location unavailable:', e);
+  }
+
+  const text = latitude !== null && longitude !== null
+    ? `${message}\n\nMy location: https://maps.google.com/?q=${latitude},${longitude}`
+    : message;
+  return relay({
+    source: 'duress',
+    message: text,
+    latitude,
+    longitude,
+    contact_ids: savedContactIds([contact]),
+  });
+}
+
+/**
+ * Same silent path for other alerts that can't wait for the user to press
+ * send (a missed check-in). Each contact's saved copy is texted by the
+ * `alert-relay` edge function; `source` records which kind of alert it was.
+ */
+export async function relayAlert({ contacts, message, latitude = null, longitude = null, source }) {
+  if (!contacts.some((c) => c?.number)) return false;
+  return relay({ source, message, latitude, longitude, contact_ids: savedContactIds(contacts) });
+}
@@ -0,0 +1,146 @@
+// services/emergencyContacts.js
+import * as SecureStore from 'expo-secure-store';
+import * as Crypto from 'expo-crypto';
+
+export const CONTACTS_KEY = 'emergencyContacts';
+export const PRIMARY_CONTACT_KEY = 'emergencyContact'; // single contact written by older builds
+
+export const CONTACT_CHANNELS = [
+  { key: 'sms', label: 'SMS' },
+  { key: 'call', label: 'Call' },
+  { key: 'email', label: 'Email' },
+  { key: 'whatsapp', label: 'WhatsApp' },
+];
+
+const newContactId = () =>
+  Array.from(Crypto.getRandomBytes(8))
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
+
+/**
+ * Fills in the fields older or partial contacts lack. `priority` is 1-based and
+ * always matches the contact's position once the list is sorted.
+ */
+export function normalizeContact(contact, index = 0) {
+  return {
+    id: contact.id || newContactId(),
+    remoteId: contact.remoteId ?? null, // emergency_contacts row mirrored in Supabase
+    name: contact.name || '',
+    number: contact.number || '',
+    relationship: contact.relationship || '',
+    email: contact.email || '',
+    priority: contact.priority ?? index + 1,
+    channels: contact.channels?.length ? contact.channels : ['sms'],
+    escalateAfterMin: contact.escalateAfterMin ?? null,
+  };
+}
+
+export function sortByPriority(contacts) {
+  return [...contacts]
+    .sort((a, b) => a.priority - b.priority)
+    .map((contact, i) => ({ ...contact, priority: i + 1 }));
+}
+
+/**
+ * Reads the trusted contact list, migrating the single contact older builds
+ * stored under `emergencyContact` the first time.
+ */
+export async function loadEmergencyContacts() {
+  try {
+    const stored = await SecureStore.getItemAsync(CONTACTS_KEY);
+    if (stored) {
+      const parsed = JSON.parse(stored);
+      if (Array.isArray(parsed)) return sortByPriority(parsed.map(normalizeContact));
+    }
+
+    const legacy = await SecureStore.getItemAsync(PRIMARY_CONTACT_KEY);
+    const contact = legacy ? JSON.parse(legacy) : null;
+    if (contact?.number || contact?.name) {
+      const migrated = [normalizeContact(contact)];
+      await saveEmergencyContacts(migrated);
+      return migrated;
+    }
+  } catch (e) {
+    console.warn('[EmergencyContacts] Failed to read contacts:', e);
+  }
+  return [];
+}
+
+/**
+ * Persists the list. The top-priority contact is also written to the old
+ * `emergencyContact` key, which the duress alert and older code paths read.
+ */
+export async function saveEmergencyContacts(contacts) {
+  const sorted = sortByPriority(contacts.map(normalizeContact));
+  await SecureStore.setItemAsync(CONTACTS_KEY, JSON.stringify(sorted));
+  if (sorted[0]) {
+    await SecureStore.setItemAsync(PRIMARY_CONTACT_KEY, JSON.stringify(sorted[0]));
+  } else {
+    await SecureStore.deleteItemAsync(PRIMARY_CONTACT_KEY);
+  }
+  return sorted;
+}
+
+/**
+ * Splits the list into who is alerted straight away and who is alerted later.
+ *
+ * A contact's `escalateAfterMin` means "if they haven't replied in N minutes,
+ * notify the next contact". Contacts after one without a rule are alerted at
+ * the same time as it, so a list with no rules alerts everyone at once.
+ */
+export function planEscalation(contacts, now = Date.now()) {
+  const immediate = [];
+  const escalations = [];
+  let delayMs = 0;
+
+  for (const contact of sortByPriority(contacts)) {
+    if (delayMs === 0) immediate.push(contact);
+    else escalations.push({ contact, dueAt: now + delayMs });
+    if (contact.escalateAfterMin > 0) delayMs += contact.escalateAfterMin * 60 * 1000;
+  }
+
+  return { immediate, escalations };
+}
+
+// ——— Channels ———
+
+// Numbers are stored as 10-digit Indian mobiles; wa.me needs the country code
+const internationalNumber = (number) => {
+  const digits = number.replace(/\D/g, '');
+  return digits.length === 10 ? `91${digits}` : digits;
+};
+
+export function channelUrl(channel, contact, body) {
+  switch (channel) {
+    case 'sms':
+      return `sms:${contact.number}?body=${encodeURIComponent(body)}`;
+    case 'call':
+      return `tel:${contact.number}`;
+    case 'email':
+      return contact.email
+        ? `mailto:${contact.email}?subject=${encodeURIComponent('SOS')}&body=${encodeURIComponent(body)}`
+        : null;
+    case 'whatsapp':
+      return `https://wa.me/${internationalNumber(contact.number)}?text=${encodeURIComponent(body)}`;
+  }
+  return null;
+}
+
+/**
+ * Follow-up actions for every non-SMS channel the contacts prefer, in priority
+ * order. The SMS itself goes out in one composer for all SMS contacts; these
+ * each need their own app, so they are offered to the user one by one.
+ */
+export function channelActions(contacts, body) {
+  const actions = [];
+  for (const contact of sortByPriority(contacts)) {
+    for (const channel of contact.channels) {
+      if (channel === 'sms') continue;
+      const url = channelUrl(channel, contact, body);
+      if (!url) continue;
+      const label = CONTACT_CHANNELS.find((c) => c.key === channel).label;
+      actions.push({ key: `${contact.id}-${channel}`, label: `${label} ${contact.name || contact.number}`, url });
+    }
+  }
+  return actions;
+}
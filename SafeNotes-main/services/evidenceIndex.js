@@ -0,0 +1,220 @@
+// services/evidenceIndex.js
+//
+// Transcripts for evidence recordings. Each chunk is transcribed with
+// timestamps as soon as it is saved, through the backend chosen in Settings,
+// and the text is kept with the chunk on the phone and on its record_audio
+// row. Threats and the names the user adds are flagged so the moments that
+// matter can be found without listening to hours of audio.
+import * as SecureStore from 'expo-secure-store';
+import { supabase } from './supabaseClient';
+import { getDeviceId } from './deviceIdentity';
+import { transcribeAudio } from './transcription';
+import {
+  loadRecordingSessions,
+  getRecordingChunk,
+  updateRecordingChunk,
+  subscribeToChunks,
+  transcriptColumns,
+} from './evidenceRecorder';
+import { normalizeText, findPhraseMatches } from '../utils/phraseMatcher';
+
+export const FLAGGED_TERMS_KEY = 'flaggedTerms';
+
+// A false threat flag in evidence meant for a lawyer does real harm, so flags
+// are stricter than the panic phrases' "Normal": every word must pass on its
+// own, and words of six letters or fewer must be heard exactly
+const FLAG_THRESHOLD = 0.85;
+const SEARCH_THRESHOLD = 0.8;
+const MAX_ATTEMPTS = 3; // per chunk, not counting times the phone was offline
+
+// Always flagged. Hindi and Punjabi are written as spoken in English letters;
+// transcripts in Devanagari or Gurmukhi still match (see utils/transliterate)
+export const THREAT_TERMS = [
+  'kill you',
+  'hurt you',
+  'beat you',
+  'burn you',
+  'acid',
+  'you are dead',
+  'take the children',
+  'nobody will believe you',
+  'jaan se maar',
+  'maar dunga',
+  'maar daalunga',
+  'chhodunga nahi',
+  'dekh lunga',
+  'tezaab',
+  'maar devanga',
+];
+
+let indexing = false;
+let rescan = false;
+
+// ——— Flagged terms ———
+
+/** The names and phrases the user added on top of THREAT_TERMS. */
+export async function loadFlaggedTerms() {
+  try {
+    const stored = await SecureStore.getItemAsync(FLAGGED_TERMS_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch {
+    return [];
+  }
+}
+
+export async function saveFlaggedTerms(terms) {
+  const cleaned = [...new Set(terms.map((t) => t.trim().toLowerCase()).filter(Boolean))];
+  await SecureStore.setItemAsync(FLAGGED_TERMS_KEY, JSON.stringify(cleaned));
+  return cleaned;
+}
+
+// Romanized Hindi spells long vowels either way ("jaan", "jan"), so doubled
+// letters are folded on both sides rather than loosening the threshold
+const foldRepeats = (text) => normalizeText(text).replace(/(\p{L})\1+/gu, '$1');
+
+/** The flagged terms heard in `text`, threats first. */
+export function flagsFor(text, customTerms = []) {
+  if (!text) return [];
+  const heard = foldRepeats(text);
+  return [...THREAT_TERMS, ...customTerms].filter(
+    (term) => findPhraseMatches(heard, foldRepeats(term), FLAG_THRESHOLD).length > 0
+  );
+}
+
+// ——— Indexing ———
+
+async function indexChunk(sessionId, chunk, customTerms) {
+  let transcript;
+  try {
+    const { text, segments, language, backend } = await transcribeAudio(chunk.file);
+    // Not every backend times its output; the whole chunk is one segment then
+    const timed = segments.length || !text
+      ? segments
+      : [{ startMs: 0, endMs: chunk.durationMs || 0, text }];
+    transcript = { text, segments: timed, language, backend, flags: flagsFor(text, customTerms) };
+  } catch (e) {
+    // No response means the phone was offline; that doesn't use up a retry
+    const offline = e.request && !e.response;
+    console.warn(`[EvidenceIndex] Chunk ${chunk.index} of ${sessionId} not transcribed:`, e.message);
+    await updateRecordingChunk(sessionId, chunk.index, {
+      transcriptError: e.message,
+      transcriptAttempts: (chunk.transcriptAttempts || 0) + (offline ? 0 : 1),
+    });
+    return;
+  }
+
+  await updateRecordingChunk(sessionId, chunk.index, { transcript, transcriptError: null });
+
+  // Already uploaded: its row was inserted without the text
+  const stored = await getRecordingChunk(sessionId, chunk.index);
+  if (stored?.publicUrl) {
+    const { error } = await supabase
+      .from('record_audio')
+      .update({ ...transcriptColumns(transcript), transcribed_at: new Date().toISOString() })
+      .eq('device_id', await getDeviceId())
+      .eq('public_url', stored.publicUrl);
+    if (error) console.warn('[EvidenceIndex] Failed to save transcript:', error.message);
+  }
+}
+
+/**
+ * Transcribes every saved chunk that has no transcript yet, one at a time.
+ * Chunks saved while a pass is running are picked up by a second pass.
+ */
+export async function indexPendingChunks() {
+  if (indexing) {
+    rescan = true;
+    return;
+  }
+  indexing = true;
+  try {
+    do {
+      rescan = false;
+      const customTerms = await loadFlaggedTerms();
+      for (const session of await loadRecordingSessions()) {
+        for (const chunk of session.chunks) {
+          if (chunk.transcript || (chunk.transcriptAttempts || 0) >= MAX_ATTEMPTS) continue;
+          await indexChunk(session.id, chunk, customTerms);
+        }
+      }
+    } while (rescan);
+  } finally {
+    indexing = false;
+  }
+}
+
+/** Transcribes a session again, e.g. after changing the voice language. */
+export async function retranscribeSession(session) {
+  for (const chunk of session.chunks) {
+    await updateRecordingChunk(session.id, chunk.index, {
+      transcript: null,
+      transcriptError: null,
+      transcriptAttempts: 0,
+    });
+  }
+  await indexPendingChunks();
+}
+
+/** Indexes chunks as the recorder saves them. Returns a stop function. */
+export function startTranscriptionWorker() {
+  indexPendingChunks();
+  return subscribeToChunks(() => indexPendingChunks());
+}
+
+// ——— Reading ———
+
+/** 'done', 'pending' (some chunks still to go) or 'failed' (gave up on some). */
+export function transcriptStatus(session) {
+  const waiting = session.chunks.filter((c) => !c.transcript);
+  if (waiting.length === 0) return 'done';
+  return waiting.every((c) => (c.transcriptAttempts || 0) >= MAX_ATTEMPTS) ? 'failed' : 'pending';
+}
+
+/**
+ * A session's transcript as one timeline, with times from the start of the
+ * session to match useChunkedPlayback: [{ startMs, endMs, text, flags }].
+ * Flags are worked out here rather than stored so edits to the list apply
+ * to old recordings too.
+ */
+export function sessionTimeline(session, customTerms = []) {
+  const timeline = [];
+  let offset = 0;
+  for (const chunk of session.chunks) {
+    for (const segment of chunk.transcript?.segments || []) {
+      timeline.push({
+        startMs: offset + segment.startMs,
+        endMs: offset + segment.endMs,
+        text: segment.text,
+        flags: flagsFor(segment.text, customTerms),
+      });
+    }
+    offset += chunk.durationMs || 0;
+  }
+  return timeline;
+}
+
+/**
+ * Moments across all recordings whose words match `query`, allowing for
+ * spelling slips and either script: [{ session, segment }], newest first.
+ * With `flaggedOnly` and no query it lists every flagged moment instead.
+ */
+export async function searchRecordings(query, { flaggedOnly = false } = {}) {
+  const words = normalizeText(query || '');
+  if (!words && !flaggedOnly) return [];
+
+  const customTerms = await loadFlaggedTerms();
+  const sessions = await loadRecordingSessions();
+  const results = [];
+
+  for (const session of sessions) {
+    for (const segment of sessionTimeline(session, customTerms)) {
+      if (flaggedOnly && segment.flags.length === 0) continue;
+      if (words && !(
+        normalizeText(segment.text).includes(words) ||
+        findPhraseMatches(segment.text, words, SEARCH_THRESHOLD).length > 0
+      )) continue;
+      results.push({ session, segment });
+    }
+  }
+  return results.sort((a, b) => b.session.startedAt - a.session.startedAt);
+}
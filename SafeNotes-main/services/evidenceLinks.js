@@ -0,0 +1,115 @@
+// services/evidenceLinks.js
+//
+// Evidence pages made by the Worker for an SOS. Each page gets an expiry the
+// user chose in Settings and a revoke token that can take it down early,
+// e.g. if a contact's phone falls into the wrong hands. Tokens are only ever
+// kept on this phone, in the list below.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+
+const WORKER_URL = 'https://safenotes-sos-html.safenotes-sos.workers.dev';
+
+export const EVIDENCE_LINKS_KEY = 'evidenceLinks';
+export const LINK_TTL_KEY = 'evidenceLinkTTL';
+export const DEFAULT_LINK_TTL_HOURS = 24;
+
+export const LINK_TTL_OPTIONS = [
+  { hours: 1, label: '1 hour' },
+  { hours: 6, label: '6 hours' },
+  { hours: 24, label: '24 hours' },
+  { hours: 72, label: '3 days' },
+  { hours: 168, label: '7 days' },
+];
+
+let writeChain = Promise.resolve();
+
+export async function getLinkTtlHours() {
+  const stored = Number(await SecureStore.getItemAsync(LINK_TTL_KEY));
+  return LINK_TTL_OPTIONS.some((o) => o.hours === stored) ? stored : DEFAULT_LINK_TTL_HOURS;
+}
+
+export const linkTtlLabel = (hours) =>
+  LINK_TTL_OPTIONS.find((o) => o.hours === Number(hours))?.label || `${hours} hours`;
+
+// ——— Stored links ———
+
+async function readLinks() {
+  try {
+    const stored = await AsyncStorage.getItem(EVIDENCE_LINKS_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch {
+    return [];
+  }
+}
+
+function updateLinks(update) {
+  writeChain = writeChain
+    .then(async () => AsyncStorage.setItem(EVIDENCE_LINKS_KEY, JSON.stringify(update(await readLinks()))))
+    .catch((e) => console.warn('[EvidenceLinks] Failed to save links:', e));
+  return writeChain;
+}
+
+/**
+ * Links that haven't expired yet, newest first:
+ * [{ url, revokeToken, expiresAt, createdAt, revokedAt }].
+ */
+export async function loadEvidenceLinks() {
+  const links = await readLinks();
+  const live = links.filter((l) => l.expiresAt > Date.now());
+  if (live.length !== links.length) {
+    await updateLinks((stored) => stored.filter((l) => l.expiresAt > Date.now()));
+  }
+  return live.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/** The stored links that appear in a message, e.g. an sos_logs row. */
+export const linksInMessage = (links, message) =>
+  message ? links.filter((l) => message.includes(l.url)) : [];
+
+// ——— Worker calls ———
+
+/**
+ * Asks the Worker for an incident page (see incidentFor in sosOutbox).
+ * Resolves to { url, accessCode } (the code is null unless `withCode`), and
+ * remembers the revoke token.
+ */
+export async function createEvidenceLink(incident, { withCode = false } = {}) {
+  const response = await fetch(`${WORKER_URL}/generate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ incident, access_code: withCode, ttl_hours: await getLinkTtlHours() }),
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!data.html_url) throw new Error(data.error || `No link returned (${response.status})`);
+
+  if (data.revoke_token) {
+    const link = {
+      url: data.html_url,
+      revokeToken: data.revoke_token,
+      expiresAt: data.expires_at,
+      createdAt: Date.now(),
+      revokedAt: null,
+    };
+    await updateLinks((links) => [link, ...links]);
+  }
+  return { url: data.html_url, accessCode: data.access_code || null };
+}
+
+/** Takes a page down straight away. Throws if the Worker can't be reached. */
+export async function revokeEvidenceLink(url) {
+  const link = (await readLinks()).find((l) => l.url === url);
+  if (!link) throw new Error('This link was not created on this phone');
+
+  const id = new URL(link.url).searchParams.get('id');
+  const response = await fetch(`${WORKER_URL}/revoke`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ id, token: link.revokeToken }),
+  });
+  // 404 means the page has already expired, which is just as good
+  if (!response.ok && response.status !== 404) {
+    throw new Error(`Revoke failed (${response.status})`);
+  }
+
+  await updateLinks((links) => links.map((l) => (l.url === url ? { ...l, revokedAt: Date.now() } : l)));
+}
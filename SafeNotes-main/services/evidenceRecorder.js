@@ -0,0 +1,383 @@
+// services/evidenceRecorder.js
+//
+// Chunked evidence recording. Audio is written in fixed-length chunks, and
+// each finished chunk is saved on the phone and uploaded straight away, so
+// taking the phone mid-recording loses at most the chunk in progress. The
+// recorder lives outside any screen: a covert session keeps going behind the
+// disguised notes UI until it is stopped from the unlocked app or runs out.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+import { Audio, InterruptionModeIOS, InterruptionModeAndroid } from 'expo-av';
+import Constants from 'expo-constants';
+import { supabase } from './supabaseClient';
+import { sha256File } from '../utils/fileHash';
+import { getDeviceId, getAuthHeaders } from './deviceIdentity';
+
+const { SUPABASE_URL } = Constants.expoConfig.extra;
+
+export const RECORDINGS_DIR = FileSystem.documentDirectory + 'recordings/';
+export const CHUNK_MS = 30 * 1000;
+export const MAX_COVERT_MIN = 120; // covert sessions stop on their own after this
+
+const SESSIONS_KEY = 'recordingSessions';
+const BUCKET = 'recordings';
+const MIME_TYPE = 'audio/mp4'; // the HIGH_QUALITY preset writes AAC (.m4a)
+
+const listeners = new Set();
+const chunkListeners = new Set();
+let active = null; // { sessionId, covert, startedAt, chunkCount, recording, chunkStartedAt, timer, stopAt }
+let sessionsWrite = Promise.resolve();
+const uploading = new Set(); // chunk files with an upload in flight
+
+// ——— Session store ———
+
+async function readSessions() {
+  try {
+    const stored = await AsyncStorage.getItem(SESSIONS_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch {
+    return [];
+  }
+}
+
+// Chunks finish and uploads land concurrently, so writes are serialised
+function updateSessions(update) {
+  sessionsWrite = sessionsWrite
+    .then(async () => {
+      const next = update(await readSessions());
+      await AsyncStorage.setItem(SESSIONS_KEY, JSON.stringify(next));
+      notify();
+    })
+    .catch((e) => console.warn('[EvidenceRecorder] Failed to save sessions:', e));
+  return sessionsWrite;
+}
+
+export function updateRecordingChunk(sessionId, index, changes) {
+  return updateSessions((sessions) =>
+    sessions.map((s) =>
+      s.id === sessionId
+        ? { ...s, chunks: s.chunks.map((c) => (c.index === index ? { ...c, ...changes } : c)) }
+        : s
+    )
+  );
+}
+
+/**
+ * Every recording, oldest first: [{ id, startedAt, covert, chunks }] where
+ * each chunk is { index, file, startedAt, durationMs, publicUrl, remotePath }
+ * plus its `transcript` once services/evidenceIndex has made one. Single
+ * files left by older versions of the app are adopted as one-chunk sessions
+ * (`legacy: true`) with an unknown duration.
+ */
+export async function loadRecordingSessions() {
+  const sessions = await readSessions();
+  const adopted = [];
+
+  const dirInfo = await FileSystem.getInfoAsync(RECORDINGS_DIR);
+  if (dirInfo.exists) {
+    const known = new Set(sessions.map((s) => s.id));
+    for (const name of await FileSystem.readDirectoryAsync(RECORDINGS_DIR)) {
+      if (known.has(name)) continue;
+      const file = RECORDINGS_DIR + name;
+      const info = await FileSystem.getInfoAsync(file);
+      if (info.isDirectory) continue;
+
+      const startedAt = Number(name.match(/\d+/)?.[0]) || (info.modificationTime || 0) * 1000;
+      adopted.push({
+        id: name,
+        legacy: true,
+        startedAt,
+        covert: false,
+        chunks: [{ index: 0, file, startedAt, durationMs: null, publicUrl: null, remotePath: null }],
+      });
+    }
+  }
+
+  if (adopted.length) {
+    await updateSessions((stored) => [...stored, ...adopted]);
+  }
+  return [...sessions, ...adopted].sort((a, b) => a.startedAt - b.startedAt);
+}
+
+export async function getRecordingChunk(sessionId, index) {
+  const session = (await readSessions()).find((s) => s.id === sessionId);
+  return session?.chunks.find((c) => c.index === index) || null;
+}
+
+// ——— Live state ———
+
+export function getRecorderState() {
+  if (!active) return null;
+  const { sessionId, covert, startedAt, chunkCount } = active;
+  return { sessionId, covert, startedAt, chunkCount };
+}
+
+function notify() {
+  const state = getRecorderState();
+  listeners.forEach((listener) => listener(state));
+}
+
+/** Called with the recorder state (or null) whenever it or a session changes. */
+export function subscribeToRecorder(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/** Called with (sessionId, chunk) each time a chunk is saved to the phone. */
+export function subscribeToChunks(listener) {
+  chunkListeners.add(listener);
+  return () => chunkListeners.delete(listener);
+}
+
+// ——— Recording ———
+
+const chunkName = (index) => `chunk-${String(index).padStart(3, '0')}.m4a`;
+
+async function beginChunk(session) {
+  const { recording } = await Audio.Recording.createAsync(Audio.RecordingOptionsPresets.HIGH_QUALITY);
+  if (active !== session) {
+    // Stopped while the chunk was starting up
+    await recording.stopAndUnloadAsync().catch(() => {});
+    return;
+  }
+  session.recording = recording;
+  session.chunkStartedAt = Date.now();
+
+  const untilStop = session.stopAt ? session.stopAt - Date.now() : Infinity;
+  session.timer =
+    untilStop <= CHUNK_MS
+      ? setTimeout(stopEvidenceRecording, Math.max(0, untilStop))
+      : setTimeout(rotateChunk, CHUNK_MS);
+}
+
+/**
+ * Stops the recording in progress and keeps it as the session's next chunk.
+ * The file moves into the session folder before anything else, so it is on
+ * disk even if the upload never happens.
+ */
+async function finishChunk(session, recording, chunkStartedAt) {
+  let durationMs = Date.now() - chunkStartedAt;
+  try {
+    await recording.stopAndUnloadAsync();
+    const status = await recording.getStatusAsync();
+    if (status.durationMillis) durationMs = status.durationMillis;
+  } catch (e) {
+    console.warn('[EvidenceRecorder] Failed to stop chunk:', e);
+  }
+
+  const uri = recording.getURI();
+  if (!uri) return;
+
+  const index = session.chunkCount++;
+  const file = `${RECORDINGS_DIR}${session.sessionId}/${chunkName(index)}`;
+  await FileSystem.moveAsync({ from: uri, to: file });
+
+  const chunk = { index, file, startedAt: chunkStartedAt, durationMs, publicUrl: null, remotePath: null };
+  await updateSessions((sessions) =>
+    sessions.map((s) => (s.id === session.sessionId ? { ...s, chunks: [...s.chunks, chunk] } : s))
+  );
+
+  uploadChunk(session.sessionId, chunk);
+  chunkListeners.forEach((listener) => listener(session.sessionId, chunk));
+}
+
+// expo-av allows one Recording at a time, so there is a short gap (well
+// under a second) between one chunk stopping and the next starting
+async function rotateChunk() {
+  if (!active) return;
+  const session = active;
+  const { recording, chunkStartedAt } = session;
+  session.recording = null;
+
+  await finishChunk(session, recording, chunkStartedAt);
+  if (active !== session) return;
+
+  try {
+    await beginChunk(session);
+  } catch (e) {
+    console.error('[EvidenceRecorder] Could not start the next chunk:', e);
+    await stopEvidenceRecording();
+    return;
+  }
+  notify();
+  uploadPendingChunks();
+}
+
+/**
+ * Starts a session and resolves to its state. `covert` sessions carry on
+ * when the recording screen closes and stop by themselves after
+ * MAX_COVERT_MIN. Starting while a session runs returns that session.
+ */
+export async function startEvidenceRecording({ covert = false } = {}) {
+  if (active) return getRecorderState();
+
+  const perm = await Audio.requestPermissionsAsync();
+  if (perm.status !== 'granted') throw new Error('Microphone permission not granted');
+
+  await Audio.setAudioModeAsync({
+    allowsRecordingIOS: true,
+    playsInSilentModeIOS: true,
+    staysActiveInBackground: true,
+    interruptionModeIOS: InterruptionModeIOS.DoNotMix,
+    interruptionModeAndroid: InterruptionModeAndroid.DoNotMix,
+    shouldDuckAndroid: false,
+    playThroughEarpieceAndroid: false,
+  });
+
+  const startedAt = Date.now();
+  const sessionId = `rec-${startedAt}`;
+  await FileSystem.makeDirectoryAsync(RECORDINGS_DIR + sessionId, { intermediates: true });
+  await updateSessions((sessions) => [...sessions, { id: sessionId, startedAt, covert, chunks: [] }]);
+
+  active = {
+    sessionId,
+    covert,
+    startedAt,
+    chunkCount: 0,
+    recording: null,
+    chunkStartedAt: null,
+    timer: null,
+    stopAt: covert ? startedAt + MAX_COVERT_MIN * 60 * 1000 : null,
+  };
+
+  try {
+    await beginChunk(active);
+  } catch (e) {
+    active = null;
+    notify();
+    throw e;
+  }
+
+  notify();
+  uploadPendingChunks();
+  return getRecorderState();
+}
+
+/** Stops the session, saving the chunk in progress. */
+export async function stopEvidenceRecording() {
+  if (!active) return;
+  const session = active;
+  active = null;
+  clearTimeout(session.timer);
+
+  if (session.recording) {
+    await finishChunk(session, session.recording, session.chunkStartedAt);
+  }
+
+  try {
+    await Audio.setAudioModeAsync({
+      allowsRecordingIOS: false,
+      playsInSilentModeIOS: true,
+      staysActiveInBackground: false,
+    });
+  } catch {}
+
+  notify();
+}
+
+// ——— Upload ———
+
+async function uploadChunk(sessionId, chunk) {
+  if (uploading.has(chunk.file)) return;
+  uploading.add(chunk.file);
+
+  let remotePath = `${sessionId}/${chunkName(chunk.index)}`;
+  try {
+    // Under the device's own folder, so installs that start recording in the
+    // same millisecond never write to each other's path
+    const deviceId = await getDeviceId();
+    remotePath = `${deviceId}/${remotePath}`;
+    // A retry pass may be working from a list read before this chunk landed
+    const stored = await getRecordingChunk(sessionId, chunk.index);
+    if (!stored || stored.publicUrl) return;
+
+    // Hashed before it leaves the phone, for the SOS incident page
+    const sha256 = await sha256File(chunk.file);
+
+    const formData = new FormData();
+    formData.append('file', { uri: chunk.file, name: chunkName(chunk.index), type: MIME_TYPE });
+
+    const { Authorization } = await getAuthHeaders();
+    const res = await fetch(`${SUPABASE_URL}/storage/v1/object/${BUCKET}/${remotePath}`, {
+      method: 'POST',
+      headers: { Authorization },
+      body: formData,
+    });
+    // Never overwritten: an earlier pass may have stored the file and then
+    // failed to save its row, in which case the stored copy is this chunk
+    if (!res.ok) {
+      const reason = await res.text();
+      if (res.status !== 409 && !reason.includes('Duplicate')) throw new Error(`Upload failed: ${reason}`);
+    }
+
+    const { data } = supabase.storage.from(BUCKET).getPublicUrl(remotePath);
+    const { error } = await supabase.from('record_audio').insert([
+      {
+        public_url: data.publicUrl,
+        mime_type: MIME_TYPE,
+        tags: ['recording'],
+        session_id: sessionId,
+        chunk_index: chunk.index,
+        started_at: new Date(chunk.startedAt).toISOString(),
+        duration_ms: Math.round(chunk.durationMs),
+        sha256,
+        device_id: deviceId,
+        // Set when the chunk was transcribed before it could be uploaded
+        ...transcriptColumns(stored.transcript),
+      },
+    ]);
+    if (error) throw new Error(`Failed to save recording info: ${error.message}`);
+
+    await updateRecordingChunk(sessionId, chunk.index, { publicUrl: data.publicUrl, remotePath });
+  } catch (e) {
+    // Left for the next retry; the chunk is safe on the phone meanwhile
+    console.warn(`[EvidenceRecorder] Chunk ${remotePath} not uploaded:`, e.message);
+  } finally {
+    uploading.delete(chunk.file);
+  }
+}
+
+/** The record_audio columns holding a chunk's transcript (see evidenceIndex). */
+export function transcriptColumns(transcript) {
+  if (!transcript) return {};
+  return {
+    transcript: transcript.text,
+    segments: transcript.segments,
+    language: transcript.language,
+    flags: transcript.flags,
+  };
+}
+
+/** Retries every saved chunk that hasn't reached Supabase yet. */
+export async function uploadPendingChunks() {
+  const sessions = await readSessions();
+  for (const session of sessions) {
+    // Older single files were uploaded by hand from the recordings screen, if at all
+    if (session.legacy) continue;
+    for (const chunk of session.chunks) {
+      if (!chunk.publicUrl) await uploadChunk(session.id, chunk);
+    }
+  }
+}
+
+// ——— Deleting ———
+
+/** Removes a session's chunks from the phone and from Supabase. */
+export async function deleteRecordingSession(session) {
+  if (active?.sessionId === session.id) await stopEvidenceRecording();
+
+  const paths = session.chunks.map((c) => c.remotePath).filter(Boolean);
+  if (paths.length) {
+    const { error } = await supabase.storage.from(BUCKET).remove(paths);
+    if (error) throw new Error(`Failed to delete from Supabase: ${error.message}`);
+    await supabase
+      .from('record_audio')
+      .delete()
+      .eq('device_id', await getDeviceId())
+      .eq('session_id', session.id);
+  }
+
+  const target = session.legacy ? session.chunks[0].file : RECORDINGS_DIR + session.id;
+  await FileSystem.deleteAsync(target, { idempotent: true });
+  await updateSessions((sessions) => sessions.filter((s) => s.id !== session.id));
+}
@@ -0,0 +1,98 @@
+// services/llmClient.js
+import Constants from 'expo-constants';
+import { LlmError, LlmQuotaError } from './llmProviders/llmErrors';
+import { createGatewayProvider } from './llmProviders/gatewayProvider';
+import { createSelfHostedProvider } from './llmProviders/selfHostedProvider';
+import { createMockProvider } from './llmProviders/mockProvider';
+
+export { LlmError, LlmQuotaError };
+
+export const DEFAULT_LLM_PROVIDER = 'gateway';
+
+// Waits before each retry of a failure marked retryable
+const RETRY_DELAYS_MS = [500, 2000];
+
+/**
+ * Language model backends for the chatbot, legal assistant and document
+ * generator. Each factory returns { name, generate({ feature, system, prompt }) }
+ * resolving to the reply text, and optionally search(query) resolving to
+ * [{ title, link, snippet }]. Failures are thrown as LlmError. Add one with
+ * registerLlmProvider to plug in another model.
+ */
+const providerFactories = {
+  gateway: createGatewayProvider,
+  self_hosted: createSelfHostedProvider,
+  mock: createMockProvider,
+};
+
+export function registerLlmProvider(key, factory) {
+  providerFactories[key] = factory;
+}
+
+function providerFor(key) {
+  const chosen = key || Constants.expoConfig.extra.LLM_PROVIDER || DEFAULT_LLM_PROVIDER;
+  const factory = providerFactories[chosen];
+  if (!factory) throw new LlmError(`Unknown LLM provider "${chosen}"`);
+  return factory();
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function withRetries(label, call) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await call();
+    } catch (e) {
+      const error = e instanceof LlmError ? e : new LlmError(e.message);
+      if (!error.retryable || attempt >= RETRY_DELAYS_MS.length) throw error;
+      console.warn(`[LlmClient] ${label} failed (${error.message}), retrying`);
+      await sleep(RETRY_DELAYS_MS[attempt]);
+    }
+  }
+}
+
+/**
+ * Text from the configured model for one of the app's AI features ('chat',
+ * 'legal_assistant' or 'legal_document'). `provider` overrides LLM_PROVIDER
+ * from the Expo config.
+ */
+export async function generateText({ feature, system = '', prompt }, { provider } = {}) {
+  const llm = providerFor(provider);
+  const text = await withRetries(`${llm.name} ${feature}`, () => llm.generate({ feature, system, prompt }));
+  if (!text) throw new LlmError('The model returned no text');
+  return text;
+}
+
+/**
+ * Top web results for a query: [{ title, link, snippet }], or null when the
+ * provider has no web search.
+ */
+export async function searchWeb(query, { provider } = {}) {
+  const llm = providerFor(provider);
+  if (!llm.search) return null;
+  return withRetries(`${llm.name} search`, () => llm.search(query));
+}
+
+/** How long until a quota resets, e.g. "3h 20m". */
+export function quotaResetLabel(resetsAt) {
+  const minutes = Math.max(1, Math.ceil((resetsAt - Date.now()) / 60000));
+  const hours = Math.floor(minutes / 60);
+  return hours ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+const FEATURE_LABELS = {
+  chat: 'chat messages',
+  legal_assistant: 'the legal assistant',
+  legal_document: 'drafting documents',
+};
+
+/**
+ * What to tell the user when a feature's call failed: when the daily limit
+ * resets, or `fallback` for anything else.
+ */
+export function llmErrorMessage(error, feature, fallback = 'The AI service is unavailable right now. Please try again shortly.') {
+  if (error instanceof LlmQuotaError) {
+    return `You have reached today's limit for ${FEATURE_LABELS[feature] || feature}. It resets in ${quotaResetLabel(error.resetsAt)}.`;
+  }
+  return fallback;
+}
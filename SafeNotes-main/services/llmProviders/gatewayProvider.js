@@ -0,0 +1,53 @@
+// services/llmProviders/gatewayProvider.js
+//
+// Gemini and SerpAPI through the `chatbot` edge function
+// (supabase-backend/edge-functions/chatbot), which keeps the API keys, counts
+// each device's daily requests and strips identifying details before
+// forwarding. The Supabase client signs each call with this device's session.
+import { FunctionsHttpError } from '@supabase/supabase-js';
+import { supabase } from '../supabaseClient';
+import { getDeviceId } from '../deviceIdentity';
+import { LlmError, LlmQuotaError } from './llmErrors';
+
+const FUNCTION_NAME = 'chatbot';
+
+export function createGatewayProvider({ functionName = FUNCTION_NAME } = {}) {
+  const invoke = async (body) => {
+    try {
+      await getDeviceId(); // the gateway refuses calls without a signed-in device
+    } catch (e) {
+      throw new LlmError(e.message, { retryable: true });
+    }
+
+    const { data, error } = await supabase.functions.invoke(functionName, { body });
+    if (!error) return data;
+
+    if (error instanceof FunctionsHttpError) {
+      const { status } = error.context;
+      const details = await error.context.json().catch(() => ({}));
+      if (status === 429 && details.code === 'quota_exceeded') {
+        throw new LlmQuotaError({ limit: details.limit, resetsAt: details.resets_at });
+      }
+      // The gateway gives the request back on 502, so trying again is free;
+      // a missing key won't have appeared a second later
+      const retryable = status >= 500 && details.code !== 'not_configured';
+      throw new LlmError(details.error || `AI gateway error ${status}`, { retryable, status });
+    }
+    // Network or relay failure before the function ran
+    throw new LlmError(error.message, { retryable: true });
+  };
+
+  return {
+    name: 'gateway',
+
+    async generate({ feature, system, prompt }) {
+      const { text } = await invoke({ action: 'generate', feature, system, prompt });
+      return text;
+    },
+
+    async search(query) {
+      const { results } = await invoke({ action: 'search', query });
+      return results;
+    },
+  };
+}
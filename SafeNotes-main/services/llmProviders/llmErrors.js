@@ -0,0 +1,20 @@
+// services/llmProviders/llmErrors.js
+
+// A failed call to a model. `retryable` marks failures worth another try
+// (network errors, busy or failing servers), which llmClient retries.
+export class LlmError extends Error {
+  constructor(message, { retryable = false, status = null } = {}) {
+    super(message);
+    this.retryable = retryable;
+    this.status = status;
+  }
+}
+
+// The device has used today's requests for a feature; retrying won't help
+export class LlmQuotaError extends LlmError {
+  constructor({ limit, resetsAt }) {
+    super(`Daily limit of ${limit} reached`, { status: 429 });
+    this.limit = limit;
+    this.resetsAt = resetsAt;
+  }
+}
@@ -0,0 +1,118 @@
+// services/llmProviders/mockProvider.js
+//
+// Canned answers worked out from the prompt alone, with no network and no
+// model, so the chatbot, legal assistant and document generator can be run,
+// demoed and checked offline. The same request always gets the same answer.
+// Set LLM_PROVIDER to 'mock' in the Expo config to use it.
+//
+// It follows the prompts the screens send closely enough to walk through
+// each flow: the assistant asks for a search when sections come up, FIR
+// extraction returns every section, and drafts are built from the details
+// block they were given.
+
+const CHAT_REPLIES = [
+  "That sounds really hard, and it makes sense that you're feeling this way. I'm here with you. Would you like to talk about what happened, or about ways to stay safe?",
+  "Thank you for telling me. You're not alone in this. If you're in danger right now, the SOS button will alert your trusted contacts.",
+  "Your feelings are valid. When you're ready, the journal can keep a private record of what happened, and the legal guide explains your rights.",
+];
+
+const ASSISTANT_REPLIES = [
+  'I am sorry you went through this. When did it happen, and where were you at the time?',
+  'Thank you for sharing that. Was anyone else present who saw or heard what happened?',
+  'That helps. Do you have any photos, messages or medical reports that show what happened?',
+];
+
+const FIR_SECTIONS = [
+  'Complainant Details',
+  'Incident Details',
+  'Accused Details',
+  'Witness Details',
+  'Evidence Details',
+  'IPC Sections',
+];
+
+const LAWS = [
+  '- Protection of Women from Domestic Violence Act, 2005: Sections 3, 12, 18, 19, 20, 21, 22',
+  '- Indian Penal Code: Section 498A (cruelty by husband or relatives)',
+  '- Code of Criminal Procedure: Section 125 (maintenance)',
+].join('\n');
+
+const SEARCH_RESULTS = [
+  {
+    title: 'Protection of Women from Domestic Violence Act, 2005',
+    link: 'https://www.indiacode.nic.in/',
+    snippet: 'An Act to provide for more effective protection of the rights of women guaranteed under the Constitution who are victims of violence of any kind occurring within the family.',
+  },
+  {
+    title: 'Section 498A, Indian Penal Code',
+    link: 'https://www.indiacode.nic.in/',
+    snippet: 'Husband or relative of husband of a woman subjecting her to cruelty.',
+  },
+];
+
+const hash = (text) => [...text].reduce((h, c) => (h * 31 + c.charCodeAt(0)) >>> 0, 7);
+const pick = (list, text) => list[hash(text) % list.length];
+
+// Text between two markers, or null if the first isn't there
+function between(text, start, end) {
+  const from = text.indexOf(start);
+  if (from === -1) return null;
+  const to = text.indexOf(end, from + start.length);
+  return text.slice(from + start.length, to === -1 ? undefined : to).trim();
+}
+
+function extractFir(prompt) {
+  const conversation = between(prompt, 'Conversation:', '\u0000') || '';
+  const told = conversation
+    .split('\n')
+    .map((line) => line.trim())
+    .filter((line) => line.startsWith('User:'))
+    .map((line) => line.slice('User:'.length).trim())
+    .join(' ');
+  return FIR_SECTIONS.map((section) =>
+    `${section}: ${section === 'Incident Details' && told ? told : 'Information not provided.'}`
+  ).join('\n\n');
+}
+
+function legalAssistant(prompt) {
+  if (prompt.includes('Extract structured FIR information')) return extractFir(prompt);
+
+  const sources = between(prompt, 'Sources:', '\n\n');
+  const message = between(prompt, 'User:', '\nAssistant:') || prompt;
+  if (sources) {
+    const source = sources.includes(' - ') ? sources.split(' - ')[0] : 'what is known of Indian law';
+    return `Based on ${source}, this may fall under Section 498A IPC and the Protection of Women from Domestic Violence Act, 2005. A lawyer or protection officer can confirm which apply.`;
+  }
+  if (/\b(section|ipc|law)s?\b/i.test(message)) return 'NEEDS_SEARCH';
+  return pick(ASSISTANT_REPLIES, message);
+}
+
+function legalDocument(prompt) {
+  const details = between(prompt, '--- DETAILS ---', '--- END ---');
+  if (details !== null) {
+    const type = /professional ([^\n]+)\n/.exec(prompt)?.[1] || 'Document';
+    return `[START DRAFT]\n${type.toUpperCase()}\n\n${details}\n\n(Sample draft made offline, without a model.)\n[END DRAFT]`;
+  }
+
+  const draft = between(prompt, '--- CURRENT DRAFT ---', '--- END DRAFT ---');
+  if (draft !== null) {
+    return `${draft}\n\n[Change requested: ${between(prompt, '--- USER REQUEST ---', '--- END REQUEST ---')}]`;
+  }
+  return LAWS;
+}
+
+export function createMockProvider() {
+  return {
+    name: 'mock',
+
+    async generate({ feature, prompt }) {
+      if (feature === 'legal_assistant') return legalAssistant(prompt);
+      if (feature === 'legal_document') return legalDocument(prompt);
+      return pick(CHAT_REPLIES, prompt);
+    },
+
+    async search() {
+      return SEARCH_RESULTS;
+    },
+  };
+}
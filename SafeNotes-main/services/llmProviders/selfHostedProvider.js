@@ -0,0 +1,63 @@
+// services/llmProviders/selfHostedProvider.js
+//
+// A model run by the user's organisation, for NGOs that can't send what
+// survivors write to Google. Any server with the OpenAI-style
+// /v1/chat/completions endpoint works (Ollama, llama.cpp's server, vLLM); set
+// LLM_URL, LLM_MODEL and LLM_PROVIDER: 'self_hosted' in the Expo config. There
+// is no daily limit and no web search.
+//
+// No API key is sent: anything in the Expo config ships inside the app, where
+// anyone can read it. The server must be reachable only by the organisation's
+// phones (a VPN or office network), or sit behind a proxy that checks them.
+import Constants from 'expo-constants';
+import { LlmError } from './llmErrors';
+
+const TIMEOUT_MS = 120 * 1000; // small servers can be slow on long drafts
+
+export function createSelfHostedProvider({
+  url = Constants.expoConfig.extra.LLM_URL,
+  model = Constants.expoConfig.extra.LLM_MODEL,
+} = {}) {
+  return {
+    name: 'self_hosted',
+
+    async generate({ system, prompt }) {
+      if (!url) throw new LlmError('Missing LLM_URL');
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+      let res;
+      try {
+        res = await fetch(`${url.replace(/\/$/, '')}/v1/chat/completions`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            model,
+            messages: [
+              ...(system ? [{ role: 'system', content: system }] : []),
+              { role: 'user', content: prompt },
+            ],
+          }),
+          signal: controller.signal,
+        });
+      } catch (e) {
+        if (controller.signal.aborted) throw new LlmError('The model server took too long to answer');
+        throw new LlmError(`Could not reach the model server: ${e.message}`, { retryable: true });
+      } finally {
+        clearTimeout(timer);
+      }
+
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        throw new LlmError(`Model server error ${res.status}: ${data?.error?.message || 'no details'}`, {
+          retryable: res.status >= 500 || res.status === 429,
+          status: res.status,
+        });
+      }
+
+      const text = data?.choices?.[0]?.message?.content;
+      if (!text) throw new LlmError('Model server returned no text');
+      return text;
+    },
+  };
+}
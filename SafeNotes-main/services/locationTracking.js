@@ -0,0 +1,216 @@
+// services/locationTracking.js
+//
+// "Follow me" sessions: after an SOS the phone keeps posting its position to a
+// short-lived tracking record on the SOS Worker, which serves a live page that
+// trusted contacts can watch. Sessions end on their own at the chosen time or
+// when stopped from the unlocked app.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Location from 'expo-location';
+import * as TaskManager from 'expo-task-manager';
+
+const WORKER_URL = 'https://safenotes-sos-html.safenotes-sos.workers.dev';
+const SESSION_KEY = 'trackingSession';
+const TASK_NAME = 'safenotes-follow-me';
+
+export const TRACKING_DURATIONS = [15, 30, 60]; // minutes offered in the SOS screen
+
+const MAX_PENDING_POINTS = 100; // same cap the Worker accepts per update
+
+const listeners = new Set();
+let foregroundWatch = null;
+let expiryTimer = null;
+
+async function readSession() {
+  try {
+    const stored = await AsyncStorage.getItem(SESSION_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch {
+    return null;
+  }
+}
+
+async function writeSession(session) {
+  if (session) await AsyncStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  else await AsyncStorage.removeItem(SESSION_KEY);
+  listeners.forEach((listener) => listener(session));
+}
+
+export function subscribeToTracking(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * The active session ({ id, viewUrl, expiresAt }), or null. Sessions past
+ * their end time are cleaned up here.
+ */
+export async function getTrackingSession() {
+  const session = await readSession();
+  if (session && Date.now() >= session.expiresAt) {
+    await stopTrackingSession();
+    return null;
+  }
+  return session;
+}
+
+async function postJSON(path, body) {
+  const res = await fetch(`${WORKER_URL}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const err = new Error(data.error || `Tracking request failed (${res.status})`);
+    err.status = res.status;
+    throw err;
+  }
+  return data;
+}
+
+/**
+ * Queues new fixes and sends everything not yet delivered. Points that fail
+ * to send stay queued (capped) and go out with the next fix.
+ */
+async function reportLocations(locations) {
+  const session = await readSession();
+  if (!session) return;
+
+  if (Date.now() >= session.expiresAt) {
+    await stopTrackingSession();
+    return;
+  }
+
+  const fresh = locations.map(({ coords, timestamp }) => ({
+    lat: coords.latitude,
+    lng: coords.longitude,
+    accuracy: coords.accuracy ?? null,
+    t: timestamp || Date.now(),
+  }));
+  const pending = [...(session.pending || []), ...fresh].slice(-MAX_PENDING_POINTS);
+
+  try {
+    await postJSON('/track/update', { id: session.id, key: session.key, points: pending });
+    await writeSession({ ...session, pending: [], lastSentAt: Date.now() });
+  } catch (e) {
+    console.warn('[LocationTracking] Update failed:', e.message);
+    // 404/410: the Worker ended or lost the session, so stop sending
+    if (e.status === 404 || e.status === 410) await stopTrackingSession({ notifyServer: false });
+    else await writeSession({ ...session, pending });
+  }
+}
+
+// Background updates are delivered here even while the disguise is showing
+TaskManager.defineTask(TASK_NAME, async ({ data, error }) => {
+  if (error) {
+    console.warn('[LocationTracking] Background task error:', error);
+    return;
+  }
+  if (data?.locations?.length) await reportLocations(data.locations);
+});
+
+function scheduleExpiry(expiresAt) {
+  clearTimeout(expiryTimer);
+  expiryTimer = setTimeout(() => stopTrackingSession(), Math.max(0, expiresAt - Date.now()));
+}
+
+async function startUpdates(expiresAt) {
+  const options = {
+    accuracy: Location.Accuracy.High,
+    timeInterval: 30 * 1000,
+    distanceInterval: 25,
+  };
+
+  const background = await Location.requestBackgroundPermissionsAsync().catch(() => null);
+  if (background?.status === 'granted') {
+    await Location.startLocationUpdatesAsync(TASK_NAME, {
+      ...options,
+      pausesUpdatesAutomatically: false,
+      showsBackgroundLocationIndicator: false,
+      // Android needs a visible notification; keep it as bland as the disguise
+      foregroundService: {
+        notificationTitle: 'Notes',
+        notificationBody: 'Syncing…',
+      },
+    });
+  } else {
+    // Without background permission updates only flow while the app is open
+    foregroundWatch = await Location.watchPositionAsync(options, (loc) => reportLocations([loc]));
+  }
+
+  scheduleExpiry(expiresAt);
+}
+
+/**
+ * Opens a tracking session on the Worker and starts sending positions.
+ * Resolves to the session ({ id, viewUrl, expiresAt }); throws if the Worker
+ * can't be reached or location permission is refused.
+ */
+export async function startTrackingSession({ durationMin = TRACKING_DURATIONS[1] } = {}) {
+  const existing = await getTrackingSession();
+  if (existing) return existing;
+
+  const { status } = await Location.requestForegroundPermissionsAsync();
+  if (status !== 'granted') throw new Error('Location permission not granted');
+
+  const data = await postJSON('/track/start', { durationMin });
+  const session = {
+    id: data.track_id,
+    key: data.write_key,
+    viewUrl: data.view_url,
+    expiresAt: data.expires_at,
+    startedAt: Date.now(),
+    pending: [],
+  };
+  await writeSession(session);
+
+  await startUpdates(session.expiresAt);
+  // Post a first fix straight away rather than waiting for movement
+  Location.getCurrentPositionAsync({})
+    .then((loc) => reportLocations([loc]))
+    .catch((e) => console.warn('[LocationTracking] First fix failed:', e));
+
+  return session;
+}
+
+/**
+ * Stops sending and marks the session ended so the live page says so.
+ */
+export async function stopTrackingSession({ notifyServer = true } = {}) {
+  clearTimeout(expiryTimer);
+  expiryTimer = null;
+
+  if (foregroundWatch) {
+    foregroundWatch.remove();
+    foregroundWatch = null;
+  }
+  try {
+    if (await Location.hasStartedLocationUpdatesAsync(TASK_NAME)) {
+      await Location.stopLocationUpdatesAsync(TASK_NAME);
+    }
+  } catch (e) {
+    console.warn('[LocationTracking] Failed to stop updates:', e);
+  }
+
+  const session = await readSession();
+  await writeSession(null);
+
+  if (session && notifyServer) {
+    await postJSON('/track/stop', { id: session.id, key: session.key }).catch((e) =>
+      console.warn('[LocationTracking] Stop request failed:', e.message)
+    );
+  }
+}
+
+/**
+ * Picks a session back up after the app restarts: the background task keeps
+ * running on its own, but the foreground fallback and expiry timer do not.
+ */
+export async function resumeTrackingSession() {
+  const session = await getTrackingSession();
+  if (!session) return;
+
+  const running = await Location.hasStartedLocationUpdatesAsync(TASK_NAME).catch(() => false);
+  if (running) scheduleExpiry(session.expiresAt);
+  else await startUpdates(session.expiresAt);
+}
@@ -0,0 +1,234 @@
+// services/notesVault.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+import * as Crypto from 'expo-crypto';
+import { xchacha20poly1305 } from '@noble/ciphers/chacha';
+import { bytesToUtf8, utf8ToBytes, concatBytes } from '@noble/ciphers/utils';
+import { pbkdf2Async } from '@noble/hashes/pbkdf2';
+import { sha256 } from '@noble/hashes/sha256';
+
+export const NOTES_KEY = 'safenotes_notes';
+export const VAULT_SALT_KEY = 'notesVaultSalt';
+export const ACCESS_PIN_KEY = 'accessPin';
+
+const VAULT_VERSION = 1;
+const DEFAULT_PIN = '1234'; // same fallback SettingsContext uses before a PIN is stored
+const KDF_ITERATIONS = 50000;
+const NONCE_LENGTH = 24;
+
+// Derived keys are cached per PIN + salt so PBKDF2 only runs once per session
+let cachedKek = null;
+
+// Vault reads and writes run one at a time, so a save that started under the
+// old PIN can't land on top of a re-keyed envelope
+let vaultQueue = Promise.resolve();
+
+function serialized(task) {
+  const run = vaultQueue.then(task, task);
+  vaultQueue = run.catch(() => {});
+  return run;
+}
+
+const toBase64 = (bytes) => Buffer.from(bytes).toString('base64');
+const fromBase64 = (str) => new Uint8Array(Buffer.from(str, 'base64'));
+
+function seal(key, plaintext) {
+  const nonce = Crypto.getRandomBytes(NONCE_LENGTH);
+  const sealed = xchacha20poly1305(key, nonce).encrypt(plaintext);
+  return toBase64(concatBytes(nonce, sealed));
+}
+
+function open(key, encoded) {
+  const bytes = fromBase64(encoded);
+  const nonce = bytes.slice(0, NONCE_LENGTH);
+  return xchacha20poly1305(key, nonce).decrypt(bytes.slice(NONCE_LENGTH));
+}
+
+async function getVaultPin() {
+  return (await SecureStore.getItemAsync(ACCESS_PIN_KEY)) || DEFAULT_PIN;
+}
+
+/**
+ * The salt lives in SecureStore rather than next to the ciphertext, so a dump of
+ * AsyncStorage alone is not enough to brute-force the 4-digit PIN offline.
+ */
+async function getVaultSalt() {
+  const stored = await SecureStore.getItemAsync(VAULT_SALT_KEY);
+  if (stored) return fromBase64(stored);
+
+  const salt = Crypto.getRandomBytes(16);
+  await SecureStore.setItemAsync(VAULT_SALT_KEY, toBase64(salt));
+  return salt;
+}
+
+async function deriveKek(pin, salt) {
+  const cacheId = toBase64(sha256(concatBytes(utf8ToBytes(pin), salt)));
+  if (cachedKek?.id === cacheId) return cachedKek.key;
+
+  const key = await pbkdf2Async(sha256, pin, salt, { c: KDF_ITERATIONS, dkLen: 32 });
+  cachedKek = { id: cacheId, key };
+  return key;
+}
+
+async function readEnvelope() {
+  const saved = await AsyncStorage.getItem(NOTES_KEY);
+  if (!saved) return null;
+
+  try {
+    return JSON.parse(saved);
+  } catch (e) {
+    console.warn('⚠️ [notesVault] JSON.parse failed:', e);
+    return null;
+  }
+}
+
+/**
+ * Unwraps the random data key that encrypts the notes. The data key itself is
+ * sealed with a key derived from the access PIN, so changing the PIN only has to
+ * re-wrap this one value instead of re-encrypting every note.
+ */
+async function unwrapDataKey(envelope, pin) {
+  const kek = await deriveKek(pin, await getVaultSalt());
+  return open(kek, envelope.wrappedKey);
+}
+
+async function writeEnvelope(notes, dataKey, wrappedKey) {
+  const envelope = {
+    version: VAULT_VERSION,
+    wrappedKey,
+    notes: notes.map(({ id, timestamp, title, content }) => ({
+      id,
+      timestamp,
+      payload: seal(dataKey, utf8ToBytes(JSON.stringify({ title, content }))),
+    })),
+  };
+  await AsyncStorage.setItem(NOTES_KEY, JSON.stringify(envelope));
+}
+
+async function createDataKey(pin) {
+  const dataKey = Crypto.getRandomBytes(32);
+  const kek = await deriveKek(pin, await getVaultSalt());
+  return { dataKey, wrappedKey: seal(kek, dataKey) };
+}
+
+/**
+ * Returns all notes in plaintext, decrypted with `pin` (the access PIN the
+ * app holds in SettingsContext; the stored one if not given). Legacy plaintext
+ * arrays written by older builds are encrypted in place the first time they
+ * are read.
+ */
+export function loadVaultNotes(pin) {
+  return serialized(async () => readVault(pin ?? (await getVaultPin())));
+}
+
+async function readVault(pin) {
+  const envelope = await readEnvelope();
+  if (!envelope) return [];
+
+  // Legacy format: a bare array of plaintext notes
+  if (Array.isArray(envelope)) {
+    const legacy = envelope.filter((note) => note && note.id);
+    const { dataKey, wrappedKey } = await createDataKey(pin);
+    await writeEnvelope(legacy, dataKey, wrappedKey);
+    console.log(`🔐 [notesVault] Migrated ${legacy.length} plaintext notes`);
+    return legacy;
+  }
+
+  if (envelope.version !== VAULT_VERSION || !Array.isArray(envelope.notes)) {
+    console.warn('⚠️ [notesVault] Unknown vault format—falling back to []');
+    return [];
+  }
+
+  const dataKey = await unwrapDataKey(envelope, pin);
+  return envelope.notes.map(({ id, timestamp, payload }) => {
+    const { title, content } = JSON.parse(bytesToUtf8(open(dataKey, payload)));
+    return { id, timestamp, title, content };
+  });
+}
+
+/** Encrypts and stores `notes` under `pin` (the stored one if not given). */
+export function saveVaultNotes(notes, pin) {
+  return serialized(async () => {
+    const vaultPin = pin ?? (await getVaultPin());
+    const envelope = await readEnvelope();
+
+    if (envelope && !Array.isArray(envelope) && envelope.wrappedKey) {
+      const dataKey = await unwrapDataKey(envelope, vaultPin);
+      await writeEnvelope(notes, dataKey, envelope.wrappedKey);
+      return;
+    }
+
+    const { dataKey, wrappedKey } = await createDataKey(vaultPin);
+    await writeEnvelope(notes, dataKey, wrappedKey);
+  });
+}
+
+/**
+ * Changes the access PIN: re-wraps the data key under the new PIN and stores
+ * the PIN, as one step. If storing the PIN fails the old wrapped key is put
+ * back, so the vault always opens with whichever PIN SecureStore holds.
+ */
+export function changeVaultPin(oldPin, newPin) {
+  return serialized(async () => {
+    const envelope = await readEnvelope();
+    if (!envelope || Array.isArray(envelope) || !envelope.wrappedKey || oldPin === newPin) {
+      await SecureStore.setItemAsync(ACCESS_PIN_KEY, newPin);
+      return;
+    }
+
+    const dataKey = await unwrapDataKey(envelope, oldPin);
+    const newKek = await deriveKek(newPin, await getVaultSalt());
+    await AsyncStorage.setItem(
+      NOTES_KEY,
+      JSON.stringify({ ...envelope, wrappedKey: seal(newKek, dataKey) })
+    );
+
+    try {
+      await SecureStore.setItemAsync(ACCESS_PIN_KEY, newPin);
+    } catch (e) {
+      await AsyncStorage.setItem(NOTES_KEY, JSON.stringify(envelope));
+      throw e;
+    }
+  });
+}
+
+// ——— Decoy notes shown while in duress mode ———
+
+export const DECOY_NOTES_KEY = 'safenotes_notes_decoy';
+
+const DECOY_SEED = [
+  { title: 'Groceries', content: '<p>Milk, atta, onions, tomatoes, dhaniya, 1 dozen eggs</p>' },
+  { title: 'Electricity bill', content: '<p>Due on the 15th. Pay online, keep the receipt.</p>' },
+  { title: 'Recipes to try', content: '<p>Rajma chawal, aloo paratha with less oil, kheer</p>' },
+  { title: 'Birthday reminders', content: '<p>Mummy – 12 March<br>Neha – 3 August</p>' },
+];
+
+/**
+ * Decoy notes are deliberately stored in plaintext: they must open without the
+ * real PIN and contain nothing worth protecting. Seeded with everyday entries
+ * the first time duress mode is used so the app never looks freshly wiped.
+ */
+export async function loadDecoyNotes() {
+  const saved = await AsyncStorage.getItem(DECOY_NOTES_KEY);
+  if (saved) {
+    try {
+      const parsed = JSON.parse(saved);
+      if (Array.isArray(parsed)) return parsed;
+    } catch (e) {
+      console.warn('⚠️ [notesVault] Decoy JSON.parse failed:', e);
+    }
+  }
+
+  const now = Date.now();
+  const seeded = DECOY_SEED.map((note, i) => ({
+    id: `decoy-${i}`,
+    ...note,
+    timestamp: now - (i + 1) * 3 * 86400000, // spread over the past few weeks
+  }));
+  await saveDecoyNotes(seeded);
+  return seeded;
+}
+
+export async function saveDecoyNotes(notes) {
+  await AsyncStorage.setItem(DECOY_NOTES_KEY, JSON.stringify(notes));
+}
@@ -0,0 +1,71 @@
+// services/panicPhrases.js
+import * as SecureStore from 'expo-secure-store';
+import * as Crypto from 'expo-crypto';
+
+export const PANIC_PHRASES_KEY = 'panicPhrases';
+
+export const PANIC_ACTIONS = [
+  { key: 'record', label: 'Start covert recording' },
+  { key: 'sos', label: 'Send instant SOS' },
+  { key: 'lock', label: 'Lock to disguise' },
+  { key: 'call', label: 'Call a contact' },
+];
+
+// How close the heard words must be to the phrase (see utils/phraseMatcher)
+export const SENSITIVITY_LEVELS = [
+  { key: 'strict', label: 'Strict', threshold: 0.9 },
+  { key: 'normal', label: 'Normal', threshold: 0.8 },
+  { key: 'loose', label: 'Loose', threshold: 0.7 },
+];
+
+export const MAX_CONFIRMATIONS = 3;
+export const CONFIRM_WINDOW_MS = 10 * 1000; // repeats must fall within this
+
+// The two words the app always listened for, said twice so a passing mention
+// doesn't fire them
+export const DEFAULT_PANIC_PHRASES = [
+  { id: 'default-sos', phrase: 'emergency', action: 'sos', threshold: 0.8, confirmations: 2, contactId: null },
+  { id: 'default-record', phrase: 'start recording', action: 'record', threshold: 0.8, confirmations: 2, contactId: null },
+];
+
+const newPhraseId = () =>
+  Array.from(Crypto.getRandomBytes(8))
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
+
+export function normalizePhrase(entry) {
+  return {
+    id: entry.id || newPhraseId(),
+    phrase: (entry.phrase || '').trim().toLowerCase(),
+    action: PANIC_ACTIONS.some((a) => a.key === entry.action) ? entry.action : 'sos',
+    threshold: entry.threshold ?? 0.8,
+    confirmations: Math.min(MAX_CONFIRMATIONS, Math.max(1, entry.confirmations ?? 1)),
+    contactId: entry.contactId ?? null, // trusted contact to ring for 'call'
+  };
+}
+
+export async function loadPanicPhrases() {
+  try {
+    const stored = await SecureStore.getItemAsync(PANIC_PHRASES_KEY);
+    if (stored) {
+      const parsed = JSON.parse(stored);
+      if (Array.isArray(parsed)) return parsed.map(normalizePhrase).filter((p) => p.phrase);
+    }
+  } catch (e) {
+    console.warn('[PanicPhrases] Failed to read phrases:', e);
+  }
+  return DEFAULT_PANIC_PHRASES;
+}
+
+export async function savePanicPhrases(phrases) {
+  const normalized = phrases.map(normalizePhrase).filter((p) => p.phrase);
+  await SecureStore.setItemAsync(PANIC_PHRASES_KEY, JSON.stringify(normalized));
+  return normalized;
+}
+
+export const actionLabel = (key) => PANIC_ACTIONS.find((a) => a.key === key)?.label || key;
+
+export const sensitivityFor = (threshold) =>
+  SENSITIVITY_LEVELS.reduce((closest, level) =>
+    Math.abs(level.threshold - threshold) < Math.abs(closest.threshold - threshold) ? level : closest
+  );
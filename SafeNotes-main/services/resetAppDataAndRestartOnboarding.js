@@ -3,39 +3,70 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as FileSystem from 'expo-file-system';
 import { _internalSetHasCompletedOnboarding } from '../contexts/SettingsContext';
 import { supabase } from '../services/supabaseClient';  // adjust path if needed
+import { stopTrackingSession } from './locationTracking';
+import { confirmCheckIn } from './checkIn';
+import { stopEvidenceRecording, RECORDINGS_DIR } from './evidenceRecorder';
+import { getDeviceId, signOutDevice } from './deviceIdentity';
 
 export const resetAppDataAndRestartOnboarding = async () => {
   try {
-    // 0. Delete emergency contacts from Supabase
-    const { error: deleteError } = await supabase
-      .from('emergency_contacts')
-      .delete()
-      .neq('id', 0);  // Delete all rows (id != 0), assuming id is always positive
-
-    if (deleteError) {
-      console.warn('Failed to delete emergency contacts:', deleteError);
-      // Optional: you can alert or continue depending on your UX preference
+    // 0. Delete this device's emergency contacts from Supabase
+    try {
+      const { error: deleteError } = await supabase
+        .from('emergency_contacts')
+        .delete()
+        .eq('device_id', await getDeviceId());
+
+      if (deleteError) {
+        console.warn('Failed to delete emergency contacts:', deleteError);
+        // Optional: you can alert or continue depending on your UX preference
+      }
+    } catch (e) {
+      console.warn('Failed to delete emergency contacts:', e);
     }
 
+    // Stop any live location sharing before its session is wiped below
+    await stopTrackingSession().catch((e) => console.warn('Failed to stop live location:', e));
+    // Likewise cancel a pending check-in, or its reminders would outlive the reset
+    await confirmCheckIn().catch((e) => console.warn('Failed to cancel check-in:', e));
+    // And a covert recording, which would keep writing chunks after the wipe
+    await stopEvidenceRecording().catch((e) => console.warn('Failed to stop recording:', e));
+
     // 1. Wipe SecureStore
     const secureKeys = [
       'accessPin',
       'emergencyMessage',
       'emergencyContact',
+      'emergencyContacts',
       'autoWipeTTL',
       'locationEnabled',
       'cameraEnabled',
       'micEnabled',
       'galleryEnabled',
       'hasCompletedOnboarding',
+      'notesVaultSalt',
+      'duressPin',
+      'duressSOSEnabled',
+      'duressActive',
+      'unlockGuard',
+      'intruderPhotoEnabled',
+      'protectEvidenceLinks',
+      'evidenceLinkTTL',
+      'voiceEngine',
+      'voiceLanguage',
+      'panicPhrases',
+      'transcriber',
+      'flaggedTerms',
     ];
     await Promise.all(secureKeys.map(key => SecureStore.deleteItemAsync(key)));
 
-    // 2. Wipe AsyncStorage EXCEPT chatbot limit keys
+    // Forget this device's Supabase identity; the next start signs in afresh.
+    // Its session is kept in AsyncStorage, wiped just below.
+    await signOutDevice().catch((e) => console.warn('Failed to sign out:', e));
+
+    // 2. Wipe AsyncStorage (the chatbot's daily limit is kept by the AI gateway now)
     const allKeys = await AsyncStorage.getAllKeys();
-    const keysToPreserve = ['@ChatbotExchangeCount-SG', '@ChatbotLastResetDate-SG'];
-    const keysToDelete = allKeys.filter(k => !keysToPreserve.includes(k));
-    await AsyncStorage.multiRemove(keysToDelete);
+    await AsyncStorage.multiRemove(allKeys);
 
     // 3. Delete Journal media folder
     const mediaPath = FileSystem.documentDirectory + 'journal/';
@@ -43,6 +74,9 @@ export const resetAppDataAndRestartOnboarding = async () => {
     if (folder.exists) {
       await FileSystem.deleteAsync(mediaPath, { idempotent: true });
     }
+    await FileSystem.deleteAsync(FileSystem.documentDirectory + 'intruders/', { idempotent: true });
+    // The recording index lived in AsyncStorage, so its chunk folders go too
+    await FileSystem.deleteAsync(RECORDINGS_DIR, { idempotent: true });
 
     // 4. Reset onboarding status in context
     const settingsContext = require('../contexts/SettingsContext');
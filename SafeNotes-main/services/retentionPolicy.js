@@ -0,0 +1,23 @@
+// services/retentionPolicy.js
+//
+// Mirrors this phone's auto-wipe and evidence link settings to the
+// `retention_policies` table, which the server's cleanup job
+// (supabase-backend/deleteExpiredMedia.js) follows for everything this device
+// uploaded. Until a sync succeeds the job falls back to keeping recordings and
+// logs, and deleting SOS media once its links have expired.
+import { supabase } from './supabaseClient';
+import { getDeviceId } from './deviceIdentity';
+
+export async function syncRetentionPolicy({ autoWipeTTL, linkTtlHours }) {
+  try {
+    await getDeviceId(); // the policy is stored under the signed-in device
+    const { error } = await supabase.rpc('set_retention_policy', {
+      p_auto_wipe_ttl: autoWipeTTL,
+      p_link_ttl_hours: linkTtlHours,
+    });
+    if (error) throw new Error(error.message);
+  } catch (e) {
+    // Offline is fine: settings are synced again on the next launch
+    console.warn('[RetentionPolicy] Failed to sync:', e.message || e);
+  }
+}
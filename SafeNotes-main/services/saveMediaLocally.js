@@ -1,14 +1,16 @@
 import * as FileSystem from 'expo-file-system';
 import * as MediaLibrary from 'expo-media-library';
 import { generateUUID } from '../utils/generateUUID';
+import { extensionFor } from '../utils/mimeTypes';
 import { Platform } from 'react-native';
 
 /**
  * Saves selected media to NyayaGhost' local storage.
- * Handles ph:// (iOS) and content:// (Android) URIs.
+ * Handles ph:// (iOS) and content:// (Android) URIs, which have no file
+ * extension of their own; the copy is named after `mimeType` instead.
  * Returns the internal file path.
  */
-export async function saveMediaLocally(uri) {
+export async function saveMediaLocally(uri, mimeType) {
   let actualUri = uri;
 
   // iOS fix: Convert ph:// → file:// using MediaLibrary
@@ -35,7 +37,7 @@ export async function saveMediaLocally(uri) {
     }
   }
 
-  const ext = actualUri.split('.').pop().split('?')[0]; // remove query param if any
+  const ext = extensionFor(actualUri, mimeType);
   const fileName = `${await generateUUID()}.${ext}`;
   const destPath = `${FileSystem.documentDirectory}${fileName}`;
 
@@ -0,0 +1,338 @@
+// services/sosDispatcher.js
+import * as SecureStore from 'expo-secure-store';
+import * as Location from 'expo-location';
+import * as SMS from 'expo-sms';
+import * as Linking from 'expo-linking';
+import { Alert } from 'react-native';
+import { supabase } from './supabaseClient';
+import { getDeviceId } from './deviceIdentity';
+import { loadEmergencyContacts, normalizeContact, planEscalation, channelActions } from './emergencyContacts';
+import {
+  enqueueSOS,
+  processOutbox,
+  getOutbox,
+  composeSOSMessage,
+  markInitialSMSSent,
+  discardOutboxEntry,
+  standDownOutboxEntry,
+} from './sosOutbox';
+import { startTrackingSession, stopTrackingSession } from './locationTracking';
+import { relayAlert } from './duressAlert';
+import { DEFAULT_MESSAGE } from '../contexts/SettingsContext';
+
+const STAND_DOWN_MESSAGE = "I'm safe now. Please ignore my earlier alert.";
+
+// ——— Recipients & message ———
+
+/**
+ * The trusted contacts saved in settings (SecureStore, what SettingsContext
+ * shows) are the source of truth, in priority order. The Supabase
+ * emergency_contacts row is only a fallback for installs that never wrote a
+ * contact locally.
+ */
+export async function getSavedRecipients() {
+  const contacts = await loadEmergencyContacts();
+  if (contacts.some((c) => c.number)) return contacts.filter((c) => c.number);
+
+  // Offline before this install ever signed in there is nothing to fall back on
+  const deviceId = await getDeviceId().catch(() => null);
+  if (!deviceId) return [];
+
+  const { data } = await supabase
+    .from('emergency_contacts')
+    .select('name, number')
+    .eq('device_id', deviceId)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  return data?.number ? [normalizeContact(data)] : [];
+}
+
+export async function getSavedMessage() {
+  return (await SecureStore.getItemAsync('emergencyMessage')) || DEFAULT_MESSAGE;
+}
+
+export async function getLinkProtection() {
+  return (await SecureStore.getItemAsync('protectEvidenceLinks')) === 'true';
+}
+
+// ——— Location ———
+
+/**
+ * Returns { latitude, longitude } or null. With requestPermission false nothing
+ * is prompted, which is what background triggers (voice, duress) need.
+ */
+export async function getSOSLocation({ requestPermission = true } = {}) {
+  try {
+    let { status } = await Location.getForegroundPermissionsAsync();
+    if (status !== 'granted' && requestPermission) {
+      ({ status } = await Location.requestForegroundPermissionsAsync());
+    }
+    if (status !== 'granted') return null;
+
+    const loc = await Location.getCurrentPositionAsync({});
+    return { latitude: loc.coords.latitude, longitude: loc.coords.longitude };
+  } catch (e) {
+    console.warn('[SOSDispatcher] Location error:', e);
+    return null;
+  }
+}
+
+// ——— Templating ———
+
+export const mapsLink = ({ latitude, longitude }) => `https://maps.google.com/?q=${latitude},${longitude}`;
+
+/**
+ * Base SOS text: the user's message plus their location (or a note that it
+ * could not be found) and, when "follow me" is on, the live tracking page.
+ * Evidence links are added later by the outbox.
+ */
+export function buildSOSMessage({ message, location, includeLocation = true, liveUrl = null }) {
+  const msg = (message ?? DEFAULT_MESSAGE).trim();
+  const liveLine = liveUrl ? `Follow my live location: ${liveUrl}` : null;
+  if (!includeLocation) return [msg, liveLine].filter(Boolean).join('\n\n');
+  const locationLine = location
+    ? `My location: ${mapsLink(location)}`
+    : '[Location could not be retrieved]';
+  return [msg, locationLine, liveLine].filter(Boolean).join('\n\n');
+}
+
+// ——— Dispatch ———
+
+const defaultDeps = {
+  getRecipients: getSavedRecipients,
+  getMessage: getSavedMessage,
+  getLinkProtection,
+  getLocation: getSOSLocation,
+  isSMSAvailable: () => SMS.isAvailableAsync(),
+  sendSMS: async (numbers, body) => (await SMS.sendSMSAsync(numbers, body)).result,
+  relayAlert,
+  enqueueSOS,
+  processOutbox,
+  getOutbox,
+  markInitialSMSSent,
+  discardOutboxEntry,
+  startTracking: startTrackingSession,
+  stopTracking: stopTrackingSession,
+};
+
+/**
+ * Builds a dispatcher. Every side effect (storage, location, SMS, the outbox)
+ * comes from `deps`, so a test or a dry run can swap any of them out.
+ *
+ * dispatch(options) resolves to { status, message, recipients, location, entryId, tracking, actions }
+ * where status is 'sent' | 'unknown' (Android never reports) | 'cancelled' |
+ * 'no_recipients' | 'sms_unavailable' | 'failed' (relay only: no SMS delivered), and actions are the call / email /
+ * WhatsApp links for contacts who prefer those. It never shows UI itself.
+ *
+ * Options:
+ *   message          text to send; defaults to the saved emergency message
+ *   recipients       contacts to alert now; defaults to the saved list, in
+ *                    which case lower-priority contacts are queued to be
+ *                    alerted later per their escalation rules
+ *   includeLocation  append the current location (default true)
+ *   requestPermission  may prompt for location permission (default true)
+ *   media            [{ uri, mimeType, capturedAt }] to upload as evidence
+ *   audio            already-uploaded recordings, [{ parts: [{ url, mimeType,
+ *                    sha256, capturedAt }] }]
+ *   linkWaitMs       how long the SMS may wait for evidence links (default 0)
+ *   liveTrackingMin  share a live location page for this many minutes; the
+ *                    SOS still goes out without it if the session can't start
+ *   relay            send through the alert-relay edge function instead of the SMS
+ *                    composer, tagged with this source (e.g. 'check_in'); for
+ *                    when nobody is there to press send. Every recipient is
+ *                    texted, whatever their preferred channel
+ *   beforeSend(body) optional; return false to abort before the composer opens
+ *   onStep(step, state)  optional progress callback; step is 'contacts' |
+ *                    'location' | 'tracking' | 'sms', state is 'active' |
+ *                    'done' | 'failed' | 'skipped'
+ */
+export function createSOSDispatcher(overrides = {}) {
+  const deps = { ...defaultDeps, ...overrides };
+
+  const dispatch = async ({
+    message,
+    recipients,
+    includeLocation = true,
+    requestPermission = true,
+    media = [],
+    audio = [],
+    linkWaitMs = 0,
+    liveTrackingMin = 0,
+    relay = null,
+    beforeSend,
+    onStep = () => {},
+  } = {}) => {
+    onStep('contacts', 'active');
+    let to;
+    let escalations = [];
+    if (recipients) {
+      to = recipients.filter((r) => r?.number).map(normalizeContact);
+    } else {
+      ({ immediate: to, escalations } = planEscalation(await deps.getRecipients()));
+    }
+    if (to.length === 0) {
+      onStep('contacts', 'failed');
+      return { status: 'no_recipients', recipients: [] };
+    }
+
+    // Contacts who only want a call, email or WhatsApp are reached through `actions`
+    const smsTo = relay ? to : to.filter((r) => r.channels.includes('sms'));
+    if (!relay && smsTo.length > 0 && !(await deps.isSMSAvailable())) {
+      onStep('contacts', 'failed');
+      return { status: 'sms_unavailable', recipients: to };
+    }
+    onStep('contacts', 'done');
+
+    let location = null;
+    if (includeLocation) {
+      onStep('location', 'active');
+      location = await deps.getLocation({ requestPermission });
+      onStep('location', location ? 'done' : 'failed');
+    } else {
+      onStep('location', 'skipped');
+    }
+
+    let tracking = null;
+    if (liveTrackingMin > 0) {
+      onStep('tracking', 'active');
+      try {
+        tracking = await deps.startTracking({ durationMin: liveTrackingMin });
+        onStep('tracking', 'done');
+      } catch (e) {
+        console.warn('[SOSDispatcher] Live tracking unavailable:', e.message);
+        onStep('tracking', 'failed');
+      }
+    }
+
+    const baseMessage = buildSOSMessage({
+      message: message ?? (await deps.getMessage()),
+      location,
+      includeLocation,
+      liveUrl: tracking?.viewUrl,
+    });
+
+    // Uploads, links and the sos_logs row retry from the outbox if offline.
+    // A relayed SOS has nobody to send the access code afterwards, so its
+    // links are never locked.
+    const entry = await deps.enqueueSOS({
+      message: baseMessage,
+      recipients: to,
+      latitude: location?.latitude ?? null,
+      longitude: location?.longitude ?? null,
+      media,
+      audio,
+      escalations,
+      protectLinks: !relay && (await deps.getLinkProtection()),
+    });
+
+    if (linkWaitMs > 0 && (media.length > 0 || audio.length > 0)) {
+      await Promise.race([
+        deps.processOutbox().catch((e) => console.warn('[SOSDispatcher] Outbox pass failed:', e)),
+        new Promise((resolve) => setTimeout(resolve, linkWaitMs)),
+      ]);
+    } else {
+      deps.processOutbox().catch((e) => console.warn('[SOSDispatcher] Outbox pass failed:', e));
+    }
+
+    const latest = (await deps.getOutbox()).find((e) => e.id === entry.id) || entry;
+    const body = composeSOSMessage(latest);
+    const result = {
+      message: body,
+      recipients: to,
+      location,
+      entryId: entry.id,
+      tracking,
+      actions: channelActions(to, body),
+    };
+
+    const abandon = async () => {
+      await deps.discardOutboxEntry(entry.id);
+      if (tracking) await deps.stopTracking();
+    };
+
+    if (beforeSend && (await beforeSend(body)) === false) {
+      await abandon();
+      onStep('sms', 'skipped');
+      return { ...result, status: 'cancelled' };
+    }
+
+    onStep('sms', 'active');
+    let status;
+    if (relay) {
+      const relayed = await deps.relayAlert({
+        contacts: smsTo,
+        message: body,
+        latitude: location?.latitude ?? null,
+        longitude: location?.longitude ?? null,
+        source: relay,
+      });
+      status = relayed ? 'sent' : 'failed';
+    } else {
+      status = smsTo.length > 0 ? await deps.sendSMS(smsTo.map((r) => r.number), body) : 'unknown';
+    }
+    if (status === 'cancelled' || status === 'failed') {
+      await abandon();
+      onStep('sms', 'failed');
+      return { ...result, status };
+    }
+
+    await deps.markInitialSMSSent(latest);
+    onStep('sms', 'done');
+    return { ...result, status };
+  };
+
+  return { dispatch };
+}
+
+export const sosDispatcher = createSOSDispatcher();
+export const dispatchSOS = sosDispatcher.dispatch;
+
+/**
+ * "I'm safe": tells everyone an SOS already reached—its recipients plus any
+ * contacts alerted by escalation—and stops escalations, follow-ups and live
+ * tracking. Resolves to the SMS result ('sent' | 'unknown' | 'cancelled'),
+ * 'no_recipients' if nobody had been notified, or 'sms_unavailable'.
+ */
+export async function standDownSOS({ entryId, recipients = [], message = STAND_DOWN_MESSAGE }) {
+  const escalated = entryId ? await standDownOutboxEntry(entryId) : [];
+  await stopTrackingSession();
+
+  const numbers = [...new Set([...recipients, ...escalated].map((r) => r?.number).filter(Boolean))];
+  if (numbers.length === 0) return 'no_recipients';
+  if (!(await SMS.isAvailableAsync())) return 'sms_unavailable';
+
+  const { result } = await SMS.sendSMSAsync(numbers, message);
+  return result;
+}
+
+/**
+ * The alert every SOS entry point shows afterwards. Calls, emails and WhatsApp
+ * messages each need their own app, so the first two are offered as buttons
+ * (Android allows three); the rest stay reachable from the contact list. When
+ * nothing was sent, `onRetry` (if given) is offered instead.
+ */
+export function showSOSResult({ status, recipients, actions = [], onRetry }) {
+  if (status === 'failed') {
+    Alert.alert('SOS not sent', 'Your message could not be delivered, so no one has been alerted.', [
+      { text: 'Cancel', style: 'cancel' },
+      ...(onRetry ? [{ text: 'Retry', onPress: onRetry }] : []),
+    ]);
+  } else if (status === 'no_recipients') {
+    Alert.alert('Error', 'No emergency contact found');
+  } else if (status === 'sms_unavailable') {
+    Alert.alert('Error', 'SMS service is not available on this device');
+  } else if (status !== 'cancelled') {
+    Alert.alert(
+      'SOS Sent',
+      `Message sent to ${recipients.map((r) => r.name || r.number).join(', ')}`,
+      [
+        ...actions.slice(0, 2).map((action) => ({
+          text: action.label,
+          onPress: () => Linking.openURL(action.url),
+        })),
+        { text: 'OK' },
+      ]
+    );
+  }
+}
@@ -0,0 +1,509 @@
+// services/sosOutbox.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import { AppState } from 'react-native';
+import * as SMS from 'expo-sms';
+import * as Linking from 'expo-linking';
+import { supabase } from './supabaseClient';
+import { uploadMediaFromLocal } from './uploadMediaFromLocal';
+import { channelUrl } from './emergencyContacts';
+import { createEvidenceLink } from './evidenceLinks';
+import { sha256File } from '../utils/fileHash';
+import { getDeviceId } from './deviceIdentity';
+import { generateUUID } from '../utils/generateUUID';
+
+export const OUTBOX_KEY = 'sosOutbox';
+
+const BASE_RETRY_MS = 10 * 1000;
+const MAX_RETRY_MS = 15 * 60 * 1000;
+const MAX_ATTEMPTS = 8; // after this an item is marked failed until retried by hand
+const POLL_INTERVAL_MS = 60 * 1000;
+
+const LINK_LABELS = { evidence_link: 'SOS evidence' };
+const MAX_PAGE_MESSAGE_LENGTH = 2000; // the Worker refuses longer ones
+
+const listeners = new Set();
+let writeChain = Promise.resolve();
+let running = null;
+let rerunRequested = false;
+
+// ——— Storage ———
+
+export async function getOutbox() {
+  try {
+    const stored = await AsyncStorage.getItem(OUTBOX_KEY);
+    const parsed = stored ? JSON.parse(stored) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    console.warn('[SOSOutbox] Failed to read outbox:', e);
+    return [];
+  }
+}
+
+/**
+ * All writes go through one promise chain so the background processor and
+ * screen actions (retry, discard) never overwrite each other's changes.
+ */
+function updateOutbox(mutate) {
+  const next = writeChain.then(async () => {
+    const outbox = await getOutbox();
+    const updated = mutate(outbox) ?? outbox;
+    await AsyncStorage.setItem(OUTBOX_KEY, JSON.stringify(updated));
+    listeners.forEach((listener) => listener(updated));
+    return updated;
+  });
+  writeChain = next.catch(() => {});
+  return next;
+}
+
+function updateItem(entryId, itemId, changes) {
+  return updateOutbox((outbox) =>
+    outbox.map((entry) =>
+      entry.id !== entryId
+        ? entry
+        : {
+            ...entry,
+            items: entry.items.map((item) => (item.id === itemId ? { ...item, ...changes } : item)),
+          }
+    )
+  );
+}
+
+export function subscribeToOutbox(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// ——— Entries ———
+
+const newItem = (id, kind, label, extra = {}) => ({
+  id,
+  kind,
+  label,
+  status: 'pending',
+  attempts: 0,
+  nextAttemptAt: 0,
+  result: null,
+  error: null,
+  ...extra,
+});
+
+/**
+ * Queues everything an SOS needs beyond the SMS itself: media uploads, the
+ * incident page link, the sos_logs row, a follow-up SMS carrying the link if
+ * it was not ready in time for the first SMS, and alerts to lower-priority
+ * contacts that fall due if nobody replies.
+ *
+ * `recipients` is [{ name, number }]; `media` is [{ uri, mimeType,
+ * capturedAt }]; `audio` is recordings already uploaded, [{ parts: [{ url,
+ * mimeType, sha256, capturedAt }] }]; `escalations` is [{ contact, dueAt }] from
+ * planEscalation(). With `protectLinks` the incident page asks for an access
+ * code, which goes out in its own SMS after the first one.
+ */
+export async function enqueueSOS({
+  message,
+  recipients = [],
+  latitude = null,
+  longitude = null,
+  media = [],
+  audio = [],
+  escalations = [],
+  protectLinks = false,
+}) {
+  const id = await generateUUID();
+  const items = media.map((m, i) =>
+    newItem(`upload-${i}`, 'upload', `Media file ${i + 1}`, {
+      uri: m.uri,
+      mimeType: m.mimeType,
+      capturedAt: m.capturedAt ?? null,
+      sha256: null,
+    })
+  );
+  const hasEvidence = media.length > 0 || audio.length > 0;
+  if (hasEvidence) items.push(newItem('evidence_link', 'evidence_link', 'Evidence page link'));
+  items.push(newItem('log', 'log', 'SOS history record'));
+  if (hasEvidence) {
+    items.push(newItem('follow_up', 'follow_up', 'Follow-up SMS'));
+    if (protectLinks) items.push(newItem('access_codes', 'access_codes', 'Access code SMS'));
+  }
+  escalations.forEach(({ contact, dueAt }, i) => {
+    items.push(
+      newItem(`escalate-${i}`, 'escalate', `Alert ${contact.name || contact.number}`, {
+        contact,
+        notBefore: dueAt,
+      })
+    );
+  });
+
+  const entry = {
+    id,
+    createdAt: new Date().toISOString(),
+    message,
+    recipients: recipients.map((r) => ({ name: r.name || null, number: r.number })),
+    latitude,
+    longitude,
+    audio,
+    protectLinks,
+    initialSent: false,
+    sentLinks: [], // link items already included in the first SMS
+    items,
+  };
+
+  await updateOutbox((outbox) => [entry, ...outbox]);
+  return entry;
+}
+
+const settled = (item) => item && item.status !== 'pending' && item.status !== 'ready';
+const findItem = (entry, kind) => entry.items.find((item) => item.kind === kind);
+
+/**
+ * Message with whatever evidence links exist right now. Links still in the
+ * queue are announced so the recipient knows another text is coming.
+ */
+export function composeSOSMessage(entry) {
+  let msg = entry.message;
+  for (const kind of Object.keys(LINK_LABELS)) {
+    const item = findItem(entry, kind);
+    if (!item) continue;
+    if (item.status === 'done') {
+      msg += `\n\n${LINK_LABELS[kind]}: ${item.result}`;
+      if (item.accessCode) msg += ' (access code sent separately)';
+    }
+    else if (item.status === 'pending') msg += `\n\n[${LINK_LABELS[kind]} will follow]`;
+    else msg += `\n\n[${LINK_LABELS[kind]} could not be generated]`;
+  }
+  if (entry.items.some((item) => item.kind === 'upload' && item.status === 'failed')) {
+    msg += `\n\n[One or more media files failed to upload]`;
+  }
+  return msg;
+}
+
+function composeFollowUp(entry) {
+  const lines = Object.keys(LINK_LABELS)
+    .filter((kind) => findItem(entry, kind)?.status === 'done' && !entry.sentLinks.includes(kind))
+    .map((kind) => {
+      const item = findItem(entry, kind);
+      return `${LINK_LABELS[kind]}: ${item.result}${item.accessCode ? ' (access code sent separately)' : ''}`;
+    });
+  return lines.length ? `SOS follow-up\n\n${lines.join('\n\n')}` : null;
+}
+
+/**
+ * The codes for the protected evidence pages. Kept out of the messages with
+ * the links so that a forwarded or previewed link can't be opened on its own.
+ */
+export function composeAccessCodes(entry) {
+  const lines = Object.keys(LINK_LABELS)
+    .map((kind) => findItem(entry, kind))
+    .filter((item) => item?.status === 'done' && item.accessCode)
+    .map((item) => `${LINK_LABELS[item.kind]}: ${item.accessCode}`);
+  return lines.length ? `Access code for my SOS evidence\n\n${lines.join('\n')}` : null;
+}
+
+/**
+ * Records which links went out with the first SMS, so the follow-up only
+ * carries the ones that were still queued.
+ */
+export async function markInitialSMSSent(entry) {
+  const sentLinks = Object.keys(LINK_LABELS).filter((kind) => findItem(entry, kind)?.status === 'done');
+  await updateOutbox((outbox) =>
+    outbox.map((e) => (e.id === entry.id ? { ...e, initialSent: true, sentLinks } : e))
+  );
+  processOutbox();
+}
+
+// ——— Processing ———
+
+const isoTime = (time) => (time ? new Date(time).toISOString() : null);
+
+/** Everything the incident page shows, in the Worker's /generate format. */
+function incidentFor(entry) {
+  return {
+    message: entry.message.slice(0, MAX_PAGE_MESSAGE_LENGTH),
+    sent_at: entry.createdAt,
+    latitude: entry.latitude,
+    longitude: entry.longitude,
+    media: entry.items
+      .filter((i) => i.kind === 'upload' && i.status === 'done')
+      .map((i) => ({
+        url: i.result,
+        mime_type: i.mimeType,
+        sha256: i.sha256,
+        captured_at: isoTime(i.capturedAt),
+      })),
+    audio: entry.audio.map((recording) => ({
+      parts: recording.parts.map((p) => ({
+        url: p.url,
+        mime_type: p.mimeType,
+        sha256: p.sha256,
+        captured_at: isoTime(p.capturedAt),
+      })),
+    })),
+  };
+}
+
+async function runItem(entry, item) {
+  switch (item.kind) {
+    case 'upload': {
+      // Hashed before it leaves the phone, so the page can show what was sent
+      const sha256 = await sha256File(item.uri);
+      await updateItem(entry.id, item.id, { sha256 });
+      return uploadMediaFromLocal(item.uri, item.mimeType, { sha256, capturedAt: item.capturedAt });
+    }
+    case 'evidence_link': {
+      const { url, accessCode } = await createEvidenceLink(incidentFor(entry), {
+        withCode: !!entry.protectLinks,
+      });
+      if (accessCode) await updateItem(entry.id, item.id, { accessCode });
+      return url;
+    }
+    case 'log': {
+      const { error } = await supabase.from('sos_logs').insert([{
+        message: composeSOSMessage(entry),
+        contact_name: entry.recipients.map((r) => r.name).filter(Boolean).join(', ') || null,
+        contact_number: entry.recipients.map((r) => r.number).join(', ') || null,
+        latitude: entry.latitude,
+        longitude: entry.longitude,
+        media_urls: entry.items.filter((i) => i.kind === 'upload' && i.status === 'done').map((i) => i.result),
+        audio_urls: entry.audio.flatMap((recording) => recording.parts.map((p) => p.url)),
+        device_id: await getDeviceId(),
+      }]);
+      if (error) throw new Error(error.message);
+      return true;
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns 'run' when the item can be attempted now, 'skip' when it can never
+ * run (e.g. every upload failed), 'ready' when the follow-up SMS can be sent,
+ * or null when it is still waiting.
+ */
+function readiness(entry, item) {
+  if (item.status !== 'pending' || item.nextAttemptAt > Date.now()) return null;
+
+  const uploads = entry.items.filter((i) => i.kind === 'upload');
+  const links = entry.items.filter((i) => LINK_LABELS[i.kind]);
+
+  switch (item.kind) {
+    case 'evidence_link':
+      if (!uploads.every(settled)) return null;
+      return uploads.some((i) => i.status === 'done') || entry.audio.length > 0 ? 'run' : 'skip';
+    case 'log':
+      // An SOS the user cancelled in the composer never happened; keep it out of sos_logs
+      if (!entry.initialSent) return null;
+      return uploads.every(settled) && links.every(settled) ? 'run' : null;
+    case 'follow_up':
+      if (!entry.initialSent || !links.every(settled)) return null;
+      return composeFollowUp(entry) ? 'ready' : 'skip';
+    case 'access_codes':
+      if (!entry.initialSent || !links.every(settled)) return null;
+      return composeAccessCodes(entry) ? 'ready' : 'skip';
+    case 'escalate':
+      return entry.initialSent && Date.now() >= item.notBefore ? 'ready' : null;
+    default:
+      return 'run';
+  }
+}
+
+async function processEntry(entryId) {
+  for (;;) {
+    const entry = (await getOutbox()).find((e) => e.id === entryId);
+    if (!entry) return;
+
+    const item = entry.items.find((i) => readiness(entry, i));
+    if (!item) return;
+
+    const state = readiness(entry, item);
+    if (state === 'skip') {
+      await updateItem(entryId, item.id, { status: 'skipped' });
+      continue;
+    }
+    if (state === 'ready') {
+      // Opening the SMS app needs the user, so these wait to be sent from the app
+      await updateItem(entryId, item.id, { status: 'ready' });
+      continue;
+    }
+
+    try {
+      const result = await runItem(entry, item);
+      await updateItem(entryId, item.id, { status: 'done', result, error: null });
+    } catch (e) {
+      const attempts = item.attempts + 1;
+      console.warn(`[SOSOutbox] ${item.label} failed (attempt ${attempts}):`, e);
+      await updateItem(entryId, item.id, {
+        attempts,
+        error: e.message || String(e),
+        status: attempts >= MAX_ATTEMPTS ? 'failed' : 'pending',
+        nextAttemptAt: Date.now() + Math.min(BASE_RETRY_MS * 2 ** (attempts - 1), MAX_RETRY_MS),
+      });
+      // Everything after a failure in this entry most likely hits the same network error
+      return;
+    }
+  }
+}
+
+/**
+ * Runs every due item in the outbox. Concurrent calls share one pass; a call
+ * made while a pass is running schedules one more pass after it.
+ */
+export function processOutbox() {
+  if (running) {
+    rerunRequested = true;
+    return running;
+  }
+
+  running = (async () => {
+    do {
+      rerunRequested = false;
+      for (const entry of await getOutbox()) {
+        await processEntry(entry.id);
+      }
+    } while (rerunRequested);
+
+    // Entries where everything went through are now in sos_logs; drop them
+    await updateOutbox((outbox) =>
+      outbox.filter((entry) => !entry.items.every((i) => i.status === 'done' || i.status === 'skipped'))
+    );
+  })().finally(() => {
+    running = null;
+  });
+
+  return running;
+}
+
+/**
+ * Starts retrying in the background: when connectivity returns, when the app
+ * comes to the foreground, and on a slow poll for backoff timers.
+ * Returns a function that stops the worker.
+ */
+export function startOutboxWorker() {
+  const run = () => processOutbox().catch((e) => console.warn('[SOSOutbox] Pass failed:', e));
+
+  const unsubscribeNet = NetInfo.addEventListener((state) => {
+    if (state.isConnected) run();
+  });
+  const appStateSub = AppState.addEventListener('change', (state) => {
+    if (state === 'active') run();
+  });
+  const interval = setInterval(run, POLL_INTERVAL_MS);
+  run();
+
+  return () => {
+    unsubscribeNet();
+    appStateSub.remove();
+    clearInterval(interval);
+  };
+}
+
+// ——— Actions from the SOS history ———
+
+/**
+ * Puts failed or backed-off items back at the front of the queue and runs it.
+ */
+export async function retryOutboxEntry(entryId) {
+  await updateOutbox((outbox) =>
+    outbox.map((entry) =>
+      entry.id !== entryId
+        ? entry
+        : {
+            ...entry,
+            items: entry.items.map((item) =>
+              item.status === 'failed' || item.status === 'pending'
+                ? { ...item, status: 'pending', attempts: 0, nextAttemptAt: 0 }
+                : item
+            ),
+          }
+    )
+  );
+  return processOutbox();
+}
+
+/**
+ * Sends a follow-up or escalation that is ready. Both open the messaging app,
+ * so this is only ever called from a user action.
+ */
+export async function sendReadyItem(entryId, itemId) {
+  const entry = (await getOutbox()).find((e) => e.id === entryId);
+  const item = entry?.items.find((i) => i.id === itemId);
+  if (!item || item.status !== 'ready') return false;
+
+  if (item.kind === 'follow_up' || item.kind === 'access_codes') {
+    const body = item.kind === 'follow_up' ? composeFollowUp(entry) : composeAccessCodes(entry);
+    if (!body || entry.recipients.length === 0) return false;
+    const { result } = await SMS.sendSMSAsync(entry.recipients.map((r) => r.number), body);
+    if (result === 'cancelled') return false;
+  } else if (item.kind === 'escalate') {
+    const body = composeSOSMessage(entry);
+    const codes = composeAccessCodes(entry);
+    const { contact } = item;
+    if (contact.channels.includes('sms')) {
+      const { result } = await SMS.sendSMSAsync([contact.number], body);
+      if (result === 'cancelled') return false;
+      if (codes) await SMS.sendSMSAsync([contact.number], codes);
+    } else {
+      // Other channels open one message at a time, so the code rides along
+      const url = channelUrl(contact.channels[0], contact, codes ? `${body}\n\n${codes}` : body);
+      if (!url) return false;
+      await Linking.openURL(url);
+    }
+  }
+
+  await updateItem(entryId, itemId, { status: 'done' });
+  processOutbox();
+  return true;
+}
+
+/**
+ * A contact replied: lower-priority contacts no longer need to be alerted.
+ */
+export async function acknowledgeOutboxEntry(entryId) {
+  await updateOutbox((outbox) =>
+    outbox.map((entry) =>
+      entry.id !== entryId
+        ? entry
+        : {
+            ...entry,
+            items: entry.items.map((item) =>
+              item.kind === 'escalate' && (item.status === 'pending' || item.status === 'ready')
+                ? { ...item, status: 'skipped' }
+                : item
+            ),
+          }
+    )
+  );
+  return processOutbox();
+}
+
+/**
+ * The user is safe: no more escalations or follow-ups go out. Uploads and the
+ * log row still finish so the record stays complete. Resolves to the contacts
+ * an escalation already reached, who need to hear the stand-down too.
+ */
+export async function standDownOutboxEntry(entryId) {
+  let escalated = [];
+  await updateOutbox((outbox) =>
+    outbox.map((entry) => {
+      if (entry.id !== entryId) return entry;
+      escalated = entry.items
+        .filter((item) => item.kind === 'escalate' && item.status === 'done')
+        .map((item) => item.contact);
+      return {
+        ...entry,
+        items: entry.items.map((item) =>
+          (item.kind === 'escalate' || item.kind === 'follow_up' || item.kind === 'access_codes') &&
+          (item.status === 'pending' || item.status === 'ready')
+            ? { ...item, status: 'skipped' }
+            : item
+        ),
+      };
+    })
+  );
+  processOutbox();
+  return escalated;
+}
+
+export function discardOutboxEntry(entryId) {
+  return updateOutbox((outbox) => outbox.filter((entry) => entry.id !== entryId));
+}
@@ -1,7 +1,17 @@
 import { createClient } from '@supabase/supabase-js';
+import AsyncStorage from '@react-native-async-storage/async-storage';
 import Constants from 'expo-constants';
 import 'react-native-url-polyfill/auto'; // required for React Native env
 
 const { SUPABASE_URL, SUPABASE_ANON_KEY } = Constants.expoConfig.extra;
 
-export const supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
\ No newline at end of file
+// The session is this install's anonymous identity (see deviceIdentity), so it
+// has to survive restarts
+export const supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+  auth: {
+    storage: AsyncStorage,
+    persistSession: true,
+    autoRefreshToken: true,
+    detectSessionInUrl: false,
+  },
+});
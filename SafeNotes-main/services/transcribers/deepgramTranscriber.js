@@ -0,0 +1,43 @@
+// services/transcribers/deepgramTranscriber.js
+//
+// Deepgram's pre-recorded API. Utterances carry start and end times, which
+// become the transcript's segments.
+import axios from 'axios';
+import Constants from 'expo-constants';
+
+const DEEPGRAM_URL = 'https://api.deepgram.com/v1/listen';
+
+export function createDeepgramTranscriber({ apiKey = Constants.expoConfig.extra.DEEPGRAM_API_KEY } = {}) {
+  return {
+    name: 'deepgram',
+
+    async transcribe(uri, { language, contentType }) {
+      if (!apiKey) throw new Error('Missing Deepgram API key');
+
+      const formData = new FormData();
+      formData.append('file', {
+        uri,
+        type: contentType,
+        name: uri.split('/').pop() || 'recording.m4a',
+      });
+
+      const res = await axios.post(DEEPGRAM_URL, formData, {
+        params: { ...language.deepgram, smart_format: true, utterances: true },
+        headers: {
+          Authorization: `Token ${apiKey}`,
+          'Content-Type': 'multipart/form-data',
+        },
+      });
+
+      const results = res.data?.results;
+      const text = (results?.channels?.[0]?.alternatives?.[0]?.transcript || '').trim();
+      const segments = (results?.utterances || []).map((u) => ({
+        startMs: Math.round(u.start * 1000),
+        endMs: Math.round(u.end * 1000),
+        text: u.transcript.trim(),
+      }));
+
+      return { text, segments };
+    },
+  };
+}
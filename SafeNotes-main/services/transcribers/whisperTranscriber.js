@@ -0,0 +1,48 @@
+// services/transcribers/whisperTranscriber.js
+//
+// A Whisper server run by the user or their organisation, so recordings
+// never reach a third party. Any server with the OpenAI-style
+// /v1/audio/transcriptions endpoint works (faster-whisper-server,
+// whisper.cpp's server); set WHISPER_URL (and WHISPER_API_KEY if it needs
+// one) in the Expo config. Whisper has a Punjabi model, unlike Deepgram.
+import axios from 'axios';
+import Constants from 'expo-constants';
+
+export function createWhisperTranscriber({
+  url = Constants.expoConfig.extra.WHISPER_URL,
+  apiKey = Constants.expoConfig.extra.WHISPER_API_KEY,
+} = {}) {
+  return {
+    name: 'whisper',
+
+    async transcribe(uri, { language, contentType }) {
+      if (!url) throw new Error('Missing WHISPER_URL');
+
+      const formData = new FormData();
+      formData.append('file', {
+        uri,
+        type: contentType,
+        name: uri.split('/').pop() || 'recording.m4a',
+      });
+      formData.append('model', 'whisper-1');
+      formData.append('response_format', 'verbose_json');
+      // Left out for mixed-language speech so Whisper detects it per segment
+      if (language.whisper) formData.append('language', language.whisper);
+
+      const res = await axios.post(`${url.replace(/\/$/, '')}/v1/audio/transcriptions`, formData, {
+        headers: {
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+          'Content-Type': 'multipart/form-data',
+        },
+      });
+
+      const segments = (res.data?.segments || []).map((s) => ({
+        startMs: Math.round(s.start * 1000),
+        endMs: Math.round(s.end * 1000),
+        text: s.text.trim(),
+      }));
+
+      return { text: (res.data?.text || '').trim(), segments };
+    },
+  };
+}
@@ -0,0 +1,43 @@
+// services/transcription.js
+import * as SecureStore from 'expo-secure-store';
+import { getVoiceLanguage } from './voiceLanguages';
+import { createDeepgramTranscriber } from './transcribers/deepgramTranscriber';
+import { createWhisperTranscriber } from './transcribers/whisperTranscriber';
+
+export const TRANSCRIBER_KEY = 'transcriber';
+export const DEFAULT_TRANSCRIBER = 'deepgram';
+
+/**
+ * Speech-to-text backends for recordings. Each factory returns
+ * { name, transcribe(uri, { language, contentType }) } resolving to
+ * { text, segments: [{ startMs, endMs, text }] }; add one with
+ * registerTranscriber to plug in another service.
+ */
+const transcriberFactories = {
+  deepgram: createDeepgramTranscriber,
+  whisper: createWhisperTranscriber,
+};
+
+export const TRANSCRIBERS = [
+  { key: 'deepgram', label: 'Deepgram (cloud)', description: 'Sends recordings to Deepgram' },
+  { key: 'whisper', label: 'Self-hosted Whisper', description: 'Sends recordings to your own server' },
+];
+
+export function registerTranscriber(key, factory) {
+  transcriberFactories[key] = factory;
+}
+
+/**
+ * Transcribes an audio file to { text, segments, language, backend }.
+ * `language` is a VOICE_LANGUAGES entry and `backend` a transcriber key;
+ * both default to what is chosen in Settings.
+ */
+export async function transcribeAudio(uri, { language, backend, contentType = 'audio/m4a' } = {}) {
+  const key = backend || (await SecureStore.getItemAsync(TRANSCRIBER_KEY)) || DEFAULT_TRANSCRIBER;
+  const factory = transcriberFactories[key] || transcriberFactories[DEFAULT_TRANSCRIBER];
+  const transcriber = factory();
+  const lang = language || (await getVoiceLanguage());
+
+  const result = await transcriber.transcribe(uri, { language: lang, contentType });
+  return { ...result, language: lang.key, backend: transcriber.name };
+}
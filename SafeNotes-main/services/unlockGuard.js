@@ -0,0 +1,130 @@
+// services/unlockGuard.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+import * as FileSystem from 'expo-file-system';
+import { generateUUID } from '../utils/generateUUID';
+
+const GUARD_KEY = 'unlockGuard';
+export const INTRUDER_LOG_KEY = 'intruderLog';
+export const INTRUDER_PHOTO_DIR = FileSystem.documentDirectory + 'intruders/';
+
+const FREE_ATTEMPTS = 4; // wrong PIN-shaped entries allowed before the first lockout
+// Wrong entries older than this stop counting, so everyday sums that happen
+// to be four digits don't add up to a lockout over weeks of use
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+const BASE_LOCKOUT_MS = 30 * 1000;
+const MAX_LOCKOUT_MS = 60 * 60 * 1000;
+const MAX_LOG_ENTRIES = 100; // every failed attempt is logged, not just lockouts
+
+// { failedAt: [timestamps within FAILURE_WINDOW_MS], lockedUntil }
+async function readGuard() {
+  try {
+    const stored = JSON.parse(await SecureStore.getItemAsync(GUARD_KEY));
+    const since = Date.now() - FAILURE_WINDOW_MS;
+    return {
+      failedAt: Array.isArray(stored?.failedAt) ? stored.failedAt.filter((t) => t > since) : [],
+      lockedUntil: stored?.lockedUntil || 0,
+    };
+  } catch {
+    return { failedAt: [], lockedUntil: 0 };
+  }
+}
+
+async function writeGuard(state) {
+  await SecureStore.setItemAsync(GUARD_KEY, JSON.stringify(state));
+}
+
+/**
+ * While locked out, the access PIN is not checked at all—the calculator simply
+ * evaluates it as a number, so nothing on screen hints that a PIN exists. The
+ * duress PIN is checked before this, since a lockout is exactly when someone
+ * may be forcing the unlock.
+ */
+export async function isLockedOut() {
+  const { lockedUntil } = await readGuard();
+  return Date.now() < lockedUntil;
+}
+
+/**
+ * Records a wrong PIN-shaped entry. Each failure past the free attempts within
+ * FAILURE_WINDOW_MS doubles the lockout, capped at an hour. Resolves to
+ * { failures, lockedUntil, lockedOut } where lockedOut says this entry started
+ * a lockout.
+ */
+export async function recordFailedAttempt() {
+  const state = await readGuard();
+  const failedAt = [...state.failedAt, Date.now()];
+  const failures = failedAt.length;
+  let lockedUntil = state.lockedUntil;
+
+  if (failures > FREE_ATTEMPTS) {
+    const lockoutMs = Math.min(
+      BASE_LOCKOUT_MS * 2 ** (failures - FREE_ATTEMPTS - 1),
+      MAX_LOCKOUT_MS
+    );
+    lockedUntil = Date.now() + lockoutMs;
+  }
+
+  await writeGuard({ failedAt, lockedUntil });
+  return { failures, lockedUntil, lockedOut: failures > FREE_ATTEMPTS };
+}
+
+export async function resetFailedAttempts() {
+  await writeGuard({ failedAt: [], lockedUntil: 0 });
+}
+
+// ——— Intruder log ———
+
+export async function getIntruderLog() {
+  try {
+    const stored = await AsyncStorage.getItem(INTRUDER_LOG_KEY);
+    const parsed = stored ? JSON.parse(stored) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    console.warn('[UnlockGuard] Failed to read intruder log:', e);
+    return [];
+  }
+}
+
+/**
+ * Appends a failed attempt to the intruder log with its time. `lockedUntil`
+ * is set when the attempt started a lockout, and `duringLockout` when it was
+ * entered while one was running (and so never checked). If a snapshot URI
+ * from the camera cache is given it is moved into app storage so it survives
+ * cache clears.
+ */
+export async function logIntruderAttempt({ photoUri = null, lockedUntil = 0, duringLockout = false } = {}) {
+  const id = await generateUUID();
+  let savedPhoto = null;
+
+  if (photoUri) {
+    try {
+      const dir = await FileSystem.getInfoAsync(INTRUDER_PHOTO_DIR);
+      if (!dir.exists) {
+        await FileSystem.makeDirectoryAsync(INTRUDER_PHOTO_DIR, { intermediates: true });
+      }
+      savedPhoto = `${INTRUDER_PHOTO_DIR}${id}.jpg`;
+      await FileSystem.moveAsync({ from: photoUri, to: savedPhoto });
+    } catch (e) {
+      console.warn('[UnlockGuard] Failed to save intruder photo:', e);
+      savedPhoto = null;
+    }
+  }
+
+  const log = await getIntruderLog();
+  const entry = { id, timestamp: Date.now(), photoUri: savedPhoto, lockedUntil, duringLockout };
+  const updated = [entry, ...log];
+
+  // Drop the oldest entries (and their photos) past the cap
+  for (const old of updated.slice(MAX_LOG_ENTRIES)) {
+    if (old.photoUri) await FileSystem.deleteAsync(old.photoUri, { idempotent: true });
+  }
+
+  await AsyncStorage.setItem(INTRUDER_LOG_KEY, JSON.stringify(updated.slice(0, MAX_LOG_ENTRIES)));
+  return entry;
+}
+
+export async function clearIntruderLog() {
+  await AsyncStorage.removeItem(INTRUDER_LOG_KEY);
+  await FileSystem.deleteAsync(INTRUDER_PHOTO_DIR, { idempotent: true });
+}
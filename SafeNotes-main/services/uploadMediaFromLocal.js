@@ -1,19 +1,26 @@
 import { generateUUID } from '../utils/generateUUID';
+import { extensionFor, mediaKind } from '../utils/mimeTypes';
+import { getDeviceId, getAuthHeaders } from './deviceIdentity';
 import Constants from 'expo-constants';
 
 const {
   SUPABASE_URL,
-  SUPABASE_ANON_KEY,
   SUPABASE_BUCKET_NAME
 } = Constants.expoConfig.extra;
 
 /**
  * Uploads image or video from local storage to Supabase,
  * stores public metadata, and returns public URL.
+ * `sha256` and `capturedAt` are kept with the metadata when known.
  */
-export async function uploadMediaFromLocal(uri, mimeType = 'application/octet-stream') {
-  const ext = uri.split('.').pop();
+export async function uploadMediaFromLocal(
+  uri,
+  mimeType = 'application/octet-stream',
+  { sha256 = null, capturedAt = null } = {}
+) {
+  const ext = extensionFor(uri, mimeType);
   const uuid = await generateUUID();
+  const authHeaders = await getAuthHeaders();
   const fileName = `${uuid}.${ext}`;
   const uploadUrl = `${SUPABASE_URL}/storage/v1/object/${SUPABASE_BUCKET_NAME}/${fileName}`;
 
@@ -23,7 +30,7 @@ export async function uploadMediaFromLocal(uri, mimeType = 'application/octet-st
   // Upload file to Supabase storage
   const uploadRes = await fetch(uploadUrl, {
     method: 'POST',
-    headers: { Authorization: `Bearer ${SUPABASE_ANON_KEY}` },
+    headers: { Authorization: authHeaders.Authorization },
     body: formData,
   });
 
@@ -40,8 +47,7 @@ export async function uploadMediaFromLocal(uri, mimeType = 'application/octet-st
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
-      'apikey': SUPABASE_ANON_KEY,
-      'Authorization': `Bearer ${SUPABASE_ANON_KEY}`,
+      ...authHeaders,
       'Prefer': 'return=representation'
     },
     body: JSON.stringify({
@@ -49,9 +55,11 @@ export async function uploadMediaFromLocal(uri, mimeType = 'application/octet-st
       public_url: publicUrl,
       uploaded_at: new Date().toISOString(),
       mime_type: mimeType,
-      tags: [
-        mimeType.startsWith('image') ? 'image' : 'video'
-      ]
+      sha256,
+      captured_at: capturedAt ? new Date(capturedAt).toISOString() : null,
+      tags: [mediaKind(mimeType)],
+      // Lets the cleanup job apply this phone's retention settings
+      device_id: await getDeviceId()
     })
   });
 
@@ -59,8 +67,7 @@ export async function uploadMediaFromLocal(uri, mimeType = 'application/octet-st
   const roleRes = await fetch(`${SUPABASE_URL}/rest/v1/rpc/debug_current_role`, {
     method: 'POST',
     headers: {
-      'apikey': SUPABASE_ANON_KEY,
-      'Authorization': `Bearer ${SUPABASE_ANON_KEY}`,
+      ...authHeaders,
       'Content-Type': 'application/json'
     },
     body: JSON.stringify({})
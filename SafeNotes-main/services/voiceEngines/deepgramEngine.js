@@ -0,0 +1,125 @@
+// services/voiceEngines/deepgramEngine.js
+//
+// Cloud transcription with Deepgram, kept as an opt-in alternative to the
+// on-device engine. It records a short clip every few seconds and uploads it,
+// so audio leaves the phone and words spoken between clips are missed.
+import { Audio } from 'expo-av';
+import * as FileSystem from 'expo-file-system';
+import Constants from 'expo-constants';
+import { createDeepgramTranscriber } from '../transcribers/deepgramTranscriber';
+import { voiceLanguageFor } from '../voiceLanguages';
+
+const RECORD_INTERVAL = 5000; // Interval between each recording
+const RECORD_DURATION = 3000; // How long each recording lasts (ms)
+
+export function createDeepgramEngine({
+  apiKey = Constants.expoConfig.extra.DEEPGRAM_API_KEY,
+  language = voiceLanguageFor(),
+} = {}) {
+  let isRunning = false;
+  let isRecording = false;
+  let recording = null;
+  let intervalId = null;
+  let handlers = null;
+  const transcriber = createDeepgramTranscriber({ apiKey });
+
+  async function cleanupRecording() {
+    try {
+      if (recording) {
+        console.log('[DeepgramEngine] Cleaning up existing recording...');
+        await recording.stopAndUnloadAsync();
+      }
+    } catch (e) {
+      console.warn('[DeepgramEngine] cleanupRecording stop error:', e);
+    } finally {
+      recording = null;
+      isRecording = false;
+    }
+
+    try {
+      await Audio.setAudioModeAsync({ allowsRecordingIOS: false });
+    } catch {}
+  }
+
+  async function recordAndTranscribe() {
+    if (!isRunning || isRecording) return;
+
+    isRecording = true;
+    let uri = null;
+
+    try {
+      const { status } = await Audio.requestPermissionsAsync();
+      if (status !== 'granted') {
+        console.warn('[DeepgramEngine] Mic permission not granted');
+        isRecording = false;
+        return;
+      }
+
+      await cleanupRecording();
+
+      await Audio.setAudioModeAsync({
+        allowsRecordingIOS: true,
+        playsInSilentModeIOS: true,
+      });
+
+      recording = new Audio.Recording();
+      await recording.prepareToRecordAsync(Audio.RECORDING_OPTIONS_PRESET_HIGH_QUALITY);
+      await recording.startAsync();
+
+      await new Promise(res => setTimeout(res, RECORD_DURATION));
+
+      if (recording) {
+        try {
+          await recording.stopAndUnloadAsync();
+          uri = recording.getURI();
+        } catch (e) {
+          console.warn('[DeepgramEngine] Failed to stop recording:', e);
+        } finally {
+          recording = null;
+        }
+      }
+
+      if (uri && isRunning) {
+        const { text: transcript } = await transcriber.transcribe(uri, { language, contentType: 'audio/m4a' });
+        if (transcript && isRunning) handlers?.onTranscript(transcript, { final: true });
+      }
+    } catch (err) {
+      console.error('[DeepgramEngine] Error in recordAndTranscribe:', err.response?.data || err.message);
+    } finally {
+      isRecording = false;
+      if (uri) {
+        FileSystem.deleteAsync(uri, { idempotent: true }).catch(() => {});
+      }
+    }
+  }
+
+  const stop = async () => {
+    isRunning = false;
+    handlers = null;
+    if (intervalId) {
+      clearInterval(intervalId);
+      intervalId = null;
+    }
+    await cleanupRecording();
+  };
+
+  return {
+    name: 'deepgram',
+
+    async start({ onTranscript, onError }) {
+      if (!apiKey) throw new Error('Missing Deepgram API key');
+
+      isRunning = true;
+      handlers = { onTranscript, onError };
+
+      // Give the mic a short rest to release from previous use
+      await new Promise(res => setTimeout(res, 500));
+
+      intervalId = setInterval(recordAndTranscribe, RECORD_INTERVAL);
+      recordAndTranscribe();
+    },
+
+    stop,
+    release: stop,
+  };
+}
@@ -0,0 +1,63 @@
+// services/voiceEngines/voskEngine.js
+//
+// On-device keyword spotting with Vosk. The recognizer listens to the mic as
+// one continuous stream and, where the language allows, is limited to a
+// grammar of the keywords, so it only ever reports those words (or "[unk]").
+// Either way no audio leaves the phone.
+//
+// The model folders (model-en-in, model-hi) are bundled through the
+// react-native-vosk config plugin; see the README.
+import * as Vosk from 'react-native-vosk';
+import { voiceLanguageFor } from '../voiceLanguages';
+
+export function createVoskEngine({ language = voiceLanguageFor() } = {}) {
+  const model = language.voskModel;
+  let subscriptions = [];
+  let modelLoaded = false;
+
+  const stop = async () => {
+    subscriptions.forEach((sub) => sub.remove());
+    subscriptions = [];
+    try {
+      Vosk.stop();
+    } catch (e) {
+      console.warn('[VoskEngine] stop error:', e);
+    }
+  };
+
+  return {
+    name: 'on_device',
+
+    /**
+     * Starts listening. `onTranscript(text, { final })` gets every partial and
+     * final result; `onError(err)` is called if the recognizer fails.
+     */
+    async start({ keywords, onTranscript, onError }) {
+      if (!modelLoaded) {
+        await Vosk.loadModel(model);
+        modelLoaded = true;
+      }
+
+      subscriptions = [
+        Vosk.onPartialResult((text) => text && onTranscript(text, { final: false })),
+        Vosk.onResult((text) => text && onTranscript(text, { final: true })),
+        Vosk.onError((e) => onError?.(new Error(String(e)))),
+      ];
+
+      // "[unk]" absorbs everything that isn't a keyword. Phrases typed in
+      // Latin letters aren't in the Hindi model's vocabulary, so that model
+      // transcribes freely and the phrases are matched afterwards.
+      await Vosk.start(language.keywordGrammar ? { grammar: [...keywords, '[unk]'] } : {});
+    },
+
+    stop,
+
+    async release() {
+      await stop();
+      if (modelLoaded) {
+        Vosk.unload();
+        modelLoaded = false;
+      }
+    },
+  };
+}
@@ -0,0 +1,67 @@
+// services/voiceLanguages.js
+import * as SecureStore from 'expo-secure-store';
+
+export const VOICE_LANGUAGE_KEY = 'voiceLanguage';
+export const DEFAULT_VOICE_LANGUAGE = 'en';
+
+/**
+ * Languages for panic phrases and recording transcripts.
+ *
+ * `voskModel` is the on-device model folder (see the README). Only the
+ * English model knows Latin-script words, so the others listen with an open
+ * vocabulary and rely on phrase matching across scripts instead of a keyword
+ * grammar (`keywordGrammar`).
+ *
+ * `deepgram` holds the query parameters for the cloud engine and for
+ * transcription. nova-3's "multi" mode follows speakers switching between
+ * Hindi and English mid-sentence. Deepgram has no Punjabi model, so Punjabi
+ * goes through the Hindi one; phrases still match in either script.
+ * `whisper` is the language code for a self-hosted Whisper server, which
+ * does know Punjabi; it is left out for Hinglish so Whisper detects it.
+ */
+export const VOICE_LANGUAGES = [
+  {
+    key: 'en',
+    label: 'English',
+    description: 'Indian English',
+    voskModel: 'model-en-in',
+    keywordGrammar: true,
+    deepgram: { model: 'nova-2', language: 'en-IN' },
+    whisper: 'en',
+  },
+  {
+    key: 'hi',
+    label: 'हिन्दी Hindi',
+    description: 'Hindi in Devanagari or typed in English letters',
+    voskModel: 'model-hi',
+    keywordGrammar: false,
+    deepgram: { model: 'nova-2', language: 'hi' },
+    whisper: 'hi',
+  },
+  {
+    key: 'pa',
+    label: 'ਪੰਜਾਬੀ Punjabi',
+    description: 'Punjabi in Gurmukhi or typed in English letters',
+    voskModel: 'model-hi',
+    keywordGrammar: false,
+    deepgram: { model: 'nova-2', language: 'hi' },
+    whisper: 'pa',
+  },
+  {
+    key: 'hinglish',
+    label: 'Hinglish',
+    description: 'Hindi and English mixed in the same sentence',
+    voskModel: 'model-hi',
+    keywordGrammar: false,
+    deepgram: { model: 'nova-3', language: 'multi' },
+  },
+];
+
+export const voiceLanguageFor = (key) =>
+  VOICE_LANGUAGES.find((l) => l.key === key) ||
+  VOICE_LANGUAGES.find((l) => l.key === DEFAULT_VOICE_LANGUAGE);
+
+// For services outside React; screens read `voiceLanguage` from SettingsContext
+export async function getVoiceLanguage() {
+  return voiceLanguageFor(await SecureStore.getItemAsync(VOICE_LANGUAGE_KEY));
+}
@@ -1,220 +1,256 @@
 // services/voiceRecognition.js
-import { Audio } from 'expo-av';
-import * as FileSystem from 'expo-file-system';
-import axios from 'axios';
-import Constants from 'expo-constants';
-import { navigate } from '../navigation/RootNavigation';
-import * as Location from 'expo-location';
-import { supabase } from './supabaseClient';
-import * as SMS from 'expo-sms';
+import * as SecureStore from 'expo-secure-store';
+import * as Linking from 'expo-linking';
+import { dispatchSOS, showSOSResult } from './sosDispatcher';
 import { Alert } from 'react-native';
+import { createVoskEngine } from './voiceEngines/voskEngine';
+import { createDeepgramEngine } from './voiceEngines/deepgramEngine';
+import { loadPanicPhrases, CONFIRM_WINDOW_MS } from './panicPhrases';
+import { loadEmergencyContacts } from './emergencyContacts';
+import { bestPhraseMatch } from '../utils/phraseMatcher';
+import { getVoiceLanguage } from './voiceLanguages';
+import { startEvidenceRecording } from './evidenceRecorder';
+
+export const VOICE_ENGINE_KEY = 'voiceEngine';
+export const DEFAULT_VOICE_ENGINE = 'on_device';
+
+/**
+ * Keyword-spotting backends. Each factory takes { language } (a
+ * VOICE_LANGUAGES entry) and returns an engine with
+ * start({ keywords, onTranscript, onError }), stop() and release(); add one
+ * with registerVoiceEngine to plug in another recognizer.
+ */
+const engineFactories = {
+  on_device: createVoskEngine,
+  deepgram: createDeepgramEngine,
+};
+
+export const VOICE_ENGINES = [
+  { key: 'on_device', label: 'On-device', description: 'Audio never leaves the phone' },
+  { key: 'deepgram', label: 'Deepgram (cloud)', description: 'Sends short clips to Deepgram' },
+];
+
+export function registerVoiceEngine(key, factory) {
+  engineFactories[key] = factory;
+}
 
-const DEEPGRAM_API_KEY = Constants.expoConfig.extra.DEEPGRAM_API_KEY;
-const TRIGGER_WORD = 'start';
-const EMERGENCY_WORD = 'emergency';
-const RECORD_INTERVAL = 5000; // Interval between each recording
-const RECORD_DURATION = 3000; // How long each recording lasts (ms)
-
+let engine = null;
+let engineKey = null;
 let isListening = false;
-let isRecording = false;
-let recording = null;
-let intervalId = null;
 let detectionLock = false;
 let onListeningStopped = null;
+let onLockRequested = null;
+let phrases = [];
+let hits = {}; // phrase id -> times it was heard recently
+let phraseTest = null; // { phrases, onResult, resumeListening } while testing
 
 export function registerListeningStoppedCallback(cb) {
   onListeningStopped = cb;
 }
 
-export async function startBackgroundListening() {
-  if (isListening) return;
-  if (!DEEPGRAM_API_KEY) {
-    console.error('[VoiceRecognition] Missing Deepgram API key');
-    return;
+// The navigator owns the lock state, so it supplies what "lock to disguise" does
+export function registerLockCallback(cb) {
+  onLockRequested = cb;
+}
+
+// Engines are built for one language, so changing either makes a new one
+async function getEngine() {
+  const name = (await SecureStore.getItemAsync(VOICE_ENGINE_KEY)) || DEFAULT_VOICE_ENGINE;
+  const language = await getVoiceLanguage();
+  const key = `${name}:${language.key}`;
+  if (engineKey !== key) {
+    await engine?.release();
+    const factory = engineFactories[name] || engineFactories[DEFAULT_VOICE_ENGINE];
+    engine = factory({ language });
+    engineKey = key;
   }
+  return engine;
+}
+
+async function startEngine(keywords, onTranscript, onError) {
+  const active = await getEngine();
+  await active.start({ keywords, onTranscript, onError });
+  console.log(`[VoiceRecognition] Listening with ${engineKey}`);
+}
+
+export async function startBackgroundListening() {
+  if (isListening || phraseTest) return;
 
   console.log('[VoiceRecognition] Starting listening...');
   isListening = true;
   detectionLock = false;
+  hits = {};
 
-  // Give the mic a short rest to release from previous use
-  await new Promise(res => setTimeout(res, 500));
-
-  intervalId = setInterval(recordAndDetect, RECORD_INTERVAL);
-  recordAndDetect();
+  try {
+    phrases = await loadPanicPhrases();
+    await startEngine(
+      phrases.map((p) => p.phrase),
+      handleTranscript,
+      (err) => {
+        console.error('[VoiceRecognition] Engine error:', err.message);
+        stopBackgroundListening();
+      }
+    );
+  } catch (err) {
+    // No silent fallback to the cloud engine: that would send audio off the phone
+    console.error('[VoiceRecognition] Could not start listening:', err.message);
+    await stopBackgroundListening();
+  }
 }
 
-export async function stopBackgroundListening() {
+// `notify: false` is for internal restarts, which shouldn't flip the settings toggle
+export async function stopBackgroundListening({ notify = true } = {}) {
   console.log('[VoiceRecognition] Stopping listening...');
   isListening = false;
 
-  if (intervalId) {
-    clearInterval(intervalId);
-    intervalId = null;
+  try {
+    await engine?.stop();
+  } catch (e) {
+    console.warn('[VoiceRecognition] Engine stop error:', e);
   }
 
-  await cleanupRecording();
-
-  if (onListeningStopped) {
+  if (notify && onListeningStopped) {
     onListeningStopped();
   }
 }
 
-async function cleanupRecording() {
-  try {
-    if (recording) {
-      console.log('[VoiceRecognition] Cleaning up existing recording...');
-      await recording.stopAndUnloadAsync();
-    }
-  } catch (e) {
-    console.warn('[VoiceRecognition] cleanupRecording stop error:', e);
-  } finally {
-    recording = null;
-    isRecording = false;
-  }
-
-  try {
-    await Audio.setAudioModeAsync({ allowsRecordingIOS: false });
-  } catch {}
+/**
+ * Picks up edited phrases. The on-device engine's grammar is built from them,
+ * so a running listener is restarted.
+ */
+export async function refreshPanicPhrases() {
+  if (!isListening) return;
+  await stopBackgroundListening({ notify: false });
+  await startBackgroundListening();
 }
 
-async function recordAndDetect() {
-  if (!isListening || isRecording) return;
-
-  isRecording = true;
-  let uri = null;
-
-  try {
-    const { status } = await Audio.requestPermissionsAsync();
-    if (status !== 'granted') {
-      console.warn('[VoiceRecognition] Mic permission not granted');
-      isRecording = false;
-      return;
-    }
+// ——— Matching ———
+
+/**
+ * Scores a transcript against the phrases and counts it towards each phrase's
+ * confirmations. A phrase fires once it has been heard `confirmations` times
+ * within CONFIRM_WINDOW_MS—saying it twice in one breath counts as two. Only
+ * final results are counted across utterances, since engines repeat the same
+ * words in every partial result.
+ */
+function registerHeard(text, final, candidates) {
+  const match = bestPhraseMatch(text, candidates);
+  if (!match) return null;
+
+  const { phrase } = match;
+  const now = Date.now();
+  const recent = (hits[phrase.id] || []).filter((t) => now - t < CONFIRM_WINDOW_MS);
+  const heard = recent.length + match.count;
+  if (final) hits[phrase.id] = [...recent, ...Array(match.count).fill(now)];
+
+  const confirmed = heard >= phrase.confirmations;
+  if (confirmed) hits[phrase.id] = [];
+  return { ...match, heard: Math.min(heard, phrase.confirmations), confirmed };
+}
 
-    await cleanupRecording();
+async function handleTranscript(text, { final = true } = {}) {
+  if (!isListening || detectionLock) return;
 
-    console.log('[VoiceRecognition] Recording...');
-    await Audio.setAudioModeAsync({
-      allowsRecordingIOS: true,
-      playsInSilentModeIOS: true,
-    });
+  const result = registerHeard(text, final, phrases);
+  if (!result?.confirmed) return;
 
-    recording = new Audio.Recording();
-    await recording.prepareToRecordAsync(Audio.RECORDING_OPTIONS_PRESET_HIGH_QUALITY);
-    await recording.startAsync();
+  detectionLock = true;
+  // What was heard stays out of the device log; only the action is noted
+  console.log(`[VoiceRecognition] Panic phrase detected — ${result.phrase.action}`);
+  await runAction(result.phrase);
+}
 
-    await new Promise(res => setTimeout(res, RECORD_DURATION));
+// ——— Actions ———
 
-    if (recording) {
+async function runAction({ action, contactId }) {
+  switch (action) {
+    case 'record':
+      // Nothing shows on screen: the recording runs behind whatever is open
+      await stopBackgroundListening();
       try {
-        await recording.stopAndUnloadAsync();
-        uri = recording.getURI();
-      } catch (e) {
-        console.warn('[VoiceRecognition] Failed to stop recording:', e);
-      } finally {
-        recording = null;
+        await startEvidenceRecording({ covert: true });
+      } catch (err) {
+        console.error('[VoiceRecognition] Could not start recording:', err.message);
       }
+      break;
+    case 'sos':
+      await stopBackgroundListening();
+      await sendInstantSOS();
+      break;
+    case 'lock':
+      // Keep listening: the disguise is exactly when a phrase may be needed next
+      onLockRequested?.();
+      hits = {};
+      detectionLock = false;
+      break;
+    case 'call': {
+      await stopBackgroundListening();
+      const contacts = await loadEmergencyContacts();
+      const contact = contacts.find((c) => c.id === contactId) || contacts[0];
+      if (contact?.number) {
+        await Linking.openURL(`tel:${contact.number}`);
+      } else {
+        Alert.alert('Error', 'No emergency contact found');
+      }
+      break;
     }
-
-    if (uri) {
-      await sendToDeepgram(uri);
-    }
-
-  } catch (err) {
-    console.error('[VoiceRecognition] Error in recordAndDetect:', err);
-  } finally {
-    isRecording = false;
   }
 }
 
-async function sendToDeepgram(uri) {
+async function sendInstantSOS() {
   try {
-    console.log('[VoiceRecognition] Sending to Deepgram...');
-    const formData = new FormData();
-    formData.append('file', {
-      uri,
-      type: 'audio/m4a',
-      name: 'recording.m4a',
-    });
-
-    const res = await axios.post(
-      'https://api.deepgram.com/v1/listen',
-      formData,
-      {
-        headers: {
-          Authorization: `Token ${DEEPGRAM_API_KEY}`,
-          'Content-Type': 'multipart/form-data',
-        },
-      }
-    );
-
-    const transcript = (res.data?.results?.channels?.[0]?.alternatives?.[0]?.transcript || '')
-      .trim()
-      .toLowerCase();
-
-    console.log('[VoiceRecognition] Transcript:', transcript);
-
-    if (!detectionLock) {
-      if (transcript.includes(TRIGGER_WORD)) {
-        detectionLock = true;
-        console.log(`[VoiceRecognition] Trigger "${TRIGGER_WORD}" detected.`);
-        await stopBackgroundListening();
-        navigate('Listening', { autoStart: true });
-      } else if (transcript.includes(EMERGENCY_WORD)) {
-        detectionLock = true;
-        console.log('[VoiceRecognition] Emergency word detected — sending SOS');
-        await stopBackgroundListening();
-        await sendInstantSOS();
-      } else {
-        console.log('[VoiceRecognition] No trigger word detected.');
-      }
-    }
-
+    showSOSResult({ ...(await dispatchSOS()), onRetry: sendInstantSOS });
   } catch (err) {
-    console.error('[VoiceRecognition] Deepgram API error:', err.response?.data || err.message);
-  } finally {
-    try {
-      await FileSystem.deleteAsync(uri, { idempotent: true });
-    } catch {}
+    console.error(err);
+    Alert.alert('Error', 'Failed to send SOS');
   }
 }
 
-async function sendInstantSOS() {
-  try {
-    const { status } = await Location.requestForegroundPermissionsAsync();
-    if (status !== 'granted') {
-      Alert.alert('Permission Denied', 'Location access is required to send SOS');
-      return;
-    }
+// ——— Test mode ———
 
-    const location = await Location.getCurrentPositionAsync({});
-    const locationUrl = `https://maps.google.com/?q=${location.coords.latitude},${location.coords.longitude}`;
+/**
+ * Listens for the given phrases (saved or still being edited) without running
+ * any action. `onResult({ transcript, final, match })` gets every transcript;
+ * match is null or { phrase, score, heard, confirmed }. Background listening
+ * pauses while testing and resumes when the test stops.
+ */
+export async function startPhraseTest(testPhrases, onResult) {
+  if (phraseTest) await stopPhraseTest();
 
-    const { data, error } = await supabase
-      .from('emergency_contacts')
-      .select('*')
-      .order('created_at', { ascending: false })
-      .limit(1)
-      .single();
+  const resumeListening = isListening;
+  if (resumeListening) await stopBackgroundListening({ notify: false });
 
-    if (error || !data) {
-      Alert.alert('Error', 'No emergency contact found');
-      return;
-    }
+  phraseTest = { phrases: testPhrases, onResult, resumeListening };
+  hits = {};
 
-    const messageToSend = `${data.message}\n\nMy Location: ${locationUrl}`;
+  try {
+    await startEngine(
+      testPhrases.map((p) => p.phrase),
+      (text, { final = true } = {}) => {
+        if (!phraseTest) return;
+        onResult({ transcript: text, final, match: registerHeard(text, final, phraseTest.phrases) });
+      },
+      (err) => {
+        console.error('[VoiceRecognition] Engine error during test:', err.message);
+        stopPhraseTest();
+      }
+    );
+  } catch (err) {
+    await stopPhraseTest();
+    throw err;
+  }
+}
 
-    const isAvailable = await SMS.isAvailableAsync();
-    if (!isAvailable) {
-      Alert.alert('Error', 'SMS service is not available on this device');
-      return;
-    }
+export async function stopPhraseTest() {
+  if (!phraseTest) return;
+  const { resumeListening } = phraseTest;
+  phraseTest = null;
+  hits = {};
 
-    await SMS.sendSMSAsync([data.number], messageToSend);
-    Alert.alert('SOS Sent', `Message sent to ${data.name}`);
-  } catch (err) {
-    console.error(err);
-    Alert.alert('Error', 'Failed to send SOS');
+  try {
+    await engine?.stop();
+  } catch (e) {
+    console.warn('[VoiceRecognition] Engine stop error:', e);
   }
+  if (resumeListening) startBackgroundListening();
 }
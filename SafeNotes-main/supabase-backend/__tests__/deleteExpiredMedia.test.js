@@ -0,0 +1,201 @@
+import handler, { runRetention } from '../deleteExpiredMedia';
+
+jest.mock('dotenv', () => ({ config: jest.fn() }));
+// Looked up on each call, since the module makes its client before the tests run
+jest.mock('@supabase/supabase-js', () => ({
+  createClient: () => ({
+    from: (table) => mockSupabase.from(table),
+    storage: { from: (bucket) => mockSupabase.storage.from(bucket) },
+  }),
+}));
+
+const HOUR = 3600 * 1000;
+const STORAGE = 'https://abc.supabase.co/storage/v1/object/public';
+
+// In-memory tables and buckets behind just the calls the job makes. Every
+// write is logged in order, and `failOnce(op, target)` makes the next such
+// write fail.
+let tables;
+let buckets;
+let writes;
+let failures;
+
+const failOnce = (op, target) => failures.push(`${op} ${target}`);
+
+function takeFailure(op, target) {
+  const index = failures.indexOf(`${op} ${target}`);
+  if (index === -1) return false;
+  failures.splice(index, 1);
+  return true;
+}
+
+function run(table, state) {
+  if (state.op !== 'select') {
+    writes.push(`${state.op} ${table}`);
+    if (takeFailure(state.op, table)) return { data: null, error: { message: 'boom' } };
+  }
+  const rows = tables[table];
+  if (state.op === 'update') {
+    rows.filter((row) => state.ids.includes(row.id)).forEach((row) => Object.assign(row, state.values));
+    return { data: null, error: null };
+  }
+  if (state.op === 'delete') {
+    tables[table] = rows.filter((row) => !state.ids.includes(row.id));
+    return { data: null, error: null };
+  }
+  // The job's only filter: "deleting_at.not.is.null,<time column>.lte.<iso>"
+  const [, column, oldest] = /^deleting_at\.not\.is\.null,(\w+)\.lte\.(.+)$/.exec(state.or || '') || [];
+  const matching = column ? rows.filter((row) => row.deleting_at || row[column] <= oldest) : rows;
+  const [from, to] = state.range;
+  return { data: matching.slice(from, to + 1).map((row) => ({ ...row })), error: null };
+}
+
+const mockSupabase = {
+  from(table) {
+    const state = { op: 'select' };
+    const set = (fields) => {
+      Object.assign(state, fields);
+      return builder;
+    };
+    const builder = {
+      select: () => builder,
+      order: () => builder,
+      or: (filter) => set({ or: filter }),
+      range: (from, to) => set({ range: [from, to] }),
+      update: (values) => set({ op: 'update', values }),
+      delete: () => set({ op: 'delete' }),
+      in: (column, ids) => set({ ids }),
+      then: (resolve, reject) => Promise.resolve(run(table, state)).then(resolve, reject),
+    };
+    return builder;
+  },
+  storage: {
+    from: (bucket) => ({
+      async remove(paths) {
+        writes.push(`remove ${bucket}`);
+        if (takeFailure('remove', bucket)) return { data: null, error: { message: 'boom' } };
+        const removed = paths.filter((path) => buckets[bucket].delete(path));
+        return { data: removed.map((name) => ({ name })), error: null };
+      },
+    }),
+  },
+};
+
+let now;
+const hoursAgo = (hours) => new Date(now - hours * HOUR).toISOString();
+const ids = (table) => tables[table].map((row) => row.id);
+
+beforeEach(() => {
+  now = Date.now();
+  writes = [];
+  failures = [];
+  buckets = {
+    'safenotes-media': new Set(['d1/old.jpg', 'd1/new.jpg']),
+    recordings: new Set(['d1/old.m4a']),
+  };
+  tables = {
+    retention_policies: [{ device_id: 'd1', auto_wipe_ttl: '24h', link_ttl_hours: 24 }],
+    sos_media_temp: [
+      { id: 'm-old', device_id: 'd1', uploaded_at: hoursAgo(30), deleting_at: null, public_url: `${STORAGE}/safenotes-media/d1/old.jpg` },
+      { id: 'm-new', device_id: 'd1', uploaded_at: hoursAgo(2), deleting_at: null, public_url: `${STORAGE}/safenotes-media/d1/new.jpg` },
+    ],
+    record_audio: [
+      { id: 'r-old', device_id: 'd1', uploaded_at: hoursAgo(30), deleting_at: null, public_url: `${STORAGE}/recordings/d1/old.m4a` },
+    ],
+    sos_logs: [
+      { id: 'l-old', device_id: 'd1', created_at: hoursAgo(30), deleting_at: null },
+      // No policy synced: kept until the device asks otherwise
+      { id: 'l-unsynced', device_id: 'd2', created_at: hoursAgo(30), deleting_at: null },
+    ],
+  };
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('runRetention', () => {
+  it('marks each expired row, removes its file, then deletes the row', async () => {
+    const report = await runRetention({ now });
+
+    expect(writes).toEqual([
+      'update sos_media_temp', 'remove safenotes-media', 'delete sos_media_temp',
+      'update record_audio', 'remove recordings', 'delete record_audio',
+      'update sos_logs', 'delete sos_logs',
+    ]);
+    expect(ids('sos_media_temp')).toEqual(['m-new']);
+    expect(ids('record_audio')).toEqual([]);
+    expect(ids('sos_logs')).toEqual(['l-unsynced']);
+    expect([...buckets['safenotes-media']]).toEqual(['d1/new.jpg']);
+    expect(buckets.recordings.size).toBe(0);
+    expect(report.tables.sos_media_temp).toEqual({ expired: 1, deleted: 1, files: 1, ids: ['m-old'], failed: [] });
+  });
+
+  it('keeps a row whose file could not be removed, and finishes it next run', async () => {
+    failOnce('remove', 'recordings');
+    const first = await runRetention({ now });
+
+    expect(first.tables.record_audio.failed).toEqual([{ id: 'r-old', error: 'Storage: boom' }]);
+    expect(tables.record_audio[0].deleting_at).toBe(new Date(now).toISOString());
+    expect(buckets.recordings.has('d1/old.m4a')).toBe(true);
+
+    const second = await runRetention({ now });
+    expect(second.tables.record_audio).toMatchObject({ deleted: 1, files: 1, failed: [] });
+    expect(ids('record_audio')).toEqual([]);
+  });
+
+  it('finishes a marked row even after its device stopped auto-wiping, and counts a missing file as gone', async () => {
+    failOnce('delete', 'sos_media_temp');
+    const first = await runRetention({ now });
+    expect(first.tables.sos_media_temp).toMatchObject({ deleted: 0, files: 1, failed: [{ id: 'm-old', error: 'Database: boom' }] });
+    expect(ids('sos_media_temp')).toEqual(['m-old', 'm-new']);
+
+    tables.retention_policies[0].auto_wipe_ttl = 'never';
+    writes = [];
+    const second = await runRetention({ now: now + HOUR });
+
+    expect(second.tables.sos_media_temp).toEqual({ expired: 1, deleted: 1, files: 0, ids: ['m-old'], failed: [] });
+    expect(ids('sos_media_temp')).toEqual(['m-new']);
+    // Already marked, so not marked again; nothing else is due under the new policy
+    expect(writes).toEqual(['remove safenotes-media', 'delete sos_media_temp']);
+  });
+
+  it('reports a table it could not sweep and still sweeps the rest', async () => {
+    failOnce('update', 'record_audio');
+    const report = await runRetention({ now });
+
+    expect(report.tables.record_audio).toEqual({ error: 'Could not mark rows for deletion: boom' });
+    expect(buckets.recordings.has('d1/old.m4a')).toBe(true);
+    expect(report.tables.sos_logs.deleted).toBe(1);
+  });
+});
+
+describe('handler', () => {
+  const respond = () => {
+    const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+    return res;
+  };
+
+  it('with dry_run lists what would go without touching anything', async () => {
+    for (const req of [{ query: { dry_run: '1' } }, { body: { dry_run: true } }]) {
+      const res = respond();
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const report = res.json.mock.calls[0][0];
+      expect(report.dryRun).toBe(true);
+      expect(report.tables.sos_media_temp).toEqual({ expired: 1, deleted: 0, files: 1, ids: ['m-old'], failed: [] });
+      expect(report.tables.sos_logs.ids).toEqual(['l-old']);
+    }
+    expect(writes).toEqual([]);
+    expect(ids('sos_media_temp')).toEqual(['m-old', 'm-new']);
+  });
+
+  it('answers 500 when any row was left behind', async () => {
+    failOnce('delete', 'sos_logs');
+    const res = respond();
+    await handler({ query: {} }, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.json.mock.calls[0][0].tables.sos_logs.failed).toEqual([{ id: 'l-old', error: 'Database: boom' }]);
+  });
+});
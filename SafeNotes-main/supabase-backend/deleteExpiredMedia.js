@@ -2,6 +2,23 @@ import dotenv from 'dotenv';
 dotenv.config();
 
 // deleteExpiredMedia.js
+//
+// Retention job for everything the app uploads. Each row is kept for as long
+// as the policy of the device that uploaded it says (`retention_policies`,
+// synced from the app's auto-wipe and evidence link settings):
+//
+// - sos_media_temp: until its evidence links have expired, or sooner if the
+//   device auto-wipes sooner. The files are in the media bucket.
+// - record_audio: the device's auto-wipe time. The files are in `recordings`.
+// - sos_logs: the device's auto-wipe time.
+//
+// A row is removed in three steps: it is marked with `deleting_at`, its file
+// is removed from storage, and then the row is deleted. If a step fails the
+// row stays marked and is finished on the next run, even if the device's
+// policy has changed since, so a row never outlives its file unnoticed.
+//
+// Pass `dry_run=1` (query or JSON body) to see what would go without
+// removing anything.
 import { createClient } from '@supabase/supabase-js';
 
 const supabase = createClient(
@@ -9,40 +26,211 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-export default async function handler(req, res) {
-  const cutoff = new Date(Date.now() - 12 * 60 * 60 * 1000).toISOString();
+const MEDIA_BUCKET = process.env.SUPABASE_BUCKET_NAME || 'safenotes-media';
+const EVIDENCE_BUCKETS = [MEDIA_BUCKET, 'recordings'];
+
+const HOUR = 60 * 60 * 1000;
+const PAGE_SIZE = 1000;
+const BATCH_SIZE = 100;
+
+const WIPE_HOURS = { '24h': 24, '48h': 48, never: Infinity };
+// Links are made just after their media is uploaded; this covers the gap
+const LINK_GRACE_HOURS = 1;
+// For rows from older apps, and devices that haven't synced a policy yet
+const DEFAULT_POLICY = { auto_wipe_ttl: 'never', link_ttl_hours: 24 };
+
+const wipeHours = policy => WIPE_HOURS[policy.auto_wipe_ttl] ?? Infinity;
+
+const TABLES = [
+  {
+    table: 'sos_media_temp',
+    timeColumn: 'uploaded_at',
+    hasFiles: true,
+    keepHours: policy => Math.min(wipeHours(policy), policy.link_ttl_hours + LINK_GRACE_HOURS),
+    minKeepHours: 1 + LINK_GRACE_HOURS
+  },
+  {
+    table: 'record_audio',
+    timeColumn: 'uploaded_at',
+    hasFiles: true,
+    keepHours: wipeHours,
+    minKeepHours: WIPE_HOURS['24h']
+  },
+  {
+    table: 'sos_logs',
+    timeColumn: 'created_at',
+    hasFiles: false,
+    keepHours: wipeHours,
+    minKeepHours: WIPE_HOURS['24h']
+  }
+];
+
+const chunk = (list, size) =>
+  Array.from({ length: Math.ceil(list.length / size) }, (_, i) => list.slice(i * size, (i + 1) * size));
 
-  const { data: expired, error: fetchError } = await supabase
-    .from('sos_media_temp')
-    .select('*')
-    .lte('uploaded_at', cutoff);
+// Bucket and path of a public storage URL, if it is in one of our buckets
+function storageObject(publicUrl) {
+  const match = /\/storage\/v1\/object\/public\/([^/]+)\/(.+)$/.exec(publicUrl || '');
+  if (!match || !EVIDENCE_BUCKETS.includes(match[1])) return null;
+  return { bucket: match[1], path: decodeURIComponent(match[2].split('?')[0]) };
+}
 
-  if (fetchError) {
-    console.error('Error fetching expired media:', fetchError);
-    return res.status(500).json({ error: 'Fetch failed' });
+async function fetchAll(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) throw new Error(error.message);
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return rows;
   }
+}
+
+async function loadPolicies() {
+  const rows = await fetchAll(() =>
+    supabase.from('retention_policies').select('device_id, auto_wipe_ttl, link_ttl_hours').order('device_id')
+  );
+  return new Map(rows.map(row => [row.device_id, row]));
+}
+
+// Rows past their device's retention, plus any a previous run left marked
+async function findExpired({ table, timeColumn, hasFiles, keepHours, minKeepHours }, policies, now) {
+  const oldest = new Date(now - minKeepHours * HOUR).toISOString();
+  const columns = ['id', 'device_id', timeColumn, 'deleting_at', ...(hasFiles ? ['public_url'] : [])];
+  const rows = await fetchAll(() =>
+    supabase
+      .from(table)
+      .select(columns.join(', '))
+      .or(`deleting_at.not.is.null,${timeColumn}.lte.${oldest}`)
+      .order('id')
+  );
 
-  for (const item of expired) {
-    const path = item.public_url.split('/').pop();
+  return rows.filter(row => {
+    if (row.deleting_at) return true;
+    const policy = policies.get(row.device_id) || DEFAULT_POLICY;
+    const age = now - new Date(row[timeColumn]).getTime();
+    return age >= keepHours(policy) * HOUR;
+  });
+}
 
-    const { error: storageError } = await supabase
-      .storage
-      .from('safenotes-media')
-      .remove([path]);
+async function markDeleting(table, rows, now) {
+  const ids = rows.filter(row => !row.deleting_at).map(row => row.id);
+  for (const batch of chunk(ids, BATCH_SIZE)) {
+    const { error } = await supabase
+      .from(table)
+      .update({ deleting_at: new Date(now).toISOString() })
+      .in('id', batch);
+    if (error) throw new Error(`Could not mark rows for deletion: ${error.message}`);
+  }
+}
 
-    if (storageError) {
-      console.error(`Error deleting file ${path}:`, storageError);
+// Removes the rows' files and returns the rows whose files are gone. Files
+// that are already missing count as gone.
+async function removeFiles(rows, failed) {
+  const byBucket = new Map();
+  const done = [];
+  for (const row of rows) {
+    const object = storageObject(row.public_url);
+    if (!object) {
+      done.push(row); // nothing of ours to remove
+      continue;
     }
+    if (!byBucket.has(object.bucket)) byBucket.set(object.bucket, []);
+    byBucket.get(object.bucket).push({ row, path: object.path });
+  }
 
-    const { error: deleteError } = await supabase
-      .from('sos_media_temp')
-      .delete()
-      .eq('id', item.id);
+  let files = 0;
+  for (const [bucket, entries] of byBucket) {
+    for (const batch of chunk(entries, BATCH_SIZE)) {
+      const { data, error } = await supabase.storage.from(bucket).remove(batch.map(e => e.path));
+      if (error) {
+        console.error(`Error deleting files from ${bucket}:`, error);
+        failed.push(...batch.map(e => ({ id: e.row.id, error: `Storage: ${error.message}` })));
+        continue;
+      }
+      files += data.length;
+      done.push(...batch.map(e => e.row));
+    }
+  }
+  return { done, files };
+}
 
-    if (deleteError) {
-      console.error(`Error deleting DB row for ${item.id}:`, deleteError);
+async function deleteRows(table, rows, failed) {
+  const deleted = [];
+  for (const batch of chunk(rows, BATCH_SIZE)) {
+    const { error } = await supabase.from(table).delete().in('id', batch.map(row => row.id));
+    if (error) {
+      console.error(`Error deleting rows from ${table}:`, error);
+      failed.push(...batch.map(row => ({ id: row.id, error: `Database: ${error.message}` })));
+      continue;
     }
+    deleted.push(...batch);
+  }
+  return deleted;
+}
+
+async function sweepTable(config, policies, { dryRun, now }) {
+  const report = { expired: 0, deleted: 0, files: 0, ids: [], failed: [] };
+  const expired = await findExpired(config, policies, now);
+  report.expired = expired.length;
+
+  if (dryRun || !expired.length) {
+    report.ids = expired.map(row => row.id);
+    report.files = config.hasFiles ? expired.filter(row => storageObject(row.public_url)).length : 0;
+    return report;
+  }
+
+  await markDeleting(config.table, expired, now);
+
+  let removable = expired;
+  if (config.hasFiles) {
+    const { done, files } = await removeFiles(expired, report.failed);
+    removable = done;
+    report.files = files;
+  }
+
+  const deleted = await deleteRows(config.table, removable, report.failed);
+  report.deleted = deleted.length;
+  report.ids = deleted.map(row => row.id);
+  return report;
+}
+
+/**
+ * Applies every device's retention policy once. Returns what was removed
+ * (or with `dryRun`, what would be) per table:
+ * { dryRun, startedAt, finishedAt, tables: { [table]: { expired, deleted, files, ids, failed, error } } }
+ */
+export async function runRetention({ dryRun = false, now = Date.now() } = {}) {
+  const startedAt = new Date().toISOString();
+  // Without the policies every device would fall back to the defaults, which
+  // could delete media earlier than its owner asked
+  const policies = await loadPolicies();
+
+  const tables = {};
+  for (const config of TABLES) {
+    try {
+      tables[config.table] = await sweepTable(config, policies, { dryRun, now });
+    } catch (e) {
+      console.error(`Error sweeping ${config.table}:`, e);
+      tables[config.table] = { error: e.message };
+    }
+  }
+
+  return { dryRun, startedAt, finishedAt: new Date().toISOString(), tables };
+}
+
+const isSet = value => value === true || ['1', 'true'].includes(String(value).toLowerCase());
+
+export default async function handler(req, res) {
+  const dryRun = isSet(req.query?.dry_run) || isSet(req.body?.dry_run);
+
+  let report;
+  try {
+    report = await runRetention({ dryRun });
+  } catch (e) {
+    console.error('Error loading retention policies:', e);
+    return res.status(500).json({ error: 'Could not load retention policies' });
   }
 
-  return res.status(200).json({ message: 'Expired media cleaned up.' });
+  const ok = Object.values(report.tables).every(t => !t.error && !t.failed.length);
+  return res.status(ok ? 200 : 500).json(report);
 }
@@ -0,0 +1,226 @@
+// alert-relay: texts an SOS to the user's contacts when nobody can press send.
+//
+// The SMS composer is visible to whoever is forcing a duress unlock and can't
+// open at all when a check-in deadline passes in the background, so the app
+// posts those alerts here instead. Each contact gets a row in `duress_alerts`
+// and an SMS through Twilio; the row is marked delivered only once Twilio has
+// accepted the message, and the app counts the alert as sent only when at
+// least one was.
+//
+// It only texts numbers the caller has saved in `emergency_contacts`, never
+// numbers in the request, and counts sends per device and per destination
+// number (supabase/migrations/018_alert_relay_quotas.sql), so it can't be
+// used as an open SMS gateway.
+//
+// POST { source: 'duress' | 'check_in', message, latitude?, longitude?, contact_ids?: [uuid] }
+//   → { delivered, alerts: [{ id, number, delivered }] }
+// `contact_ids` picks which saved contacts to text; without it, all of them.
+//
+// Secrets: TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM,
+// DEFAULT_COUNTRY_CODE (optional, e.g. '+91', for numbers saved without one).
+// SUPABASE_URL, SUPABASE_ANON_KEY and SUPABASE_SERVICE_ROLE_KEY are provided
+// by Supabase.
+import { createClient } from 'jsr:@supabase/supabase-js@2';
+
+const TWILIO_ACCOUNT_SID = Deno.env.get('TWILIO_ACCOUNT_SID') ?? '';
+const TWILIO_AUTH_TOKEN = Deno.env.get('TWILIO_AUTH_TOKEN') ?? '';
+const TWILIO_FROM = Deno.env.get('TWILIO_FROM') ?? '';
+const DEFAULT_COUNTRY_CODE = Deno.env.get('DEFAULT_COUNTRY_CODE') ?? '';
+
+const SOURCES = ['duress', 'check_in'];
+const MAX_CONTACTS = 10;
+const MAX_MESSAGE_CHARS = 1_000;
+// Relayed alerts per device per day; generous for a real emergency
+const DAILY_LIMIT = 20;
+// Texts to any one number per day, from every device together. Anonymous
+// devices cost nothing to make, so this is the limit that counts for abuse.
+const DESTINATION_DAILY_LIMIT = 10;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const admin = createClient(
+  Deno.env.get('SUPABASE_URL')!,
+  Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!,
+);
+
+const json = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+
+// The device id behind the caller's JWT, or null for the bare anon key
+async function deviceFor(req: Request): Promise<string | null> {
+  const authorization = req.headers.get('Authorization');
+  if (!authorization) return null;
+  const client = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_ANON_KEY')!, {
+    global: { headers: { Authorization: authorization } },
+  });
+  const { data, error } = await client.auth.getUser();
+  return error || !data.user ? null : data.user.id;
+}
+
+// E.164 for Twilio, or null if it can't be a phone number
+function toE164(number: string): string | null {
+  const digits = number.replace(/[\s()-]/g, '');
+  const withCode = digits.startsWith('+') ? digits : `${DEFAULT_COUNTRY_CODE}${digits.replace(/^0+/, '')}`;
+  return /^\+[1-9]\d{6,14}$/.test(withCode) ? withCode : null;
+}
+
+async function sendSms(to: string, body: string) {
+  const res = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${TWILIO_ACCOUNT_SID}/Messages.json`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Basic ${btoa(`${TWILIO_ACCOUNT_SID}:${TWILIO_AUTH_TOKEN}`)}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    body: new URLSearchParams({ To: to, From: TWILIO_FROM, Body: body }),
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(`Twilio ${res.status}: ${data?.message ?? 'no details'}`);
+  }
+}
+
+// Checks the body and returns the alert to send, or an error message
+function parseRequest(body: Record<string, unknown>) {
+  const source = body.source;
+  if (typeof source !== 'string' || !SOURCES.includes(source)) {
+    return { error: `source must be one of ${SOURCES.join(', ')}` };
+  }
+  const message = typeof body.message === 'string' ? body.message.trim() : '';
+  if (!message || message.length > MAX_MESSAGE_CHARS) {
+    return { error: `message must be 1 to ${MAX_MESSAGE_CHARS} characters` };
+  }
+  const coordinate = (value: unknown) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+  const contactIds = body.contact_ids ?? [];
+  if (
+    !Array.isArray(contactIds) ||
+    contactIds.length > MAX_CONTACTS ||
+    !contactIds.every((id) => typeof id === 'string' && UUID_PATTERN.test(id))
+  ) {
+    return { error: `contact_ids must list at most ${MAX_CONTACTS} contact ids` };
+  }
+
+  return {
+    source,
+    message,
+    latitude: coordinate(body.latitude),
+    longitude: coordinate(body.longitude),
+    contactIds: contactIds as string[],
+  };
+}
+
+// The caller's saved contacts with a usable number, the chosen ones or all
+async function savedContacts(deviceId: string, contactIds: string[]) {
+  let query = admin
+    .from('emergency_contacts')
+    .select('id, name, number')
+    .eq('device_id', deviceId)
+    .limit(MAX_CONTACTS);
+  if (contactIds.length > 0) query = query.in('id', contactIds);
+  const { data, error } = await query;
+  if (error) throw new Error(error.message);
+
+  const seen = new Set<string>();
+  const contacts = [];
+  for (const row of data) {
+    const number = typeof row.number === 'string' ? toE164(row.number) : null;
+    if (!number || seen.has(number)) continue;
+    seen.add(number);
+    contacts.push({ name: row.name ?? null, number });
+  }
+  return contacts;
+}
+
+const useQuota = async (scope: 'device' | 'destination', key: string, limit: number) => {
+  const { data, error } = await admin.rpc('use_alert_relay_quota', { p_scope: scope, p_key: key, p_limit: limit });
+  if (error) throw new Error(`Quota check failed: ${error.message}`);
+  return data !== null;
+};
+
+const refundQuota = (scope: 'device' | 'destination', key: string) =>
+  admin.rpc('refund_alert_relay_quota', { p_scope: scope, p_key: key });
+
+Deno.serve(async (req) => {
+  if (req.method !== 'POST') return json({ error: 'Method not allowed' }, 405);
+
+  const deviceId = await deviceFor(req);
+  if (!deviceId) return json({ error: 'Sign in first' }, 401);
+
+  const body = await req.json().catch(() => null);
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return json({ error: 'Body must be a JSON object' }, 400);
+  }
+  const alert = parseRequest(body);
+  if ('error' in alert) return json({ error: alert.error }, 400);
+  if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_FROM) {
+    return json({ error: 'SMS relay is not configured' }, 503);
+  }
+
+  let contacts;
+  try {
+    contacts = await savedContacts(deviceId, alert.contactIds);
+  } catch (e) {
+    console.error('Contact lookup failed:', e instanceof Error ? e.message : e);
+    return json({ error: 'Could not relay the alert' }, 500);
+  }
+  if (contacts.length === 0) return json({ error: 'No saved contact with a valid phone number' }, 400);
+
+  try {
+    if (!(await useQuota('device', deviceId, DAILY_LIMIT))) {
+      return json({ error: 'Daily limit reached', code: 'quota_exceeded', limit: DAILY_LIMIT }, 429);
+    }
+  } catch (e) {
+    console.error(e instanceof Error ? e.message : e);
+    return json({ error: 'Could not relay the alert' }, 500);
+  }
+
+  const { data: rows, error: insertError } = await admin
+    .from('duress_alerts')
+    .insert(contacts.map((contact) => ({
+      contact_name: contact.name,
+      contact_number: contact.number,
+      message: alert.message,
+      latitude: alert.latitude,
+      longitude: alert.longitude,
+      source: alert.source,
+      device_id: deviceId,
+    })))
+    .select('id, contact_number');
+  if (insertError) {
+    console.error('Insert failed:', insertError.message);
+    await refundQuota('device', deviceId);
+    return json({ error: 'Could not relay the alert' }, 500);
+  }
+
+  const alerts = await Promise.all(rows.map(async (row: { id: string; contact_number: string }) => {
+    const number = row.contact_number;
+    try {
+      if (!(await useQuota('destination', number, DESTINATION_DAILY_LIMIT))) {
+        throw new Error('Daily limit for this number reached');
+      }
+      try {
+        await sendSms(number, alert.message);
+      } catch (e) {
+        await refundQuota('destination', number);
+        throw e;
+      }
+      await admin.from('duress_alerts').update({ delivered_at: new Date().toISOString() }).eq('id', row.id);
+      return { id: row.id, number, delivered: true };
+    } catch (e) {
+      const reason = e instanceof Error ? e.message : String(e);
+      console.error(`[${alert.source}] SMS to alert ${row.id} failed:`, reason);
+      await admin.from('duress_alerts').update({ last_error: reason }).eq('id', row.id);
+      return { id: row.id, number, delivered: false };
+    }
+  }));
+
+  const delivered = alerts.filter((a) => a.delivered).length;
+  if (delivered === 0) {
+    // Nothing went out, so the app will try again; that shouldn't use up the day
+    await refundQuota('device', deviceId);
+    return json({ error: 'No SMS could be delivered', delivered, alerts }, 502);
+  }
+  return json({ delivered, alerts });
+});
@@ -0,0 +1,70 @@
+import { createRedactor } from '../redact';
+
+describe('createRedactor', () => {
+  it('replaces Indian and international phone numbers, and gives a repeat the same placeholder', () => {
+    const redactor = createRedactor();
+    const text = 'Call 98765 43210, +91-9876543210 or +44 20 7946 0958. Again: 98765 43210';
+    expect(redactor.redact(text)).toBe('Call [PHONE_1], [PHONE_2] or [PHONE_3]. Again: [PHONE_1]');
+    expect(redactor.counts()).toEqual({ PHONE: 3 });
+  });
+
+  it('leaves short numbers, years and section numbers alone', () => {
+    const text = 'Under Section 498A since 2019, about 12000 rupees, FIR 0045/2024';
+    expect(createRedactor().redact(text)).toBe(text);
+  });
+
+  it('replaces emails before the numbers inside them', () => {
+    const redactor = createRedactor();
+    expect(redactor.redact('Mail priya.s9876543210@gmail.com today')).toBe('Mail [EMAIL_1] today');
+  });
+
+  it('replaces Aadhaar, PAN and coordinates', () => {
+    const redactor = createRedactor();
+    expect(redactor.redact('Aadhaar 2345 6789 0123, PAN ABCDE1234F, at 28.61394, 77.20902')).toBe(
+      'Aadhaar [AADHAAR_1], PAN [PAN_1], at [LOCATION_1]'
+    );
+  });
+
+  it('replaces the names and addresses on labelled lines, but not "Not Provided"', () => {
+    const redactor = createRedactor();
+    const details = [
+      'Complainant Details:',
+      'Name: Priya Sharma',
+      'Age: 29',
+      'Address: Flat 4B, 12 MG Road, Bengaluru 560001',
+      'Contact: 9876543210',
+      'Respondent Details:',
+      'Name:   Rahul Sharma  ',
+      'Address: Not Provided',
+    ].join('\n');
+
+    expect(redactor.redact(details)).toBe(
+      [
+        'Complainant Details:',
+        'Name: [NAME_1]',
+        'Age: 29',
+        'Address: [ADDRESS_1]',
+        'Contact: [PHONE_1]',
+        'Respondent Details:',
+        'Name:   [NAME_2]  ',
+        'Address: Not Provided',
+      ].join('\n')
+    );
+  });
+
+  it('replaces a name given as "my name is", and not other capitalised words', () => {
+    const redactor = createRedactor();
+    expect(redactor.redact('Hello, my name is Anjali Verma and I live in Delhi.')).toBe(
+      'Hello, my name is [NAME_1] and I live in Delhi.'
+    );
+    expect(redactor.redact('The Court Name: Family Court, Saket')).toBe('The Court Name: Family Court, Saket');
+  });
+
+  it('puts every placeholder back, and leaves ones it never made', () => {
+    const redactor = createRedactor();
+    const redacted = redactor.redact('Name: Priya Sharma\nPhone 9876543210, mail priya@example.com');
+    const reply = `FIR by [NAME_1], reachable on [PHONE_1] or [EMAIL_1]. See [PHONE_9].`;
+    expect(redactor.restore(reply)).toBe('FIR by Priya Sharma, reachable on 9876543210 or priya@example.com. See [PHONE_9].');
+    expect(redacted).not.toMatch(/Priya|9876543210|example\.com/);
+  });
+});
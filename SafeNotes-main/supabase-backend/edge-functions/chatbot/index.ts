@@ -0,0 +1,184 @@
+// chatbot: the app's only way to Gemini and SerpAPI.
+//
+// The keys live here as function secrets instead of in the app bundle. Every
+// call must come from a signed-in device (the anonymous user from
+// services/deviceIdentity.js), is counted against that device's daily quota
+// for the feature, and has identifying details swapped for placeholders before
+// it leaves for Google (see redact.ts).
+//
+// POST { action: 'generate', feature, system?, prompt } → { text, quota }
+// POST { action: 'search', query }                      → { results, quota }
+//
+// Secrets: GEMINI_API_KEY, GEMINI_MODEL_ID (optional), SERPAPI_KEY (optional).
+// SUPABASE_URL, SUPABASE_ANON_KEY and SUPABASE_SERVICE_ROLE_KEY are provided
+// by Supabase.
+import { createClient } from 'jsr:@supabase/supabase-js@2';
+import { createRedactor } from './redact.ts';
+
+const GEMINI_API_KEY = Deno.env.get('GEMINI_API_KEY') ?? '';
+const GEMINI_MODEL_ID = Deno.env.get('GEMINI_MODEL_ID') || 'gemini-2.5-flash';
+const SERPAPI_KEY = Deno.env.get('SERPAPI_KEY') ?? '';
+
+// Requests per device per day (Singapore time, as the chatbot has always
+// counted). Chat matches the limit the chatbot used to keep on the phone.
+const DAILY_LIMITS: Record<string, number> = {
+  chat: 20,
+  legal_assistant: 60,
+  legal_document: 30,
+  search: 30,
+};
+
+const MAX_PROMPT_CHARS = 30_000;
+const MAX_SYSTEM_CHARS = 20_000;
+const MAX_QUERY_CHARS = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SG_OFFSET_MS = 8 * 60 * 60 * 1000;
+
+const admin = createClient(
+  Deno.env.get('SUPABASE_URL')!,
+  Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!,
+);
+
+const json = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+
+const nextQuotaReset = () =>
+  (Math.floor((Date.now() + SG_OFFSET_MS) / DAY_MS) + 1) * DAY_MS - SG_OFFSET_MS;
+
+// The device id behind the caller's JWT, or null for the bare anon key
+async function deviceFor(req: Request): Promise<string | null> {
+  const authorization = req.headers.get('Authorization');
+  if (!authorization) return null;
+  const client = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_ANON_KEY')!, {
+    global: { headers: { Authorization: authorization } },
+  });
+  const { data, error } = await client.auth.getUser();
+  return error || !data.user ? null : data.user.id;
+}
+
+// Counts one request; null once the device has used up the day's limit
+async function useQuota(deviceId: string, feature: string): Promise<number | null> {
+  const { data, error } = await admin.rpc('use_llm_quota', {
+    p_device_id: deviceId,
+    p_feature: feature,
+    p_limit: DAILY_LIMITS[feature],
+  });
+  if (error) throw new Error(`Quota check failed: ${error.message}`);
+  return data;
+}
+
+// Gives the request back when the upstream call failed
+async function refundQuota(deviceId: string, feature: string) {
+  const { error } = await admin.rpc('refund_llm_quota', { p_device_id: deviceId, p_feature: feature });
+  if (error) console.error('Quota refund failed:', error.message);
+}
+
+async function callGemini(system: string, prompt: string): Promise<string> {
+  const res = await fetch(
+    `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL_ID}:generateContent`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-goog-api-key': GEMINI_API_KEY },
+      body: JSON.stringify({
+        ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      }),
+    },
+  );
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(`Gemini ${res.status}: ${data?.error?.message ?? 'no details'}`);
+
+  const text = (data?.candidates?.[0]?.content?.parts ?? [])
+    .map((part: { text?: string }) => part.text ?? '')
+    .join('');
+  if (!text) throw new Error(`Gemini returned no text (${data?.candidates?.[0]?.finishReason ?? 'no candidates'})`);
+  return text;
+}
+
+async function callSerpApi(query: string) {
+  const url = new URL('https://serpapi.com/search.json');
+  url.search = new URLSearchParams({ q: query, engine: 'google', lr: 'lang_en', gl: 'IN', api_key: SERPAPI_KEY }).toString();
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`SerpAPI ${res.status}`);
+  const data = await res.json();
+  return (data.organic_results ?? [])
+    .slice(0, 5)
+    .map((r: { title?: string; link?: string; snippet?: string }) => ({
+      title: r.title ?? '',
+      link: r.link ?? '',
+      snippet: r.snippet ?? '',
+    }));
+}
+
+// Checks the body and returns what to send upstream, or an error message
+function parseRequest(body: Record<string, unknown>) {
+  if (body.action === 'search') {
+    const query = typeof body.query === 'string' ? body.query.trim() : '';
+    if (!query || query.length > MAX_QUERY_CHARS) return { error: `query must be 1 to ${MAX_QUERY_CHARS} characters` };
+    if (!SERPAPI_KEY) return { error: 'Search is not configured', status: 503, code: 'not_configured' };
+    return { action: 'search' as const, feature: 'search', query };
+  }
+
+  if (body.action === 'generate') {
+    const feature = body.feature;
+    if (typeof feature !== 'string' || feature === 'search' || !(feature in DAILY_LIMITS)) {
+      return { error: `feature must be one of ${Object.keys(DAILY_LIMITS).filter((f) => f !== 'search').join(', ')}` };
+    }
+    const prompt = typeof body.prompt === 'string' ? body.prompt : '';
+    const system = typeof body.system === 'string' ? body.system : '';
+    if (!prompt.trim() || prompt.length > MAX_PROMPT_CHARS) return { error: `prompt must be 1 to ${MAX_PROMPT_CHARS} characters` };
+    if (system.length > MAX_SYSTEM_CHARS) return { error: `system must be at most ${MAX_SYSTEM_CHARS} characters` };
+    if (!GEMINI_API_KEY) return { error: 'Gemini is not configured', status: 503, code: 'not_configured' };
+    return { action: 'generate' as const, feature, prompt, system };
+  }
+
+  return { error: "action must be 'generate' or 'search'" };
+}
+
+Deno.serve(async (req) => {
+  if (req.method !== 'POST') return json({ error: 'Method not allowed' }, 405);
+
+  const deviceId = await deviceFor(req);
+  if (!deviceId) return json({ error: 'Sign in first' }, 401);
+
+  const body = await req.json().catch(() => null);
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return json({ error: 'Body must be a JSON object' }, 400);
+  }
+  const request = parseRequest(body);
+  if ('error' in request) return json({ error: request.error, code: request.code }, request.status ?? 400);
+
+  const { feature } = request;
+  const used = await useQuota(deviceId, feature);
+  const limit = DAILY_LIMITS[feature];
+  if (used === null) {
+    return json({ error: 'Daily limit reached', code: 'quota_exceeded', limit, resets_at: nextQuotaReset() }, 429);
+  }
+  const quota = { used, limit, resets_at: nextQuotaReset() };
+
+  const redactor = createRedactor();
+  try {
+    if (request.action === 'search') {
+      const results = await callSerpApi(redactor.redact(request.query));
+      return json({
+        results: results.map((r: { title: string; link: string; snippet: string }) => ({
+          ...r,
+          snippet: redactor.restore(r.snippet),
+        })),
+        quota,
+      });
+    }
+
+    const text = await callGemini(redactor.redact(request.system), redactor.redact(request.prompt));
+    const redacted = redactor.counts();
+    if (Object.keys(redacted).length) console.log(`[${feature}] Redacted before forwarding:`, redacted);
+    return json({ text: redactor.restore(text), quota });
+  } catch (e) {
+    console.error(`[${feature}] Upstream call failed:`, e instanceof Error ? e.message : e);
+    await refundQuota(deviceId, feature);
+    return json({ error: 'The AI service is unavailable. Try again shortly.' }, 502);
+  }
+});
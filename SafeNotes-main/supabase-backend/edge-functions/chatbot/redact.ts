@@ -0,0 +1,66 @@
+// Swaps identifying details in text bound for Gemini or SerpAPI for
+// placeholders like [PHONE_1], and puts them back in what comes back, so the
+// legal assistant can still fill an FIR draft with the real contact number
+// without Google ever seeing it. Names and addresses can't be told apart from
+// other words in free text, so only the ones the app labels are caught: the
+// document generator's "Name:" and "Address:" lines, and "my name is …".
+
+type Kind = 'NAME' | 'ADDRESS' | 'EMAIL' | 'PHONE' | 'AADHAAR' | 'PAN' | 'LOCATION';
+
+// Order matters: labelled lines first, so a number in an address goes with
+// it, then emails and coordinates before the number patterns that would
+// otherwise match inside them. Links are left as they are; the legal
+// assistant passes public sources to the model on purpose.
+const PATTERNS: [Kind, RegExp][] = [
+  ['NAME', /(?<=^[ \t]*Name:[ \t]*)(?!Not Provided[ \t]*$)\S(?:[^\n]*\S)?/gim],
+  ['NAME', /(?<=\b[Mm]y name is\s+)[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*/g],
+  ['ADDRESS', /(?<=^[ \t]*Address:[ \t]*)(?!Not Provided[ \t]*$)\S(?:[^\n]*\S)?/gim],
+  ['EMAIL', /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi],
+  ['LOCATION', /-?\d{1,2}\.\d{4,},\s*-?\d{1,3}\.\d{4,}/g],
+  ['AADHAAR', /\b[2-9]\d{3}[\s-]?\d{4}[\s-]?\d{4}\b/g],
+  ['PAN', /\b[A-Z]{5}\d{4}[A-Z]\b/g],
+  ['PHONE', /(?<![\w+])(?:\+?91[\s-]?|0)?[6-9]\d{4}[\s-]?\d{5}(?!\w)/g],
+  ['PHONE', /(?<![\w+])\+\d{1,3}[\s-]?\d[\d\s-]{6,13}\d(?!\w)/g],
+];
+
+export interface Redactor {
+  redact(text: string): string;
+  restore(text: string): string;
+  /** How many details of each kind were replaced, for logs. */
+  counts(): Partial<Record<Kind, number>>;
+}
+
+/**
+ * One redactor per request, so the same number gets the same placeholder in
+ * the system prompt, the prompt and the search query.
+ */
+export function createRedactor(): Redactor {
+  const byValue = new Map<string, string>();
+  const byToken = new Map<string, string>();
+  const counters: Partial<Record<Kind, number>> = {};
+
+  const tokenFor = (kind: Kind, value: string) => {
+    const existing = byValue.get(value);
+    if (existing) return existing;
+    counters[kind] = (counters[kind] ?? 0) + 1;
+    const token = `[${kind}_${counters[kind]}]`;
+    byValue.set(value, token);
+    byToken.set(token, value);
+    return token;
+  };
+
+  return {
+    redact(text) {
+      return PATTERNS.reduce(
+        (out, [kind, pattern]) => out.replace(pattern, (match) => tokenFor(kind, match)),
+        text,
+      );
+    },
+    restore(text) {
+      return text.replace(/\[(?:NAME|ADDRESS|EMAIL|PHONE|AADHAAR|PAN|LOCATION)_\d+\]/g, (token) => byToken.get(token) ?? token);
+    },
+    counts() {
+      return { ...counters };
+    },
+  };
+}
@@ -0,0 +1,26 @@
+-- =============================================================================
+-- DURESS ALERTS TABLE
+-- =============================================================================
+-- Rows are inserted by the app when it is unlocked with the duress PIN. The app
+-- cannot send an SMS without showing the composer, so a database webhook on
+-- INSERT forwards each row to the SMS provider and marks it delivered.
+
+CREATE TABLE duress_alerts (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    contact_name TEXT,
+    contact_number TEXT NOT NULL,
+    message TEXT NOT NULL,
+    latitude DOUBLE PRECISION,
+    longitude DOUBLE PRECISION,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_duress_alerts_pending ON duress_alerts(created_at) WHERE delivered_at IS NULL;
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE duress_alerts ENABLE ROW LEVEL SECURITY;
+
+-- The app may only raise alerts; reading and updating is left to the service role
+CREATE POLICY "Anyone can insert duress alerts" ON duress_alerts
+    FOR INSERT WITH CHECK (true);
@@ -0,0 +1,14 @@
+-- =============================================================================
+-- TRUSTED CONTACT CHANNELS AND ESCALATION
+-- =============================================================================
+-- The app keeps the ordered contact list on the device; these columns mirror
+-- each contact's preferred channels and escalation rule.
+
+ALTER TABLE emergency_contacts
+    ADD COLUMN IF NOT EXISTS channels TEXT[] NOT NULL DEFAULT ARRAY['sms'],
+    ADD COLUMN IF NOT EXISTS escalate_after_min INTEGER
+        CHECK (escalate_after_min IS NULL OR escalate_after_min BETWEEN 1 AND 120);
+
+ALTER TABLE emergency_contacts
+    ADD CONSTRAINT emergency_contacts_channels_check
+        CHECK (channels <@ ARRAY['sms', 'call', 'email', 'whatsapp']);
@@ -0,0 +1,10 @@
+-- =============================================================================
+-- RELAYED ALERT SOURCE
+-- =============================================================================
+-- duress_alerts also carries missed check-in alerts, which the app likewise
+-- cannot send through the SMS composer. The notifier relays both the same way;
+-- `source` records which kind each row is.
+
+ALTER TABLE duress_alerts
+    ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'duress'
+        CHECK (source IN ('duress', 'check_in'));
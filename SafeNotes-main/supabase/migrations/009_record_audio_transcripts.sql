@@ -0,0 +1,10 @@
+-- =============================================================================
+-- RECORDING TRANSCRIPTS
+-- =============================================================================
+-- Recordings can be transcribed from the Listening screen in the language
+-- chosen in Settings ('en', 'hi', 'pa' or 'hinglish'). Hindi and Punjabi
+-- transcripts are stored in the script the recognizer returned.
+
+ALTER TABLE record_audio
+    ADD COLUMN IF NOT EXISTS transcript TEXT,
+    ADD COLUMN IF NOT EXISTS language TEXT;
@@ -0,0 +1,15 @@
+-- =============================================================================
+-- CHUNKED RECORDINGS
+-- =============================================================================
+-- Evidence recordings are uploaded in fixed-length chunks as they are made.
+-- Each chunk is its own row; `session_id` groups the chunks of one recording
+-- and `chunk_index` orders them. Rows from before chunking have no session.
+
+ALTER TABLE record_audio
+    ADD COLUMN IF NOT EXISTS session_id TEXT,
+    ADD COLUMN IF NOT EXISTS chunk_index INTEGER,
+    ADD COLUMN IF NOT EXISTS started_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS duration_ms INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_record_audio_session
+    ON record_audio (session_id, chunk_index);
@@ -0,0 +1,18 @@
+-- =============================================================================
+-- RECORDING TRANSCRIPT INDEX
+-- =============================================================================
+-- Each chunk is transcribed as it is saved. `segments` holds the timed
+-- pieces as [{ "startMs", "endMs", "text" }] measured from the start of the
+-- chunk, and `flags` the threats and user-chosen names heard in it when it
+-- was transcribed. The text index lets the transcripts be searched server-side.
+
+ALTER TABLE record_audio
+    ADD COLUMN IF NOT EXISTS segments JSONB,
+    ADD COLUMN IF NOT EXISTS flags TEXT[],
+    ADD COLUMN IF NOT EXISTS transcribed_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_record_audio_transcript
+    ON record_audio USING GIN (to_tsvector('simple', coalesce(transcript, '')));
+
+CREATE INDEX IF NOT EXISTS idx_record_audio_flags
+    ON record_audio USING GIN (flags);
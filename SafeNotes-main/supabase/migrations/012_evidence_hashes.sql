@@ -0,0 +1,14 @@
+-- =============================================================================
+-- EVIDENCE HASHES
+-- =============================================================================
+-- SHA-256 of each file as lowercase hex, worked out on the phone before it was
+-- uploaded. SOS incident pages show it next to the file so a recipient (or a
+-- court) can check that what they downloaded is what was recorded. NULL for
+-- files uploaded before hashing was added.
+
+ALTER TABLE record_audio
+    ADD COLUMN IF NOT EXISTS sha256 TEXT;
+
+ALTER TABLE sos_media_temp
+    ADD COLUMN IF NOT EXISTS sha256 TEXT,
+    ADD COLUMN IF NOT EXISTS captured_at TIMESTAMPTZ;
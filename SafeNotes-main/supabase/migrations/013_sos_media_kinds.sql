@@ -0,0 +1,17 @@
+-- =============================================================================
+-- SOS MEDIA KINDS
+-- =============================================================================
+-- `tags` holds the file's kind as worked out from its MIME type: 'image',
+-- 'video', 'audio' or 'file'. Uploads before this tagged everything that
+-- wasn't an image as 'video'; this corrects the rows that are still around.
+
+UPDATE sos_media_temp
+SET tags = ARRAY[
+    CASE
+        WHEN mime_type LIKE 'image/%' THEN 'image'
+        WHEN mime_type LIKE 'video/%' THEN 'video'
+        WHEN mime_type LIKE 'audio/%' THEN 'audio'
+        ELSE 'file'
+    END
+]
+WHERE tags = ARRAY['video'] AND mime_type NOT LIKE 'video/%';
@@ -0,0 +1,58 @@
+-- =============================================================================
+-- RETENTION POLICIES
+-- =============================================================================
+-- Each install keeps its auto-wipe choice and evidence link expiry here, keyed
+-- by a random device id the app generates, and tags the evidence it uploads
+-- with the same id. supabase-backend/deleteExpiredMedia.js reads both to
+-- decide what to delete. Rows with no device id follow the job's defaults.
+--
+-- `deleting_at` marks rows the cleanup job has started removing; it finishes
+-- them on its next run if a file or row delete failed part way.
+
+CREATE TABLE IF NOT EXISTS retention_policies (
+    device_id TEXT PRIMARY KEY,
+    auto_wipe_ttl TEXT NOT NULL DEFAULT 'never' CHECK (auto_wipe_ttl IN ('24h', '48h', 'never')),
+    link_ttl_hours INTEGER NOT NULL DEFAULT 24 CHECK (link_ttl_hours BETWEEN 1 AND 168),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE sos_media_temp
+    ADD COLUMN IF NOT EXISTS device_id TEXT,
+    ADD COLUMN IF NOT EXISTS deleting_at TIMESTAMPTZ;
+
+ALTER TABLE record_audio
+    ADD COLUMN IF NOT EXISTS device_id TEXT,
+    ADD COLUMN IF NOT EXISTS deleting_at TIMESTAMPTZ;
+
+ALTER TABLE sos_logs
+    ADD COLUMN IF NOT EXISTS device_id TEXT,
+    ADD COLUMN IF NOT EXISTS deleting_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_sos_media_temp_uploaded_at ON sos_media_temp(uploaded_at);
+CREATE INDEX IF NOT EXISTS idx_record_audio_uploaded_at ON record_audio(uploaded_at);
+CREATE INDEX IF NOT EXISTS idx_sos_logs_created_at ON sos_logs(created_at);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE retention_policies ENABLE ROW LEVEL SECURITY;
+
+-- No policies: the app can't read or write the table directly, only set a
+-- device's policy through the function below (device ids are random UUIDs
+-- that never leave the phone). The cleanup job uses the service role.
+CREATE OR REPLACE FUNCTION set_retention_policy(
+    p_device_id TEXT,
+    p_auto_wipe_ttl TEXT,
+    p_link_ttl_hours INTEGER
+) RETURNS VOID
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    INSERT INTO retention_policies (device_id, auto_wipe_ttl, link_ttl_hours, updated_at)
+    VALUES (p_device_id, p_auto_wipe_ttl, p_link_ttl_hours, NOW())
+    ON CONFLICT (device_id) DO UPDATE
+        SET auto_wipe_ttl = EXCLUDED.auto_wipe_ttl,
+            link_ttl_hours = EXCLUDED.link_ttl_hours,
+            updated_at = EXCLUDED.updated_at;
+$$;
+
+GRANT EXECUTE ON FUNCTION set_retention_policy(TEXT, TEXT, INTEGER) TO anon, authenticated;
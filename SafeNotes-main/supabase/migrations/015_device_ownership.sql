@@ -0,0 +1,155 @@
+-- =============================================================================
+-- PER-DEVICE OWNERSHIP
+-- =============================================================================
+-- Every install signs in as its own Supabase anonymous user (enable anonymous
+-- sign-ins under Authentication → Providers). Each row carries that user's id
+-- in `device_id` (`user_id` on chat_history), filled in from the caller's JWT
+-- when the app leaves it out, and the policies below keep every install to
+-- its own rows. Before this, all installs shared one pool of rows, and any of
+-- them could read or delete the others'.
+--
+-- Rows written before this migration have no owner (chat rows were all
+-- 'anonymous') and are left to the service role; the cleanup job applies its
+-- default retention policy to them.
+
+-- -----------------------------------------------------------------------------
+-- Owner columns
+-- -----------------------------------------------------------------------------
+
+ALTER TABLE emergency_contacts
+    ADD COLUMN IF NOT EXISTS device_id TEXT DEFAULT auth.uid()::text;
+
+ALTER TABLE duress_alerts
+    ADD COLUMN IF NOT EXISTS device_id TEXT DEFAULT auth.uid()::text;
+
+ALTER TABLE legal_assistant_interactions
+    ADD COLUMN IF NOT EXISTS device_id TEXT DEFAULT auth.uid()::text;
+
+-- Added without a default by 014_retention_policies.sql
+ALTER TABLE sos_media_temp ALTER COLUMN device_id SET DEFAULT auth.uid()::text;
+ALTER TABLE record_audio ALTER COLUMN device_id SET DEFAULT auth.uid()::text;
+ALTER TABLE sos_logs ALTER COLUMN device_id SET DEFAULT auth.uid()::text;
+
+ALTER TABLE chat_history ALTER COLUMN user_id SET DEFAULT auth.uid()::text;
+
+CREATE INDEX IF NOT EXISTS idx_emergency_contacts_device_id ON emergency_contacts(device_id);
+CREATE INDEX IF NOT EXISTS idx_duress_alerts_device_id ON duress_alerts(device_id);
+CREATE INDEX IF NOT EXISTS idx_legal_assistant_interactions_device_id ON legal_assistant_interactions(device_id);
+CREATE INDEX IF NOT EXISTS idx_sos_media_temp_device_id ON sos_media_temp(device_id);
+CREATE INDEX IF NOT EXISTS idx_record_audio_device_id ON record_audio(device_id);
+CREATE INDEX IF NOT EXISTS idx_sos_logs_device_id ON sos_logs(device_id);
+
+-- -----------------------------------------------------------------------------
+-- Row Level Security
+-- -----------------------------------------------------------------------------
+
+-- Some of these tables were set up from the dashboard with open policies whose
+-- names aren't known here, so drop whatever is there before adding the
+-- owner-only ones. Policies are permissive, so one left open would undo them.
+DO $$
+DECLARE
+    p RECORD;
+BEGIN
+    FOR p IN
+        SELECT policyname, tablename FROM pg_policies
+        WHERE schemaname = 'public'
+          AND tablename IN (
+              'emergency_contacts', 'duress_alerts', 'legal_assistant_interactions',
+              'sos_media_temp', 'record_audio', 'sos_logs', 'chat_history'
+          )
+    LOOP
+        EXECUTE format('DROP POLICY %I ON public.%I', p.policyname, p.tablename);
+    END LOOP;
+END $$;
+
+ALTER TABLE emergency_contacts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE duress_alerts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE legal_assistant_interactions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sos_media_temp ENABLE ROW LEVEL SECURITY;
+ALTER TABLE record_audio ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sos_logs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE chat_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Devices manage their own emergency contacts" ON emergency_contacts
+    FOR ALL USING (device_id = auth.uid()::text)
+    WITH CHECK (device_id = auth.uid()::text);
+
+CREATE POLICY "Devices manage their own SOS media" ON sos_media_temp
+    FOR ALL USING (device_id = auth.uid()::text)
+    WITH CHECK (device_id = auth.uid()::text);
+
+CREATE POLICY "Devices manage their own recordings" ON record_audio
+    FOR ALL USING (device_id = auth.uid()::text)
+    WITH CHECK (device_id = auth.uid()::text);
+
+CREATE POLICY "Devices manage their own SOS logs" ON sos_logs
+    FOR ALL USING (device_id = auth.uid()::text)
+    WITH CHECK (device_id = auth.uid()::text);
+
+CREATE POLICY "Devices manage their own chat history" ON chat_history
+    FOR ALL USING (user_id = auth.uid()::text)
+    WITH CHECK (user_id = auth.uid()::text);
+
+-- Alerts are relayed by the service role; the app only raises them
+CREATE POLICY "Devices can insert their own duress alerts" ON duress_alerts
+    FOR INSERT WITH CHECK (device_id = auth.uid()::text);
+
+-- Kept for review, so the app never reads them back
+CREATE POLICY "Devices can insert their own legal assistant messages" ON legal_assistant_interactions
+    FOR INSERT WITH CHECK (device_id = auth.uid()::text);
+
+-- -----------------------------------------------------------------------------
+-- Retention policy
+-- -----------------------------------------------------------------------------
+
+-- Replaces the version from 014, which trusted the device id it was given
+DROP FUNCTION IF EXISTS set_retention_policy(TEXT, TEXT, INTEGER);
+
+CREATE OR REPLACE FUNCTION set_retention_policy(
+    p_auto_wipe_ttl TEXT,
+    p_link_ttl_hours INTEGER
+) RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not signed in';
+    END IF;
+
+    INSERT INTO retention_policies (device_id, auto_wipe_ttl, link_ttl_hours, updated_at)
+    VALUES (auth.uid()::text, p_auto_wipe_ttl, p_link_ttl_hours, NOW())
+    ON CONFLICT (device_id) DO UPDATE
+        SET auto_wipe_ttl = EXCLUDED.auto_wipe_ttl,
+            link_ttl_hours = EXCLUDED.link_ttl_hours,
+            updated_at = EXCLUDED.updated_at;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION set_retention_policy(TEXT, INTEGER) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION set_retention_policy(TEXT, INTEGER) TO authenticated;
+
+-- -----------------------------------------------------------------------------
+-- Storage
+-- -----------------------------------------------------------------------------
+
+-- Files stay readable by URL (the buckets are public, which the incident pages
+-- rely on), but only the device that uploaded a file may overwrite or delete
+-- it. Storage records the uploader in `owner_id`. Remove any older policies on
+-- these buckets that let `anon` upload or delete, in Storage → Policies.
+CREATE POLICY "Devices can upload evidence" ON storage.objects
+    FOR INSERT TO authenticated
+    WITH CHECK (bucket_id IN ('safenotes-media', 'recordings'));
+
+CREATE POLICY "Devices can see their own evidence" ON storage.objects
+    FOR SELECT TO authenticated
+    USING (bucket_id IN ('safenotes-media', 'recordings') AND owner_id = auth.uid()::text);
+
+CREATE POLICY "Devices can replace their own evidence" ON storage.objects
+    FOR UPDATE TO authenticated
+    USING (bucket_id IN ('safenotes-media', 'recordings') AND owner_id = auth.uid()::text);
+
+CREATE POLICY "Devices can delete their own evidence" ON storage.objects
+    FOR DELETE TO authenticated
+    USING (bucket_id IN ('safenotes-media', 'recordings') AND owner_id = auth.uid()::text);
@@ -0,0 +1,62 @@
+-- =============================================================================
+-- LLM GATEWAY QUOTAS
+-- =============================================================================
+-- The chatbot edge function counts each device's requests per feature per day
+-- here before calling Gemini or SerpAPI, and gives a request back if the call
+-- fails. Days run on Singapore time, as the chatbot's limit always has. Only
+-- the service role (the edge function) touches this table.
+--
+-- A device is an anonymous Supabase user, and anyone can mint another by
+-- signing in again, so this caps what one install spends, not one person.
+-- What bounds the total is Auth's rate limit on anonymous sign-ins per IP
+-- (Authentication → Rate Limits), plus CAPTCHA protection if that's not enough.
+
+CREATE TABLE IF NOT EXISTS llm_usage (
+    device_id TEXT NOT NULL,
+    feature TEXT NOT NULL,
+    day DATE NOT NULL,
+    requests INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (device_id, feature, day)
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_day ON llm_usage(day);
+
+-- Enable Row Level Security (RLS); no policies, so the app can't read or reset it
+ALTER TABLE llm_usage ENABLE ROW LEVEL SECURITY;
+
+-- Counts one request and returns the day's total, or NULL if the device has
+-- already used `p_limit` requests for the feature today
+CREATE OR REPLACE FUNCTION use_llm_quota(p_device_id TEXT, p_feature TEXT, p_limit INTEGER)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    used INTEGER;
+BEGIN
+    INSERT INTO llm_usage (device_id, feature, day, requests)
+    VALUES (p_device_id, p_feature, (NOW() AT TIME ZONE 'Asia/Singapore')::date, 1)
+    ON CONFLICT (device_id, feature, day) DO UPDATE
+        SET requests = llm_usage.requests + 1
+        WHERE llm_usage.requests < p_limit
+    RETURNING requests INTO used;
+
+    -- Old days are no use once they are over; keep a week for reference
+    DELETE FROM llm_usage WHERE day < (NOW() AT TIME ZONE 'Asia/Singapore')::date - 7;
+
+    RETURN used;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION refund_llm_quota(p_device_id TEXT, p_feature TEXT)
+RETURNS VOID
+LANGUAGE sql
+AS $$
+    UPDATE llm_usage
+    SET requests = GREATEST(requests - 1, 0)
+    WHERE device_id = p_device_id
+      AND feature = p_feature
+      AND day = (NOW() AT TIME ZONE 'Asia/Singapore')::date;
+$$;
+
+REVOKE EXECUTE ON FUNCTION use_llm_quota(TEXT, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION refund_llm_quota(TEXT, TEXT) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,13 @@
+-- =============================================================================
+-- ALERT RELAY
+-- =============================================================================
+-- Duress and missed check-in alerts are sent by the `alert-relay` edge function
+-- (supabase-backend/edge-functions/alert-relay), which writes one row per
+-- contact, texts it and sets `delivered_at` once the SMS provider accepts it.
+-- A failed send keeps the provider's reason here. Nothing reads rows the app
+-- inserts itself, so they would never be sent; only the function may write.
+
+ALTER TABLE duress_alerts
+    ADD COLUMN IF NOT EXISTS last_error TEXT;
+
+DROP POLICY IF EXISTS "Devices can insert their own duress alerts" ON duress_alerts;
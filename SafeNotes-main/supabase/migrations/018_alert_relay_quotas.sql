@@ -0,0 +1,62 @@
+-- =============================================================================
+-- ALERT RELAY QUOTAS
+-- =============================================================================
+-- The `alert-relay` edge function only texts contacts a device has saved in
+-- `emergency_contacts`, but anonymous sign-ins are free, so its limits are
+-- counted twice: alerts per device per day, and texts per destination number
+-- per day across every device. The second one is what stops the relay being
+-- used to pump SMS to one number from many throwaway installs. Days run on
+-- Singapore time, like the LLM quotas. Only the service role touches this.
+
+CREATE TABLE IF NOT EXISTS alert_relay_usage (
+    scope TEXT NOT NULL CHECK (scope IN ('device', 'destination')),
+    key TEXT NOT NULL, -- device id, or E.164 number
+    day DATE NOT NULL,
+    sends INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (scope, key, day)
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_relay_usage_day ON alert_relay_usage(day);
+
+-- Enable Row Level Security (RLS); no policies, so the app can't read or reset it
+ALTER TABLE alert_relay_usage ENABLE ROW LEVEL SECURITY;
+
+-- Counts one send and returns the day's total, or NULL if `p_key` has
+-- already used `p_limit` sends today
+CREATE OR REPLACE FUNCTION use_alert_relay_quota(p_scope TEXT, p_key TEXT, p_limit INTEGER)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    used INTEGER;
+BEGIN
+    INSERT INTO alert_relay_usage (scope, key, day, sends)
+    VALUES (p_scope, p_key, (NOW() AT TIME ZONE 'Asia/Singapore')::date, 1)
+    ON CONFLICT (scope, key, day) DO UPDATE
+        SET sends = alert_relay_usage.sends + 1
+        WHERE alert_relay_usage.sends < p_limit
+    RETURNING sends INTO used;
+
+    -- Old days are no use once they are over; keep a week for reference
+    DELETE FROM alert_relay_usage WHERE day < (NOW() AT TIME ZONE 'Asia/Singapore')::date - 7;
+
+    RETURN used;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION refund_alert_relay_quota(p_scope TEXT, p_key TEXT)
+RETURNS VOID
+LANGUAGE sql
+AS $$
+    UPDATE alert_relay_usage
+    SET sends = GREATEST(sends - 1, 0)
+    WHERE scope = p_scope
+      AND key = p_key
+      AND day = (NOW() AT TIME ZONE 'Asia/Singapore')::date;
+$$;
+
+REVOKE EXECUTE ON FUNCTION use_alert_relay_quota(TEXT, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION refund_alert_relay_quota(TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- Relay days counted by 017's deployment under the LLM quotas
+DELETE FROM llm_usage WHERE feature = 'alert_relay';
@@ -0,0 +1,75 @@
+import { balanceParens, evaluateExpression, CalcError } from '../calculatorEngine';
+
+describe('balanceParens', () => {
+  it('closes groups the user left open', () => {
+    expect(balanceParens('2*(3+4')).toBe('2*(3+4)');
+    expect(balanceParens('((1+2')).toBe('((1+2))');
+  });
+
+  it('drops groups opened at the very end instead of closing them empty', () => {
+    expect(balanceParens('2(')).toBe('2');
+    expect(balanceParens('2*(3+(')).toBe('2*(3+)');
+    expect(balanceParens('(( ')).toBe('');
+  });
+});
+
+describe('evaluateExpression', () => {
+  it('evaluates a trailing open group as the number before it', () => {
+    expect(evaluateExpression('2(')).toBe(2);
+    expect(evaluateExpression('2(3')).toBe(6);
+  });
+
+  it('still rejects an empty group inside the expression', () => {
+    expect(() => evaluateExpression('2()+1')).toThrow(CalcError);
+  });
+});
+
+describe('evaluateExpression arithmetic', () => {
+  it('multiplies and divides before adding and subtracting', () => {
+    expect(evaluateExpression('2+3*4')).toBe(14);
+    expect(evaluateExpression('10-6/2')).toBe(7);
+    expect(evaluateExpression('(2+3)*4')).toBe(20);
+    expect(evaluateExpression('8/4/2')).toBe(1);
+    expect(evaluateExpression('10-4-3')).toBe(3);
+  });
+
+  it('multiplies a number or group written against a parenthesis', () => {
+    expect(evaluateExpression('2(3)')).toBe(6);
+    expect(evaluateExpression('(2)(3)')).toBe(6);
+    expect(evaluateExpression('2(3+1)+1')).toBe(9);
+  });
+
+  it('takes a minus before a number as its sign', () => {
+    expect(evaluateExpression('2*-3')).toBe(-6);
+    expect(evaluateExpression('-2+5')).toBe(3);
+    expect(evaluateExpression('6/-2')).toBe(-3);
+    expect(evaluateExpression('-(2+3)')).toBe(-5);
+  });
+
+  it('accepts the display glyphs for the operators', () => {
+    expect(evaluateExpression('6×2÷3−1')).toBe(3);
+  });
+
+  it('adds a percentage of the running total, one step at a time', () => {
+    expect(evaluateExpression('50+10%')).toBe(55);
+    expect(evaluateExpression('50+10%+10%')).toBe(60.5);
+    expect(evaluateExpression('200-10%')).toBe(180);
+    expect(evaluateExpression('50*10%')).toBe(5);
+    expect(evaluateExpression('50%')).toBe(0.5);
+  });
+
+  it('hides floating point noise', () => {
+    expect(evaluateExpression('0.1+0.2')).toBe(0.3);
+  });
+
+  it('refuses to divide by zero', () => {
+    expect(() => evaluateExpression('1/0')).toThrow(CalcError);
+    expect(() => evaluateExpression('5/(2-2)')).toThrow('Division by zero');
+  });
+
+  it('rejects malformed input instead of guessing', () => {
+    for (const input of ['2+', '*3', '1..2', '2)', 'abc']) {
+      expect(() => evaluateExpression(input)).toThrow(CalcError);
+    }
+  });
+});
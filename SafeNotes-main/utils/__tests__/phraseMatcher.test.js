@@ -0,0 +1,72 @@
+import { findPhraseMatches, bestPhraseMatch, similarity } from '../phraseMatcher';
+
+const matches = (transcript, phrase, threshold = 0.8) =>
+  findPhraseMatches(transcript, phrase, threshold).length > 0;
+
+describe('findPhraseMatches', () => {
+  it('matches the phrase said exactly, inside a longer transcript', () => {
+    expect(matches('okay start recording now', 'start recording')).toBe(true);
+  });
+
+  it('tolerates a small mishearing in a long word', () => {
+    expect(matches('this is an emergensy', 'emergency')).toBe(true);
+    expect(matches('start recordin', 'start recording')).toBe(true);
+  });
+
+  it.each([
+    'stop recording',
+    'restart recording',
+    'i started recording',
+    'part recording',
+    'start according',
+  ])('does not match "%s" for "start recording"', (transcript) => {
+    expect(matches(transcript, 'start recording')).toBe(false);
+  });
+
+  it('requires short words to be heard exactly', () => {
+    expect(matches('help me know', 'help me now')).toBe(false);
+  });
+
+  it('joins words the recognizer split or merged', () => {
+    expect(matches('this is an emer gency', 'emergency')).toBe(true);
+    expect(matches('startrecording', 'start recording')).toBe(true);
+  });
+
+  it('counts each separate time the phrase was said', () => {
+    expect(findPhraseMatches('emergency emergency', 'emergency', 0.8)).toHaveLength(2);
+  });
+
+  it('matches Hindi written in Devanagari against a romanized phrase', () => {
+    expect(matches('बचाओ', 'bachao')).toBe(true);
+  });
+
+  it('finds nothing in an empty transcript or for an empty phrase', () => {
+    expect(findPhraseMatches('', 'emergency', 0.8)).toEqual([]);
+    expect(findPhraseMatches('emergency', '  ', 0.8)).toEqual([]);
+  });
+});
+
+describe('bestPhraseMatch', () => {
+  const phrases = [
+    { id: 'sos', phrase: 'emergency', threshold: 0.8 },
+    { id: 'record', phrase: 'start recording', threshold: 0.8 },
+  ];
+
+  it('returns the best-scoring phrase and how many times it was heard', () => {
+    const best = bestPhraseMatch('start recording please start recording', phrases);
+    expect(best.phrase.id).toBe('record');
+    expect(best.count).toBe(2);
+    expect(best.score).toBe(1);
+  });
+
+  it('returns null when no phrase was heard', () => {
+    expect(bestPhraseMatch('stop recording', phrases)).toBeNull();
+  });
+});
+
+describe('similarity', () => {
+  it('is 1 for identical strings and falls as they differ', () => {
+    expect(similarity('start', 'start')).toBe(1);
+    expect(similarity('start', 'stop')).toBeLessThan(0.5);
+  });
+});
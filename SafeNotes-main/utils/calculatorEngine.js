@@ -0,0 +1,197 @@
+// utils/calculatorEngine.js
+//
+// Tokenizer + recursive-descent parser for the disguise calculator. Replaces
+// eval() so input is never executed as code, and handles the cases a stock
+// phone calculator does: precedence, parentheses, implicit multiplication
+// like 2(3), unary minus and percentages (50 + 10% = 55).
+
+export class CalcError extends Error {}
+
+const OPERATOR_ALIASES = { '×': '*', '÷': '/', '−': '-' };
+
+/**
+ * Splits an expression into number, operator, percent and parenthesis tokens.
+ * Accepts both ASCII operators and the display glyphs (× ÷ −).
+ */
+export function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const ch = OPERATOR_ALIASES[input[i]] ?? input[i];
+
+    if (ch === ' ') {
+      i++;
+      continue;
+    }
+
+    if (/[0-9.]/.test(ch)) {
+      let num = '';
+      while (i < input.length && /[0-9.]/.test(input[i])) num += input[i++];
+      // Exponent form, which large or tiny results are displayed in (e.g. 1e+21)
+      const exponent = input.slice(i).match(/^e[+-]?\d+/);
+      if (exponent) {
+        num += exponent[0];
+        i += exponent[0].length;
+      }
+      if (num === '.' || num.split('.').length > 2) throw new CalcError(`Bad number "${num}"`);
+      tokens.push({ type: 'number', value: parseFloat(num), raw: num });
+      continue;
+    }
+
+    if ('+-*/'.includes(ch)) tokens.push({ type: 'op', value: ch });
+    else if (ch === '%') tokens.push({ type: 'percent' });
+    else if (ch === '(') tokens.push({ type: 'lparen' });
+    else if (ch === ')') tokens.push({ type: 'rparen' });
+    else throw new CalcError(`Unexpected "${input[i]}"`);
+    i++;
+  }
+
+  return tokens;
+}
+
+/**
+ * Grammar (lowest to highest precedence):
+ *   expr    := term (('+' | '-') term)*
+ *   term    := unary (('*' | '/') unary | <implicit *> postfix)*
+ *   unary   := ('+' | '-') unary | postfix
+ *   postfix := primary '%'*
+ *   primary := number | '(' expr ')'
+ * Produces a small AST evaluated by evaluateNode().
+ */
+export function parse(tokens) {
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+
+  const parsePrimary = () => {
+    const tok = next();
+    if (!tok) throw new CalcError('Unexpected end of expression');
+    if (tok.type === 'number') return { type: 'number', value: tok.value };
+    if (tok.type === 'lparen') {
+      const inner = parseExpr();
+      if (peek()?.type !== 'rparen') throw new CalcError('Missing )');
+      next();
+      return inner;
+    }
+    throw new CalcError('Unexpected token');
+  };
+
+  const parsePostfix = () => {
+    let node = parsePrimary();
+    while (peek()?.type === 'percent') {
+      next();
+      node = { type: 'percent', operand: node };
+    }
+    return node;
+  };
+
+  const parseUnary = () => {
+    const tok = peek();
+    if (tok?.type === 'op' && (tok.value === '-' || tok.value === '+')) {
+      next();
+      const operand = parseUnary();
+      return tok.value === '-' ? { type: 'negate', operand } : operand;
+    }
+    return parsePostfix();
+  };
+
+  const parseTerm = () => {
+    let node = parseUnary();
+    for (;;) {
+      const tok = peek();
+      if (tok?.type === 'op' && (tok.value === '*' || tok.value === '/')) {
+        next();
+        node = { type: 'binary', op: tok.value, left: node, right: parseUnary() };
+      } else if (tok?.type === 'lparen' || tok?.type === 'number') {
+        // Implicit multiplication: 2(3), (2)(3), (2)3
+        node = { type: 'binary', op: '*', left: node, right: parsePostfix() };
+      } else {
+        return node;
+      }
+    }
+  };
+
+  const parseExpr = () => {
+    let node = parseTerm();
+    while (peek()?.type === 'op' && (peek().value === '+' || peek().value === '-')) {
+      const { value: op } = next();
+      node = { type: 'binary', op, left: node, right: parseTerm() };
+    }
+    return node;
+  };
+
+  const ast = parseExpr();
+  if (pos < tokens.length) throw new CalcError('Unexpected token');
+  return ast;
+}
+
+function evaluateNode(node) {
+  switch (node.type) {
+    case 'number':
+      return node.value;
+    case 'negate':
+      return -evaluateNode(node.operand);
+    case 'percent':
+      return evaluateNode(node.operand) / 100;
+    case 'binary': {
+      const left = evaluateNode(node.left);
+      // Like a phone calculator, "a ± b%" means "a ± b% of a"
+      const right =
+        node.right.type === 'percent' && (node.op === '+' || node.op === '-')
+          ? left * evaluateNode(node.right)
+          : evaluateNode(node.right);
+
+      switch (node.op) {
+        case '+':
+          return left + right;
+        case '-':
+          return left - right;
+        case '*':
+          return left * right;
+        case '/':
+          if (right === 0) throw new CalcError('Division by zero');
+          return left / right;
+      }
+    }
+  }
+  throw new CalcError('Unknown node');
+}
+
+/**
+ * Closes any parentheses the user left open, the way stock calculators do.
+ * Groups opened at the very end have nothing in them yet, so they are dropped
+ * rather than closed: "2(" is 2, not "2()".
+ */
+export function balanceParens(expression) {
+  const trimmed = expression.replace(/[\s(]+$/, '');
+  let depth = 0;
+  for (const ch of trimmed) {
+    if (ch === '(') depth++;
+    else if (ch === ')') depth = Math.max(0, depth - 1);
+  }
+  return trimmed + ')'.repeat(depth);
+}
+
+/**
+ * Evaluates an expression string. Throws CalcError on malformed input or
+ * non-finite results; rounds to 10 significant digits to hide float noise.
+ */
+export function evaluateExpression(expression) {
+  const value = evaluateNode(parse(tokenize(balanceParens(expression))));
+  if (!Number.isFinite(value)) throw new CalcError('Result is not finite');
+  return Number(value.toPrecision(10));
+}
+
+/**
+ * True when the entry is a bare 4-digit literal (leading zeros kept), i.e. the
+ * only shape that is ever compared against the access or duress PIN. Anything
+ * with an operator is always just arithmetic.
+ */
+export function isPinEntry(expression) {
+  return /^\d{4}$/.test(expression.trim());
+}
+
+export function formatResult(value) {
+  return Object.is(value, -0) ? '0' : String(value);
+}
@@ -0,0 +1,26 @@
+import * as FileSystem from 'expo-file-system';
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex } from '@noble/hashes/utils';
+
+// Multiple of 3 so every slice is whole base64 groups
+const SLICE_BYTES = 3 * 256 * 1024;
+
+/**
+ * SHA-256 of a local file as lowercase hex, read a slice at a time so a
+ * video doesn't have to fit in memory as one base64 string.
+ */
+export async function sha256File(uri) {
+  const info = await FileSystem.getInfoAsync(uri);
+  if (!info.exists) throw new Error(`File not found: ${uri}`);
+
+  const hash = sha256.create();
+  for (let position = 0; position < info.size; position += SLICE_BYTES) {
+    const slice = await FileSystem.readAsStringAsync(uri, {
+      encoding: FileSystem.EncodingType.Base64,
+      position,
+      length: Math.min(SLICE_BYTES, info.size - position),
+    });
+    hash.update(new Uint8Array(Buffer.from(slice, 'base64')));
+  }
+  return bytesToHex(hash.digest());
+}
@@ -0,0 +1,78 @@
+// The MIME type travels with each file from the picker to the Worker. File
+// extensions are only a fallback for media saved before that, and content://
+// and ph:// URIs don't have one at all.
+
+const EXTENSION_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  heic: 'image/heic',
+  mp4: 'video/mp4',
+  mov: 'video/quicktime',
+  webm: 'video/webm',
+  m4a: 'audio/mp4',
+  aac: 'audio/mp4',
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  ogg: 'audio/ogg',
+  amr: 'audio/amr',
+  '3gp': 'audio/3gpp',
+  pdf: 'application/pdf',
+};
+
+const TYPE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/heic': 'heic',
+  'video/mp4': 'mp4',
+  'video/quicktime': 'mov',
+  'video/webm': 'webm',
+  'video/3gpp': '3gp',
+  'audio/mp4': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/aac': 'aac',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'audio/ogg': 'ogg',
+  'audio/amr': 'amr',
+  'audio/3gpp': '3gp',
+  'application/pdf': 'pdf',
+};
+
+// What a picker's asset.type ('image' | 'video' | 'audio') most likely is
+const KIND_TYPES = { image: 'image/jpeg', video: 'video/mp4', audio: 'audio/mp4' };
+
+const OCTET_STREAM = 'application/octet-stream';
+
+/** The extension of the file a URI points at, lowercased, or '' if none. */
+export function extensionOf(uri) {
+  const name = uri.split(/[?#]/)[0].split('/').pop();
+  const dot = name.lastIndexOf('.');
+  return dot > 0 ? name.slice(dot + 1).toLowerCase() : '';
+}
+
+/**
+ * A file's MIME type: the one the picker reported if any, else from its
+ * extension, else the usual type for its `kind`.
+ */
+export function mimeTypeFor(uri, { mimeType, kind } = {}) {
+  if (mimeType && mimeType !== OCTET_STREAM) return mimeType.toLowerCase();
+  return EXTENSION_TYPES[extensionOf(uri)] || KIND_TYPES[kind] || OCTET_STREAM;
+}
+
+/** 'image', 'video', 'audio' or 'file'. */
+export function mediaKind(mimeType) {
+  const kind = (mimeType || '').split('/')[0];
+  return kind === 'image' || kind === 'video' || kind === 'audio' ? kind : 'file';
+}
+
+/** Extension to save or upload a file under, taken from its type if its URI has none. */
+export function extensionFor(uri, mimeType) {
+  const ext = extensionOf(uri);
+  if (EXTENSION_TYPES[ext]) return ext;
+  return TYPE_EXTENSIONS[mimeType] || ext || 'bin';
+}
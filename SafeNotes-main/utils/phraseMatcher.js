@@ -0,0 +1,110 @@
+// utils/phraseMatcher.js
+//
+// Fuzzy matching of spoken panic phrases against a transcript. Recognizers
+// mishear ("emergensy" for "emergency"), so a phrase matches when some run of
+// words in the transcript is close enough to it by edit distance. Every word
+// is scored on its own and every word must pass, so one near miss can't be
+// carried by the others: at the default threshold "stop recording",
+// "restart recording" and "start according" don't match "start recording",
+// and words of four letters or fewer must be heard exactly. Hindi and Punjabi
+// are romanized first, so "bachao" matches "बचाओ" and "ਬਚਾਓ".
+import { transliterate } from './transliterate';
+
+export function normalizeText(text) {
+  return transliterate(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s']/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+/** 1 for identical strings, falling towards 0 as they differ. */
+export function similarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - levenshtein(a, b) / longest;
+}
+
+/**
+ * How well a run of heard words lines up with the phrase's words: the score of
+ * its weakest word, or 0 if they can't be lined up. Recognizers split and merge
+ * words ("emer gency", "startrecording"), so two words on either side may be
+ * joined and scored as one.
+ */
+function alignmentScore(heard, target) {
+  // best[i][j]: weakest word score lining up heard[0..i) with target[0..j)
+  const best = Array.from({ length: heard.length + 1 }, () => new Array(target.length + 1).fill(0));
+  best[0][0] = 1;
+  const step = (i, j, di, dj) => {
+    if (i < di || j < dj || best[i - di][j - dj] === 0) return 0;
+    const score = similarity(heard.slice(i - di, i).join(''), target.slice(j - dj, j).join(''));
+    return Math.min(best[i - di][j - dj], score);
+  };
+  for (let i = 1; i <= heard.length; i++) {
+    for (let j = 1; j <= target.length; j++) {
+      best[i][j] = Math.max(step(i, j, 1, 1), step(i, j, 2, 1), step(i, j, 1, 2));
+    }
+  }
+  return best[heard.length][target.length];
+}
+
+/**
+ * Scores every place the phrase could appear in the transcript. Windows one
+ * word shorter or longer than the phrase are tried too, since recognizers
+ * split and merge words. A window's score is its weakest word's (see
+ * alignmentScore). Returns the non-overlapping matches at or above
+ * `threshold`, best first: [{ score, start, end }] with word indexes.
+ */
+export function findPhraseMatches(transcript, phrase, threshold) {
+  const words = normalizeText(transcript).split(' ').filter(Boolean);
+  const target = normalizeText(phrase).split(' ').filter(Boolean);
+  if (target.length === 0 || words.length === 0) return [];
+
+  const candidates = [];
+  for (let len = Math.max(1, target.length - 1); len <= target.length + 1; len++) {
+    for (let start = 0; start + len <= words.length; start++) {
+      const score = alignmentScore(words.slice(start, start + len), target);
+      if (score >= threshold) candidates.push({ score, start, end: start + len });
+    }
+  }
+
+  // Keep the best match for each stretch of words
+  candidates.sort((a, b) => b.score - a.score);
+  const matches = [];
+  for (const c of candidates) {
+    if (matches.every((m) => c.end <= m.start || c.start >= m.end)) matches.push(c);
+  }
+  return matches;
+}
+
+/**
+ * The best-scoring phrase heard in the transcript, or null. Each phrase
+ * brings its own threshold. Returns { phrase, score, count } where count is
+ * how many times it was said.
+ */
+export function bestPhraseMatch(transcript, phrases) {
+  let best = null;
+  for (const phrase of phrases) {
+    const matches = findPhraseMatches(transcript, phrase.phrase, phrase.threshold);
+    if (matches.length && (!best || matches[0].score > best.score)) {
+      best = { phrase, score: matches[0].score, count: matches.length };
+    }
+  }
+  return best;
+}
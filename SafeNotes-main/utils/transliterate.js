@@ -0,0 +1,103 @@
+// utils/transliterate.js
+//
+// Loose romanization of Devanagari (Hindi) and Gurmukhi (Punjabi). Recognizers
+// write Hindi and Punjabi in their own scripts—and often write English words
+// that way too—while people type phrases in Latin letters ("bachao", "mujhe
+// help chahiye"). Bringing both to the same spelling lets code-switched
+// phrases match whatever script the transcript comes back in.
+//
+// This is for matching, not display: long and short vowels are folded
+// together and the final inherent "a" is dropped, the way Hinglish is
+// usually typed.
+
+// Gurmukhi sits at the same offsets in its block as Devanagari, so one table
+// serves both.
+const CONSONANTS = {
+  0x15: 'k', 0x16: 'kh', 0x17: 'g', 0x18: 'gh', 0x19: 'n',
+  0x1a: 'ch', 0x1b: 'chh', 0x1c: 'j', 0x1d: 'jh', 0x1e: 'n',
+  0x1f: 't', 0x20: 'th', 0x21: 'd', 0x22: 'dh', 0x23: 'n',
+  0x24: 't', 0x25: 'th', 0x26: 'd', 0x27: 'dh', 0x28: 'n',
+  0x2a: 'p', 0x2b: 'ph', 0x2c: 'b', 0x2d: 'bh', 0x2e: 'm',
+  0x2f: 'y', 0x30: 'r', 0x32: 'l', 0x33: 'l', 0x35: 'v',
+  0x36: 'sh', 0x37: 'sh', 0x38: 's', 0x39: 'h',
+  // Nukta letters (क़ ख़ ग़ ज़ ड़ ढ़ फ़ य़, ਖ਼ ਗ਼ ਜ਼ ੜ ਫ਼)
+  0x58: 'q', 0x59: 'kh', 0x5a: 'g', 0x5b: 'z', 0x5c: 'r', 0x5d: 'rh', 0x5e: 'f', 0x5f: 'y',
+};
+
+const VOWELS = {
+  0x05: 'a', 0x06: 'a', 0x07: 'i', 0x08: 'i', 0x09: 'u', 0x0a: 'u',
+  0x0b: 'ri', 0x0f: 'e', 0x10: 'ai', 0x13: 'o', 0x14: 'au',
+};
+
+const VOWEL_SIGNS = {
+  0x3e: 'a', 0x3f: 'i', 0x40: 'i', 0x41: 'u', 0x42: 'u',
+  0x43: 'ri', 0x47: 'e', 0x48: 'ai', 0x4b: 'o', 0x4c: 'au',
+};
+
+const NASALS = [0x01, 0x02, 0x70]; // chandrabindu, anusvara/bindi, tippi
+const VISARGA = 0x03;
+const NUKTA = 0x3c;
+const VIRAMA = 0x4d;
+const ADDAK = 0x71; // Gurmukhi: doubles the next consonant
+const DANDAS = [0x64, 0x65];
+
+function indicOffset(code) {
+  if (code >= 0x0900 && code <= 0x097f) return code - 0x0900;
+  if (code >= 0x0a00 && code <= 0x0a7f) return code - 0x0a00;
+  return null;
+}
+
+export function transliterate(text) {
+  let out = '';
+  let inherent = false; // last consonant still carries its implicit "a"
+  let geminate = false;
+
+  const flush = () => {
+    if (inherent) out += 'a';
+    inherent = false;
+  };
+
+  for (const ch of text || '') {
+    const offset = indicOffset(ch.codePointAt(0));
+
+    if (offset === null) {
+      // Word boundary: the final inherent vowel is silent
+      inherent = false;
+      geminate = false;
+      out += ch;
+    } else if (CONSONANTS[offset]) {
+      flush();
+      const letters = CONSONANTS[offset];
+      out += geminate ? letters[0] + letters : letters;
+      geminate = false;
+      inherent = true;
+    } else if (VOWEL_SIGNS[offset]) {
+      inherent = false;
+      out += VOWEL_SIGNS[offset];
+    } else if (VOWELS[offset]) {
+      flush();
+      out += VOWELS[offset];
+    } else if (offset === VIRAMA) {
+      inherent = false;
+    } else if (NASALS.includes(offset)) {
+      flush();
+      out += 'n';
+    } else if (offset === VISARGA) {
+      flush();
+      out += 'h';
+    } else if (offset === ADDAK) {
+      flush();
+      geminate = true;
+    } else if (offset >= 0x66 && offset <= 0x6f) {
+      inherent = false;
+      out += String(offset - 0x66);
+    } else if (DANDAS.includes(offset)) {
+      inherent = false;
+      out += ' ';
+    } else if (offset !== NUKTA) {
+      flush();
+    }
+  }
+
+  return out;
+}